@@ -0,0 +1,199 @@
+import { useEffect, useRef, useState } from 'react'
+import { Bug } from '@/types/bug'
+import { BugAttachment } from '@/types/attachment'
+import { Project } from '@/types/project'
+import { AttachmentService } from '@/services/attachmentService'
+import { ACCEPTED_EXTENSIONS, formatFileSize, isImage, isText, validateFiles } from '@/utils/attachments'
+import { can, getRole } from '@/utils/bugPermissions'
+import { useAuth } from '@/use-auth'
+import { Button } from '@/components/ui/button'
+import { cn } from '@/lib/utils'
+import { Download, FileText, Paperclip, Upload, X } from 'lucide-react'
+
+interface BugAttachmentsProps {
+  bug: Bug
+  project?: Project | null
+}
+
+// Long logs are cut down for the inline preview; the full file downloads
+const PREVIEW_LINES = 200
+
+export const BugAttachments = ({ bug, project }: BugAttachmentsProps) => {
+  const { user } = useAuth()
+  const [attachments, setAttachments] = useState<BugAttachment[]>([])
+  const [previewId, setPreviewId] = useState<string | null>(null)
+  const [previewText, setPreviewText] = useState<string | null>(null)
+  const [isUploading, setIsUploading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const fileInput = useRef<HTMLInputElement>(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    AttachmentService.getAttachments(bug.id)
+      .then(result => {
+        if (!cancelled) setAttachments(result)
+      })
+      // Attachments only exist on the server; local storage simply has none
+      .catch(() => {
+        if (!cancelled) setAttachments([])
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [bug.id])
+
+  const preview = attachments.find(attachment => attachment.id === previewId)
+
+  useEffect(() => {
+    setPreviewText(null)
+    if (!preview || !isText(preview.contentType)) return
+
+    let cancelled = false
+
+    AttachmentService.getTextContent(preview)
+      .then(text => {
+        if (cancelled) return
+        const lines = text.split('\n')
+        setPreviewText(lines.length > PREVIEW_LINES
+          ? [...lines.slice(0, PREVIEW_LINES), `… ${lines.length - PREVIEW_LINES} more lines`].join('\n')
+          : text)
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [preview])
+
+  const handleUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files ?? [])
+    e.target.value = ''
+    if (files.length === 0) return
+
+    const errors = validateFiles(files)
+    if (errors.length > 0) {
+      setError(errors.join(', '))
+      return
+    }
+
+    setIsUploading(true)
+    try {
+      const uploaded = await AttachmentService.uploadAttachments(bug.id, files)
+      setAttachments(prev => [...prev, ...uploaded])
+      setError(null)
+    } catch (err) {
+      setError((err as Error).message)
+    } finally {
+      setIsUploading(false)
+    }
+  }
+
+  const handleDelete = async (attachmentId: string) => {
+    try {
+      await AttachmentService.deleteAttachment(bug.id, attachmentId)
+      setAttachments(prev => prev.filter(attachment => attachment.id !== attachmentId))
+      if (previewId === attachmentId) setPreviewId(null)
+      setError(null)
+    } catch (err) {
+      setError((err as Error).message)
+    }
+  }
+
+  const canAttach = can(user, 'attach', bug, project)
+  const canDelete = (attachment: BugAttachment) =>
+    !!user && (getRole(user, project) === 'admin' || attachment.uploadedById === user.id)
+
+  if (attachments.length === 0 && !canAttach) return null
+
+  return (
+    <div className="space-y-2" data-testid={`attachments-${bug.id}`}>
+      <div className="flex items-center gap-2 flex-wrap">
+        <Paperclip className="h-4 w-4 text-muted-foreground" />
+        {attachments.map(attachment => (
+          <div key={attachment.id} className="group relative" data-testid={`attachment-${attachment.id}`}>
+            <button
+              type="button"
+              onClick={() => setPreviewId(prev => prev === attachment.id ? null : attachment.id)}
+              className={cn(
+                'flex items-center overflow-hidden rounded-md border text-xs hover:bg-accent',
+                previewId === attachment.id && 'ring-2 ring-primary'
+              )}
+              title={`${attachment.filename} (${formatFileSize(attachment.size)})`}
+            >
+              {isImage(attachment.contentType) ? (
+                <img
+                  src={AttachmentService.getContentUrl(attachment)}
+                  alt={attachment.filename}
+                  loading="lazy"
+                  className="h-12 w-12 object-cover"
+                />
+              ) : (
+                <span className="flex h-12 items-center gap-1 px-2">
+                  <FileText className="h-4 w-4" />
+                  <span className="max-w-32 truncate">{attachment.filename}</span>
+                </span>
+              )}
+            </button>
+            {canDelete(attachment) && (
+              <button
+                type="button"
+                onClick={() => handleDelete(attachment.id)}
+                className="absolute -right-1 -top-1 hidden rounded-full bg-background shadow group-hover:block"
+                aria-label={`Delete ${attachment.filename}`}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            )}
+          </div>
+        ))}
+        {canAttach && (
+          <>
+            <input
+              ref={fileInput}
+              type="file"
+              multiple
+              accept={ACCEPTED_EXTENSIONS}
+              onChange={handleUpload}
+              className="hidden"
+              data-testid={`attachment-input-${bug.id}`}
+            />
+            <Button
+              variant="ghost"
+              size="sm"
+              className="h-6 px-2 text-xs"
+              onClick={() => fileInput.current?.click()}
+              disabled={isUploading}
+            >
+              <Upload className="h-3 w-3 mr-1" />
+              {isUploading ? 'Uploading...' : 'Attach'}
+            </Button>
+          </>
+        )}
+      </div>
+
+      {preview && (
+        <div className="space-y-1 rounded-md border p-2" data-testid="attachment-preview">
+          <div className="flex items-center justify-between text-xs text-muted-foreground">
+            <span>{preview.filename} · {formatFileSize(preview.size)} · {preview.uploadedBy}</span>
+            <a href={AttachmentService.getContentUrl(preview)} download={preview.filename} className="flex items-center gap-1 hover:underline">
+              <Download className="h-3 w-3" />
+              Download
+            </a>
+          </div>
+          {isImage(preview.contentType) && (
+            <img src={AttachmentService.getContentUrl(preview)} alt={preview.filename} className="max-h-96 rounded" />
+          )}
+          {isText(preview.contentType) && (
+            <pre className="max-h-64 overflow-auto whitespace-pre-wrap text-xs">{previewText ?? 'Loading...'}</pre>
+          )}
+        </div>
+      )}
+
+      {error && <div className="text-sm text-destructive">{error}</div>}
+    </div>
+  )
+}
@@ -0,0 +1,330 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { Bug, BugStatus } from '@/types/bug'
+import { Project } from '@/types/project'
+import { BUG_STATUSES, canTransition, getStatusLabel } from '@/utils/bugWorkflow'
+import { can, canEditBug } from '@/utils/bugPermissions'
+import { getDropRank, groupByStatus } from '@/utils/bugBoard'
+import { useAuth } from '@/use-auth'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { cn } from '@/lib/utils'
+import { Edit } from 'lucide-react'
+
+interface BugBoardProps {
+  bugs: Bug[]
+  // Moving a card to another column goes through the same status change as
+  // the card buttons; the board shows the move before either resolves
+  onStatusChange: (id: string, status: Bug['status']) => void | Promise<void>
+  onReorder: (id: string, rank: number) => void | Promise<void>
+  onEdit: (bug: Bug) => void
+  // The project on the board; its member roles decide which cards can move
+  project?: Project | null
+}
+
+// Where a card being moved would land; `index` counts the other cards in the column
+interface Move {
+  id: string
+  status: BugStatus
+  index: number
+  keyboard: boolean
+}
+
+type Override = Pick<Bug, 'status' | 'rank'>
+
+const INSTRUCTIONS_ID = 'bug-board-instructions'
+
+export const BugBoard = ({ bugs, onStatusChange, onReorder, onEdit, project }: BugBoardProps) => {
+  const { user } = useAuth()
+  const [overrides, setOverrides] = useState<Map<string, Override>>(new Map())
+  const [move, setMove] = useState<Move | null>(null)
+  const [announcement, setAnnouncement] = useState('')
+  const [error, setError] = useState<string | null>(null)
+  const cardRefs = useRef(new Map<string, HTMLDivElement>())
+  const focusAfterRender = useRef<string | null>(null)
+
+  // Drop optimistic values once the parent's bugs have caught up
+  useEffect(() => {
+    setOverrides(prev => {
+      const next = new Map(prev)
+      bugs.forEach(bug => {
+        const override = next.get(bug.id)
+        if (override && override.status === bug.status && override.rank === bug.rank) {
+          next.delete(bug.id)
+        }
+      })
+      return next.size === prev.size ? prev : next
+    })
+  }, [bugs])
+
+  const displayBugs = useMemo(
+    () => bugs.map(bug => overrides.has(bug.id) ? { ...bug, ...overrides.get(bug.id) } : bug),
+    [bugs, overrides]
+  )
+  const bugsById = useMemo(() => new Map(displayBugs.map(bug => [bug.id, bug])), [displayBugs])
+  const columns = useMemo(() => groupByStatus(displayBugs), [displayBugs])
+
+  // Show the moving card where it would land
+  const previewColumns = useMemo(() => {
+    const moving = move && bugsById.get(move.id)
+    if (!move || !moving) return columns
+
+    const preview = { ...columns, [moving.status]: columns[moving.status].filter(bug => bug.id !== move.id) }
+    const target = preview[move.status].filter(bug => bug.id !== move.id)
+    target.splice(move.index, 0, moving)
+    preview[move.status] = target
+    return preview
+  }, [columns, move, bugsById])
+
+  // Moving a card between columns remounts it, so put focus back
+  useEffect(() => {
+    const id = focusAfterRender.current
+    if (id) {
+      cardRefs.current.get(id)?.focus()
+      focusAfterRender.current = null
+    }
+  })
+
+  const canMove = (bug: Bug) => can(user, 'changeStatus', bug, project)
+
+  const canMoveTo = (bug: Bug, status: BugStatus) =>
+    canMove(bug) && (status === bug.status || canTransition(bug.status, status))
+
+  const countOthers = (status: BugStatus, id: string) =>
+    columns[status].filter(bug => bug.id !== id).length
+
+  const commitMove = async ({ id, status, index }: Move) => {
+    const bug = bugsById.get(id)
+    if (!bug) return
+
+    const statusChanged = status !== bug.status
+    if (!statusChanged && columns[status].findIndex(candidate => candidate.id === id) === index) {
+      setAnnouncement(`${bug.title} was not moved`)
+      return
+    }
+
+    const rank = getDropRank(columns[status], id, index)
+    setOverrides(prev => new Map(prev).set(id, { status, rank }))
+    setAnnouncement(`${bug.title} moved to ${getStatusLabel(status)}, position ${index + 1}`)
+    setError(null)
+
+    try {
+      if (statusChanged) {
+        await onStatusChange(id, status)
+      }
+      await onReorder(id, rank)
+    } catch (err) {
+      setOverrides(prev => {
+        const next = new Map(prev)
+        next.delete(id)
+        return next
+      })
+      const message = err instanceof Error ? err.message : 'Failed to move bug'
+      setError(`Couldn't move "${bug.title}": ${message}`)
+      setAnnouncement(`Move failed. ${bug.title} is back in ${getStatusLabel(bug.status)}`)
+    }
+  }
+
+  const handleCardKeyDown = (e: React.KeyboardEvent<HTMLDivElement>, bug: Bug) => {
+    // Leave keys pressed on the buttons inside the card alone
+    if (e.target !== e.currentTarget) return
+
+    const isMoving = move?.id === bug.id && move.keyboard
+
+    if (!isMoving) {
+      if ((e.key === ' ' || e.key === 'Enter') && canMove(bug)) {
+        e.preventDefault()
+        setMove({ id: bug.id, status: bug.status, index: columns[bug.status].indexOf(bug), keyboard: true })
+        setAnnouncement(`Picked up ${bug.title}. Arrow keys move it, Space drops it, Escape cancels.`)
+      }
+      return
+    }
+
+    const step = (direction: 1 | -1) => {
+      let position = BUG_STATUSES.indexOf(move.status) + direction
+      while (position >= 0 && position < BUG_STATUSES.length && !canMoveTo(bug, BUG_STATUSES[position])) {
+        position += direction
+      }
+      return BUG_STATUSES[position]
+    }
+
+    switch (e.key) {
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        e.preventDefault()
+        const delta = e.key === 'ArrowUp' ? -1 : 1
+        const index = Math.min(Math.max(move.index + delta, 0), countOthers(move.status, bug.id))
+        setMove({ ...move, index })
+        setAnnouncement(`Position ${index + 1} in ${getStatusLabel(move.status)}`)
+        break
+      }
+      case 'ArrowLeft':
+      case 'ArrowRight': {
+        e.preventDefault()
+        const status = step(e.key === 'ArrowLeft' ? -1 : 1)
+        if (!status) {
+          setAnnouncement(`${bug.title} can't move further ${e.key === 'ArrowLeft' ? 'left' : 'right'}`)
+          break
+        }
+        const index = Math.min(move.index, countOthers(status, bug.id))
+        focusAfterRender.current = bug.id
+        setMove({ ...move, status, index })
+        setAnnouncement(`${getStatusLabel(status)}, position ${index + 1}`)
+        break
+      }
+      case ' ':
+      case 'Enter':
+        e.preventDefault()
+        focusAfterRender.current = bug.id
+        setMove(null)
+        void commitMove(move)
+        break
+      case 'Escape':
+        e.preventDefault()
+        focusAfterRender.current = bug.id
+        setMove(null)
+        setAnnouncement(`Move cancelled. ${bug.title} stays in ${getStatusLabel(bug.status)}`)
+        break
+    }
+  }
+
+  const handleDragOverCard = (e: React.DragEvent<HTMLDivElement>, target: Bug, status: BugStatus) => {
+    const moving = move && bugsById.get(move.id)
+    if (!move || !moving || !canMoveTo(moving, status)) return
+
+    e.preventDefault()
+    e.stopPropagation()
+    if (target.id === move.id) return
+
+    const rect = e.currentTarget.getBoundingClientRect()
+    const below = e.clientY > rect.top + rect.height / 2
+    const others = previewColumns[status].filter(bug => bug.id !== move.id)
+    const index = others.indexOf(target) + (below ? 1 : 0)
+    if (index !== move.index || status !== move.status) {
+      setMove({ ...move, status, index })
+    }
+  }
+
+  const handleDragOverColumn = (e: React.DragEvent<HTMLElement>, status: BugStatus) => {
+    const moving = move && bugsById.get(move.id)
+    if (!move || !moving || !canMoveTo(moving, status)) return
+
+    e.preventDefault()
+    // Empty space in a column means the end of it
+    if (status !== move.status) {
+      setMove({ ...move, status, index: countOthers(status, move.id) })
+    }
+  }
+
+  const handleDrop = (e: React.DragEvent<HTMLElement>) => {
+    e.preventDefault()
+    if (move) {
+      setMove(null)
+      void commitMove(move)
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <p id={INSTRUCTIONS_ID} className="sr-only">
+        Press Space to pick up a bug, use the arrow keys to move it between and within columns,
+        then press Space to drop it or Escape to cancel.
+      </p>
+      <div aria-live="assertive" className="sr-only" data-testid="board-announcer">{announcement}</div>
+
+      {error && (
+        <div className="text-sm text-destructive" data-testid="board-error">{error}</div>
+      )}
+
+      <div className="flex gap-4 overflow-x-auto pb-4" data-testid="bug-board">
+        {BUG_STATUSES.map(status => {
+          const moving = move && bugsById.get(move.id)
+          const isTarget = Boolean(moving && move?.status === status)
+
+          return (
+            <section
+              key={status}
+              aria-label={getStatusLabel(status)}
+              className={cn(
+                'w-72 shrink-0 rounded-lg border bg-muted/40 p-3',
+                moving && !canMoveTo(moving, status) && 'opacity-50',
+                isTarget && 'ring-2 ring-primary'
+              )}
+              onDragOver={(e) => handleDragOverColumn(e, status)}
+              onDrop={handleDrop}
+              data-testid={`board-column-${status}`}
+            >
+              <h2 className="mb-3 flex items-center justify-between text-sm font-semibold">
+                {getStatusLabel(status)}
+                <Badge variant="secondary">{columns[status].length}</Badge>
+              </h2>
+
+              <div role="list" className="min-h-16 space-y-2">
+                {previewColumns[status].map(bug => {
+                  const isMoving = move?.id === bug.id
+
+                  return (
+                    <div
+                      key={bug.id}
+                      ref={(element) => {
+                        if (element) {
+                          cardRefs.current.set(bug.id, element)
+                        } else {
+                          cardRefs.current.delete(bug.id)
+                        }
+                      }}
+                      role="listitem"
+                      tabIndex={0}
+                      draggable={canMove(bug)}
+                      aria-roledescription="movable bug"
+                      aria-describedby={INSTRUCTIONS_ID}
+                      aria-pressed={isMoving && move?.keyboard ? true : undefined}
+                      className={cn(
+                        'space-y-2 rounded-md border bg-card p-3 shadow-sm focus:outline-none focus-visible:ring-2 focus-visible:ring-ring',
+                        canMove(bug) && 'cursor-grab',
+                        isMoving && 'opacity-60 ring-2 ring-primary'
+                      )}
+                      onKeyDown={(e) => handleCardKeyDown(e, bug)}
+                      onDragStart={(e) => {
+                        e.dataTransfer.effectAllowed = 'move'
+                        e.dataTransfer.setData('text/plain', bug.id)
+                        setMove({ id: bug.id, status: bug.status, index: columns[bug.status].indexOf(bug), keyboard: false })
+                      }}
+                      onDragOver={(e) => handleDragOverCard(e, bug, status)}
+                      onDragEnd={() => setMove(null)}
+                      data-testid={`board-card-${bug.id}`}
+                    >
+                      <div className="flex items-start justify-between gap-2">
+                        <span className="text-sm font-medium leading-tight">{bug.title}</span>
+                        {canEditBug(user, bug, project) && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            className="h-6 w-6 shrink-0 p-0"
+                            onClick={() => onEdit(bug)}
+                            aria-label={`Edit ${bug.title}`}
+                          >
+                            <Edit className="h-3 w-3" />
+                          </Button>
+                        )}
+                      </div>
+                      <div className="flex flex-wrap gap-1">
+                        <Badge variant="outline" className="text-xs">{bug.severity}</Badge>
+                        <Badge variant="outline" className="text-xs">{bug.priority} priority</Badge>
+                        {bug.tags.map(tag => (
+                          <Badge key={tag} variant="secondary" className="text-xs">{tag}</Badge>
+                        ))}
+                      </div>
+                      {bug.assignedTo && (
+                        <div className="text-xs text-muted-foreground">→ {bug.assignedTo}</div>
+                      )}
+                    </div>
+                  )
+                })}
+              </div>
+            </section>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,187 @@
+import { useState } from 'react'
+import { BugPriority, BugStatus, BulkBugPatch, BulkResult } from '@/types/bug'
+import { Project } from '@/types/project'
+import { BUG_STATUSES, getStatusLabel } from '@/utils/bugWorkflow'
+import { can } from '@/utils/bugPermissions'
+import { useAuth } from '@/use-auth'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger
+} from '@/components/ui/alert-dialog'
+import { Tag, Trash2, UserPlus, X } from 'lucide-react'
+
+interface BugBulkToolbarProps {
+  selectedCount: number
+  onUpdate: (patch: BulkBugPatch) => Promise<BulkResult[]>
+  onDelete?: () => Promise<BulkResult[]>
+  onClear: () => void
+  // The project being shown; its member roles decide who may delete
+  project?: Project | null
+}
+
+export const BugBulkToolbar = ({ selectedCount, onUpdate, onDelete, onClear, project }: BugBulkToolbarProps) => {
+  const { user } = useAuth()
+  const [assignee, setAssignee] = useState('')
+  const [tag, setTag] = useState('')
+  const [isWorking, setIsWorking] = useState(false)
+  const [results, setResults] = useState<BulkResult[] | null>(null)
+
+  const run = async (action: () => Promise<BulkResult[]>) => {
+    setIsWorking(true)
+    try {
+      setResults(await action())
+    } catch (error) {
+      setResults([{ id: '', ok: false, error: error instanceof Error ? error.message : 'Bulk action failed' }])
+    } finally {
+      setIsWorking(false)
+    }
+  }
+
+  const failures = results?.filter(result => !result.ok) ?? []
+  const succeeded = (results?.length ?? 0) - failures.length
+
+  return (
+    <div className="space-y-2 rounded-lg border bg-muted/50 p-3" data-testid="bulk-toolbar">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium" data-testid="bulk-selected-count">
+          {selectedCount} selected
+        </span>
+
+        <Select
+          value=""
+          disabled={isWorking}
+          onValueChange={(status: BugStatus) => run(() => onUpdate({ status }))}
+        >
+          <SelectTrigger className="w-40" data-testid="bulk-status-select">
+            <SelectValue placeholder="Set status" />
+          </SelectTrigger>
+          <SelectContent>
+            {BUG_STATUSES.map(status => (
+              <SelectItem key={status} value={status}>{getStatusLabel(status)}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+
+        <Select
+          value=""
+          disabled={isWorking}
+          onValueChange={(priority: BugPriority) => run(() => onUpdate({ priority }))}
+        >
+          <SelectTrigger className="w-40" data-testid="bulk-priority-select">
+            <SelectValue placeholder="Set priority" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="low">Low</SelectItem>
+            <SelectItem value="medium">Medium</SelectItem>
+            <SelectItem value="high">High</SelectItem>
+            <SelectItem value="critical">Critical</SelectItem>
+          </SelectContent>
+        </Select>
+
+        <div className="flex items-center gap-1">
+          <Input
+            value={assignee}
+            onChange={(e) => setAssignee(e.target.value)}
+            placeholder="Assignee"
+            className="h-9 w-36"
+            data-testid="bulk-assignee-input"
+          />
+          <Button
+            size="sm"
+            variant="outline"
+            disabled={isWorking}
+            onClick={() => run(() => onUpdate({ assignedTo: assignee.trim() }))}
+            data-testid="bulk-assign-btn"
+          >
+            <UserPlus className="h-4 w-4 mr-1" />
+            {assignee.trim() ? 'Assign' : 'Unassign'}
+          </Button>
+        </div>
+
+        <div className="flex items-center gap-1">
+          <Input
+            value={tag}
+            onChange={(e) => setTag(e.target.value)}
+            placeholder="Tag"
+            className="h-9 w-28"
+            data-testid="bulk-tag-input"
+          />
+          <Button
+            size="sm"
+            variant="outline"
+            disabled={isWorking || !tag.trim()}
+            onClick={() => run(() => onUpdate({ addTags: [tag.trim()] }))}
+            data-testid="bulk-add-tag-btn"
+          >
+            <Tag className="h-4 w-4 mr-1" />
+            Add
+          </Button>
+          <Button
+            size="sm"
+            variant="outline"
+            disabled={isWorking || !tag.trim()}
+            onClick={() => run(() => onUpdate({ removeTags: [tag.trim()] }))}
+            data-testid="bulk-remove-tag-btn"
+          >
+            Remove
+          </Button>
+        </div>
+
+        {onDelete && can(user, 'delete', undefined, project) && (
+          <AlertDialog>
+            <AlertDialogTrigger asChild>
+              <Button size="sm" variant="destructive" disabled={isWorking} data-testid="bulk-delete-btn">
+                <Trash2 className="h-4 w-4 mr-1" />
+                Delete
+              </Button>
+            </AlertDialogTrigger>
+            <AlertDialogContent>
+              <AlertDialogHeader>
+                <AlertDialogTitle>Delete {selectedCount} bugs?</AlertDialogTitle>
+                <AlertDialogDescription>
+                  Their comments are deleted too. This cannot be undone.
+                </AlertDialogDescription>
+              </AlertDialogHeader>
+              <AlertDialogFooter>
+                <AlertDialogCancel>Cancel</AlertDialogCancel>
+                <AlertDialogAction onClick={() => run(onDelete)} data-testid="bulk-delete-confirm-btn">
+                  Delete
+                </AlertDialogAction>
+              </AlertDialogFooter>
+            </AlertDialogContent>
+          </AlertDialog>
+        )}
+
+        <Button size="sm" variant="ghost" onClick={onClear} data-testid="bulk-clear-btn">
+          <X className="h-4 w-4 mr-1" />
+          Clear
+        </Button>
+      </div>
+
+      {results && (
+        <div className="text-sm" data-testid="bulk-results">
+          <span className="text-muted-foreground">
+            {succeeded} succeeded{failures.length > 0 && `, ${failures.length} failed`}
+          </span>
+          {failures.length > 0 && (
+            <ul className="mt-1 list-disc list-inside text-destructive">
+              {failures.map((failure, index) => (
+                <li key={failure.id || index}>{failure.id && `${failure.id}: `}{failure.error}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,169 @@
+import { useEffect, useState } from 'react'
+import { BugComment } from '@/types/comment'
+import { Project } from '@/types/project'
+import { CommentService } from '@/services/commentService'
+import { renderMarkdown } from '@/utils/markdown'
+import { getRole } from '@/utils/bugPermissions'
+import { useAuth } from '@/use-auth'
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from '@/components/ui/collapsible'
+import { Button } from '@/components/ui/button'
+import { Textarea } from '@/components/ui/textarea'
+import { ChevronDown, ChevronRight, MessageSquare, Edit, Trash2 } from 'lucide-react'
+
+interface BugCommentsProps {
+  bugId: string
+  // The bug's project, whose admins may change anyone's comments
+  project?: Project | null
+}
+
+export const BugComments = ({ bugId, project }: BugCommentsProps) => {
+  const { user } = useAuth()
+  const [isOpen, setIsOpen] = useState(false)
+  const [comments, setComments] = useState<BugComment[]>([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [body, setBody] = useState('')
+  const [editingId, setEditingId] = useState<string | null>(null)
+  const [editBody, setEditBody] = useState('')
+
+  useEffect(() => {
+    if (!isOpen) return
+    let cancelled = false
+
+    setIsLoading(true)
+    setError(null)
+    CommentService.getComments(bugId)
+      .then(result => {
+        if (!cancelled) setComments(result)
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [bugId, isOpen])
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!body.trim()) return
+
+    try {
+      const comment = await CommentService.createComment(bugId, { body })
+      setComments(prev => [...prev, comment])
+      setBody('')
+      setError(null)
+    } catch (err) {
+      setError((err as Error).message)
+    }
+  }
+
+  const handleSaveEdit = async (commentId: string) => {
+    try {
+      const updated = await CommentService.updateComment(bugId, commentId, editBody)
+      setComments(prev => prev.map(comment => comment.id === commentId ? updated : comment))
+      setEditingId(null)
+      setError(null)
+    } catch (err) {
+      setError((err as Error).message)
+    }
+  }
+
+  const handleDelete = async (commentId: string) => {
+    try {
+      await CommentService.deleteComment(bugId, commentId)
+      setComments(prev => prev.filter(comment => comment.id !== commentId))
+      setError(null)
+    } catch (err) {
+      setError((err as Error).message)
+    }
+  }
+
+  const canModify = (comment: BugComment) =>
+    !!user && (getRole(user, project) === 'admin' || comment.authorId === user.id)
+
+  return (
+    <Collapsible open={isOpen} onOpenChange={setIsOpen}>
+      <CollapsibleTrigger asChild>
+        <Button variant="ghost" size="sm" data-testid={`toggle-comments-${bugId}`}>
+          {isOpen ? <ChevronDown className="h-4 w-4 mr-1" /> : <ChevronRight className="h-4 w-4 mr-1" />}
+          <MessageSquare className="h-4 w-4 mr-1" />
+          Comments{isOpen && !isLoading ? ` (${comments.length})` : ''}
+        </Button>
+      </CollapsibleTrigger>
+
+      <CollapsibleContent className="space-y-3 pt-2" data-testid={`comments-${bugId}`}>
+        {error && <div className="text-sm text-destructive">{error}</div>}
+        {isLoading && <div className="text-sm text-muted-foreground">Loading comments...</div>}
+
+        {comments.map(comment => (
+          <div key={comment.id} className="rounded-md border p-3 text-sm" data-testid={`comment-${comment.id}`}>
+            <div className="flex items-center justify-between mb-1">
+              <div>
+                <span className="font-medium">{comment.author}</span>
+                <span className="ml-2 text-xs text-muted-foreground">
+                  {new Date(comment.createdAt).toLocaleString('en-US')}
+                  {comment.updatedAt !== comment.createdAt && ' (edited)'}
+                </span>
+              </div>
+              {canModify(comment) && (
+                <div className="flex gap-1">
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => {
+                      setEditingId(comment.id)
+                      setEditBody(comment.body)
+                    }}
+                  >
+                    <Edit className="h-3 w-3" />
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => handleDelete(comment.id)}>
+                    <Trash2 className="h-3 w-3" />
+                  </Button>
+                </div>
+              )}
+            </div>
+
+            {editingId === comment.id ? (
+              <div className="space-y-2">
+                <Textarea value={editBody} onChange={(e) => setEditBody(e.target.value)} rows={3} />
+                <div className="flex gap-2 justify-end">
+                  <Button variant="outline" size="sm" onClick={() => setEditingId(null)}>Cancel</Button>
+                  <Button size="sm" onClick={() => handleSaveEdit(comment.id)} disabled={!editBody.trim()}>
+                    Save
+                  </Button>
+                </div>
+              </div>
+            ) : (
+              <div className="space-y-2 text-muted-foreground">{renderMarkdown(comment.body)}</div>
+            )}
+          </div>
+        ))}
+
+        {user ? (
+          <form onSubmit={handleSubmit} className="space-y-2" data-testid={`comment-form-${bugId}`}>
+            <Textarea
+              value={body}
+              onChange={(e) => setBody(e.target.value)}
+              placeholder="Leave a comment (markdown supported)"
+              rows={3}
+              data-testid="comment-body-input"
+            />
+            <div className="flex justify-end">
+              <Button type="submit" size="sm" disabled={!body.trim()}>
+                Comment
+              </Button>
+            </div>
+          </form>
+        ) : (
+          <div className="text-sm text-muted-foreground">Sign in to join the discussion</div>
+        )}
+      </CollapsibleContent>
+    </Collapsible>
+  )
+}
@@ -0,0 +1,43 @@
+import { CustomFieldDefinition, CustomFieldValue, CustomFieldValues } from '@/types/customField'
+import { isEmptyValue } from '@/utils/bugSchema'
+
+interface BugCustomFieldsProps {
+  values?: CustomFieldValues
+  definitions: CustomFieldDefinition[]
+}
+
+const formatValue = (value: CustomFieldValue, definition?: CustomFieldDefinition) => {
+  if (Array.isArray(value)) return value.join(', ')
+  if (definition?.type === 'date' && typeof value === 'string') {
+    return new Date(`${value}T00:00:00.000Z`).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      timeZone: 'UTC'
+    })
+  }
+  return String(value)
+}
+
+// A bug's custom field values, in the order the fields were defined. Values
+// without a definition, like those of a template field, show under their key
+export const BugCustomFields = ({ values = {}, definitions }: BugCustomFieldsProps) => {
+  const byKey = new Map(definitions.map(definition => [definition.key, definition]))
+  const keys = [
+    ...definitions.map(definition => definition.key).filter(key => key in values),
+    ...Object.keys(values).filter(key => !byKey.has(key))
+  ].filter(key => !isEmptyValue(values[key]))
+
+  if (keys.length === 0) return null
+
+  return (
+    <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm" data-testid="bug-custom-fields">
+      {keys.map(key => (
+        <div key={key} className="flex gap-2">
+          <dt className="text-muted-foreground">{byKey.get(key)?.label ?? key}:</dt>
+          <dd data-testid={`custom-value-${key}`}>{formatValue(values[key], byKey.get(key))}</dd>
+        </div>
+      ))}
+    </dl>
+  )
+}
@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react'
+import { Bug } from '@/types/bug'
+import { BugService } from '@/services/bugService'
+import { Copy } from 'lucide-react'
+
+interface BugDuplicateLinkProps {
+  originalId: string
+}
+
+// "Duplicate of <original>", linking to the original's card in the list
+export const BugDuplicateLink = ({ originalId }: BugDuplicateLinkProps) => {
+  const [original, setOriginal] = useState<Bug | null | undefined>(undefined)
+
+  useEffect(() => {
+    let cancelled = false
+
+    BugService.getBugById(originalId)
+      .then(bug => {
+        if (!cancelled) setOriginal(bug)
+      })
+      .catch(() => {
+        if (!cancelled) setOriginal(null)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [originalId])
+
+  return (
+    <div className="flex items-center gap-1 text-sm text-muted-foreground" data-testid="duplicate-of">
+      <Copy className="h-4 w-4" />
+      <span>Duplicate of</span>
+      {original === undefined && <span>…</span>}
+      {original === null && <span>a bug that no longer exists</span>}
+      {original && (
+        <a href={`#bug-${original.id}`} className="font-medium text-primary hover:underline">
+          {original.title}
+        </a>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,90 @@
+import { useEffect, useState } from 'react'
+import { Bug } from '@/types/bug'
+import { DuplicateCandidate } from '@/types/search'
+import { BugService } from '@/services/bugService'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { formatSimilarity } from './BugDuplicateSuggestions'
+
+interface BugDuplicatePickerProps {
+  bug: Bug
+  onSelect: (originalId: string) => void | Promise<void>
+  onCancel: () => void
+}
+
+// Choose the original when marking a bug as a duplicate: the closest matches
+// are offered first, any other bug can be given by its ID
+export const BugDuplicatePicker = ({ bug, onSelect, onCancel }: BugDuplicatePickerProps) => {
+  const [candidates, setCandidates] = useState<DuplicateCandidate[]>([])
+  const [originalId, setOriginalId] = useState('')
+  const [error, setError] = useState<string | null>(null)
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+
+    BugService.findDuplicates(bug, bug.id)
+      .then(found => {
+        if (!cancelled) setCandidates(found)
+      })
+      .catch(() => {
+        if (!cancelled) setCandidates([])
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [bug])
+
+  const select = async (id: string) => {
+    setIsSaving(true)
+    setError(null)
+    try {
+      await onSelect(id)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to mark as duplicate')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="space-y-2 rounded-md border p-3" data-testid={`duplicate-picker-${bug.id}`}>
+      <div className="text-sm font-medium">Duplicate of…</div>
+      {candidates.length > 0 && (
+        <ul className="space-y-1">
+          {candidates.map(({ bug: candidate, score }) => (
+            <li key={candidate.id}>
+              <button
+                type="button"
+                className="flex w-full items-center justify-between gap-2 rounded px-2 py-1 text-left text-sm hover:bg-accent"
+                onClick={() => select(candidate.id)}
+                disabled={isSaving}
+              >
+                <span className="truncate">{candidate.title}</span>
+                <span className="shrink-0 text-muted-foreground">{formatSimilarity(score)}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form
+        className="flex gap-2"
+        onSubmit={(e) => {
+          e.preventDefault()
+          if (originalId.trim()) select(originalId.trim())
+        }}
+      >
+        <Input
+          value={originalId}
+          onChange={(e) => setOriginalId(e.target.value)}
+          placeholder="Original bug ID"
+          data-testid="duplicate-of-input"
+        />
+        <Button type="submit" size="sm" disabled={!originalId.trim() || isSaving}>Mark</Button>
+        <Button type="button" size="sm" variant="ghost" onClick={onCancel}>Cancel</Button>
+      </form>
+      {error && <div className="text-sm text-destructive">{error}</div>}
+    </div>
+  )
+}
@@ -0,0 +1,47 @@
+import { DuplicateCandidate } from '@/types/search'
+import { getStatusLabel } from '@/utils/bugWorkflow'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Copy } from 'lucide-react'
+
+interface BugDuplicateSuggestionsProps {
+  candidates: DuplicateCandidate[]
+  // Set when submitting was held back because of these candidates
+  onSubmitAnyway?: () => void
+}
+
+export const formatSimilarity = (score: number) => `${Math.round(score * 100)}% similar`
+
+export const BugDuplicateSuggestions = ({ candidates, onSubmitAnyway }: BugDuplicateSuggestionsProps) => {
+  if (candidates.length === 0) return null
+
+  return (
+    <Alert data-testid="duplicate-suggestions">
+      <Copy className="h-4 w-4" />
+      <AlertDescription className="space-y-3">
+        <p className="font-medium">
+          {onSubmitAnyway
+            ? 'This looks like a bug that has already been reported. Check these before creating a new one:'
+            : 'Similar bugs already reported:'}
+        </p>
+        <ul className="space-y-1">
+          {candidates.map(({ bug, score }) => (
+            <li key={bug.id} className="flex items-center justify-between gap-2 text-sm" data-testid={`duplicate-candidate-${bug.id}`}>
+              <span className="truncate">{bug.title}</span>
+              <span className="flex shrink-0 items-center gap-2">
+                <Badge variant="outline">{getStatusLabel(bug.status)}</Badge>
+                <span className="text-muted-foreground">{formatSimilarity(score)}</span>
+              </span>
+            </li>
+          ))}
+        </ul>
+        {onSubmitAnyway && (
+          <Button type="button" variant="outline" size="sm" onClick={onSubmitAnyway} data-testid="submit-anyway-btn">
+            It's a different bug, report it anyway
+          </Button>
+        )}
+      </AlertDescription>
+    </Alert>
+  )
+}
@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react'
+import { BugFieldValue, BugHistoryEntry } from '@/types/history'
+import { HistoryService } from '@/services/historyService'
+import { Badge } from '@/components/ui/badge'
+import { Clock } from 'lucide-react'
+
+interface BugHistoryTimelineProps {
+  bugId: string
+}
+
+const formatValue = (value: BugFieldValue) => {
+  if (Array.isArray(value)) return value.join(', ')
+  return value ?? '(empty)'
+}
+
+export const BugHistoryTimeline = ({ bugId }: BugHistoryTimelineProps) => {
+  const [entries, setEntries] = useState<BugHistoryEntry[]>([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    setIsLoading(true)
+    setError(null)
+    HistoryService.getBugHistory(bugId)
+      .then(history => {
+        if (!cancelled) setEntries(history)
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [bugId])
+
+  if (isLoading) {
+    return <div className="text-sm text-muted-foreground">Loading history...</div>
+  }
+
+  if (error) {
+    return <div className="text-sm text-destructive" data-testid="history-error">{error}</div>
+  }
+
+  if (entries.length === 0) {
+    return <div className="text-sm text-muted-foreground">No history recorded yet</div>
+  }
+
+  return (
+    <ol className="relative border-l border-border ml-2 space-y-4" data-testid={`bug-history-${bugId}`}>
+      {entries.map(entry => (
+        <li key={entry.id} className="ml-4">
+          <div className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border border-background bg-muted-foreground" />
+          <div className="flex items-center gap-2 text-sm">
+            <Badge variant="outline" className="capitalize">{entry.action}</Badge>
+            <span className="font-medium">{entry.actor}</span>
+            <span className="flex items-center gap-1 text-muted-foreground">
+              <Clock className="h-3 w-3" />
+              {new Date(entry.createdAt).toLocaleString('en-US')}
+            </span>
+          </div>
+          {entry.action === 'updated' && (
+            <ul className="mt-1 text-xs text-muted-foreground space-y-0.5">
+              {entry.changes.map(change => (
+                <li key={change.field}>
+                  <span className="font-medium text-foreground">{change.field}</span>:{' '}
+                  {formatValue(change.from)} → {formatValue(change.to)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </li>
+      ))}
+    </ol>
+  )
+}
@@ -0,0 +1,153 @@
+import { useEffect, useState } from 'react'
+import { Bug } from '@/types/bug'
+import { BugLink, BugLinkType } from '@/types/bugLink'
+import { Project } from '@/types/project'
+import { BugLinkService } from '@/services/bugLinkService'
+import { BUG_LINK_TYPES, getLinkLabel, isDoneStatus } from '@/utils/bugLinks'
+import { can } from '@/utils/bugPermissions'
+import { useAuth } from '@/use-auth'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { cn } from '@/lib/utils'
+import { Link2, Plus, X } from 'lucide-react'
+
+interface BugLinksProps {
+  bug: Bug
+  // Called with the current links after every load and change
+  onChange?: (links: BugLink[]) => void
+  project?: Project | null
+}
+
+// Chips for the bugs linked to `bug`, plus a small form to add more
+export const BugLinks = ({ bug, onChange, project }: BugLinksProps) => {
+  const { user } = useAuth()
+  const [links, setLinks] = useState<BugLink[]>([])
+  const [isAdding, setIsAdding] = useState(false)
+  const [type, setType] = useState<BugLinkType>('blocks')
+  const [otherId, setOtherId] = useState('')
+  const [error, setError] = useState<string | null>(null)
+
+  const canLink = can(user, 'link', bug, project)
+
+  const update = (next: BugLink[]) => {
+    setLinks(next)
+    onChange?.(next)
+  }
+
+  useEffect(() => {
+    let cancelled = false
+
+    BugLinkService.getLinks(bug.id)
+      .then(result => {
+        if (!cancelled) update(result)
+      })
+      // Links only exist on the server; local storage simply has none
+      .catch(() => {
+        if (!cancelled) update([])
+      })
+
+    return () => {
+      cancelled = true
+    }
+    // The linked bugs' statuses may have changed along with this one
+  }, [bug.id, bug.status])
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!otherId.trim()) return
+
+    try {
+      const link = await BugLinkService.createLink(bug.id, { type, bug: otherId.trim() })
+      update([...links, link])
+      setOtherId('')
+      setIsAdding(false)
+      setError(null)
+    } catch (err) {
+      setError((err as Error).message)
+    }
+  }
+
+  const handleRemove = async (linkId: string) => {
+    try {
+      await BugLinkService.deleteLink(bug.id, linkId)
+      update(links.filter(link => link.id !== linkId))
+      setError(null)
+    } catch (err) {
+      setError((err as Error).message)
+    }
+  }
+
+  if (links.length === 0 && !canLink) return null
+
+  return (
+    <div className="space-y-2" data-testid={`bug-links-${bug.id}`}>
+      <div className="flex items-center gap-2 flex-wrap">
+        <Link2 className="h-4 w-4 text-muted-foreground" />
+        {links.map(link => (
+          <Badge
+            key={link.id}
+            variant="outline"
+            className="gap-1 text-xs font-normal"
+            data-testid={`bug-link-${link.id}`}
+          >
+            <span className="text-muted-foreground">{getLinkLabel(link.type)}</span>
+            <a
+              href={`#bug-${link.bug.id}`}
+              className={cn('hover:underline', isDoneStatus(link.bug.status) && 'line-through')}
+            >
+              {link.bug.title}
+            </a>
+            {canLink && (
+              <button
+                type="button"
+                onClick={() => handleRemove(link.id)}
+                aria-label={`Remove link to ${link.bug.title}`}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            )}
+          </Badge>
+        ))}
+        {canLink && !isAdding && (
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-6 px-2 text-xs"
+            onClick={() => setIsAdding(true)}
+            data-testid={`add-link-${bug.id}`}
+          >
+            <Plus className="h-3 w-3 mr-1" />
+            Link
+          </Button>
+        )}
+      </div>
+
+      {isAdding && (
+        <form onSubmit={handleAdd} className="flex gap-2" data-testid={`link-form-${bug.id}`}>
+          <Select value={type} onValueChange={(value) => setType(value as BugLinkType)}>
+            <SelectTrigger className="w-36">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {BUG_LINK_TYPES.map(linkType => (
+                <SelectItem key={linkType} value={linkType}>{getLinkLabel(linkType)}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Input
+            value={otherId}
+            onChange={(e) => setOtherId(e.target.value)}
+            placeholder="Bug key or ID"
+            data-testid="link-bug-input"
+          />
+          <Button type="submit" size="sm" disabled={!otherId.trim()}>Add</Button>
+          <Button type="button" size="sm" variant="ghost" onClick={() => setIsAdding(false)}>Cancel</Button>
+        </form>
+      )}
+
+      {error && <div className="text-sm text-destructive">{error}</div>}
+    </div>
+  )
+}
@@ -0,0 +1,118 @@
+import { useMemo, useState } from 'react'
+import { Bug, CreateBugRequest } from '@/types/bug'
+import {
+  applyMerge,
+  mergeBugFields,
+  MergeableField,
+  MergeChoice,
+  MergePath,
+  MergeValue
+} from '@/utils/bugMerge'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { GitMerge } from 'lucide-react'
+
+const FIELD_LABELS: Record<MergeableField, string> = {
+  title: 'Title',
+  description: 'Description',
+  severity: 'Severity',
+  priority: 'Priority',
+  assignedTo: 'Assigned To',
+  tags: 'Tags',
+  stepsToReproduce: 'Steps to Reproduce',
+  expectedBehavior: 'Expected Behavior',
+  actualBehavior: 'Actual Behavior'
+}
+
+// Custom fields are labelled by their key
+const fieldLabel = (field: MergePath) =>
+  field in FIELD_LABELS ? FIELD_LABELS[field as MergeableField] : field.replace(/^customFields\./, '')
+
+const formatValue = (value: MergeValue) => {
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '(none)'
+  return value === undefined || value === '' ? '(empty)' : String(value)
+}
+
+interface BugMergeViewProps {
+  base: Partial<Bug>
+  mine: CreateBugRequest
+  theirs: Bug
+  onApply: (merged: Partial<CreateBugRequest>) => void
+}
+
+export const BugMergeView = ({ base, mine, theirs, onApply }: BugMergeViewProps) => {
+  const merges = useMemo(() => mergeBugFields(base, mine, theirs), [base, mine, theirs])
+  const [choices, setChoices] = useState<Partial<Record<MergePath, MergeChoice>>>({})
+
+  const choose = (field: MergePath, choice: MergeChoice) => {
+    setChoices(prev => ({ ...prev, [field]: choice }))
+  }
+
+  return (
+    <Alert data-testid="merge-view">
+      <GitMerge className="h-4 w-4" />
+      <AlertDescription className="space-y-4">
+        <p>
+          Someone else updated this bug while you were editing it. Pick which value to keep for each
+          field that differs, then save again.
+        </p>
+
+        {merges.length === 0 ? (
+          <p className="text-muted-foreground">Your changes don't overlap with theirs.</p>
+        ) : (
+          <div className="space-y-3">
+            {merges.map(merge => {
+              const choice = choices[merge.field] ?? merge.suggested
+
+              return (
+                <div key={merge.field} className="space-y-1" data-testid={`merge-field-${merge.field}`}>
+                  <div className="flex items-center gap-2 text-sm font-medium">
+                    {fieldLabel(merge.field)}
+                    {merge.conflict && <Badge variant="destructive">Conflict</Badge>}
+                  </div>
+                  <div className="text-xs text-muted-foreground">
+                    Original: {formatValue(merge.base)}
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <Button
+                      type="button"
+                      size="sm"
+                      variant={choice === 'mine' ? 'default' : 'outline'}
+                      className="h-auto justify-start whitespace-normal text-left"
+                      onClick={() => choose(merge.field, 'mine')}
+                      data-testid={`merge-mine-${merge.field}`}
+                    >
+                      Yours: {formatValue(merge.mine)}
+                    </Button>
+                    <Button
+                      type="button"
+                      size="sm"
+                      variant={choice === 'theirs' ? 'default' : 'outline'}
+                      className="h-auto justify-start whitespace-normal text-left"
+                      onClick={() => choose(merge.field, 'theirs')}
+                      data-testid={`merge-theirs-${merge.field}`}
+                    >
+                      Theirs: {formatValue(merge.theirs)}
+                    </Button>
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <Button
+            type="button"
+            size="sm"
+            onClick={() => onApply(applyMerge(merges, choices))}
+            data-testid="apply-merge-btn"
+          >
+            Apply Merge
+          </Button>
+        </div>
+      </AlertDescription>
+    </Alert>
+  )
+}
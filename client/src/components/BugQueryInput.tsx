@@ -0,0 +1,136 @@
+import { useMemo, useRef, useState } from 'react'
+import { Input } from '@/components/ui/input'
+import { Search, Loader2 } from 'lucide-react'
+import {
+  QueryError,
+  SuggestionContext,
+  applySuggestion,
+  getQuerySuggestions
+} from '@/utils/bugQuery'
+
+interface BugQueryInputProps {
+  value: string
+  onChange: (value: string) => void
+  errors: QueryError[]
+  context: SuggestionContext
+  isSearching?: boolean
+}
+
+// Search box that understands field:value terms and completes them
+export const BugQueryInput = ({ value, onChange, errors, context, isSearching = false }: BugQueryInputProps) => {
+  const inputRef = useRef<HTMLInputElement>(null)
+  const [cursor, setCursor] = useState(0)
+  const [isOpen, setIsOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(0)
+
+  const suggestions = useMemo(
+    () => getQuerySuggestions(value, cursor, context),
+    [value, cursor, context]
+  )
+  const showSuggestions = isOpen && suggestions.length > 0
+
+  const updateCursor = () => {
+    setCursor(inputRef.current?.selectionStart ?? value.length)
+  }
+
+  const accept = (index: number) => {
+    const suggestion = suggestions[index]
+    if (!suggestion) return
+
+    const next = applySuggestion(value, suggestion)
+    const nextCursor = suggestion.from + suggestion.insert.length
+    onChange(next)
+    setCursor(nextCursor)
+    setActiveIndex(0)
+
+    // Put the caret after the inserted text once React has re-rendered
+    requestAnimationFrame(() => {
+      inputRef.current?.setSelectionRange(nextCursor, nextCursor)
+    })
+  }
+
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (!showSuggestions) return
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault()
+        setActiveIndex(index => (index + 1) % suggestions.length)
+        break
+      case 'ArrowUp':
+        e.preventDefault()
+        setActiveIndex(index => (index - 1 + suggestions.length) % suggestions.length)
+        break
+      case 'Enter':
+      case 'Tab':
+        e.preventDefault()
+        accept(activeIndex)
+        break
+      case 'Escape':
+        setIsOpen(false)
+        break
+    }
+  }
+
+  return (
+    <div className="relative flex-1 min-w-64">
+      <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+      <Input
+        ref={inputRef}
+        placeholder="Search bugs, or try status:open assignee:me"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value)
+          setCursor(e.target.selectionStart ?? e.target.value.length)
+          setActiveIndex(0)
+          setIsOpen(true)
+        }}
+        onKeyDown={handleKeyDown}
+        onKeyUp={updateCursor}
+        onClick={updateCursor}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        className="pl-10"
+        aria-invalid={errors.length > 0}
+        aria-autocomplete="list"
+        aria-expanded={showSuggestions}
+        data-testid="search-input"
+      />
+      {isSearching && (
+        <Loader2 className="absolute right-3 top-1/2 transform -translate-y-1/2 h-4 w-4 animate-spin text-muted-foreground" />
+      )}
+
+      {showSuggestions && (
+        <ul
+          role="listbox"
+          className="absolute z-10 mt-1 w-full rounded-md border bg-popover p-1 text-sm shadow-md"
+          data-testid="search-suggestions"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.label}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`cursor-pointer rounded px-2 py-1 ${index === activeIndex ? 'bg-accent text-accent-foreground' : ''}`}
+              // Keep focus in the input so onBlur doesn't close the list first
+              onMouseDown={(e) => {
+                e.preventDefault()
+                accept(index)
+              }}
+            >
+              {suggestion.label}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {errors.length > 0 && (
+        <ul className="mt-1 space-y-0.5 text-sm text-destructive" data-testid="search-query-errors">
+          {errors.map(error => (
+            <li key={`${error.start}-${error.message}`}>{error.message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
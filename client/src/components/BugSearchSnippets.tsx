@@ -0,0 +1,57 @@
+import { SearchSnippet, SearchSnippetField } from '@/types/search'
+
+const FIELD_LABELS: Record<SearchSnippetField, string> = {
+  title: 'Title',
+  description: 'Description',
+  stepsToReproduce: 'Steps',
+  expectedBehavior: 'Expected',
+  actualBehavior: 'Actual',
+  comment: 'Comment'
+}
+
+// Render text with <mark> around the highlighted ranges
+const HighlightedText = ({ text, highlights }: Pick<SearchSnippet, 'text' | 'highlights'>) => {
+  const parts: React.ReactNode[] = []
+  let cursor = 0
+
+  highlights.forEach(([start, end], index) => {
+    if (start < cursor) return
+    parts.push(text.slice(cursor, start))
+    parts.push(
+      <mark key={index} className="rounded bg-yellow-200 px-0.5 text-foreground">
+        {text.slice(start, end)}
+      </mark>
+    )
+    cursor = end
+  })
+  parts.push(text.slice(cursor))
+
+  return <>{parts}</>
+}
+
+interface BugSearchSnippetsProps {
+  bugId: string
+  snippets: SearchSnippet[]
+}
+
+export const BugSearchSnippets = ({ bugId, snippets }: BugSearchSnippetsProps) => {
+  // The title is already on the card
+  const shown = snippets.filter(snippet => snippet.field !== 'title')
+
+  if (shown.length === 0) return null
+
+  return (
+    <ul className="space-y-1 border-l-2 border-muted pl-3 text-sm" data-testid={`search-snippets-${bugId}`}>
+      {shown.map((snippet, index) => (
+        <li key={snippet.commentId ?? `${snippet.field}-${index}`}>
+          <span className="mr-2 text-xs font-medium uppercase text-muted-foreground">
+            {snippet.field === 'comment' && snippet.author
+              ? `${FIELD_LABELS.comment} by ${snippet.author}`
+              : FIELD_LABELS[snippet.field]}
+          </span>
+          <HighlightedText text={snippet.text} highlights={snippet.highlights} />
+        </li>
+      ))}
+    </ul>
+  )
+}
@@ -0,0 +1,38 @@
+import { BugTemplate } from '@/types/template'
+import { Label } from '@/components/ui/label'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+
+interface BugTemplatePickerProps {
+  templates: BugTemplate[]
+  value?: string
+  onChange: (template: BugTemplate | null) => void
+}
+
+const NO_TEMPLATE = 'none'
+
+export const BugTemplatePicker = ({ templates, value, onChange }: BugTemplatePickerProps) => {
+  const selected = templates.find(template => template.id === value)
+
+  return (
+    <div className="md:col-span-2" data-testid="template-picker">
+      <Label htmlFor="template">Template</Label>
+      <Select
+        value={selected?.id ?? NO_TEMPLATE}
+        onValueChange={(id) => onChange(templates.find(template => template.id === id) ?? null)}
+      >
+        <SelectTrigger id="template" data-testid="template-select">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={NO_TEMPLATE}>No template</SelectItem>
+          {templates.map(template => (
+            <SelectItem key={template.id} value={template.id}>{template.name}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      {selected?.description && (
+        <p className="mt-1 text-xs text-muted-foreground">{selected.description}</p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,117 @@
+import { CustomFieldDefinition, CustomFieldValue } from '@/types/customField'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Checkbox } from '@/components/ui/checkbox'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+
+interface CustomFieldInputProps {
+  definition: CustomFieldDefinition
+  value?: CustomFieldValue
+  onChange: (value: CustomFieldValue | undefined) => void
+  onBlur?: () => void
+  // Lets react-hook-form focus the field with the first error
+  inputRef?: (instance: HTMLElement | null) => void
+  error?: string
+}
+
+// Radix selects can't hold an empty value, so clearing one picks this instead
+const NO_VALUE = '__none'
+
+// One input per custom field type; values match what the shared schema expects
+export const CustomFieldInput = ({ definition, value, onChange, onBlur, inputRef, error }: CustomFieldInputProps) => {
+  const id = `custom-${definition.key}`
+  const errorId = `${id}-error`
+  const a11y = {
+    'aria-invalid': !!error,
+    'aria-describedby': error ? errorId : undefined
+  }
+
+  const renderInput = () => {
+    switch (definition.type) {
+      case 'number':
+        return (
+          <Input
+            id={id}
+            ref={inputRef}
+            type="number"
+            value={typeof value === 'number' ? value : ''}
+            onChange={(e) => onChange(e.target.value === '' ? undefined : e.target.valueAsNumber)}
+            onBlur={onBlur}
+            {...a11y}
+          />
+        )
+      case 'date':
+        return (
+          <Input
+            id={id}
+            ref={inputRef}
+            type="date"
+            value={typeof value === 'string' ? value : ''}
+            onChange={(e) => onChange(e.target.value || undefined)}
+            onBlur={onBlur}
+            {...a11y}
+          />
+        )
+      case 'select':
+        return (
+          <Select
+            value={typeof value === 'string' && value ? value : NO_VALUE}
+            onValueChange={(selected) => onChange(selected === NO_VALUE ? undefined : selected)}
+          >
+            <SelectTrigger id={id} ref={inputRef} onBlur={onBlur} {...a11y}>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={NO_VALUE}>None</SelectItem>
+              {definition.options?.map(option => (
+                <SelectItem key={option} value={option}>{option}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        )
+      case 'multi-select': {
+        const selected = Array.isArray(value) ? value : []
+        const toggle = (option: string, checked: boolean) => {
+          const next = checked ? [...selected, option] : selected.filter(item => item !== option)
+          onChange(next.length > 0 ? next : undefined)
+        }
+
+        return (
+          <div id={id} role="group" className="flex flex-wrap gap-3 pt-1" onBlur={onBlur} {...a11y}>
+            {definition.options?.map(option => (
+              <label key={option} className="flex items-center gap-2 text-sm">
+                <Checkbox
+                  checked={selected.includes(option)}
+                  onCheckedChange={(checked) => toggle(option, checked === true)}
+                />
+                {option}
+              </label>
+            ))}
+          </div>
+        )
+      }
+      default:
+        return (
+          <Input
+            id={id}
+            ref={inputRef}
+            value={typeof value === 'string' ? value : ''}
+            onChange={(e) => onChange(e.target.value)}
+            onBlur={onBlur}
+            placeholder={definition.type === 'user' ? 'username' : undefined}
+            {...a11y}
+          />
+        )
+    }
+  }
+
+  return (
+    <div data-testid={`custom-field-${definition.key}`}>
+      <Label htmlFor={id}>{definition.label}{definition.required && ' *'}</Label>
+      {renderInput()}
+      {error && (
+        <p id={errorId} className="mt-1 text-sm text-destructive" data-testid={errorId}>{error}</p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,37 @@
+import { Project } from '@/types/project'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { FolderKanban } from 'lucide-react'
+
+interface ProjectSwitcherProps {
+  projects: Project[]
+  currentKey: string | null
+  onSelect: (key: string | null) => void
+}
+
+// Radix selects can't hold an empty value, so bugs outside any project use this
+const NO_PROJECT = '__none'
+
+// Picks the project whose bugs the page shows; hidden until there are projects
+export const ProjectSwitcher = ({ projects, currentKey, onSelect }: ProjectSwitcherProps) => {
+  if (projects.length === 0) return null
+
+  return (
+    <Select
+      value={currentKey ?? NO_PROJECT}
+      onValueChange={(key) => onSelect(key === NO_PROJECT ? null : key)}
+    >
+      <SelectTrigger className="w-48" data-testid="project-switcher" aria-label="Project">
+        <FolderKanban className="h-4 w-4 mr-2" />
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value={NO_PROJECT}>No project</SelectItem>
+        {projects.map(project => (
+          <SelectItem key={project.key} value={project.key} data-testid={`project-option-${project.key}`}>
+            {project.key} · {project.name}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+}
@@ -0,0 +1,124 @@
+import { useMemo, useState } from 'react'
+import { Bug } from '@/types/bug'
+import { BugFilters } from '@/types/savedView'
+import { CustomFieldDefinition } from '@/types/customField'
+import { DEFAULT_FILTERS, isDefaultFilters, isSameFilters, matchesFilters } from '@/utils/bugFilters'
+import { useAuth } from '@/use-auth'
+import { useSavedViews } from '@/use-saved-views'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { Bookmark, List, X } from 'lucide-react'
+
+interface SavedViewsSidebarProps {
+  bugs: Bug[]
+  filters: BugFilters
+  onSelect: (filters: BugFilters) => void
+  // Views may search by custom field
+  customFields?: CustomFieldDefinition[]
+}
+
+export const SavedViewsSidebar = ({ bugs, filters, onSelect, customFields = [] }: SavedViewsSidebarProps) => {
+  const { user } = useAuth()
+  const { views, error, saveView, deleteView } = useSavedViews()
+  const [name, setName] = useState('')
+  const [saveError, setSaveError] = useState<string | null>(null)
+  const [isSaving, setIsSaving] = useState(false)
+
+  // Recomputed from the loaded bugs, so counts follow every edit
+  const counts = useMemo(
+    () => new Map(views.map(view => [
+      view.id,
+      bugs.filter(bug => matchesFilters(bug, view.filters, user, customFields)).length
+    ])),
+    [views, bugs, user, customFields]
+  )
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!name.trim()) return
+
+    setIsSaving(true)
+    try {
+      await saveView(name.trim(), filters)
+      setName('')
+      setSaveError(null)
+    } catch (err) {
+      setSaveError(err instanceof Error ? err.message : 'Failed to save view')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const itemClass = (active: boolean) =>
+    `flex w-full items-center justify-between gap-2 rounded-md px-2 py-1.5 text-left text-sm hover:bg-accent ${active ? 'bg-accent font-medium' : ''}`
+
+  return (
+    <aside className="hidden md:block w-64 shrink-0 space-y-4" data-testid="saved-views">
+      <div className="space-y-1">
+        <h2 className="px-2 text-xs font-semibold uppercase text-muted-foreground">Views</h2>
+        <button
+          className={itemClass(isDefaultFilters(filters))}
+          onClick={() => onSelect(DEFAULT_FILTERS)}
+        >
+          <span className="flex items-center gap-2">
+            <List className="h-4 w-4" />
+            All bugs
+          </span>
+          <Badge variant="secondary">{bugs.length}</Badge>
+        </button>
+
+        {views.map(view => (
+          <div key={view.id} className="group flex items-center" data-testid={`saved-view-${view.id}`}>
+            <button
+              className={itemClass(isSameFilters(filters, view.filters))}
+              onClick={() => onSelect(view.filters)}
+            >
+              <span className="flex min-w-0 items-center gap-2">
+                <Bookmark className="h-4 w-4 shrink-0" />
+                <span className="truncate">{view.name}</span>
+              </span>
+              <Badge variant="secondary">{counts.get(view.id) ?? 0}</Badge>
+            </button>
+            <Button
+              variant="ghost"
+              size="icon"
+              className="h-7 w-7 shrink-0 opacity-0 group-hover:opacity-100"
+              onClick={() => deleteView(view.id).catch(err => setSaveError(err.message))}
+              aria-label={`Delete view ${view.name}`}
+            >
+              <X className="h-3 w-3" />
+            </Button>
+          </div>
+        ))}
+      </div>
+
+      {user ? (
+        <form onSubmit={handleSave} className="space-y-2 px-2">
+          <Input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name this view"
+            maxLength={100}
+            data-testid="saved-view-name"
+          />
+          <Button
+            type="submit"
+            size="sm"
+            variant="outline"
+            className="w-full"
+            disabled={!name.trim() || isDefaultFilters(filters) || isSaving}
+          >
+            Save current filters
+          </Button>
+        </form>
+      ) : (
+        <p className="px-2 text-sm text-muted-foreground">Sign in to save views</p>
+      )}
+
+      {(saveError || error) && (
+        <p className="px-2 text-sm text-destructive">{saveError || error}</p>
+      )}
+    </aside>
+  )
+}
@@ -0,0 +1,62 @@
+import { useState } from 'react'
+import { Bug, CreateBugRequest } from '@/types/bug'
+import { BugDiagnostics } from '@/types/diagnostics'
+import { BugService } from '@/services/bugService'
+import { AttachmentService } from '@/services/attachmentService'
+import { DebugSession, collectDiagnostics, getSessionEnvironment, toBugPrefill } from '@/utils/sessionDiagnostics'
+import { useIsMobile } from '@/use-mobile'
+import { Dialog, DialogContent } from '@/components/ui/dialog'
+import { BugForm } from './BugForm'
+
+interface SessionBugReportProps extends DebugSession {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  onCreated?: (bug: Bug) => void
+}
+
+// "Report bug from current session": a new bug pre-filled from what
+// useDebugLogger has seen, with the session attached as diagnostics
+export const SessionBugReport = ({ open, onOpenChange, onCreated, ...session }: SessionBugReportProps) => {
+  const isMobile = useIsMobile()
+  const [diagnostics, setDiagnostics] = useState<BugDiagnostics | null>(null)
+  const [isSaving, setIsSaving] = useState(false)
+
+  // Snapshot the session when the dialog opens, so the report doesn't
+  // pick up errors caused by filling it in
+  if (open && !diagnostics) {
+    setDiagnostics(collectDiagnostics(session, getSessionEnvironment(isMobile)))
+  } else if (!open && diagnostics) {
+    setDiagnostics(null)
+  }
+
+  const handleSubmit = async (request: CreateBugRequest, files: File[]) => {
+    setIsSaving(true)
+    try {
+      const bug = await BugService.createBug(request)
+      if (files.length > 0) {
+        await AttachmentService.uploadAttachments(bug.id, files)
+      }
+      onCreated?.(bug)
+      onOpenChange(false)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto p-0" data-testid="session-bug-report">
+        {diagnostics && (
+          <BugForm
+            prefill={toBugPrefill(diagnostics)}
+            diagnostics={diagnostics}
+            draftKey="session-report"
+            onSubmit={handleSubmit}
+            onCancel={() => onOpenChange(false)}
+            isLoading={isSaving}
+          />
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,102 @@
+import { Bug } from '@/types/bug'
+import { SyncConflict, SyncConflictResolution } from '@/types/sync'
+import { Button } from '@/components/ui/button'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle
+} from '@/components/ui/dialog'
+
+const COMPARED_FIELDS: { key: keyof Bug; label: string }[] = [
+  { key: 'title', label: 'Title' },
+  { key: 'description', label: 'Description' },
+  { key: 'status', label: 'Status' },
+  { key: 'severity', label: 'Severity' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'assignedTo', label: 'Assignee' },
+  { key: 'tags', label: 'Tags' }
+]
+
+const formatValue = (value: Bug[keyof Bug] | undefined) => {
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '(none)'
+  return value ? String(value) : '(empty)'
+}
+
+interface SyncConflictDialogProps {
+  conflicts: SyncConflict[]
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  onResolve: (conflictId: string, resolution: SyncConflictResolution) => void
+}
+
+export const SyncConflictDialog = ({ conflicts, open, onOpenChange, onResolve }: SyncConflictDialogProps) => {
+  const conflict = conflicts[0]
+
+  if (!conflict) return null
+
+  const { local, server } = conflict
+  const title = local?.title ?? server?.title ?? 'Deleted bug'
+  const rows = COMPARED_FIELDS.filter(({ key }) =>
+    formatValue(local?.[key]) !== formatValue(server?.[key])
+  )
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl" data-testid="sync-conflict-dialog">
+        <DialogHeader>
+          <DialogTitle>Sync conflict: {title}</DialogTitle>
+          <DialogDescription>
+            {conflict.reason}
+            {conflicts.length > 1 && ` (${conflicts.length - 1} more after this one)`}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid grid-cols-[8rem_1fr_1fr] gap-x-4 gap-y-2 text-sm">
+          <div />
+          <div className="font-medium">Your version</div>
+          <div className="font-medium">Server version</div>
+          {!local && (
+            <>
+              <div className="text-muted-foreground">Bug</div>
+              <div>Deleted</div>
+              <div>Still exists</div>
+            </>
+          )}
+          {!server && (
+            <>
+              <div className="text-muted-foreground">Bug</div>
+              <div>Still exists</div>
+              <div>Deleted</div>
+            </>
+          )}
+          {local && server && rows.map(({ key, label }) => (
+            <div key={key} className="contents" data-testid={`conflict-field-${key}`}>
+              <div className="text-muted-foreground">{label}</div>
+              <div className="break-words">{formatValue(local[key])}</div>
+              <div className="break-words">{formatValue(server[key])}</div>
+            </div>
+          ))}
+        </div>
+
+        <DialogFooter>
+          <Button
+            variant="outline"
+            onClick={() => onResolve(conflict.id, 'server')}
+            data-testid="use-server-version-btn"
+          >
+            Use server version
+          </Button>
+          <Button
+            onClick={() => onResolve(conflict.id, 'local')}
+            data-testid="keep-local-version-btn"
+          >
+            Keep my changes
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
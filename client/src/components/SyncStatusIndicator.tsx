@@ -0,0 +1,84 @@
+import { useState } from 'react'
+import { useSync } from '@/use-sync'
+import { Button } from '@/components/ui/button'
+import { AlertTriangle, CheckCircle2, CloudOff, RefreshCw, UploadCloud } from 'lucide-react'
+import { SyncConflictDialog } from './SyncConflictDialog'
+
+export const SyncStatusIndicator = () => {
+  const { status, pending, conflicts, lastSyncedAt, error, syncNow, resolveConflict } = useSync()
+  const [dialogOpen, setDialogOpen] = useState(false)
+
+  const hasConflicts = conflicts.length > 0
+  const lastSynced = lastSyncedAt
+    ? `Last synced ${new Date(lastSyncedAt).toLocaleString()}`
+    : 'Not synced yet'
+
+  const renderLabel = () => {
+    if (hasConflicts) {
+      return (
+        <>
+          <AlertTriangle className="h-4 w-4 mr-2 text-destructive" />
+          {conflicts.length} {conflicts.length === 1 ? 'conflict' : 'conflicts'}
+        </>
+      )
+    }
+
+    switch (status) {
+      case 'syncing':
+        return (
+          <>
+            <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+            Syncing...
+          </>
+        )
+      case 'offline':
+        return (
+          <>
+            <CloudOff className="h-4 w-4 mr-2" />
+            Offline{pending > 0 && ` · ${pending} pending`}
+          </>
+        )
+      case 'error':
+        return (
+          <>
+            <AlertTriangle className="h-4 w-4 mr-2 text-destructive" />
+            Sync failed
+          </>
+        )
+      default:
+        return pending > 0 ? (
+          <>
+            <UploadCloud className="h-4 w-4 mr-2" />
+            {pending} pending
+          </>
+        ) : (
+          <>
+            <CheckCircle2 className="h-4 w-4 mr-2" />
+            Synced
+          </>
+        )
+    }
+  }
+
+  return (
+    <>
+      <Button
+        variant="ghost"
+        size="sm"
+        title={error ?? lastSynced}
+        disabled={status === 'syncing'}
+        onClick={() => hasConflicts ? setDialogOpen(true) : syncNow()}
+        data-testid="sync-status"
+        data-status={hasConflicts ? 'conflict' : status}
+      >
+        {renderLabel()}
+      </Button>
+      <SyncConflictDialog
+        conflicts={conflicts}
+        open={dialogOpen && hasConflicts}
+        onOpenChange={setDialogOpen}
+        onResolve={resolveConflict}
+      />
+    </>
+  )
+}
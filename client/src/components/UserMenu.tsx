@@ -0,0 +1,32 @@
+import { Link } from 'react-router-dom'
+import { useAuth } from '@/use-auth'
+import { Button } from '@/components/ui/button'
+import { LogIn, LogOut, User } from 'lucide-react'
+
+export const UserMenu = () => {
+  const { user, logout } = useAuth()
+
+  if (!user) {
+    return (
+      <Button variant="outline" asChild data-testid="sign-in-link">
+        <Link to="/login">
+          <LogIn className="h-4 w-4 mr-2" />
+          Sign In
+        </Link>
+      </Button>
+    )
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      <span className="flex items-center gap-1 text-sm text-muted-foreground" data-testid="current-user">
+        <User className="h-4 w-4" />
+        {user.username}
+      </span>
+      <Button variant="ghost" size="sm" onClick={logout} data-testid="logout-btn">
+        <LogOut className="h-4 w-4 mr-1" />
+        Log Out
+      </Button>
+    </div>
+  )
+}
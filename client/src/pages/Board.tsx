@@ -0,0 +1,113 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { Bug, CreateBugRequest } from '@/types/bug'
+import { BugService } from '@/services/bugService'
+import { AttachmentService } from '@/services/attachmentService'
+import { BugBoard } from '@/components/BugBoard'
+import { BugForm } from '@/components/BugForm'
+import { UserMenu } from '@/components/UserMenu'
+import { ProjectSwitcher } from '@/components/ProjectSwitcher'
+import { useProjects } from '@/use-projects'
+import { Button } from '@/components/ui/button'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { AlertCircle, List } from 'lucide-react'
+
+const Board = () => {
+  const [bugs, setBugs] = useState<Bug[]>([])
+  const [editingBug, setEditingBug] = useState<Bug | null>(null)
+  const [error, setError] = useState<string | null>(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const { projects, currentKey, currentProject, selectProject } = useProjects()
+
+  // Reload whenever the switcher picks another project
+  useEffect(() => {
+    setIsLoading(true)
+    setError(null)
+    BugService.getBugs()
+      .then(setBugs)
+      .catch(err => setError(err.message))
+      .finally(() => setIsLoading(false))
+  }, [currentKey])
+
+  const replaceBug = (updated: Bug) => {
+    setBugs(prev => prev.map(bug => bug.id === updated.id ? updated : bug))
+  }
+
+  // Failures propagate so the board can put the card back
+  const handleStatusChange = async (id: string, status: Bug['status']) => {
+    replaceBug(await BugService.updateBug(id, { status }))
+  }
+
+  const handleReorder = async (id: string, rank: number) => {
+    replaceBug(await BugService.updateBug(id, { rank }))
+  }
+
+  const handleEdit = async (request: CreateBugRequest & { version?: number }, files: File[]) => {
+    if (!editingBug) return
+    replaceBug(await BugService.updateBug(editingBug.id, request))
+    if (files.length > 0) {
+      await AttachmentService.uploadAttachments(editingBug.id, files)
+    }
+    setEditingBug(null)
+  }
+
+  if (editingBug) {
+    return (
+      <div className="container mx-auto p-6">
+        <BugForm
+          initialData={editingBug}
+          onSubmit={handleEdit}
+          onCancel={() => setEditingBug(null)}
+        />
+      </div>
+    )
+  }
+
+  return (
+    <div className="container mx-auto p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold bg-gradient-primary bg-clip-text text-transparent">
+            Board
+          </h1>
+          <p className="text-muted-foreground">
+            Drag bugs between columns, or focus one and press Space to move it with the keyboard
+          </p>
+        </div>
+        <div className="flex items-center gap-4">
+          <ProjectSwitcher projects={projects} currentKey={currentKey} onSelect={selectProject} />
+          <UserMenu />
+          <Button variant="outline" asChild>
+            <Link to="/" data-testid="list-view-link">
+              <List className="h-4 w-4 mr-2" />
+              List
+            </Link>
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="text-muted-foreground">Loading bugs...</div>
+        </div>
+      ) : (
+        <BugBoard
+          bugs={bugs}
+          onStatusChange={handleStatusChange}
+          onReorder={handleReorder}
+          onEdit={setEditingBug}
+          project={currentProject}
+        />
+      )}
+    </div>
+  )
+}
+
+export default Board
@@ -0,0 +1,101 @@
+import { Bug } from '@/types/bug'
+import { INITIAL_STATUS } from '@/utils/bugWorkflow'
+import { BugConflictError } from '@/utils/bugMerge'
+import { DEFAULT_BUG_KEY_PREFIX, formatBugKey, getNextBugNumber } from '@/utils/bugKeys'
+import { BugStorageAdapter } from './types'
+
+// The counter keeps ids created within the same millisecond apart
+let nextId = 0
+const generateId = () => `bug-${Date.now()}-${nextId++}`
+
+// The last key number issued per prefix. It never goes down, so deleting the
+// newest bug doesn't hand its key to the next one
+export interface BugKeyCounter {
+  read: (prefix: string) => number
+  write: (prefix: string, value: number) => void
+}
+
+export const createMemoryKeyCounter = (): BugKeyCounter => {
+  const last = new Map<string, number>()
+  return {
+    read: prefix => last.get(prefix) ?? 0,
+    write: (prefix, value) => {
+      last.set(prefix, value)
+    }
+  }
+}
+
+// Shared CRUD over a plain array of bugs, used by the localStorage and
+// in-memory adapters. New bugs are keyed under keyPrefix, like the server does,
+// with keyCounter kept alongside the bugs
+export const createArrayAdapter = (
+  read: () => Bug[],
+  write: (bugs: Bug[]) => void,
+  keyPrefix = DEFAULT_BUG_KEY_PREFIX,
+  keyCounter: BugKeyCounter = createMemoryKeyCounter()
+): BugStorageAdapter => ({
+  async list() {
+    return read()
+  },
+
+  async get(id) {
+    return read().find(bug => bug.id === id) ?? null
+  },
+
+  async create(request) {
+    const bugs = read()
+    const now = new Date().toISOString()
+    const keyNumber = getNextBugNumber(bugs, keyPrefix, keyCounter.read(keyPrefix))
+
+    const bug: Bug = {
+      ...request,
+      id: generateId(),
+      key: formatBugKey(keyPrefix, keyNumber),
+      status: INITIAL_STATUS,
+      version: 0,
+      createdAt: now,
+      updatedAt: now
+    }
+
+    write([...bugs, bug])
+    keyCounter.write(keyPrefix, keyNumber)
+    return bug
+  },
+
+  async update(id, { version, ...updates }) {
+    const bugs = read()
+    const index = bugs.findIndex(bug => bug.id === id)
+
+    if (index === -1) {
+      throw new Error('Bug not found')
+    }
+
+    // Bugs stored before versioning count as version 0
+    const currentVersion = bugs[index].version ?? 0
+    if (version !== undefined && version !== currentVersion) {
+      throw new BugConflictError(bugs[index])
+    }
+
+    const updated: Bug = {
+      ...bugs[index],
+      ...updates,
+      version: currentVersion + 1,
+      updatedAt: new Date().toISOString()
+    }
+
+    bugs[index] = updated
+    write(bugs)
+    return updated
+  },
+
+  async remove(id) {
+    const bugs = read()
+    const remaining = bugs.filter(bug => bug.id !== id)
+
+    if (remaining.length === bugs.length) {
+      throw new Error('Bug not found')
+    }
+
+    write(remaining)
+  }
+})
@@ -0,0 +1,153 @@
+import { Bug, BulkResult, ValidationError } from '@/types/bug'
+import { BugSearchResult, DuplicateCandidate } from '@/types/search'
+import { BugConflictError } from '@/utils/bugMerge'
+import { formatValidationErrors } from '@/utils/bugValidation'
+import { ApiError, apiRequest, apiResponse } from '../api'
+import { BugStorageAdapter } from './types'
+
+const PAGE_SIZE = 100
+
+const getHeaderNumber = (headers: Headers, name: string) => Number(headers.get(name)) || 0
+
+// What the Express API returns for a bug
+export interface ServerBug extends Omit<Bug, 'id' | 'tags' | 'severity' | 'duplicateOf'> {
+  _id: string
+  __v?: number
+  reporter?: string
+  tags?: Bug['tags']
+  severity?: Bug['severity']
+  duplicateOf?: string | null
+}
+
+export const fromServerBug = ({ _id, __v, reporter, duplicateOf, ...bug }: ServerBug): Bug => ({
+  ...bug,
+  id: _id,
+  version: __v,
+  severity: bug.severity ?? 'medium',
+  tags: bug.tags ?? [],
+  duplicateOf: duplicateOf ?? undefined
+})
+
+interface ServerBulkResponse {
+  results: { id: string; status: number; error?: string; errors?: ValidationError[]; bug?: ServerBug }[]
+}
+
+const fromBulkResponse = ({ results }: ServerBulkResponse): BulkResult[] =>
+  results.map(({ id, status, error, errors, bug }) => ({
+    id,
+    ok: status < 300,
+    // A bug the patch would make invalid says which rule it breaks
+    error: errors ? formatValidationErrors(errors) : error,
+    bug: bug && fromServerBug(bug)
+  }))
+
+type ServerSearchResult = Omit<BugSearchResult, 'bug'> & { bug: ServerBug }
+type ServerDuplicateCandidate = Omit<DuplicateCandidate, 'bug'> & { bug: ServerBug }
+
+export const toServerBug = <T extends { id?: string }>({ id, ...bug }: T) => bug
+
+// Where a project's bugs live on the API; bugs outside any project use /bugs
+export const getBugsPath = (projectKey?: string | null) =>
+  projectKey ? `/projects/${encodeURIComponent(projectKey)}/bugs` : '/bugs'
+
+export const createHttpAdapter = (projectKey?: string | null): BugStorageAdapter => {
+  const base = getBugsPath(projectKey)
+
+  return {
+    // Every bug, for views that need them all at once such as the board;
+    // the list uses listPage
+    async list() {
+      const bugs: Bug[] = []
+      let page = 1
+      let totalPages = 1
+
+      // GET /api/bugs is paginated, so walk every page
+      do {
+        const { data, headers } = await apiResponse<ServerBug[]>(`${base}?page=${page}&limit=${PAGE_SIZE}`)
+        bugs.push(...data.map(fromServerBug))
+        totalPages = Number(headers.get('X-Total-Pages')) || 1
+        page++
+      } while (page <= totalPages)
+
+      return bugs
+    },
+
+    async listPage({ page, limit }) {
+      const { data, headers } = await apiResponse<ServerBug[]>(`${base}?page=${page}&limit=${limit}`)
+      return {
+        bugs: data.map(fromServerBug),
+        page,
+        limit,
+        total: getHeaderNumber(headers, 'X-Total-Count'),
+        totalPages: getHeaderNumber(headers, 'X-Total-Pages')
+      }
+    },
+
+    async get(id) {
+      try {
+        return fromServerBug(await apiRequest<ServerBug>(`${base}/${id}`))
+      } catch (error) {
+        if (error instanceof ApiError && (error.status === 404 || error.status === 400)) {
+          return null
+        }
+        throw error
+      }
+    },
+
+    async create(request) {
+      const created = await apiRequest<ServerBug>(base, {
+        method: 'POST',
+        body: JSON.stringify(toServerBug(request))
+      })
+      return fromServerBug(created)
+    },
+
+    async update(id, { version, ...updates }) {
+      try {
+        const updated = await apiRequest<ServerBug>(`${base}/${id}`, {
+          method: 'PUT',
+          headers: version !== undefined ? { 'If-Match': `"${version}"` } : undefined,
+          body: JSON.stringify(toServerBug(updates))
+        })
+        return fromServerBug(updated)
+      } catch (error) {
+        if (error instanceof ApiError && error.status === 409 && error.data?.current) {
+          throw new BugConflictError(fromServerBug(error.data.current))
+        }
+        throw error
+      }
+    },
+
+    async remove(id) {
+      await apiRequest(`${base}/${id}`, { method: 'DELETE' })
+    },
+
+    async bulkUpdate(ids, patch) {
+      return fromBulkResponse(await apiRequest<ServerBulkResponse>(`${base}/bulk`, {
+        method: 'PATCH',
+        body: JSON.stringify({ ids, patch })
+      }))
+    },
+
+    async bulkRemove(ids) {
+      return fromBulkResponse(await apiRequest<ServerBulkResponse>(`${base}/bulk`, {
+        method: 'DELETE',
+        body: JSON.stringify({ ids })
+      }))
+    },
+
+    async search(query) {
+      const results = await apiRequest<ServerSearchResult[]>(
+        `${base}/search?q=${encodeURIComponent(query)}&limit=${PAGE_SIZE}`
+      )
+      return results.map(result => ({ ...result, bug: fromServerBug(result.bug) }))
+    },
+
+    async findDuplicates({ title, description = '' }, excludeId) {
+      const params = new URLSearchParams({ title, description })
+      if (excludeId) params.set('exclude', excludeId)
+      const candidates = await apiRequest<ServerDuplicateCandidate[]>(`${base}/duplicates?${params}`)
+      return candidates.map(candidate => ({ ...candidate, bug: fromServerBug(candidate.bug) }))
+    }
+  }
+}
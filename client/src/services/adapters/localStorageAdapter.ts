@@ -0,0 +1,43 @@
+import { Bug } from '@/types/bug'
+import { BugKeyCounter, createArrayAdapter } from './arrayAdapter'
+import { DEFAULT_BUG_KEY_PREFIX } from '@/utils/bugKeys'
+
+export const STORAGE_KEY = 'bug-tracker-bugs'
+const KEY_COUNTERS_KEY = 'bug-tracker-bug-keys'
+
+// Each project keeps its bugs under its own key, e.g. bug-tracker-bugs:WEB;
+// bugs outside any project stay under the original one
+export const getStorageKey = (projectKey?: string | null) =>
+  projectKey ? `${STORAGE_KEY}:${projectKey}` : STORAGE_KEY
+
+export const readStoredBugs = (projectKey?: string | null): Bug[] => {
+  const stored = localStorage.getItem(getStorageKey(projectKey))
+  return stored ? JSON.parse(stored) : []
+}
+
+export const writeStoredBugs = (bugs: Bug[], projectKey?: string | null) => {
+  localStorage.setItem(getStorageKey(projectKey), JSON.stringify(bugs))
+}
+
+// Last key number per prefix, e.g. { "WEB": 142 }; see BugKeyCounter
+const readKeyCounters = (): Record<string, unknown> => {
+  const stored = JSON.parse(localStorage.getItem(KEY_COUNTERS_KEY) || '{}')
+  return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {}
+}
+
+export const localStorageKeyCounter: BugKeyCounter = {
+  read: prefix => {
+    const last = readKeyCounters()[prefix]
+    return typeof last === 'number' ? last : 0
+  },
+  write: (prefix, value) => {
+    localStorage.setItem(KEY_COUNTERS_KEY, JSON.stringify({ ...readKeyCounters(), [prefix]: value }))
+  }
+}
+
+export const createLocalStorageAdapter = (projectKey?: string | null) => createArrayAdapter(
+  () => readStoredBugs(projectKey),
+  bugs => writeStoredBugs(bugs, projectKey),
+  projectKey ?? DEFAULT_BUG_KEY_PREFIX,
+  localStorageKeyCounter
+)
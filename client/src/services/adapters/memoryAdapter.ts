@@ -0,0 +1,14 @@
+import { Bug } from '@/types/bug'
+import { createArrayAdapter } from './arrayAdapter'
+
+// Keeps bugs in a closure; handy for tests and storybook-style demos
+export const createMemoryAdapter = (initialBugs: Bug[] = []) => {
+  let bugs = initialBugs.map(bug => ({ ...bug }))
+
+  return createArrayAdapter(
+    () => bugs.map(bug => ({ ...bug })),
+    (next) => {
+      bugs = next.map(bug => ({ ...bug }))
+    }
+  )
+}
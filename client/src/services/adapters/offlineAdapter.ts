@@ -0,0 +1,36 @@
+import { SyncService } from '../syncService'
+import { createLocalStorageAdapter } from './localStorageAdapter'
+import { BugStorageAdapter } from './types'
+
+// Reads and writes hit localStorage so the app keeps working without a
+// connection; every write is also queued in the outbox for SyncService,
+// tagged with the project so it replays against that project's routes
+export const createOfflineAdapter = (projectKey?: string | null): BugStorageAdapter => {
+  const local = createLocalStorageAdapter(projectKey)
+  const scope = projectKey ? { projectKey } : {}
+
+  return {
+    list: () => local.list(),
+
+    get: (id) => local.get(id),
+
+    async create(request) {
+      const bug = await local.create(request)
+      SyncService.enqueue({ type: 'create', bugId: bug.id, payload: request, ...scope })
+      return bug
+    },
+
+    async update(id, updates) {
+      const bug = await local.update(id, updates)
+      // Replays send the version of the last sync instead of the form's one
+      const { version, ...changes } = updates
+      SyncService.enqueue({ type: 'update', bugId: id, payload: changes, ...scope })
+      return bug
+    },
+
+    async remove(id) {
+      await local.remove(id)
+      SyncService.enqueue({ type: 'delete', bugId: id, ...scope })
+    }
+  }
+}
@@ -0,0 +1,25 @@
+import { Bug, BugPage, BugPageRequest, BulkBugPatch, BulkResult, CreateBugRequest, UpdateBugRequest } from '@/types/bug'
+import { BugSearchResult, DuplicateCandidate } from '@/types/search'
+import { BugReport } from '@/utils/bugSimilarity'
+
+// Persistence backend behind BugService. Adapters only store and load bugs;
+// workflow rules and error messages live in BugService so every backend
+// behaves the same.
+export interface BugStorageAdapter {
+  list(): Promise<Bug[]>
+  get(id: string): Promise<Bug | null>
+  create(request: CreateBugRequest): Promise<Bug>
+  update(id: string, updates: UpdateBugRequest): Promise<Bug>
+  remove(id: string): Promise<void>
+  // Optional; BugService pages the listed bugs in memory without it
+  listPage?(request: BugPageRequest): Promise<BugPage>
+  // Optional; BugService falls back to one call per bug without them
+  bulkUpdate?(ids: string[], patch: BulkBugPatch): Promise<BulkResult[]>
+  bulkRemove?(ids: string[]): Promise<BulkResult[]>
+  // Optional; BugService searches the listed bugs in memory without it
+  search?(query: string): Promise<BugSearchResult[]>
+  // Optional; BugService scores the listed bugs in memory without it
+  findDuplicates?(report: BugReport, excludeId?: string): Promise<DuplicateCandidate[]>
+}
+
+export type BugStorageKind = 'local' | 'http' | 'memory' | 'offline'
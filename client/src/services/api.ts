@@ -0,0 +1,58 @@
+import { getAuthToken } from './authStorage'
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || '/api'
+
+// For URLs the browser loads itself, such as image sources
+export const apiUrl = (path: string) => `${API_BASE_URL}${path}`
+
+export class ApiError extends Error {
+  status: number
+  data: any
+
+  constructor(message: string, status: number, data?: any) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.data = data
+  }
+}
+
+// Validation failures come back as { field, message } objects; other 400s as strings
+const formatErrors = (errors: unknown): string | undefined => {
+  if (!Array.isArray(errors)) return undefined
+  return errors.map(error => typeof error === 'string' ? error : `${error.field}: ${error.message}`).join(', ')
+}
+
+export interface ApiResponse<T> {
+  data: T
+  headers: Headers
+}
+
+// Thin fetch wrapper for the Express API; sends the session token when there
+// is one and throws ApiError on non-2xx responses
+export async function apiResponse<T>(path: string, options: RequestInit = {}): Promise<ApiResponse<T>> {
+  const token = getAuthToken()
+  const response = await fetch(apiUrl(path), {
+    ...options,
+    headers: {
+      // Let the browser set the multipart boundary for uploads
+      ...(options.body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...options.headers
+    }
+  })
+
+  const data = response.status === 204 ? null : await response.json().catch(() => null)
+
+  if (!response.ok) {
+    const message = data?.error || formatErrors(data?.errors) || `Request failed with status ${response.status}`
+    throw new ApiError(message, response.status, data)
+  }
+
+  return { data: data as T, headers: response.headers }
+}
+
+export async function apiRequest<T>(path: string, options: RequestInit = {}): Promise<T> {
+  const { data } = await apiResponse<T>(path, options)
+  return data
+}
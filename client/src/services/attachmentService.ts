@@ -0,0 +1,52 @@
+import { BugAttachment } from '@/types/attachment'
+import { apiRequest, apiUrl } from './api'
+
+interface ServerAttachment extends Omit<BugAttachment, 'id' | 'bugId'> {
+  _id: string
+  bug: string
+}
+
+const toAttachment = ({ _id, bug, ...attachment }: ServerAttachment): BugAttachment => ({
+  ...attachment,
+  id: _id,
+  bugId: bug
+})
+
+export class AttachmentService {
+  static async getAttachments(bugId: string): Promise<BugAttachment[]> {
+    try {
+      const attachments = await apiRequest<ServerAttachment[]>(`/bugs/${bugId}/attachments`)
+      return attachments.map(toAttachment)
+    } catch (error) {
+      console.error('Error fetching attachments:', error)
+      throw new Error('Failed to fetch attachments')
+    }
+  }
+
+  static async uploadAttachments(bugId: string, files: File[]): Promise<BugAttachment[]> {
+    const body = new FormData()
+    files.forEach(file => body.append('files', file))
+
+    const uploaded = await apiRequest<ServerAttachment[]>(`/bugs/${bugId}/attachments`, {
+      method: 'POST',
+      body
+    })
+    return uploaded.map(toAttachment)
+  }
+
+  static async deleteAttachment(bugId: string, attachmentId: string): Promise<void> {
+    await apiRequest(`/bugs/${bugId}/attachments/${attachmentId}`, { method: 'DELETE' })
+  }
+
+  static getContentUrl(attachment: BugAttachment): string {
+    return apiUrl(`/bugs/${attachment.bugId}/attachments/${attachment.id}/content`)
+  }
+
+  static async getTextContent(attachment: BugAttachment): Promise<string> {
+    const response = await fetch(this.getContentUrl(attachment))
+    if (!response.ok) {
+      throw new Error('Failed to load attachment')
+    }
+    return response.text()
+  }
+}
@@ -0,0 +1,43 @@
+import { AuthSession, LoginRequest, RegisterRequest, User } from '@/types/auth'
+import { apiRequest } from './api'
+import { clearSession, setSession } from './authStorage'
+
+interface ServerUser extends Omit<User, 'id'> {
+  _id: string
+}
+
+interface ServerAuthResponse {
+  user: ServerUser
+  token: string
+}
+
+const toSession = ({ user: { _id, ...user }, token }: ServerAuthResponse): AuthSession => ({
+  user: { ...user, id: _id },
+  token
+})
+
+export class AuthService {
+  static async login(credentials: LoginRequest): Promise<AuthSession> {
+    const response = await apiRequest<ServerAuthResponse>('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify(credentials)
+    })
+    const session = toSession(response)
+    setSession(session)
+    return session
+  }
+
+  static async register(request: RegisterRequest): Promise<AuthSession> {
+    const response = await apiRequest<ServerAuthResponse>('/auth/register', {
+      method: 'POST',
+      body: JSON.stringify(request)
+    })
+    const session = toSession(response)
+    setSession(session)
+    return session
+  }
+
+  static logout() {
+    clearSession()
+  }
+}
@@ -0,0 +1,23 @@
+import { AuthSession } from '@/types/auth'
+
+const STORAGE_KEY = 'bug-tracker-auth'
+
+export const getSession = (): AuthSession | null => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY)
+    const session = stored ? JSON.parse(stored) : null
+    return session?.token && session?.user ? session : null
+  } catch {
+    return null
+  }
+}
+
+export const setSession = (session: AuthSession) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(session))
+}
+
+export const clearSession = () => {
+  localStorage.removeItem(STORAGE_KEY)
+}
+
+export const getAuthToken = (): string | null => getSession()?.token ?? null
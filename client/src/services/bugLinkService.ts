@@ -0,0 +1,37 @@
+import { BugLink, CreateBugLinkRequest } from '@/types/bugLink'
+import { apiRequest } from './api'
+
+interface ServerBugLink extends Omit<BugLink, 'id' | 'bug'> {
+  _id: string
+  bug: Omit<BugLink['bug'], 'id'> & { _id: string }
+}
+
+const toBugLink = ({ _id, bug: { _id: bugId, ...bug }, ...link }: ServerBugLink): BugLink => ({
+  ...link,
+  id: _id,
+  bug: { ...bug, id: bugId }
+})
+
+export class BugLinkService {
+  static async getLinks(bugId: string): Promise<BugLink[]> {
+    try {
+      const links = await apiRequest<ServerBugLink[]>(`/bugs/${bugId}/links`)
+      return links.map(toBugLink)
+    } catch (error) {
+      console.error('Error fetching bug links:', error)
+      throw new Error('Failed to fetch bug links')
+    }
+  }
+
+  static async createLink(bugId: string, link: CreateBugLinkRequest): Promise<BugLink> {
+    const created = await apiRequest<ServerBugLink>(`/bugs/${bugId}/links`, {
+      method: 'POST',
+      body: JSON.stringify(link)
+    })
+    return toBugLink(created)
+  }
+
+  static async deleteLink(bugId: string, linkId: string): Promise<void> {
+    await apiRequest(`/bugs/${bugId}/links/${linkId}`, { method: 'DELETE' })
+  }
+}
@@ -0,0 +1,207 @@
+import { Bug, BugPage, BugPageRequest, BulkBugPatch, BulkResult, CreateBugRequest, UpdateBugRequest } from '@/types/bug'
+import { BugSearchResult, DuplicateCandidate } from '@/types/search'
+import { canTransition, InvalidStatusTransitionError } from '@/utils/bugWorkflow'
+import { searchBugsInMemory } from '@/utils/bugSearch'
+import { BugReport, findSimilarBugs } from '@/utils/bugSimilarity'
+import { getSession } from './authStorage'
+import { getCurrentProjectKey, setCurrentProjectKey } from './projectStorage'
+import { ApiError } from './api'
+import { BugStorageAdapter, BugStorageKind } from './adapters/types'
+import { createLocalStorageAdapter } from './adapters/localStorageAdapter'
+import { createHttpAdapter } from './adapters/httpAdapter'
+import { createMemoryAdapter } from './adapters/memoryAdapter'
+import { createOfflineAdapter } from './adapters/offlineAdapter'
+
+// Adapters for a project only see that project's bugs
+export const createBugStorageAdapter = (kind: BugStorageKind = 'local', projectKey?: string | null): BugStorageAdapter => {
+  switch (kind) {
+    case 'http': return createHttpAdapter(projectKey)
+    case 'memory': return createMemoryAdapter()
+    case 'offline': return createOfflineAdapter(projectKey)
+    default: return createLocalStorageAdapter(projectKey)
+  }
+}
+
+// Chosen with VITE_BUG_STORAGE=local|http|memory|offline; localStorage when unset
+export const BUG_STORAGE_KIND = (import.meta.env.VITE_BUG_STORAGE || 'local') as BugStorageKind
+
+let adapter = createBugStorageAdapter(BUG_STORAGE_KIND, getCurrentProjectKey())
+
+// The update a bulk patch makes to one bug. Tags are compared by their
+// trimmed text, as the server does
+const resolveBulkPatch = (bug: Bug, { addTags: rawAddTags = [], removeTags: rawRemoveTags = [], ...updates }: BulkBugPatch): UpdateBugRequest => {
+  const addTags = rawAddTags.map(tag => tag.trim())
+  const removeTags = rawRemoveTags.map(tag => tag.trim())
+
+  if (addTags.length === 0 && removeTags.length === 0) {
+    return updates
+  }
+
+  const tags = bug.tags.filter(tag => !removeTags.includes(tag))
+  addTags.forEach(tag => {
+    if (!tags.includes(tag)) tags.push(tag)
+  })
+  return { ...updates, tags }
+}
+
+// Run an operation per bug, recording failures instead of stopping
+const runEach = async (ids: string[], operation: (id: string) => Promise<Bug | void>): Promise<BulkResult[]> => {
+  const results: BulkResult[] = []
+  for (const id of ids) {
+    try {
+      const bug = await operation(id)
+      results.push({ id, ok: true, bug: bug || undefined })
+    } catch (error) {
+      results.push({ id, ok: false, error: error instanceof Error ? error.message : 'Failed' })
+    }
+  }
+  return results
+}
+
+export class BugService {
+  static useAdapter(next: BugStorageAdapter) {
+    adapter = next
+  }
+
+  // Point every later call at another project's bugs, and remember it for the next visit
+  static setProject(projectKey: string | null) {
+    setCurrentProjectKey(projectKey)
+    adapter = createBugStorageAdapter(BUG_STORAGE_KIND, projectKey)
+  }
+
+  static async getBugs(): Promise<Bug[]> {
+    try {
+      return await adapter.list()
+    } catch (error) {
+      console.error('Error fetching bugs:', error)
+      throw new Error('Failed to fetch bugs')
+    }
+  }
+
+  // One page of bugs; adapters that can't page are paged in memory
+  static async getBugPage({ page, limit }: BugPageRequest): Promise<BugPage> {
+    try {
+      if (adapter.listPage) {
+        return await adapter.listPage({ page, limit })
+      }
+
+      const bugs = await adapter.list()
+      return {
+        bugs: bugs.slice((page - 1) * limit, page * limit),
+        page,
+        limit,
+        total: bugs.length,
+        totalPages: Math.ceil(bugs.length / limit)
+      }
+    } catch (error) {
+      console.error('Error fetching bugs:', error)
+      throw new Error('Failed to fetch bugs')
+    }
+  }
+
+  // Ranked full-text search with highlighted snippets
+  static async searchBugs(query: string): Promise<BugSearchResult[]> {
+    if (adapter.search) {
+      return adapter.search(query)
+    }
+    return searchBugsInMemory(await adapter.list(), query)
+  }
+
+  // Existing bugs that look like `report`, most similar first
+  static async findDuplicates(report: BugReport, excludeId?: string): Promise<DuplicateCandidate[]> {
+    if (!report.title.trim()) return []
+    if (adapter.findDuplicates) {
+      return adapter.findDuplicates(report, excludeId)
+    }
+    return findSimilarBugs(report, await adapter.list(), { excludeId })
+  }
+
+  static async getBugById(id: string): Promise<Bug | null> {
+    return adapter.get(id)
+  }
+
+  static async createBug(request: CreateBugRequest): Promise<Bug> {
+    // When signed in, the reporter is the current user rather than free text
+    const session = getSession()
+
+    return adapter.create({
+      ...request,
+      reportedBy: session?.user.username ?? request.reportedBy
+    })
+  }
+
+  static async updateBug(id: string, updates: UpdateBugRequest): Promise<Bug> {
+    const existing = await adapter.get(id)
+
+    if (!existing) {
+      throw new Error('Bug not found')
+    }
+
+    if (updates.status && !canTransition(existing.status, updates.status)) {
+      throw new InvalidStatusTransitionError(existing.status, updates.status)
+    }
+
+    // Leaving the duplicate status drops the link to the original, as on the server
+    if (updates.status && updates.status !== 'duplicate' && existing.duplicateOf) {
+      updates = { ...updates, duplicateOf: undefined }
+    }
+
+    try {
+      return await adapter.update(id, updates)
+    } catch (error) {
+      // The server may know about a transition that happened since we read the bug
+      if (error instanceof ApiError && error.status === 409 && error.data?.allowedTransitions && updates.status) {
+        throw new InvalidStatusTransitionError(error.data.status, updates.status)
+      }
+      throw error
+    }
+  }
+
+  static async markDuplicate(id: string, originalId: string): Promise<Bug> {
+    if (id === originalId) {
+      throw new Error('A bug cannot be a duplicate of itself')
+    }
+
+    // Point at the end of the chain, like the server does
+    let original = await adapter.get(originalId)
+    const seen = new Set([id])
+    while (original?.duplicateOf) {
+      if (seen.has(original.id)) break
+      seen.add(original.id)
+      original = await adapter.get(original.duplicateOf)
+    }
+
+    if (!original) {
+      throw new Error('Original bug not found')
+    }
+    if (seen.has(original.id)) {
+      throw new Error('A bug cannot be a duplicate of itself')
+    }
+
+    return this.updateBug(id, { status: 'duplicate', duplicateOf: original.id })
+  }
+
+  static async deleteBug(id: string): Promise<void> {
+    await adapter.remove(id)
+  }
+
+  static async bulkUpdateBugs(ids: string[], patch: BulkBugPatch): Promise<BulkResult[]> {
+    if (adapter.bulkUpdate) {
+      return adapter.bulkUpdate(ids, patch)
+    }
+
+    return runEach(ids, async id => {
+      const bug = await this.getBugById(id)
+      if (!bug) throw new Error('Bug not found')
+      return this.updateBug(id, resolveBulkPatch(bug, patch))
+    })
+  }
+
+  static async bulkDeleteBugs(ids: string[]): Promise<BulkResult[]> {
+    if (adapter.bulkRemove) {
+      return adapter.bulkRemove(ids)
+    }
+
+    return runEach(ids, id => this.deleteBug(id))
+  }
+}
@@ -0,0 +1,45 @@
+import { BugComment, CreateCommentRequest } from '@/types/comment'
+import { apiRequest } from './api'
+
+interface ServerComment extends Omit<BugComment, 'id' | 'bugId'> {
+  _id: string
+  bug: string
+}
+
+const toComment = ({ _id, bug, ...comment }: ServerComment): BugComment => ({
+  ...comment,
+  id: _id,
+  bugId: bug
+})
+
+export class CommentService {
+  static async getComments(bugId: string): Promise<BugComment[]> {
+    try {
+      const comments = await apiRequest<ServerComment[]>(`/bugs/${bugId}/comments`)
+      return comments.map(toComment)
+    } catch (error) {
+      console.error('Error fetching comments:', error)
+      throw new Error('Failed to fetch comments')
+    }
+  }
+
+  static async createComment(bugId: string, comment: CreateCommentRequest): Promise<BugComment> {
+    const created = await apiRequest<ServerComment>(`/bugs/${bugId}/comments`, {
+      method: 'POST',
+      body: JSON.stringify(comment)
+    })
+    return toComment(created)
+  }
+
+  static async updateComment(bugId: string, commentId: string, body: string): Promise<BugComment> {
+    const updated = await apiRequest<ServerComment>(`/bugs/${bugId}/comments/${commentId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ body })
+    })
+    return toComment(updated)
+  }
+
+  static async deleteComment(bugId: string, commentId: string): Promise<void> {
+    await apiRequest(`/bugs/${bugId}/comments/${commentId}`, { method: 'DELETE' })
+  }
+}
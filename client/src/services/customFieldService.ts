@@ -0,0 +1,53 @@
+import { CustomField, CustomFieldRequest } from '@/types/customField'
+import { apiRequest } from './api'
+
+interface ServerCustomField extends Omit<CustomField, 'id'> {
+  _id: string
+  createdBy?: string
+}
+
+const toCustomField = ({ _id, createdBy, ...field }: ServerCustomField): CustomField => ({
+  ...field,
+  id: _id
+})
+
+// Each project has its own fields; bugs outside any project use /fields
+const getFieldsPath = (projectKey?: string | null) =>
+  projectKey ? `/projects/${encodeURIComponent(projectKey)}/fields` : '/fields'
+
+export class CustomFieldService {
+  static async getFields(projectKey?: string | null): Promise<CustomField[]> {
+    try {
+      const fields = await apiRequest<ServerCustomField[]>(getFieldsPath(projectKey))
+      return fields.map(toCustomField)
+    } catch (error) {
+      console.error('Error fetching custom fields:', error)
+      throw new Error('Failed to fetch custom fields')
+    }
+  }
+
+  static async createField(field: CustomFieldRequest, projectKey?: string | null): Promise<CustomField> {
+    const created = await apiRequest<ServerCustomField>(getFieldsPath(projectKey), {
+      method: 'POST',
+      body: JSON.stringify(field)
+    })
+    return toCustomField(created)
+  }
+
+  // The key can't change once bugs may hold values under it
+  static async updateField(
+    id: string,
+    changes: Partial<Omit<CustomFieldRequest, 'key'>>,
+    projectKey?: string | null
+  ): Promise<CustomField> {
+    const updated = await apiRequest<ServerCustomField>(`${getFieldsPath(projectKey)}/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
+    })
+    return toCustomField(updated)
+  }
+
+  static async deleteField(id: string, projectKey?: string | null): Promise<void> {
+    await apiRequest(`${getFieldsPath(projectKey)}/${id}`, { method: 'DELETE' })
+  }
+}
@@ -0,0 +1,26 @@
+import { BugDraft } from '@/types/draft'
+
+const STORAGE_PREFIX = 'bug-tracker-draft:'
+
+export const getDraft = (key: string): BugDraft | null => {
+  try {
+    const stored = localStorage.getItem(STORAGE_PREFIX + key)
+    const draft = stored ? JSON.parse(stored) : null
+    return draft?.values && draft?.savedAt ? draft : null
+  } catch {
+    return null
+  }
+}
+
+// Storage can be full or disabled; losing a draft shouldn't break the form
+export const saveDraft = (key: string, draft: BugDraft) => {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(draft))
+  } catch {
+    // Nothing else to do
+  }
+}
+
+export const clearDraft = (key: string) => {
+  localStorage.removeItem(STORAGE_PREFIX + key)
+}
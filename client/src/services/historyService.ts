@@ -0,0 +1,19 @@
+import { BugHistoryEntry } from '@/types/history'
+import { apiRequest } from './api'
+
+interface ServerHistoryEntry extends Omit<BugHistoryEntry, 'id' | 'bugId'> {
+  _id: string
+  bug: string
+}
+
+export class HistoryService {
+  static async getBugHistory(bugId: string): Promise<BugHistoryEntry[]> {
+    try {
+      const entries = await apiRequest<ServerHistoryEntry[]>(`/bugs/${bugId}/history`)
+      return entries.map(({ _id, bug, ...entry }) => ({ ...entry, id: _id, bugId: bug }))
+    } catch (error) {
+      console.error('Error fetching bug history:', error)
+      throw new Error('Failed to fetch bug history')
+    }
+  }
+}
@@ -0,0 +1,61 @@
+import { Project, ProjectRequest } from '@/types/project'
+import { UserRole } from '@/types/auth'
+import { apiRequest } from './api'
+
+interface ServerProject extends Omit<Project, 'id'> {
+  _id: string
+  createdBy?: string
+}
+
+const toProject = ({ _id, createdBy, ...project }: ServerProject): Project => ({
+  ...project,
+  id: _id,
+  members: project.members ?? []
+})
+
+const projectPath = (key: string) => `/projects/${encodeURIComponent(key)}`
+
+export class ProjectService {
+  static async getProjects(): Promise<Project[]> {
+    try {
+      const projects = await apiRequest<ServerProject[]>('/projects')
+      return projects.map(toProject)
+    } catch (error) {
+      console.error('Error fetching projects:', error)
+      throw new Error('Failed to fetch projects')
+    }
+  }
+
+  static async createProject(project: ProjectRequest): Promise<Project> {
+    const created = await apiRequest<ServerProject>('/projects', {
+      method: 'POST',
+      body: JSON.stringify(project)
+    })
+    return toProject(created)
+  }
+
+  // The key can't change; it prefixes the project's routes
+  static async updateProject(key: string, changes: Partial<Omit<ProjectRequest, 'key'>>): Promise<Project> {
+    const updated = await apiRequest<ServerProject>(projectPath(key), {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
+    })
+    return toProject(updated)
+  }
+
+  // Adds the user, or changes their role when they're already a member
+  static async addMember(key: string, username: string, role: UserRole): Promise<Project> {
+    const updated = await apiRequest<ServerProject>(`${projectPath(key)}/members`, {
+      method: 'POST',
+      body: JSON.stringify({ username, role })
+    })
+    return toProject(updated)
+  }
+
+  static async removeMember(key: string, userId: string): Promise<Project> {
+    const updated = await apiRequest<ServerProject>(`${projectPath(key)}/members/${userId}`, {
+      method: 'DELETE'
+    })
+    return toProject(updated)
+  }
+}
@@ -0,0 +1,19 @@
+const STORAGE_KEY = 'bug-tracker-project'
+
+// The key of the project the app shows, kept across reloads; null for bugs
+// outside any project
+export const getCurrentProjectKey = (): string | null => {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || null
+  } catch {
+    return null
+  }
+}
+
+export const setCurrentProjectKey = (key: string | null) => {
+  if (key) {
+    localStorage.setItem(STORAGE_KEY, key)
+  } else {
+    localStorage.removeItem(STORAGE_KEY)
+  }
+}
@@ -0,0 +1,60 @@
+import { BugFilters, SavedView } from '@/types/savedView'
+import { apiRequest } from './api'
+
+// The server leaves out filters that are not set
+interface ServerSavedView extends Omit<SavedView, 'id' | 'filters'> {
+  _id: string
+  user: string
+  filters?: Partial<BugFilters>
+}
+
+const toSavedView = ({ _id, user, filters = {}, ...view }: ServerSavedView): SavedView => ({
+  ...view,
+  id: _id,
+  filters: {
+    search: filters.search ?? '',
+    status: filters.status ?? 'all',
+    severity: filters.severity ?? 'all'
+  }
+})
+
+const toServerFilters = ({ search, status, severity }: BugFilters) => ({
+  search,
+  status: status === 'all' ? undefined : status,
+  severity: severity === 'all' ? undefined : severity
+})
+
+export class SavedViewService {
+  static async getViews(): Promise<SavedView[]> {
+    try {
+      const views = await apiRequest<ServerSavedView[]>('/views')
+      return views.map(toSavedView)
+    } catch (error) {
+      console.error('Error fetching saved views:', error)
+      throw new Error('Failed to fetch saved views')
+    }
+  }
+
+  static async createView(name: string, filters: BugFilters): Promise<SavedView> {
+    const created = await apiRequest<ServerSavedView>('/views', {
+      method: 'POST',
+      body: JSON.stringify({ name, filters: toServerFilters(filters) })
+    })
+    return toSavedView(created)
+  }
+
+  static async updateView(id: string, changes: { name?: string; filters?: BugFilters }): Promise<SavedView> {
+    const updated = await apiRequest<ServerSavedView>(`/views/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({
+        name: changes.name,
+        filters: changes.filters && toServerFilters(changes.filters)
+      })
+    })
+    return toSavedView(updated)
+  }
+
+  static async deleteView(id: string): Promise<void> {
+    await apiRequest(`/views/${id}`, { method: 'DELETE' })
+  }
+}
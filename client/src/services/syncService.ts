@@ -0,0 +1,366 @@
+import { Bug, CreateBugRequest } from '@/types/bug'
+import {
+  OutboxEntry,
+  OutboxEntryInput,
+  SyncConflict,
+  SyncConflictResolution,
+  SyncState
+} from '@/types/sync'
+import { ApiError, apiRequest } from './api'
+import { readStoredBugs, writeStoredBugs } from './adapters/localStorageAdapter'
+import { createHttpAdapter, fromServerBug, getBugsPath, ServerBug, toServerBug } from './adapters/httpAdapter'
+import { getCurrentProjectKey } from './projectStorage'
+
+const OUTBOX_KEY = 'bug-tracker-outbox'
+const CONFLICTS_KEY = 'bug-tracker-sync-conflicts'
+// Server version of each bug as of the last successful sync. Replays send it
+// as If-Match, so the server refuses them once someone else changed the bug
+const SYNCED_VERSIONS_KEY = 'bug-tracker-synced-versions'
+const LAST_SYNCED_KEY = 'bug-tracker-last-synced'
+
+type SyncedVersions = Record<string, number>
+
+const readJson = <T>(key: string, fallback: T): T => {
+  try {
+    const stored = localStorage.getItem(key)
+    return stored ? JSON.parse(stored) : fallback
+  } catch {
+    return fallback
+  }
+}
+
+const writeJson = (key: string, value: unknown) => {
+  localStorage.setItem(key, JSON.stringify(value))
+}
+
+const readOutbox = (): OutboxEntry[] => readJson<OutboxEntry[]>(OUTBOX_KEY, [])
+const writeOutbox = (entries: OutboxEntry[]) => writeJson(OUTBOX_KEY, entries)
+const readConflicts = (): SyncConflict[] => readJson<SyncConflict[]>(CONFLICTS_KEY, [])
+const writeConflicts = (conflicts: SyncConflict[]) => writeJson(CONFLICTS_KEY, conflicts)
+const readVersions = (): SyncedVersions => readJson<SyncedVersions>(SYNCED_VERSIONS_KEY, {})
+const writeVersions = (versions: SyncedVersions) => writeJson(SYNCED_VERSIONS_KEY, versions)
+
+const setVersion = (bugId: string, version: number | undefined) => {
+  const versions = readVersions()
+  if (version !== undefined) {
+    versions[bugId] = version
+  } else {
+    delete versions[bugId]
+  }
+  writeVersions(versions)
+}
+
+let nextEntryId = 0
+const generateEntryId = () => `sync-${Date.now()}-${nextEntryId++}`
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false
+
+// fetch rejects with a TypeError when the server can't be reached. Anything
+// else that isn't an ApiError is a bug of ours and shows as a sync error
+const isNetworkError = (error: unknown) => !isOnline() || error instanceof TypeError
+
+class SyncConflictError extends Error {
+  server: Bug | null
+
+  constructor(reason: string, server: Bug | null) {
+    super(reason)
+    this.name = 'SyncConflictError'
+    this.server = server
+  }
+}
+
+const fetchServerBug = async (id: string, projectKey?: string): Promise<Bug | null> => {
+  try {
+    return fromServerBug(await apiRequest<ServerBug>(`${getBugsPath(projectKey)}/${id}`))
+  } catch (error) {
+    if (error instanceof ApiError && (error.status === 404 || error.status === 400)) {
+      return null
+    }
+    throw error
+  }
+}
+
+const toCreateRequest = ({ id, status, createdAt, updatedAt, ...request }: Bug): CreateBugRequest => request
+
+const replaceLocalBug = (id: string, bug: Bug | null, projectKey?: string) => {
+  const bugs = readStoredBugs(projectKey).filter(stored => stored.id !== id)
+  writeStoredBugs(bug ? [...bugs, bug] : bugs, projectKey)
+}
+
+// Bugs created offline carry a client id until the server assigns a real one
+const adoptServerId = (localId: string, bug: Bug, projectKey?: string) => {
+  writeStoredBugs(readStoredBugs(projectKey).map(stored => stored.id === localId ? bug : stored), projectKey)
+  writeOutbox(readOutbox().map(entry => entry.bugId === localId ? { ...entry, bugId: bug.id } : entry))
+  setVersion(bug.id, bug.version)
+}
+
+// Copies synced before versions were kept hold an `updatedAt` instead, and
+// replay without a check
+const ifMatchSynced = (bugId: string): HeadersInit | undefined => {
+  const version = readVersions()[bugId]
+  return typeof version === 'number' ? { 'If-Match': `"${version}"` } : undefined
+}
+
+// The server answers a stale If-Match with 412, or 409 along with its copy
+const toSyncConflict = async (error: unknown, entry: OutboxEntry): Promise<unknown> => {
+  if (!(error instanceof ApiError)) {
+    return error
+  }
+  if (error.status === 404) {
+    return new SyncConflictError('This bug was deleted on the server', null)
+  }
+  if (error.status === 409 || error.status === 412) {
+    const server = error.data?.current
+      ? fromServerBug(error.data.current)
+      : await fetchServerBug(entry.bugId, entry.projectKey)
+    return new SyncConflictError('This bug was changed on the server since your last sync', server)
+  }
+  return error
+}
+
+const replay = async (entry: OutboxEntry) => {
+  const base = getBugsPath(entry.projectKey)
+
+  if (entry.type === 'create') {
+    const created = await apiRequest<ServerBug>(base, {
+      method: 'POST',
+      body: JSON.stringify(toServerBug(entry.payload))
+    })
+    adoptServerId(entry.bugId, fromServerBug(created), entry.projectKey)
+    return
+  }
+
+  try {
+    if (entry.type === 'update') {
+      const updated = fromServerBug(await apiRequest<ServerBug>(`${base}/${entry.bugId}`, {
+        method: 'PUT',
+        headers: ifMatchSynced(entry.bugId),
+        body: JSON.stringify(toServerBug(entry.payload))
+      }))
+      replaceLocalBug(entry.bugId, updated, entry.projectKey)
+      setVersion(entry.bugId, updated.version)
+      return
+    }
+
+    await apiRequest(`${base}/${entry.bugId}`, { method: 'DELETE', headers: ifMatchSynced(entry.bugId) })
+  } catch (error) {
+    // Deleting a bug that is already gone is what we wanted anyway
+    if (!(entry.type === 'delete' && error instanceof ApiError && error.status === 404)) {
+      throw await toSyncConflict(error, entry)
+    }
+  }
+  setVersion(entry.bugId, undefined)
+}
+
+// Replace the local cache of the current project with the server copy,
+// keeping anything that still has unsynced changes and queueing bugs that
+// were never synced at all. Resolves to true when it queued something new.
+const pull = async (): Promise<boolean> => {
+  const projectKey = getCurrentProjectKey() ?? undefined
+  const serverBugs = await createHttpAdapter(projectKey).list()
+  const serverIds = new Set(serverBugs.map(bug => bug.id))
+  const versions = readVersions()
+  const blocked = new Set([...readOutbox(), ...readConflicts().map(conflict => conflict.entry)].map(entry => entry.bugId))
+
+  const localBugs = readStoredBugs(projectKey)
+  const kept = localBugs.filter(bug => blocked.has(bug.id))
+  const neverSynced = localBugs.filter(bug => !blocked.has(bug.id) && !serverIds.has(bug.id) && versions[bug.id] === undefined)
+
+  neverSynced.forEach(bug => {
+    SyncService.enqueue({ type: 'create', bugId: bug.id, projectKey, payload: toCreateRequest(bug) }, { flush: false })
+  })
+
+  const keptIds = new Set([...kept, ...neverSynced].map(bug => bug.id))
+  writeStoredBugs([
+    ...serverBugs.filter(bug => !keptIds.has(bug.id)),
+    ...kept,
+    ...neverSynced
+  ], projectKey)
+
+  // Other projects' bugs keep their versions until those projects are pulled
+  const localIds = new Set(localBugs.map(bug => bug.id))
+  writeVersions(Object.fromEntries([
+    ...Object.entries(versions).filter(([id]) => !localIds.has(id) && !serverIds.has(id)),
+    ...serverBugs.filter(bug => bug.version !== undefined).map(bug => [bug.id, bug.version])
+  ]))
+  return neverSynced.length > 0
+}
+
+type Listener = (state: SyncState) => void
+
+const listeners = new Set<Listener>()
+let currentStatus: SyncState['status'] = isOnline() ? 'idle' : 'offline'
+let error: string | null = null
+let flushing: Promise<void> | null = null
+let started = false
+
+const getState = (): SyncState => ({
+  status: currentStatus,
+  pending: readOutbox().length,
+  conflicts: readConflicts(),
+  lastSyncedAt: readJson<string | null>(LAST_SYNCED_KEY, null),
+  error
+})
+
+const emit = () => {
+  const state = getState()
+  listeners.forEach(listener => listener(state))
+}
+
+const setStatus = (next: SyncState['status'], message: string | null = null) => {
+  currentStatus = next
+  error = message
+  emit()
+}
+
+const drainOutbox = async () => {
+  // Entries behind a conflict for the same bug wait until it is resolved
+  const skipped = new Set(readConflicts().map(conflict => conflict.entry.bugId))
+  let entry: OutboxEntry | undefined
+
+  while ((entry = readOutbox().find(queued => !skipped.has(queued.bugId)))) {
+    const current = entry
+
+    try {
+      await replay(current)
+    } catch (replayError) {
+      // Lost connectivity, auth and server errors stop the sync; anything
+      // else the server refused is handed to the user as a conflict
+      const isConflict = replayError instanceof SyncConflictError ||
+        (replayError instanceof ApiError && replayError.status !== 401 && replayError.status < 500)
+      if (!isConflict) {
+        throw replayError
+      }
+
+      const conflict: SyncConflict = {
+        id: current.id,
+        entry: current,
+        reason: replayError instanceof Error ? replayError.message : 'The server rejected this change',
+        local: readStoredBugs(current.projectKey).find(bug => bug.id === current.bugId) ?? null,
+        server: replayError instanceof SyncConflictError
+          ? replayError.server
+          : await fetchServerBug(current.bugId, current.projectKey),
+        detectedAt: new Date().toISOString()
+      }
+      writeConflicts([...readConflicts(), conflict])
+      skipped.add(current.bugId)
+    }
+
+    writeOutbox(readOutbox().filter(queued => queued.id !== current.id))
+    emit()
+  }
+}
+
+const runFlush = async () => {
+  setStatus('syncing')
+
+  try {
+    do {
+      await drainOutbox()
+    } while (await pull())
+
+    writeJson(LAST_SYNCED_KEY, new Date().toISOString())
+    setStatus('idle')
+  } catch (flushError) {
+    if (isNetworkError(flushError)) {
+      setStatus('offline')
+    } else if (flushError instanceof ApiError && flushError.status === 401) {
+      setStatus('error', 'Sign in to sync your changes')
+    } else {
+      console.error('Error syncing bugs:', flushError)
+      setStatus('error', flushError instanceof Error ? flushError.message : 'Sync failed')
+    }
+  }
+}
+
+export class SyncService {
+  static getState(): SyncState {
+    return getState()
+  }
+
+  static subscribe(listener: Listener): () => void {
+    listeners.add(listener)
+    return () => {
+      listeners.delete(listener)
+    }
+  }
+
+  // Listen for connectivity changes and push anything queued while offline
+  static start() {
+    if (started || typeof window === 'undefined') return
+    started = true
+
+    window.addEventListener('online', () => {
+      void SyncService.flush()
+    })
+    window.addEventListener('offline', () => setStatus('offline'))
+
+    void SyncService.flush()
+  }
+
+  static enqueue(input: OutboxEntryInput, { flush = true } = {}) {
+    const outbox = readOutbox()
+
+    // Deleting a bug the server has never seen just drops its queued changes
+    if (input.type === 'delete' && outbox.some(entry => entry.bugId === input.bugId && entry.type === 'create')) {
+      writeOutbox(outbox.filter(entry => entry.bugId !== input.bugId))
+    } else {
+      writeOutbox([...outbox, { ...input, id: generateEntryId(), queuedAt: new Date().toISOString() } as OutboxEntry])
+    }
+
+    emit()
+    if (flush) {
+      void SyncService.flush()
+    }
+  }
+
+  static async flush(): Promise<void> {
+    if (!isOnline()) {
+      setStatus('offline')
+      return
+    }
+
+    if (!flushing) {
+      flushing = runFlush().finally(() => {
+        flushing = null
+      })
+    }
+    return flushing
+  }
+
+  static async resolveConflict(conflictId: string, resolution: SyncConflictResolution): Promise<void> {
+    const conflict = readConflicts().find(candidate => candidate.id === conflictId)
+    if (!conflict) return
+
+    const { entry, local, server } = conflict
+    writeConflicts(readConflicts().filter(candidate => candidate.id !== conflictId))
+
+    if (resolution === 'server') {
+      // Throw away every local change to this bug and take the server copy
+      writeOutbox(readOutbox().filter(queued => queued.bugId !== entry.bugId))
+      replaceLocalBug(entry.bugId, server, entry.projectKey)
+      setVersion(entry.bugId, server?.version)
+    } else if (!server && local && entry.type !== 'delete') {
+      // Deleted on the server but we want to keep it: send it again as new
+      setVersion(entry.bugId, undefined)
+      writeOutbox([
+        {
+          id: generateEntryId(),
+          type: 'create',
+          bugId: local.id,
+          projectKey: entry.projectKey,
+          payload: toCreateRequest(local),
+          queuedAt: new Date().toISOString()
+        },
+        ...readOutbox().filter(queued => queued.bugId !== entry.bugId)
+      ])
+    } else {
+      // Accept the server version as the new base and replay our change on top
+      setVersion(entry.bugId, server?.version)
+      writeOutbox([entry, ...readOutbox()])
+    }
+
+    emit()
+    await SyncService.flush()
+  }
+}
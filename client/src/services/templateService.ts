@@ -0,0 +1,46 @@
+import { BugTemplate, BugTemplateRequest } from '@/types/template'
+import { apiRequest } from './api'
+
+interface ServerBugTemplate extends Omit<BugTemplate, 'id'> {
+  _id: string
+  createdBy?: string
+}
+
+const toTemplate = ({ _id, createdBy, ...template }: ServerBugTemplate): BugTemplate => ({
+  ...template,
+  id: _id,
+  defaults: template.defaults ?? {},
+  fields: template.fields ?? []
+})
+
+export class TemplateService {
+  static async getTemplates(): Promise<BugTemplate[]> {
+    try {
+      const templates = await apiRequest<ServerBugTemplate[]>('/templates')
+      return templates.map(toTemplate)
+    } catch (error) {
+      console.error('Error fetching templates:', error)
+      throw new Error('Failed to fetch templates')
+    }
+  }
+
+  static async createTemplate(template: BugTemplateRequest): Promise<BugTemplate> {
+    const created = await apiRequest<ServerBugTemplate>('/templates', {
+      method: 'POST',
+      body: JSON.stringify(template)
+    })
+    return toTemplate(created)
+  }
+
+  static async updateTemplate(id: string, changes: Partial<BugTemplateRequest>): Promise<BugTemplate> {
+    const updated = await apiRequest<ServerBugTemplate>(`/templates/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
+    })
+    return toTemplate(updated)
+  }
+
+  static async deleteTemplate(id: string): Promise<void> {
+    await apiRequest(`/templates/${id}`, { method: 'DELETE' })
+  }
+}
@@ -1,23 +1,64 @@
+import { useState } from 'react'
 import { Bug } from '@/types/bug'
+import { BugLink } from '@/types/bugLink'
+import { CustomFieldDefinition } from '@/types/customField'
+import { Project } from '@/types/project'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Badge } from '@/components/ui/badge'
 import { Button } from '@/components/ui/button'
-import { Calendar, User, Tag, AlertTriangle, Edit, Trash2 } from 'lucide-react'
+import { Checkbox } from '@/components/ui/checkbox'
+import { Calendar, User, Tag, AlertTriangle, Edit, Trash2, History } from 'lucide-react'
 import { cn } from '@/lib/utils'
+import { getStatusLabel, getStatusTransitions } from '@/utils/bugWorkflow'
+import { can, canEditBug } from '@/utils/bugPermissions'
+import { getOpenBlockers, isBlockedStatus } from '@/utils/bugLinks'
+import { useAuth } from '@/use-auth'
+import { BugHistoryTimeline } from './BugHistoryTimeline'
+import { BugComments } from './BugComments'
+import { BugDuplicateLink } from './BugDuplicateLink'
+import { BugDuplicatePicker } from './BugDuplicatePicker'
+import { BugLinks } from './BugLinks'
+import { BugAttachments } from './BugAttachments'
+import { BugCustomFields } from './BugCustomFields'
 
 interface BugCardProps {
   bug: Bug
   onEdit: (bug: Bug) => void
   onDelete: (id: string) => void
   onStatusChange: (id: string, status: Bug['status']) => void
+  // Shows a selection checkbox when provided
+  onSelectChange?: (id: string, selected: boolean) => void
+  selected?: boolean
+  // Lets "Mark Duplicate" ask for the original; a plain status change without it
+  onMarkDuplicate?: (id: string, originalId: string) => void | Promise<void>
+  // Labels and order for bug.customFields; see use-custom-fields
+  customFields?: CustomFieldDefinition[]
+  // The project the bug belongs to; its member roles decide which actions show
+  project?: Project | null
 }
 
-export const BugCard = ({ bug, onEdit, onDelete, onStatusChange }: BugCardProps) => {
+export const BugCard = ({
+  bug,
+  onEdit,
+  onDelete,
+  onStatusChange,
+  onSelectChange,
+  selected = false,
+  onMarkDuplicate,
+  customFields = [],
+  project
+}: BugCardProps) => {
+  const { user } = useAuth()
+  const [showHistory, setShowHistory] = useState(false)
+  const [isPickingOriginal, setIsPickingOriginal] = useState(false)
+  const [openBlockers, setOpenBlockers] = useState<BugLink[]>([])
+
   const getStatusColor = (status: Bug['status']) => {
     switch (status) {
       case 'open': return 'bg-status-open text-white'
       case 'in-progress': return 'bg-status-progress text-white'
-      case 'resolved': return 'bg-status-resolved text-white'
+      case 'resolved':
+      case 'closed': return 'bg-status-resolved text-white'
       default: return 'bg-muted'
     }
   }
@@ -50,36 +91,59 @@ export const BugCard = ({ bug, onEdit, onDelete, onStatusChange }: BugCardProps)
         bug.severity === 'medium' && "border-l-severity-medium",
         bug.severity === 'low' && "border-l-severity-low"
       )}
+      id={`bug-${bug.id}`}
       data-testid={`bug-card-${bug.id}`}
     >
       <CardHeader className="pb-3">
         <div className="flex items-start justify-between">
-          <CardTitle className="text-lg font-semibold leading-tight">
-            {bug.title}
-          </CardTitle>
+          <div className="flex items-start gap-3">
+            {onSelectChange && (
+              <Checkbox
+                checked={selected}
+                onCheckedChange={(checked) => onSelectChange(bug.id, checked === true)}
+                aria-label={`Select ${bug.title}`}
+                className="mt-1"
+                data-testid={`select-bug-${bug.id}`}
+              />
+            )}
+            <div className="space-y-1">
+              {bug.key && (
+                <div className="font-mono text-xs text-muted-foreground" data-testid={`bug-key-${bug.id}`}>
+                  {bug.key}
+                </div>
+              )}
+              <CardTitle className="text-lg font-semibold leading-tight">
+                {bug.title}
+              </CardTitle>
+            </div>
+          </div>
           <div className="flex gap-2">
-            <Button
-              variant="ghost"
-              size="sm"
-              onClick={() => onEdit(bug)}
-              data-testid={`edit-bug-${bug.id}`}
-            >
-              <Edit className="h-4 w-4" />
-            </Button>
-            <Button
-              variant="ghost"
-              size="sm"
-              onClick={() => onDelete(bug.id)}
-              data-testid={`delete-bug-${bug.id}`}
-            >
-              <Trash2 className="h-4 w-4" />
-            </Button>
+            {canEditBug(user, bug, project) && (
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => onEdit(bug)}
+                data-testid={`edit-bug-${bug.id}`}
+              >
+                <Edit className="h-4 w-4" />
+              </Button>
+            )}
+            {can(user, 'delete', bug, project) && (
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => onDelete(bug.id)}
+                data-testid={`delete-bug-${bug.id}`}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            )}
           </div>
         </div>
 
         <div className="flex gap-2 flex-wrap">
           <Badge className={getStatusColor(bug.status)} data-testid="bug-status">
-            {bug.status.replace('-', ' ')}
+            {getStatusLabel(bug.status)}
           </Badge>
           <Badge className={getSeverityColor(bug.severity)} data-testid="bug-severity">
             <AlertTriangle className="h-3 w-3 mr-1" />
@@ -96,6 +160,14 @@ export const BugCard = ({ bug, onEdit, onDelete, onStatusChange }: BugCardProps)
           {bug.description}
         </p>
 
+        <BugCustomFields values={bug.customFields} definitions={customFields} />
+
+        {bug.duplicateOf && <BugDuplicateLink originalId={bug.duplicateOf} />}
+
+        <BugLinks bug={bug} project={project} onChange={(links) => setOpenBlockers(getOpenBlockers(links))} />
+
+        <BugAttachments bug={bug} project={project} />
+
         {bug.tags.length > 0 && (
           <div className="flex items-center gap-2 flex-wrap">
             <Tag className="h-4 w-4 text-muted-foreground" />
@@ -127,41 +199,55 @@ export const BugCard = ({ bug, onEdit, onDelete, onStatusChange }: BugCardProps)
         </div>
 
         <div className="flex gap-2">
-          {bug.status !== 'resolved' && (
-            <>
-              {bug.status === 'open' && (
-                <Button
-                  variant="outline"
-                  size="sm"
-                  onClick={() => onStatusChange(bug.id, 'in-progress')}
-                  data-testid="start-progress-btn"
-                >
-                  Start Progress
-                </Button>
-              )}
-              {bug.status === 'in-progress' && (
-                <Button
-                  variant="outline" 
-                  size="sm"
-                  onClick={() => onStatusChange(bug.id, 'resolved')}
-                  data-testid="resolve-btn"
-                >
-                  Mark Resolved
-                </Button>
-              )}
-            </>
-          )}
-          {bug.status === 'resolved' && (
-            <Button
-              variant="outline"
-              size="sm"
-              onClick={() => onStatusChange(bug.id, 'open')}
-              data-testid="reopen-btn"
-            >
-              Reopen
-            </Button>
-          )}
+          {can(user, 'changeStatus', bug, project) && getStatusTransitions(bug.status).map(transition => {
+            const isBlocked = isBlockedStatus(transition.to) && openBlockers.length > 0
+
+            return (
+              <Button
+                key={transition.to}
+                variant="outline"
+                size="sm"
+                disabled={isBlocked}
+                title={isBlocked ? `Blocked by ${openBlockers.map(link => link.bug.title).join(', ')}` : undefined}
+                onClick={() => {
+                  if (transition.to === 'duplicate' && onMarkDuplicate) {
+                    setIsPickingOriginal(prev => !prev)
+                  } else {
+                    onStatusChange(bug.id, transition.to)
+                  }
+                }}
+                data-testid={`${transition.action}-btn`}
+              >
+                {transition.label}
+              </Button>
+            )
+          })}
+          <Button
+            variant="ghost"
+            size="sm"
+            className="ml-auto"
+            onClick={() => setShowHistory(prev => !prev)}
+            data-testid={`toggle-history-${bug.id}`}
+          >
+            <History className="h-4 w-4 mr-1" />
+            {showHistory ? 'Hide History' : 'History'}
+          </Button>
         </div>
+
+        {isPickingOriginal && onMarkDuplicate && (
+          <BugDuplicatePicker
+            bug={bug}
+            onSelect={async (originalId) => {
+              await onMarkDuplicate(bug.id, originalId)
+              setIsPickingOriginal(false)
+            }}
+            onCancel={() => setIsPickingOriginal(false)}
+          />
+        )}
+
+        {showHistory && <BugHistoryTimeline bugId={bug.id} />}
+
+        <BugComments bugId={bug.id} project={project} />
       </CardContent>
     </Card>
   )
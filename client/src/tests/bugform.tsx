@@ -1,6 +1,28 @@
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
+import { Controller, FieldErrors, FieldPath, Resolver, useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
 import { Bug, CreateBugRequest, BugSeverity, BugPriority } from '@/types/bug'
-import { validateBugRequest, validateTags } from '@/utils/bugValidation'
+import { CustomFieldDefinition } from '@/types/customField'
+import { BugTemplate } from '@/types/template'
+import { bugSchema, getMaxLength, mergeFieldDefinitions, validateCustomFields } from '@/utils/bugSchema'
+import { applyTemplate } from '@/utils/bugTemplates'
+import { getResponseErrors, getSubmitErrorMessage, validateTags } from '@/utils/bugValidation'
+import { ApiError } from '@/services/api'
+import { BugConflictError } from '@/utils/bugMerge'
+import { BugMergeView } from './BugMergeView'
+import { BugDuplicateSuggestions } from './BugDuplicateSuggestions'
+import { BugTemplatePicker } from './BugTemplatePicker'
+import { CustomFieldInput } from './CustomFieldInput'
+import { BugService } from '@/services/bugService'
+import { DuplicateCandidate } from '@/types/search'
+import { BugDiagnostics } from '@/types/diagnostics'
+import { useDebouncedValue } from '@/use-debounce'
+import { useDraftAutosave } from '@/use-draft-autosave'
+import { useBugTemplates } from '@/use-bug-templates'
+import { useCustomFields } from '@/use-custom-fields'
+import { clearDraft, getDraft } from '@/services/draftStorage'
+import { formatSavedAgo, getDraftKey, isSameValues } from '@/utils/drafts'
+import { ACCEPTED_EXTENSIONS, formatFileSize, validateFiles } from '@/utils/attachments'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
@@ -8,54 +30,271 @@ import { Textarea } from '@/components/ui/textarea'
 import { Label } from '@/components/ui/label'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
 import { Badge } from '@/components/ui/badge'
-import { AlertCircle, X, Plus } from 'lucide-react'
+import { AlertCircle, X, Plus, Paperclip, Activity, History } from 'lucide-react'
 import { Alert, AlertDescription } from '@/components/ui/alert'
 
 interface BugFormProps {
-  onSubmit: (bug: CreateBugRequest) => void
+  // Edits carry the version they were based on; a rejected promise with a
+  // BugConflictError opens the merge view. Files are uploaded by the caller
+  // once the bug has been saved and has an id.
+  onSubmit: (bug: CreateBugRequest & { version?: number }, files: File[]) => void | Promise<void>
   onCancel: () => void
   initialData?: Partial<Bug>
+  // Latest server copy, when the caller already knows initialData is stale
+  serverData?: Bug
+  // Starting values for a new report
+  prefill?: Partial<CreateBugRequest>
+  // Session details to attach to a new report; see utils/sessionDiagnostics
+  diagnostics?: BugDiagnostics
+  // Names this form's drafts; forms that can be open at the same time need different names
+  draftKey?: string
   isLoading?: boolean
 }
 
-export const BugForm = ({ onSubmit, onCancel, initialData, isLoading = false }: BugFormProps) => {
-  const [formData, setFormData] = useState<CreateBugRequest>({
-    title: initialData?.title || '',
-    description: initialData?.description || '',
-    severity: initialData?.severity || 'medium',
-    priority: initialData?.priority || 'medium',
-    reportedBy: initialData?.reportedBy || '',
-    assignedTo: initialData?.assignedTo || '',
-    tags: initialData?.tags || [],
-    stepsToReproduce: initialData?.stepsToReproduce || '',
-    expectedBehavior: initialData?.expectedBehavior || '',
-    actualBehavior: initialData?.actualBehavior || ''
+const TITLE_MAX_LENGTH = getMaxLength('title')
+const DESCRIPTION_MAX_LENGTH = getMaxLength('description')
+
+const isNewerThan = (server: Bug | undefined, base: Partial<Bug> | undefined): server is Bug =>
+  !!server && server.version !== undefined && server.version !== base?.version
+
+const isFormField = (field: string): field is FieldPath<CreateBugRequest> =>
+  field in bugSchema.shape || field.startsWith('customFields.')
+
+const resolveBugSchema = zodResolver(bugSchema.passthrough())
+
+// The shared schema for the built-in fields, plus the custom fields shown.
+// The context is undefined while the template's definitions aren't known, and
+// custom fields are left to the server. So are values of fields we don't
+// show, such as one an admin has since removed
+const bugResolver: Resolver<CreateBugRequest, CustomFieldDefinition[] | undefined> = async (values, definitions, options) => {
+  const result = await resolveBugSchema(values, definitions, options)
+  const shown = new Set(definitions?.map(definition => `customFields.${definition.key}`))
+  const customErrors = definitions
+    ? validateCustomFields(values.customFields, definitions).filter(error => shown.has(error.field))
+    : []
+  if (customErrors.length === 0) return result
+
+  const customFields = Object.fromEntries(customErrors.map(({ field, message }) => [
+    field.replace(/^customFields\./, ''),
+    { type: 'validate', message }
+  ]))
+  return { values: {}, errors: { ...result.errors, customFields } as FieldErrors<CreateBugRequest> }
+}
+
+// Array rules report on the list, item rules on the tag that broke them
+const getTagsError = (error: FieldErrors<CreateBugRequest>['tags']): string | undefined =>
+  error?.message ?? (Array.isArray(error) ? error.find(Boolean)?.message : undefined)
+
+const FieldError = ({ id, message }: { id: string; message?: string }) =>
+  message ? (
+    <p id={id} className="mt-1 text-sm text-destructive" data-testid={id}>{message}</p>
+  ) : null
+
+// Re-renders every second so the age stays current
+const DraftStatus = ({ savedAt }: { savedAt: string }) => {
+  const [now, setNow] = useState(() => new Date())
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 1000)
+    return () => clearInterval(interval)
+  }, [])
+
+  return (
+    <span className="mr-auto self-center text-xs text-muted-foreground" data-testid="draft-status">
+      Draft {formatSavedAgo(savedAt, now)}
+    </span>
+  )
+}
+
+const CharacterCount = ({ length, max }: { length: number; max?: number }) =>
+  max ? (
+    <span className={`text-xs ${length > max ? 'text-destructive' : 'text-muted-foreground'}`}>
+      {length}/{max}
+    </span>
+  ) : null
+
+export const BugForm = ({
+  onSubmit,
+  onCancel,
+  initialData,
+  serverData,
+  prefill,
+  diagnostics,
+  draftKey = 'bug-form',
+  isLoading = false
+}: BugFormProps) => {
+  const defaults = initialData ?? prefill
+  const defaultValues: CreateBugRequest = {
+    title: defaults?.title || '',
+    description: defaults?.description || '',
+    severity: defaults?.severity || 'medium',
+    priority: defaults?.priority || 'medium',
+    reportedBy: defaults?.reportedBy || '',
+    assignedTo: defaults?.assignedTo || '',
+    tags: defaults?.tags || [],
+    stepsToReproduce: defaults?.stepsToReproduce || '',
+    expectedBehavior: defaults?.expectedBehavior || '',
+    actualBehavior: defaults?.actualBehavior || '',
+    template: defaults?.template,
+    customFields: defaults?.customFields
+  }
+
+  const templates = useBugTemplates()
+  const customFields = useCustomFields()
+  const [templateId, setTemplateId] = useState(defaults?.template)
+  const template = templates.find(candidate => candidate.id === templateId) ?? null
+  const templateFields = template ? template.fields : templateId ? undefined : []
+  const fieldDefinitions = templateFields && mergeFieldDefinitions(customFields, templateFields)
+
+  const {
+    register,
+    control,
+    handleSubmit,
+    watch,
+    getValues,
+    reset,
+    setValue,
+    setError,
+    clearErrors,
+    formState: { errors, isSubmitting }
+  } = useForm<CreateBugRequest, CustomFieldDefinition[] | undefined>({
+    resolver: bugResolver,
+    context: fieldDefinitions,
+    // Check a field when the user leaves it, then again on every change until it's fixed
+    mode: 'onBlur',
+    reValidateMode: 'onChange',
+    defaultValues
   })
+  const formData = watch()
 
   const [tagInput, setTagInput] = useState('')
-  const [errors, setErrors] = useState<string[]>([])
+  // Problems that don't belong to one field, like an unmerged conflict
+  const [formErrors, setFormErrors] = useState<string[]>([])
+  // The copy our edits are based on, and the newer copy we still have to merge with
+  const [baseData, setBaseData] = useState(initialData)
+  const [conflictData, setConflictData] = useState<Bug | undefined>(
+    isNewerThan(serverData, initialData) ? serverData : undefined
+  )
 
-  const handleInputChange = (field: keyof CreateBugRequest, value: string) => {
-    setFormData(prev => ({ ...prev, [field]: value }))
-    // Clear errors when user starts typing
-    if (errors.length > 0) {
-      setErrors([])
+  useEffect(() => {
+    if (isNewerThan(serverData, baseData)) {
+      setConflictData(serverData)
     }
+  }, [serverData])
+
+  // A draft left over from an earlier visit, until it's restored or discarded
+  const draftStorageKey = getDraftKey(draftKey, initialData?.id)
+  const [savedDraft, setSavedDraft] = useState(() => {
+    const draft = getDraft(draftStorageKey)
+    return draft && !isSameValues(draft.values, defaultValues) ? draft : null
+  })
+  const { savedAt, clear: clearSavedDraft } = useDraftAutosave(draftStorageKey, getValues, {
+    enabled: !savedDraft,
+    baseVersion: initialData?.version
+  })
+
+  const handleRestoreDraft = () => {
+    if (!savedDraft) return
+    reset(savedDraft.values, { keepDefaultValues: true })
+    setTemplateId(savedDraft.values.template)
+    setTagInput('')
+    setSavedDraft(null)
+  }
+
+  const handleSelectTemplate = (selected: BugTemplate | null) => {
+    reset(applyTemplate(getValues(), selected, template), { keepDefaultValues: true })
+    setTemplateId(selected?.id)
   }
 
+  const handleDiscardDraft = () => {
+    clearDraft(draftStorageKey)
+    setSavedDraft(null)
+  }
+
+  const [files, setFiles] = useState<File[]>([])
+  const [fileErrors, setFileErrors] = useState<string[]>([])
+  const [attachDiagnostics, setAttachDiagnostics] = useState(true)
+
+  // Only new reports are checked for duplicates
+  const isNew = !initialData?.id
+  const [duplicates, setDuplicates] = useState<DuplicateCandidate[]>([])
+  const [isHoldingForDuplicates, setIsHoldingForDuplicates] = useState(false)
+  const [duplicatesAcknowledged, setDuplicatesAcknowledged] = useState(false)
+
+  const debouncedTitle = useDebouncedValue(formData.title.trim(), 400)
+  const debouncedDescription = useDebouncedValue(formData.description.trim(), 400)
+
+  useEffect(() => {
+    if (!isNew || debouncedTitle.length < 3) {
+      setDuplicates([])
+      return
+    }
+
+    let cancelled = false
+
+    BugService.findDuplicates({ title: debouncedTitle, description: debouncedDescription })
+      .then(found => {
+        if (!cancelled) setDuplicates(found)
+      })
+      // A failed lookup shouldn't stop anyone reporting a bug
+      .catch(() => {
+        if (!cancelled) setDuplicates([])
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [isNew, debouncedTitle, debouncedDescription])
+
+  // Tags are checked as they're added, so a bad one never makes it into the list
   const handleAddTag = () => {
-    if (tagInput.trim() && !formData.tags.includes(tagInput.trim())) {
-      const newTags = [...formData.tags, tagInput.trim()]
-      setFormData(prev => ({ ...prev, tags: newTags }))
-      setTagInput('')
+    const tag = tagInput.trim()
+    if (!tag || formData.tags.includes(tag)) return
+
+    const newTags = [...formData.tags, tag]
+    const { errors: tagErrors } = validateTags(newTags)
+    if (tagErrors.length > 0) {
+      setError('tags', { type: 'validate', message: tagErrors[0].message })
+      return
     }
+
+    setValue('tags', newTags, { shouldDirty: true })
+    clearErrors('tags')
+    setTagInput('')
   }
 
   const handleRemoveTag = (tagToRemove: string) => {
-    setFormData(prev => ({
-      ...prev,
-      tags: prev.tags.filter(tag => tag !== tagToRemove)
-    }))
+    setValue('tags', formData.tags.filter(tag => tag !== tagToRemove), { shouldDirty: true, shouldValidate: true })
+  }
+
+  const handleApplyMerge = ({ customFields: mergedCustomFields, ...merged }: Partial<CreateBugRequest>) => {
+    // Set custom field values by key so the ones that weren't merged are kept
+    const entries = [
+      ...Object.entries(merged),
+      ...Object.entries(mergedCustomFields ?? {}).map(([key, value]) => [`customFields.${key}`, value])
+    ]
+    entries.forEach(([field, value]) => {
+      if (isFormField(field)) {
+        setValue(field, value as never, { shouldDirty: true, shouldValidate: true })
+      }
+    })
+    setBaseData(conflictData)
+    setConflictData(undefined)
+    setFormErrors([])
+  }
+
+  const handleAddFiles = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const added = Array.from(e.target.files ?? [])
+    e.target.value = ''
+    const next = [...files, ...added.filter(file => !files.some(existing => existing.name === file.name))]
+    setFiles(next)
+    setFileErrors(validateFiles(next))
+  }
+
+  const handleRemoveFile = (file: File) => {
+    const next = files.filter(existing => existing !== file)
+    setFiles(next)
+    setFileErrors(validateFiles(next))
   }
 
   const handleKeyPress = (e: React.KeyboardEvent) => {
@@ -65,25 +304,72 @@ export const BugForm = ({ onSubmit, onCancel, initialData, isLoading = false }:
     }
   }
 
-  const handleSubmit = (e: React.FormEvent) => {
-    e.preventDefault()
-    console.log('Form submitted with data:', formData) // Debug log
-
-    // Validate form data
-    const validation = validateBugRequest(formData)
-    const tagValidation = validateTags(formData.tags)
+  const submit = async (values: CreateBugRequest, skipDuplicateCheck = duplicatesAcknowledged) => {
+    console.log('Form submitted with data:', values) // Debug log
 
-    const allErrors = [...validation.errors, ...tagValidation.errors]
+    const invalidFiles = validateFiles(files)
+    if (invalidFiles.length > 0) {
+      setFileErrors(invalidFiles)
+      return
+    }
 
-    if (allErrors.length > 0) {
-      setErrors(allErrors.map(error => `${error.field}: ${error.message}`))
-      console.log('Validation errors:', allErrors) // Debug log
+    if (conflictData) {
+      setFormErrors(['Merge your changes with the latest version before saving'])
       return
     }
+    setFormErrors([])
+
+    // Look again rather than trusting the as-you-type check, which may be behind
+    if (isNew && !skipDuplicateCheck) {
+      const found = await BugService.findDuplicates(values).catch(() => [])
+      if (found.length > 0) {
+        setDuplicates(found)
+        setIsHoldingForDuplicates(true)
+        return
+      }
+    }
+
+    const submission = {
+      ...values,
+      ...(isNew && diagnostics && attachDiagnostics ? { diagnostics } : {}),
+      ...(baseData?.version !== undefined ? { version: baseData.version } : {})
+    }
+
+    try {
+      await onSubmit(submission, files)
+      clearSavedDraft()
+    } catch (error) {
+      if (error instanceof BugConflictError) {
+        setConflictData(error.current)
+        return
+      }
+      // The server checks the same schema; put its errors under the fields too
+      const responseErrors = error instanceof ApiError && error.status === 400 ? getResponseErrors(error.data) : []
+      if (responseErrors.length === 0) {
+        setFormErrors([getSubmitErrorMessage(error)])
+        return
+      }
+
+      const otherErrors: string[] = []
+      responseErrors.forEach(({ field, message }, index) => {
+        if (isFormField(field)) {
+          setError(field, { type: 'server', message }, { shouldFocus: index === 0 })
+        } else {
+          otherErrors.push(message)
+        }
+      })
+      setFormErrors(otherErrors)
+    }
+  }
 
-    onSubmit(formData)
+  const onInvalid = (invalid: FieldErrors<CreateBugRequest>) => {
+    console.log('Validation errors:', invalid) // Debug log
+    setFileErrors(validateFiles(files))
   }
 
+  const describedBy = (field: keyof CreateBugRequest) =>
+    errors[field] ? `${field}-error` : undefined
+
   return (
     <Card className="w-full max-w-2xl mx-auto">
       <CardHeader>
@@ -93,13 +379,56 @@ export const BugForm = ({ onSubmit, onCancel, initialData, isLoading = false }:
       </CardHeader>
 
       <CardContent>
-        <form onSubmit={handleSubmit} className="space-y-6" data-testid="bug-form">
-          {errors.length > 0 && (
+        <form
+          onSubmit={handleSubmit(values => submit(values), onInvalid)}
+          noValidate
+          className="space-y-6"
+          data-testid="bug-form"
+        >
+          {savedDraft && (
+            <Alert data-testid="draft-recovery">
+              <History className="h-4 w-4" />
+              <AlertDescription className="flex flex-wrap items-center justify-between gap-2">
+                <span>
+                  You have an unsent draft, {formatSavedAgo(savedDraft.savedAt)}.
+                  {savedDraft.baseVersion !== initialData?.version && ' The bug has changed since then.'}
+                </span>
+                <span className="flex gap-2">
+                  <Button type="button" size="sm" onClick={handleRestoreDraft} data-testid="restore-draft-btn">
+                    Restore
+                  </Button>
+                  <Button type="button" size="sm" variant="outline" onClick={handleDiscardDraft} data-testid="discard-draft-btn">
+                    Discard
+                  </Button>
+                </span>
+              </AlertDescription>
+            </Alert>
+          )}
+
+          {conflictData && (
+            <BugMergeView
+              base={baseData ?? {}}
+              mine={formData}
+              theirs={conflictData}
+              onApply={handleApplyMerge}
+            />
+          )}
+
+          <BugDuplicateSuggestions
+            candidates={duplicates}
+            onSubmitAnyway={isHoldingForDuplicates ? () => {
+              setDuplicatesAcknowledged(true)
+              setIsHoldingForDuplicates(false)
+              void handleSubmit(values => submit(values, true), onInvalid)()
+            } : undefined}
+          />
+
+          {formErrors.length > 0 && (
             <Alert variant="destructive" data-testid="form-errors">
               <AlertCircle className="h-4 w-4" />
               <AlertDescription>
                 <ul className="list-disc list-inside">
-                  {errors.map((error, index) => (
+                  {formErrors.map((error, index) => (
                     <li key={index}>{error}</li>
                   ))}
                 </ul>
@@ -108,107 +437,162 @@ export const BugForm = ({ onSubmit, onCancel, initialData, isLoading = false }:
           )}
 
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {isNew && templates.length > 0 && (
+              <BugTemplatePicker templates={templates} value={templateId} onChange={handleSelectTemplate} />
+            )}
+
             <div className="md:col-span-2">
-              <Label htmlFor="title">Title *</Label>
+              <div className="flex items-center justify-between">
+                <Label htmlFor="title">Title *</Label>
+                <CharacterCount length={formData.title.length} max={TITLE_MAX_LENGTH} />
+              </div>
               <Input
                 id="title"
-                value={formData.title}
-                onChange={(e) => handleInputChange('title', e.target.value)}
+                {...register('title')}
                 placeholder="Brief description of the bug"
+                aria-invalid={!!errors.title}
+                aria-describedby={describedBy('title')}
                 data-testid="title-input"
               />
+              <FieldError id="title-error" message={errors.title?.message} />
             </div>
 
             <div className="md:col-span-2">
-              <Label htmlFor="description">Description *</Label>
+              <div className="flex items-center justify-between">
+                <Label htmlFor="description">Description *</Label>
+                <CharacterCount length={formData.description.length} max={DESCRIPTION_MAX_LENGTH} />
+              </div>
               <Textarea
                 id="description"
-                value={formData.description}
-                onChange={(e) => handleInputChange('description', e.target.value)}
+                {...register('description')}
                 placeholder="Detailed description of the bug"
                 rows={4}
+                aria-invalid={!!errors.description}
+                aria-describedby={describedBy('description')}
                 data-testid="description-input"
               />
+              <FieldError id="description-error" message={errors.description?.message} />
             </div>
 
             <div>
               <Label htmlFor="severity">Severity *</Label>
-              <Select
-                value={formData.severity}
-                onValueChange={(value: BugSeverity) => handleInputChange('severity', value)}
-              >
-                <SelectTrigger data-testid="severity-select">
-                  <SelectValue />
-                </SelectTrigger>
-                <SelectContent>
-                  <SelectItem value="low">Low</SelectItem>
-                  <SelectItem value="medium">Medium</SelectItem>
-                  <SelectItem value="high">High</SelectItem>
-                  <SelectItem value="critical">Critical</SelectItem>
-                </SelectContent>
-              </Select>
+              <Controller
+                name="severity"
+                control={control}
+                render={({ field }) => (
+                  <Select
+                    value={field.value}
+                    onValueChange={(value: BugSeverity) => field.onChange(value)}
+                  >
+                    <SelectTrigger
+                      id="severity"
+                      ref={field.ref}
+                      onBlur={field.onBlur}
+                      aria-invalid={!!errors.severity}
+                      aria-describedby={describedBy('severity')}
+                      data-testid="severity-select"
+                    >
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="low">Low</SelectItem>
+                      <SelectItem value="medium">Medium</SelectItem>
+                      <SelectItem value="high">High</SelectItem>
+                      <SelectItem value="critical">Critical</SelectItem>
+                    </SelectContent>
+                  </Select>
+                )}
+              />
+              <FieldError id="severity-error" message={errors.severity?.message} />
             </div>
 
             <div>
               <Label htmlFor="priority">Priority *</Label>
-              <Select
-                value={formData.priority}
-                onValueChange={(value: BugPriority) => handleInputChange('priority', value)}
-              >
-                <SelectTrigger data-testid="priority-select">
-                  <SelectValue />
-                </SelectTrigger>
-                <SelectContent>
-                  <SelectItem value="low">Low</SelectItem>
-                  <SelectItem value="medium">Medium</SelectItem>
-                  <SelectItem value="high">High</SelectItem>
-                  <SelectItem value="critical">Critical</SelectItem>
-                </SelectContent>
-              </Select>
+              <Controller
+                name="priority"
+                control={control}
+                render={({ field }) => (
+                  <Select
+                    value={field.value}
+                    onValueChange={(value: BugPriority) => field.onChange(value)}
+                  >
+                    <SelectTrigger
+                      id="priority"
+                      ref={field.ref}
+                      onBlur={field.onBlur}
+                      aria-invalid={!!errors.priority}
+                      aria-describedby={describedBy('priority')}
+                      data-testid="priority-select"
+                    >
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="low">Low</SelectItem>
+                      <SelectItem value="medium">Medium</SelectItem>
+                      <SelectItem value="high">High</SelectItem>
+                      <SelectItem value="critical">Critical</SelectItem>
+                    </SelectContent>
+                  </Select>
+                )}
+              />
+              <FieldError id="priority-error" message={errors.priority?.message} />
             </div>
 
             <div>
               <Label htmlFor="reportedBy">Reported By *</Label>
               <Input
                 id="reportedBy"
-                value={formData.reportedBy}
-                onChange={(e) => handleInputChange('reportedBy', e.target.value)}
+                {...register('reportedBy')}
                 placeholder="reporter@example.com"
+                aria-invalid={!!errors.reportedBy}
+                aria-describedby={describedBy('reportedBy')}
                 data-testid="reporter-input"
               />
+              <FieldError id="reportedBy-error" message={errors.reportedBy?.message} />
             </div>
 
             <div>
               <Label htmlFor="assignedTo">Assigned To</Label>
               <Input
                 id="assignedTo"
-                value={formData.assignedTo}
-                onChange={(e) => handleInputChange('assignedTo', e.target.value)}
+                {...register('assignedTo')}
                 placeholder="assignee@example.com"
+                aria-invalid={!!errors.assignedTo}
+                aria-describedby={describedBy('assignedTo')}
                 data-testid="assignee-input"
               />
+              <FieldError id="assignedTo-error" message={errors.assignedTo?.message} />
             </div>
 
             <div className="md:col-span-2">
               <Label htmlFor="tags">Tags</Label>
-              <div className="flex gap-2 mb-2">
-                <Input
-                  id="tags"
-                  value={tagInput}
-                  onChange={(e) => setTagInput(e.target.value)}
-                  onKeyPress={handleKeyPress}
-                  placeholder="Add a tag and press Enter"
-                  data-testid="tag-input"
-                />
-                <Button
-                  type="button"
-                  variant="outline"
-                  onClick={handleAddTag}
-                  data-testid="add-tag-btn"
-                >
-                  <Plus className="h-4 w-4" />
-                </Button>
-              </div>
+              <Controller
+                name="tags"
+                control={control}
+                render={({ field }) => (
+                  <div className="flex gap-2 mb-2">
+                    <Input
+                      id="tags"
+                      ref={field.ref}
+                      value={tagInput}
+                      onChange={(e) => setTagInput(e.target.value)}
+                      onKeyPress={handleKeyPress}
+                      placeholder="Add a tag and press Enter"
+                      aria-invalid={!!errors.tags}
+                      aria-describedby={describedBy('tags')}
+                      data-testid="tag-input"
+                    />
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={handleAddTag}
+                      data-testid="add-tag-btn"
+                    >
+                      <Plus className="h-4 w-4" />
+                    </Button>
+                  </div>
+                )}
+              />
               <div className="flex gap-2 flex-wrap">
                 {formData.tags.map((tag, index) => (
                   <Badge key={index} variant="secondary" className="flex items-center gap-1">
@@ -221,46 +605,124 @@ export const BugForm = ({ onSubmit, onCancel, initialData, isLoading = false }:
                   </Badge>
                 ))}
               </div>
+              <FieldError id="tags-error" message={getTagsError(errors.tags)} />
             </div>
 
             <div className="md:col-span-2">
               <Label htmlFor="stepsToReproduce">Steps to Reproduce</Label>
               <Textarea
                 id="stepsToReproduce"
-                value={formData.stepsToReproduce}
-                onChange={(e) => handleInputChange('stepsToReproduce', e.target.value)}
+                {...register('stepsToReproduce')}
                 placeholder="1. Step one&#10;2. Step two&#10;3. Step three"
                 rows={3}
+                aria-invalid={!!errors.stepsToReproduce}
+                aria-describedby={describedBy('stepsToReproduce')}
                 data-testid="steps-input"
               />
+              <FieldError id="stepsToReproduce-error" message={errors.stepsToReproduce?.message} />
             </div>
 
             <div>
               <Label htmlFor="expectedBehavior">Expected Behavior</Label>
               <Textarea
                 id="expectedBehavior"
-                value={formData.expectedBehavior}
-                onChange={(e) => handleInputChange('expectedBehavior', e.target.value)}
+                {...register('expectedBehavior')}
                 placeholder="What should happen"
                 rows={3}
+                aria-invalid={!!errors.expectedBehavior}
+                aria-describedby={describedBy('expectedBehavior')}
                 data-testid="expected-input"
               />
+              <FieldError id="expectedBehavior-error" message={errors.expectedBehavior?.message} />
             </div>
 
             <div>
               <Label htmlFor="actualBehavior">Actual Behavior</Label>
               <Textarea
                 id="actualBehavior"
-                value={formData.actualBehavior}
-                onChange={(e) => handleInputChange('actualBehavior', e.target.value)}
+                {...register('actualBehavior')}
                 placeholder="What actually happens"
                 rows={3}
+                aria-invalid={!!errors.actualBehavior}
+                aria-describedby={describedBy('actualBehavior')}
                 data-testid="actual-input"
               />
+              <FieldError id="actualBehavior-error" message={errors.actualBehavior?.message} />
+            </div>
+
+            {(fieldDefinitions ?? customFields).map(definition => (
+              <Controller
+                key={definition.key}
+                name={`customFields.${definition.key}`}
+                control={control}
+                render={({ field }) => (
+                  <CustomFieldInput
+                    definition={definition}
+                    value={field.value}
+                    onChange={field.onChange}
+                    onBlur={field.onBlur}
+                    inputRef={field.ref}
+                    error={errors.customFields?.[definition.key]?.message}
+                  />
+                )}
+              />
+            ))}
+
+            {isNew && diagnostics && (
+              <div className="md:col-span-2 rounded-md border p-3 text-sm" data-testid="diagnostics-summary">
+                <div className="flex items-center justify-between">
+                  <span className="flex items-center gap-2 font-medium">
+                    <Activity className="h-4 w-4" />
+                    Session diagnostics
+                  </span>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setAttachDiagnostics(prev => !prev)}
+                    data-testid="toggle-diagnostics"
+                  >
+                    {attachDiagnostics ? "Don't attach" : 'Attach'}
+                  </Button>
+                </div>
+                <p className={attachDiagnostics ? 'text-muted-foreground' : 'text-muted-foreground line-through'}>
+                  {diagnostics.consoleErrors.length} errors, {diagnostics.failedRequests.length} failed requests
+                  and {diagnostics.recentLogs.length} log lines from {diagnostics.url}
+                </p>
+              </div>
+            )}
+
+            <div className="md:col-span-2">
+              <Label htmlFor="attachments">Attachments</Label>
+              <Input
+                id="attachments"
+                type="file"
+                multiple
+                accept={ACCEPTED_EXTENSIONS}
+                onChange={handleAddFiles}
+                aria-invalid={fileErrors.length > 0}
+                data-testid="attachments-input"
+              />
+              <p className="mt-1 text-xs text-muted-foreground">Screenshots, logs and HAR files</p>
+              <div className="flex gap-2 flex-wrap mt-2">
+                {files.map(file => (
+                  <Badge key={file.name} variant="secondary" className="flex items-center gap-1">
+                    <Paperclip className="h-3 w-3" />
+                    {file.name} ({formatFileSize(file.size)})
+                    <X
+                      className="h-3 w-3 cursor-pointer"
+                      onClick={() => handleRemoveFile(file)}
+                      data-testid={`remove-file-${file.name}`}
+                    />
+                  </Badge>
+                ))}
+              </div>
+              <FieldError id="attachments-error" message={fileErrors.join(', ') || undefined} />
             </div>
           </div>
 
           <div className="flex gap-4 justify-end">
+            {savedAt && <DraftStatus savedAt={savedAt} />}
             <Button
               type="button"
               variant="outline"
@@ -272,7 +734,7 @@ export const BugForm = ({ onSubmit, onCancel, initialData, isLoading = false }:
             </Button>
             <Button
               type="submit"
-              disabled={isLoading}
+              disabled={isLoading || isSubmitting}
               data-testid="submit-btn"
             >
               {isLoading ? 'Saving...' : (initialData ? 'Update Bug' : 'Create Bug')}
@@ -282,4 +744,4 @@ export const BugForm = ({ onSubmit, onCancel, initialData, isLoading = false }:
       </CardContent>
     </Card>
   )
-}
\ No newline at end of file
+}
@@ -1,11 +1,29 @@
-import { Bug } from '@/types/bug'
+import { Bug, BugPage, BulkBugPatch, BulkResult } from '@/types/bug'
+import { BugSearchResult } from '@/types/search'
 import { BugCard } from './BugCard'
+import { BugBulkToolbar } from './BugBulkToolbar'
+import { BugSearchSnippets } from './BugSearchSnippets'
+import { UserMenu } from './UserMenu'
+import { SyncStatusIndicator } from './SyncStatusIndicator'
+import { BugQueryInput } from './BugQueryInput'
+import { SavedViewsSidebar } from './SavedViewsSidebar'
+import { ProjectSwitcher } from './ProjectSwitcher'
 import { Button } from '@/components/ui/button'
-import { Input } from '@/components/ui/input'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
 import { Badge } from '@/components/ui/badge'
-import { Search, Filter, Plus } from 'lucide-react'
-import { useState, useMemo } from 'react'
+import { Checkbox } from '@/components/ui/checkbox'
+import { Filter, Plus, Columns3, ChevronLeft, ChevronRight } from 'lucide-react'
+import { useState, useMemo, useEffect } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { BUG_STATUSES, getStatusLabel } from '@/utils/bugWorkflow'
+import { BUG_STORAGE_KIND, BugService } from '@/services/bugService'
+import { useDebouncedValue } from '@/use-debounce'
+import { useAuth } from '@/use-auth'
+import { useCustomFields } from '@/use-custom-fields'
+import { useProjects } from '@/use-projects'
+import { matchesQuery, parseQuery } from '@/utils/bugQuery'
+import { filtersFromSearchParams, filtersToSearchParams } from '@/utils/bugFilters'
+import { BugFilters } from '@/types/savedView'
 
 interface BugListProps {
   bugs: Bug[]
@@ -13,6 +31,16 @@ interface BugListProps {
   onEdit: (bug: Bug) => void
   onDelete: (id: string) => void
   onStatusChange: (id: string, status: Bug['status']) => void
+  // Multi-select and the bulk toolbar only appear when onBulkUpdate is provided
+  onBulkUpdate?: (ids: string[], patch: BulkBugPatch) => Promise<BulkResult[]>
+  onBulkDelete?: (ids: string[]) => Promise<BulkResult[]>
+  onMarkDuplicate?: (id: string, originalId: string) => void | Promise<void>
+  // Called after the project switcher changes project, to load its bugs
+  onProjectChange?: () => void
+  // Where `bugs` sits in the whole list, from BugService.getBugPage. Filters
+  // apply to the loaded page; the pager asks for another through onPageChange
+  pagination?: Omit<BugPage, 'bugs'>
+  onPageChange?: (page: number) => void
   isLoading?: boolean
 }
 
@@ -22,24 +50,97 @@ export const BugList = ({
   onEdit, 
   onDelete, 
   onStatusChange, 
+  onBulkUpdate,
+  onBulkDelete,
+  onMarkDuplicate,
+  onProjectChange,
+  pagination,
+  onPageChange,
   isLoading = false 
 }: BugListProps) => {
-  const [searchTerm, setSearchTerm] = useState('')
-  const [statusFilter, setStatusFilter] = useState<string>('all')
-  const [severityFilter, setSeverityFilter] = useState<string>('all')
+  const { user } = useAuth()
+  const { projects, currentKey, currentProject, selectProject } = useProjects()
+  const customFields = useCustomFields(currentKey)
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [selectedIds, setSelectedIds] = useState<Set<string>>(new Set())
+  const [searchResults, setSearchResults] = useState<BugSearchResult[] | null>(null)
+  const [searchError, setSearchError] = useState<string | null>(null)
+  const [isSearching, setIsSearching] = useState(false)
+
+  // Filters live in the URL so they survive a refresh and can be shared
+  const filters = useMemo(() => filtersFromSearchParams(searchParams), [searchParams])
+  const { search: searchTerm, status: statusFilter, severity: severityFilter } = filters
+
+  // Typing replaces the current history entry; picking a view adds one so Back undoes it
+  const updateFilters = (changes: Partial<BugFilters>, { replace = true } = {}) => {
+    setSearchParams(
+      params => filtersToSearchParams({ ...filtersFromSearchParams(params), ...changes }, params),
+      { replace }
+    )
+  }
+  const setSearchTerm = (search: string) => updateFilters({ search })
+  const setStatusFilter = (status: string) => updateFilters({ status: status as BugFilters['status'] })
+  const setSeverityFilter = (severity: string) => updateFilters({ severity: severity as BugFilters['severity'] })
+
+  // field:value terms filter here, custom fields included; only the free
+  // text goes to full-text search
+  const parsedQuery = useMemo(() => parseQuery(searchTerm, customFields), [searchTerm, customFields])
+  const freeText = parsedQuery.text
+    .map(term => /\s/.test(term) ? `"${term}"` : term)
+    .join(' ')
+  const debouncedSearch = useDebouncedValue(freeText, 300)
+
+  const suggestionContext = useMemo(() => ({
+    tags: [...new Set(bugs.flatMap(bug => bug.tags))].sort(),
+    users: [...new Set(bugs.flatMap(bug => [bug.assignedTo, bug.reportedBy]).filter((name): name is string => Boolean(name)))].sort(),
+    customFields
+  }), [bugs, customFields])
+
+  useEffect(() => {
+    if (!debouncedSearch) {
+      setSearchResults(null)
+      setSearchError(null)
+      return
+    }
+
+    let cancelled = false
+
+    setIsSearching(true)
+    BugService.searchBugs(debouncedSearch)
+      .then(results => {
+        if (!cancelled) {
+          setSearchResults(results)
+          setSearchError(null)
+        }
+      })
+      .catch(err => {
+        if (!cancelled) setSearchError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setIsSearching(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [debouncedSearch, bugs])
+
+  const snippetsById = useMemo(
+    () => new Map((searchResults ?? []).map(result => [result.bug.id, result.snippets])),
+    [searchResults]
+  )
 
   const filteredBugs = useMemo(() => {
     let filtered = bugs
 
-    // Search filter
-    if (searchTerm) {
-      filtered = filtered.filter(bug =>
-        bug.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        bug.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        bug.tags.some(tag => tag.toLowerCase().includes(searchTerm.toLowerCase()))
-      )
+    // Search results, best match first; prefer our copy of each bug as it may be newer
+    if (searchResults) {
+      const bugsById = new Map(bugs.map(bug => [bug.id, bug]))
+      filtered = searchResults.map(result => bugsById.get(result.bug.id) ?? result.bug)
     }
 
+    filtered = filtered.filter(bug => matchesQuery(bug, parsedQuery, user, { includeText: false, customFields }))
+
     // Status filter
     if (statusFilter !== 'all') {
       filtered = filtered.filter(bug => bug.status === statusFilter)
@@ -51,11 +152,45 @@ export const BugList = ({
     }
 
     return filtered
-  }, [bugs, searchTerm, statusFilter, severityFilter])
+  }, [bugs, searchResults, parsedQuery, user, customFields, statusFilter, severityFilter])
+
+  const selectable = Boolean(onBulkUpdate)
+  // Drop selections for bugs that are no longer visible
+  const selectedBugIds = filteredBugs.filter(bug => selectedIds.has(bug.id)).map(bug => bug.id)
+  const allSelected = filteredBugs.length > 0 && selectedBugIds.length === filteredBugs.length
+
+  const handleSelectChange = (id: string, selected: boolean) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev)
+      if (selected) {
+        next.add(id)
+      } else {
+        next.delete(id)
+      }
+      return next
+    })
+  }
+
+  const handleSelectAll = (selected: boolean) => {
+    setSelectedIds(selected ? new Set(filteredBugs.map(bug => bug.id)) : new Set())
+  }
+
+  const handleProjectSelect = (key: string | null) => {
+    selectProject(key)
+    setSelectedIds(new Set())
+    onProjectChange?.()
+  }
+
+  // Keep failed bugs selected so the action can be retried on just those
+  const runBulk = async (action: (ids: string[]) => Promise<BulkResult[]>) => {
+    const results = await action(selectedBugIds)
+    setSelectedIds(new Set(results.filter(result => !result.ok).map(result => result.id)))
+    return results
+  }
 
   const getStatusCounts = () => {
     return {
-      total: bugs.length,
+      total: pagination?.total ?? bugs.length,
       open: bugs.filter(bug => bug.status === 'open').length,
       inProgress: bugs.filter(bug => bug.status === 'in-progress').length,
       resolved: bugs.filter(bug => bug.status === 'resolved').length
@@ -73,136 +208,217 @@ export const BugList = ({
   }
 
   return (
-    <div className="space-y-6">
-      {/* Header with Stats */}
-      <div className="flex items-center justify-between">
-        <div>
-          <h1 className="text-3xl font-bold bg-gradient-primary bg-clip-text text-transparent">
-            Bug Tracker
-          </h1>
-          <p className="text-muted-foreground">
-            Track and manage project bugs effectively
-          </p>
-        </div>
-        <Button onClick={onCreateNew} data-testid="create-bug-btn">
-          <Plus className="h-4 w-4 mr-2" />
-          Report Bug
-        </Button>
-      </div>
+    <div className="flex gap-6">
+      <SavedViewsSidebar
+        bugs={bugs}
+        filters={filters}
+        customFields={customFields}
+        onSelect={(view) => updateFilters(view, { replace: false })}
+      />
 
-      {/* Stats */}
-      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-        <div className="bg-gradient-bg p-4 rounded-lg border">
-          <div className="text-2xl font-bold">{statusCounts.total}</div>
-          <div className="text-sm text-muted-foreground">Total Bugs</div>
-        </div>
-        <div className="bg-gradient-bg p-4 rounded-lg border">
-          <div className="text-2xl font-bold text-status-open">{statusCounts.open}</div>
-          <div className="text-sm text-muted-foreground">Open</div>
-        </div>
-        <div className="bg-gradient-bg p-4 rounded-lg border">
-          <div className="text-2xl font-bold text-status-progress">{statusCounts.inProgress}</div>
-          <div className="text-sm text-muted-foreground">In Progress</div>
+      <div className="flex-1 min-w-0 space-y-6">
+        {/* Header with Stats */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold bg-gradient-primary bg-clip-text text-transparent">
+              Bug Tracker
+            </h1>
+            <p className="text-muted-foreground">
+              Track and manage project bugs effectively
+            </p>
+          </div>
+          <div className="flex items-center gap-4">
+            {BUG_STORAGE_KIND === 'offline' && <SyncStatusIndicator />}
+            <ProjectSwitcher projects={projects} currentKey={currentKey} onSelect={handleProjectSelect} />
+            <UserMenu />
+            <Button variant="outline" asChild>
+              <Link to="/board" data-testid="board-view-link">
+                <Columns3 className="h-4 w-4 mr-2" />
+                Board
+              </Link>
+            </Button>
+            <Button onClick={onCreateNew} data-testid="create-bug-btn">
+              <Plus className="h-4 w-4 mr-2" />
+              Report Bug
+            </Button>
+          </div>
         </div>
-        <div className="bg-gradient-bg p-4 rounded-lg border">
-          <div className="text-2xl font-bold text-status-resolved">{statusCounts.resolved}</div>
-          <div className="text-sm text-muted-foreground">Resolved</div>
+
+        {/* Stats */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div className="bg-gradient-bg p-4 rounded-lg border">
+            <div className="text-2xl font-bold">{statusCounts.total}</div>
+            <div className="text-sm text-muted-foreground">Total Bugs</div>
+          </div>
+          <div className="bg-gradient-bg p-4 rounded-lg border">
+            <div className="text-2xl font-bold text-status-open">{statusCounts.open}</div>
+            <div className="text-sm text-muted-foreground">Open</div>
+          </div>
+          <div className="bg-gradient-bg p-4 rounded-lg border">
+            <div className="text-2xl font-bold text-status-progress">{statusCounts.inProgress}</div>
+            <div className="text-sm text-muted-foreground">In Progress</div>
+          </div>
+          <div className="bg-gradient-bg p-4 rounded-lg border">
+            <div className="text-2xl font-bold text-status-resolved">{statusCounts.resolved}</div>
+            <div className="text-sm text-muted-foreground">Resolved</div>
+          </div>
         </div>
-      </div>
 
-      {/* Filters */}
-      <div className="flex gap-4 items-center flex-wrap">
-        <div className="relative flex-1 min-w-64">
-          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-muted-foreground" />
-          <Input
-            placeholder="Search bugs..."
+        {/* Filters */}
+        <div className="flex gap-4 items-center flex-wrap">
+          <BugQueryInput
             value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            className="pl-10"
-            data-testid="search-input"
+            onChange={setSearchTerm}
+            errors={parsedQuery.errors}
+            context={suggestionContext}
+            isSearching={isSearching}
           />
+
+          <Select value={statusFilter} onValueChange={setStatusFilter}>
+            <SelectTrigger className="w-40" data-testid="status-filter">
+              <Filter className="h-4 w-4 mr-2" />
+              <SelectValue placeholder="Status" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All Status</SelectItem>
+              {BUG_STATUSES.map(status => (
+                <SelectItem key={status} value={status}>{getStatusLabel(status)}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+
+          <Select value={severityFilter} onValueChange={setSeverityFilter}>
+            <SelectTrigger className="w-40" data-testid="severity-filter">
+              <Filter className="h-4 w-4 mr-2" />
+              <SelectValue placeholder="Severity" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All Severity</SelectItem>
+              <SelectItem value="low">Low</SelectItem>
+              <SelectItem value="medium">Medium</SelectItem>
+              <SelectItem value="high">High</SelectItem>
+              <SelectItem value="critical">Critical</SelectItem>
+            </SelectContent>
+          </Select>
         </div>
 
-        <Select value={statusFilter} onValueChange={setStatusFilter}>
-          <SelectTrigger className="w-40" data-testid="status-filter">
-            <Filter className="h-4 w-4 mr-2" />
-            <SelectValue placeholder="Status" />
-          </SelectTrigger>
-          <SelectContent>
-            <SelectItem value="all">All Status</SelectItem>
-            <SelectItem value="open">Open</SelectItem>
-            <SelectItem value="in-progress">In Progress</SelectItem>
-            <SelectItem value="resolved">Resolved</SelectItem>
-          </SelectContent>
-        </Select>
-
-        <Select value={severityFilter} onValueChange={setSeverityFilter}>
-          <SelectTrigger className="w-40" data-testid="severity-filter">
-            <Filter className="h-4 w-4 mr-2" />
-            <SelectValue placeholder="Severity" />
-          </SelectTrigger>
-          <SelectContent>
-            <SelectItem value="all">All Severity</SelectItem>
-            <SelectItem value="low">Low</SelectItem>
-            <SelectItem value="medium">Medium</SelectItem>
-            <SelectItem value="high">High</SelectItem>
-            <SelectItem value="critical">Critical</SelectItem>
-          </SelectContent>
-        </Select>
-      </div>
+        {/* Active Filters */}
+        {(searchTerm || statusFilter !== 'all' || severityFilter !== 'all') && (
+          <div className="flex gap-2 items-center flex-wrap">
+            <span className="text-sm text-muted-foreground">Active filters:</span>
+            {searchTerm && (
+              <Badge variant="secondary" className="flex items-center gap-1">
+                Search: {searchTerm}
+                <button onClick={() => setSearchTerm('')}>×</button>
+              </Badge>
+            )}
+            {statusFilter !== 'all' && (
+              <Badge variant="secondary" className="flex items-center gap-1">
+                Status: {statusFilter}
+                <button onClick={() => setStatusFilter('all')}>×</button>
+              </Badge>
+            )}
+            {severityFilter !== 'all' && (
+              <Badge variant="secondary" className="flex items-center gap-1">
+                Severity: {severityFilter}
+                <button onClick={() => setSeverityFilter('all')}>×</button>
+              </Badge>
+            )}
+          </div>
+        )}
+
+        {/* Bulk Actions */}
+        {onBulkUpdate && selectedBugIds.length > 0 && (
+          <BugBulkToolbar
+            selectedCount={selectedBugIds.length}
+            onUpdate={(patch) => runBulk(ids => onBulkUpdate(ids, patch))}
+            onDelete={onBulkDelete && (() => runBulk(onBulkDelete))}
+            onClear={() => setSelectedIds(new Set())}
+            project={currentProject}
+          />
+        )}
+
+        {searchError && (
+          <div className="text-sm text-destructive" data-testid="search-error">{searchError}</div>
+        )}
 
-      {/* Active Filters */}
-      {(searchTerm || statusFilter !== 'all' || severityFilter !== 'all') && (
-        <div className="flex gap-2 items-center flex-wrap">
-          <span className="text-sm text-muted-foreground">Active filters:</span>
-          {searchTerm && (
-            <Badge variant="secondary" className="flex items-center gap-1">
-              Search: {searchTerm}
-              <button onClick={() => setSearchTerm('')}>×</button>
-            </Badge>
+        {/* Bug List */}
+        <div className="space-y-4" data-testid="bug-list">
+          {selectable && filteredBugs.length > 0 && (
+            <label className="flex items-center gap-2 text-sm text-muted-foreground">
+              <Checkbox
+                checked={allSelected ? true : selectedBugIds.length > 0 ? 'indeterminate' : false}
+                onCheckedChange={(checked) => handleSelectAll(checked === true)}
+                data-testid="select-all-bugs"
+              />
+              Select all ({filteredBugs.length})
+            </label>
           )}
-          {statusFilter !== 'all' && (
-            <Badge variant="secondary" className="flex items-center gap-1">
-              Status: {statusFilter}
-              <button onClick={() => setStatusFilter('all')}>×</button>
-            </Badge>
+          {filteredBugs.length === 0 ? (
+            <div className="text-center py-12">
+              <div className="text-muted-foreground mb-4">
+                {bugs.length === 0 ? 'No bugs reported yet' : 'No bugs match your filters'}
+              </div>
+              {bugs.length === 0 && (
+                <Button onClick={onCreateNew} variant="outline">
+                  <Plus className="h-4 w-4 mr-2" />
+                  Report Your First Bug
+                </Button>
+              )}
+            </div>
+          ) : (
+            <div className="grid gap-4">
+              {filteredBugs.map((bug) => {
+                const snippets = snippetsById.get(bug.id)
+
+                return (
+                  <div key={bug.id} className="space-y-2">
+                    <BugCard
+                      bug={bug}
+                      onEdit={onEdit}
+                      onDelete={onDelete}
+                      onStatusChange={onStatusChange}
+                      onSelectChange={selectable ? handleSelectChange : undefined}
+                      selected={selectedIds.has(bug.id)}
+                      onMarkDuplicate={onMarkDuplicate}
+                      customFields={customFields}
+                      project={currentProject}
+                    />
+                    {snippets && <BugSearchSnippets bugId={bug.id} snippets={snippets} />}
+                  </div>
+                )
+              })}
+            </div>
           )}
-          {severityFilter !== 'all' && (
-            <Badge variant="secondary" className="flex items-center gap-1">
-              Severity: {severityFilter}
-              <button onClick={() => setSeverityFilter('all')}>×</button>
-            </Badge>
+
+          {pagination && onPageChange && pagination.totalPages > 1 && (
+            <div className="flex items-center justify-center gap-4" data-testid="bug-pagination">
+              <Button
+                variant="outline"
+                size="sm"
+                disabled={pagination.page <= 1}
+                onClick={() => onPageChange(pagination.page - 1)}
+                data-testid="previous-page-btn"
+              >
+                <ChevronLeft className="h-4 w-4 mr-1" />
+                Previous
+              </Button>
+              <span className="text-sm text-muted-foreground" data-testid="page-status">
+                Page {pagination.page} of {pagination.totalPages}
+              </span>
+              <Button
+                variant="outline"
+                size="sm"
+                disabled={pagination.page >= pagination.totalPages}
+                onClick={() => onPageChange(pagination.page + 1)}
+                data-testid="next-page-btn"
+              >
+                Next
+                <ChevronRight className="h-4 w-4 ml-1" />
+              </Button>
+            </div>
           )}
         </div>
-      )}
-
-      {/* Bug List */}
-      <div className="space-y-4" data-testid="bug-list">
-        {filteredBugs.length === 0 ? (
-          <div className="text-center py-12">
-            <div className="text-muted-foreground mb-4">
-              {bugs.length === 0 ? 'No bugs reported yet' : 'No bugs match your filters'}
-            </div>
-            {bugs.length === 0 && (
-              <Button onClick={onCreateNew} variant="outline">
-                <Plus className="h-4 w-4 mr-2" />
-                Report Your First Bug
-              </Button>
-            )}
-          </div>
-        ) : (
-          <div className="grid gap-4">
-            {filteredBugs.map((bug) => (
-              <BugCard
-                key={bug.id}
-                bug={bug}
-                onEdit={onEdit}
-                onDelete={onDelete}
-                onStatusChange={onStatusChange}
-              />
-            ))}
-          </div>
-        )}
       </div>
     </div>
   )
@@ -13,7 +13,8 @@ import {
   AlertTriangle,
   CheckCircle,
   XCircle,
-  Clock
+  Clock,
+  FilePlus
 } from 'lucide-react'
 
 interface DebugPanelProps {
@@ -23,6 +24,8 @@ interface DebugPanelProps {
   networkRequests: any[]
   onClearLogs: () => void
   onClearErrors: () => void
+  // Shows "Report bug from current session" when provided
+  onReportBug?: () => void
 }
 
 export const DebugPanel = ({ 
@@ -31,7 +34,8 @@ export const DebugPanel = ({
   errors, 
   networkRequests, 
   onClearLogs, 
-  onClearErrors 
+  onClearErrors,
+  onReportBug
 }: DebugPanelProps) => {
   const [isOpen, setIsOpen] = useState(false)
 
@@ -105,9 +109,22 @@ export const DebugPanel = ({
               <span>{stats.resolved} Resolved</span>
             </div>
           </div>
+
+          {onReportBug && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={onReportBug}
+              data-testid="report-session-bug"
+            >
+              <FilePlus className="h-4 w-4 mr-2" />
+              Report bug from current session
+            </Button>
+          )}
         </CardHeader>
 
-        <CardContent className="h-[calc(100%-140px)]">
+        {/* Leave room for the report button in the header */}
+        <CardContent className={onReportBug ? 'h-[calc(100%-180px)]' : 'h-[calc(100%-140px)]'}>
           <Tabs defaultValue="console" className="h-full">
             <TabsList className="grid w-full grid-cols-4">
               <TabsTrigger value="console">Console</TabsTrigger>
@@ -1,36 +1,268 @@
 const Bug = require('../models/Bug');
+const BugHistory = require('../models/BugHistory');
+const Comment = require('../models/Comment');
+const BugTemplate = require('../models/BugTemplate');
+const CustomField = require('../models/CustomField');
+const Project = require('../models/Project');
+const { diffBugs, getActor, recordHistory } = require('../utils/bugHistory');
+const { BUG_STATUSES, canTransition, getAllowedTransitions } = require('../utils/bugWorkflow');
+const { can, getFieldAction, getChangedFields } = require('../utils/bugPermissions');
+const { parseQuery, toMongoFilter } = require('../utils/bugQuery');
+const { findOpenBlockers, isBlockedStatus, removeLinks } = require('../utils/bugLinks');
+const { removeAttachments } = require('../utils/attachments');
+const { toProjectFilter, toCustomFieldFilter, isInProject } = require('../utils/projects');
+const { nextBugKey } = require('../utils/bugKeys');
+const {
+  BUG_PRIORITIES,
+  BUG_SEVERITIES,
+  mergeFieldDefinitions,
+  validateBug,
+  validateCustomFields
+} = require('../utils/bugSchema');
+
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'title', 'status', 'priority', 'rank'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_BULK_IDS = 100;
+const BULK_FIELDS = ['status', 'priority', 'severity', 'assignedTo', 'addTags', 'removeTags'];
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const DIAGNOSTIC_LISTS = ['consoleErrors', 'failedRequests', 'recentLogs'];
+const MAX_DIAGNOSTIC_ENTRIES = 100;
+
+// Session diagnostics are free-form, but only so big
+const validateDiagnostics = (diagnostics) => {
+  if (!diagnostics || typeof diagnostics !== 'object' || Array.isArray(diagnostics)) {
+    return [{ field: 'diagnostics', message: 'Diagnostics must be an object' }];
+  }
 
-// Helper function for validation
-const validateBugData = (data) => {
   const errors = [];
-  
-  if (!data.title || data.title.trim().length === 0) {
-    errors.push('Title is required');
+  DIAGNOSTIC_LISTS.forEach((field) => {
+    const list = diagnostics[field];
+    if (list === undefined) return;
+    if (!Array.isArray(list)) {
+      errors.push({ field: 'diagnostics', message: `Diagnostics ${field} must be a list` });
+    } else if (list.length > MAX_DIAGNOSTIC_ENTRIES) {
+      errors.push({
+        field: 'diagnostics',
+        message: `Diagnostics ${field} cannot have more than ${MAX_DIAGNOSTIC_ENTRIES} entries`
+      });
+    }
+  });
+  return errors;
+};
+
+// Helper function for validation. The shared schema covers the fields the
+// form edits; the rest are server-only. Custom fields are only checked when
+// the caller passes the definitions that apply
+const validateBugData = (data, customFieldDefinitions) => {
+  const errors = validateBug(data);
+
+  if (customFieldDefinitions) {
+    errors.push(...validateCustomFields(data.customFields, customFieldDefinitions));
   }
-  
-  if (!data.description || data.description.trim().length === 0) {
-    errors.push('Description is required');
+
+  if (data.status && !BUG_STATUSES.includes(data.status)) {
+    errors.push({ field: 'status', message: 'Invalid status value' });
   }
-  
-  if (!data.reportedBy || data.reportedBy.trim().length === 0) {
-    errors.push('Reporter name is required');
+
+  if (data.rank !== undefined && data.rank !== null && !Number.isFinite(data.rank)) {
+    errors.push({ field: 'rank', message: 'Rank must be a number' });
   }
-  
-  if (data.status && !['open', 'in-progress', 'resolved'].includes(data.status)) {
-    errors.push('Invalid status value');
+
+  if (data.diagnostics !== undefined) {
+    errors.push(...validateDiagnostics(data.diagnostics));
   }
-  
-  if (data.priority && !['low', 'medium', 'high', 'critical'].includes(data.priority)) {
-    errors.push('Invalid priority value');
+
+  if (data.duplicateOf) {
+    if (!OBJECT_ID_PATTERN.test(String(data.duplicateOf))) {
+      errors.push({ field: 'duplicateOf', message: 'Invalid duplicateOf ID' });
+    } else if (data.status !== 'duplicate') {
+      errors.push({ field: 'duplicateOf', message: 'Only bugs marked as duplicate can reference an original' });
+    }
   }
-  
+
   return errors;
 };
 
+const isTagList = (tags) => {
+  return Array.isArray(tags) && tags.every(tag => typeof tag === 'string' && tag.trim().length > 0);
+};
+
+// Custom field definitions that apply to a bug: its project's admin-defined
+// fields, plus those of the template it was filed from
+const getCustomFieldDefinitions = async (project, templateFields = []) => {
+  const fields = await CustomField.find(toCustomFieldFilter(project)).sort({ createdAt: 1 }).lean();
+  return mergeFieldDefinitions(fields, templateFields);
+};
+
+const getTemplateFields = async (templateId) => {
+  const template = templateId ? await BugTemplate.findById(templateId) : null;
+  return template ? template.fields : [];
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The document version (__v) doubles as the bug's ETag
+const toETag = (bug) => `"${bug.__v}"`;
+
+// Version the client based its edit on, from If-Match or a __v in the body;
+// undefined when the client doesn't ask for a concurrency check
+const getExpectedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch && ifMatch.trim() !== '*') {
+    return Number(ifMatch.trim().replace(/^W\//, '').replace(/"/g, ''));
+  }
+  if (req.body.__v !== undefined) {
+    return Number(req.body.__v);
+  }
+  return undefined;
+};
+
+// Follow duplicateOf links to the end of the chain, so a duplicate always
+// points at an original and never back at itself
+const findOriginal = async (bugId, duplicateOf) => {
+  const seen = new Set([bugId.toString()]);
+  let original = await Bug.findById(duplicateOf);
+
+  while (original) {
+    if (seen.has(original._id.toString())) {
+      return { error: 'A bug cannot be a duplicate of itself' };
+    }
+    if (!original.duplicateOf) {
+      return { id: original._id };
+    }
+    seen.add(original._id.toString());
+    original = await Bug.findById(original.duplicateOf);
+  }
+
+  return { error: 'Original bug not found' };
+};
+
+// Mongo update for validated fields; a cleared duplicateOf is removed outright
+const toMongoUpdate = (updates) => {
+  const { duplicateOf, ...fields } = updates;
+  if (duplicateOf === null || duplicateOf === '') {
+    return { ...fields, $unset: { duplicateOf: 1 }, $inc: { __v: 1 } };
+  }
+  return { ...updates, $inc: { __v: 1 } };
+};
+
+// Bugs that pointed at a deleted original are no longer duplicates of anything
+const unlinkDuplicates = (bugId) => {
+  return Bug.updateMany({ duplicateOf: bugId }, { $unset: { duplicateOf: 1 }, $inc: { __v: 1 } });
+};
+
+// Helper function to turn list query parameters into a Mongo query
+const parseBugQuery = (query, user, customFields = []) => {
+  const errors = [];
+  const filter = {};
+
+  if (query.status) {
+    if (BUG_STATUSES.includes(query.status)) {
+      filter.status = query.status;
+    } else {
+      errors.push('Invalid status value');
+    }
+  }
+
+  if (query.priority) {
+    if (BUG_PRIORITIES.includes(query.priority)) {
+      filter.priority = query.priority;
+    } else {
+      errors.push('Invalid priority value');
+    }
+  }
+
+  // Repeated or bracketed parameters (?q[]=a, ?q[$ne]=) arrive as arrays and
+  // objects rather than strings
+  if (query.assignedTo !== undefined && typeof query.assignedTo !== 'string') {
+    errors.push('assignedTo must be a string');
+  } else if (query.assignedTo) {
+    filter.assignedTo = query.assignedTo;
+  }
+
+  if (query.reportedBy !== undefined && typeof query.reportedBy !== 'string') {
+    errors.push('reportedBy must be a string');
+  } else if (query.reportedBy) {
+    filter.reportedBy = query.reportedBy;
+  }
+
+  if (query.q !== undefined && typeof query.q !== 'string') {
+    errors.push('Search text must be a string');
+  } else if (query.q && query.q.trim().length > 0) {
+    const pattern = new RegExp(escapeRegex(query.q.trim()), 'i');
+    filter.$or = [{ title: pattern }, { description: pattern }];
+  }
+
+  // Structured search box syntax, e.g. query=status:open assignee:me
+  if (query.query !== undefined && typeof query.query !== 'string') {
+    errors.push('Search query must be a string');
+  } else if (query.query && query.query.trim().length > 0) {
+    const parsed = parseQuery(query.query, customFields);
+    if (parsed.errors.length > 0) {
+      errors.push(...parsed.errors.map(error => error.message));
+    } else {
+      const structured = toMongoFilter(parsed, user, customFields);
+      if (structured.errors.length > 0) {
+        errors.push(...structured.errors);
+      } else if (structured.filter.$and) {
+        filter.$and = structured.filter.$and;
+      }
+    }
+  }
+
+  let sort = { createdAt: -1 };
+  if (query.sort !== undefined && typeof query.sort !== 'string') {
+    errors.push('Invalid sort field');
+  } else if (query.sort) {
+    const direction = query.sort.startsWith('-') ? -1 : 1;
+    const field = query.sort.replace(/^[-+]/, '');
+    if (SORTABLE_FIELDS.includes(field)) {
+      sort = { [field]: direction };
+    } else {
+      errors.push('Invalid sort field');
+    }
+  }
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    errors.push('Page must be a positive integer');
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    errors.push(`Limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  return { filter, sort, page, limit, errors };
+};
+
 // Get all bugs
 const getAllBugs = async (req, res) => {
   try {
-    const bugs = await Bug.find().sort({ createdAt: -1 });
+    // Custom fields can be searched by key, e.g. query=browser:firefox
+    const customFields = typeof req.query.query === 'string' ? await CustomField.find(toCustomFieldFilter(req.project)).lean() : [];
+    const { filter, sort, page, limit, errors } = parseBugQuery(req.query, req.user, customFields);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const scoped = { ...filter, ...toProjectFilter(req.project) };
+    const [bugs, total] = await Promise.all([
+      Bug.find(scoped)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Bug.countDocuments(scoped)
+    ]);
+
+    // Page metadata travels in headers so the body stays a plain array
+    res.set({
+      'X-Total-Count': total,
+      'X-Page': page,
+      'X-Limit': limit,
+      'X-Total-Pages': Math.ceil(total / limit)
+    });
     res.json(bugs);
   } catch (error) {
     console.error('Error fetching bugs:', error);
@@ -47,10 +279,10 @@ const getBugById = async (req, res) => {
     }
     
     const bug = await Bug.findById(req.params.id);
-    if (!bug) {
+    if (!bug || !isInProject(bug, req.project)) {
       return res.status(404).json({ error: 'Bug not found' });
     }
-    res.json(bug);
+    res.set('ETag', toETag(bug)).json(bug);
   } catch (error) {
     console.error('Error fetching bug:', error);
     res.status(500).json({ error: 'Failed to fetch bug' });
@@ -60,13 +292,37 @@ const getBugById = async (req, res) => {
 // Create a new bug
 const createBug = async (req, res) => {
   try {
-    const validationErrors = validateBugData(req.body);
+    // The reporter always comes from the token, the project from the route
+    // and the key from the project's counter, never from the request body
+    const { key, ...body } = req.body;
+    const bugData = {
+      ...body,
+      reportedBy: req.user.username,
+      reporter: req.user._id,
+      project: req.project ? req.project._id : undefined
+    };
+
+    let template = null;
+    if (bugData.template) {
+      if (!OBJECT_ID_PATTERN.test(String(bugData.template))) {
+        return res.status(400).json({ errors: [{ field: 'template', message: 'Invalid template ID' }] });
+      }
+      template = await BugTemplate.findById(bugData.template);
+      if (!template) {
+        return res.status(400).json({ errors: [{ field: 'template', message: 'Template not found' }] });
+      }
+    }
+
+    const customFieldDefinitions = await getCustomFieldDefinitions(req.project, template ? template.fields : []);
+    const validationErrors = validateBugData(bugData, customFieldDefinitions);
     if (validationErrors.length > 0) {
       return res.status(400).json({ errors: validationErrors });
     }
 
-    const bug = new Bug(req.body);
+    // Numbers are only issued once the report has passed validation
+    const bug = new Bug({ ...bugData, key: await nextBugKey(req.project) });
     const savedBug = await bug.save();
+    await recordHistory(savedBug, 'created', getActor(req), diffBugs({}, savedBug.toObject()));
     res.status(201).json(savedBug);
   } catch (error) {
     console.error('Error creating bug:', error);
@@ -74,52 +330,369 @@ const createBug = async (req, res) => {
   }
 };
 
-// Update a bug
+// Update a bug; loadBug and authorizeBugUpdate have already run
 const updateBug = async (req, res) => {
   try {
-    // Check if ID is valid ObjectId format
-    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({ error: 'Invalid ID format' });
+    const existingBug = req.bug;
+
+    const expectedVersion = getExpectedVersion(req);
+    if (Number.isNaN(expectedVersion)) {
+      return res.status(400).json({ errors: [{ field: 'version', message: 'Invalid version' }] });
     }
-    
-    const validationErrors = validateBugData(req.body);
+
+    // The client edited an older copy; hand back the current one so it can merge
+    if (expectedVersion !== undefined && expectedVersion !== existingBug.__v) {
+      return res.status(409).set('ETag', toETag(existingBug)).json({
+        error: 'Bug was modified by another user',
+        current: existingBug
+      });
+    }
+
+    // Ownership fields, the captured diagnostics, the template, the project
+    // and the key can't be changed through an update, and the version only
+    // ever moves forward through $inc below
+    const { reporter, diagnostics, template, project, key, __v, ...fields } = req.body;
+    const updates = { ...fields, reportedBy: existingBug.reportedBy };
+    // Leaving the duplicate status drops the link to the original
+    if (updates.status && updates.status !== 'duplicate') {
+      updates.duplicateOf = null;
+    }
+
+    // Validate the bug as it would look after the update, so partial bodies work.
+    // Custom fields are only checked when they change, so a bug whose fields
+    // or template have since changed can still be edited
+    const customFieldsChanged = updates.customFields !== undefined &&
+      JSON.stringify(updates.customFields || {}) !== JSON.stringify(existingBug.customFields || {});
+    const customFieldDefinitions = customFieldsChanged
+      ? await getCustomFieldDefinitions(req.project, await getTemplateFields(existingBug.template))
+      : undefined;
+    const validationErrors = validateBugData({ ...existingBug.toObject(), ...updates }, customFieldDefinitions);
     if (validationErrors.length > 0) {
       return res.status(400).json({ errors: validationErrors });
     }
 
-    const bug = await Bug.findByIdAndUpdate(
-      req.params.id,
-      req.body,
+    if (updates.status && !canTransition(existingBug.status, updates.status)) {
+      return res.status(409).json({
+        error: `Cannot move bug from ${existingBug.status} to ${updates.status}`,
+        status: existingBug.status,
+        allowedTransitions: getAllowedTransitions(existingBug.status)
+      });
+    }
+
+    if (updates.status !== existingBug.status && isBlockedStatus(updates.status)) {
+      const blockers = await findOpenBlockers(existingBug._id);
+      if (blockers.length > 0) {
+        return res.status(409).json({ error: 'Bug is blocked by open bugs', blockers });
+      }
+    }
+
+    if (updates.duplicateOf) {
+      const original = await findOriginal(existingBug._id, updates.duplicateOf);
+      if (original.error) {
+        return res.status(400).json({ errors: [{ field: 'duplicateOf', message: original.error }] });
+      }
+      updates.duplicateOf = original.id;
+    }
+
+    // Match on the version we validated against so a concurrent write can't slip through
+    const bug = await Bug.findOneAndUpdate(
+      { _id: req.params.id, __v: existingBug.__v },
+      toMongoUpdate(updates),
       { new: true, runValidators: true }
     );
     
     if (!bug) {
-      return res.status(404).json({ error: 'Bug not found' });
+      const current = await Bug.findById(req.params.id);
+      return res.status(409).json({ error: 'Bug was modified by another user', current });
+    }
+
+    const changes = diffBugs(existingBug.toObject(), bug.toObject());
+    if (changes.length > 0) {
+      await recordHistory(bug, 'updated', getActor(req), changes);
     }
     
-    res.json(bug);
+    res.set('ETag', toETag(bug)).json(bug);
   } catch (error) {
     console.error('Error updating bug:', error);
     res.status(500).json({ error: 'Failed to update bug' });
   }
 };
 
-// Delete a bug
+// Delete a bug; loadBug and authorize('delete') have already run. Like an
+// update, an If-Match version only deletes the copy the client last saw
 const deleteBug = async (req, res) => {
+  try {
+    const bug = req.bug;
+
+    const expectedVersion = getExpectedVersion(req);
+    if (Number.isNaN(expectedVersion)) {
+      return res.status(400).json({ errors: [{ field: 'version', message: 'Invalid version' }] });
+    }
+
+    const filter = expectedVersion === undefined ? { _id: bug._id } : { _id: bug._id, __v: expectedVersion };
+    const { deletedCount } = await Bug.deleteOne(filter);
+    if (!deletedCount) {
+      const current = await Bug.findById(bug._id);
+      if (!current) {
+        return res.status(404).json({ error: 'Bug not found' });
+      }
+      return res.status(409).set('ETag', toETag(current)).json({
+        error: 'Bug was modified by another user',
+        current
+      });
+    }
+
+    await Comment.deleteMany({ bug: bug._id });
+    await unlinkDuplicates(bug._id);
+    await removeLinks(bug._id);
+    await removeAttachments(bug._id);
+    await recordHistory(bug, 'deleted', getActor(req), diffBugs(bug.toObject(), {}));
+    res.json({ message: 'Bug deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting bug:', error);
+    res.status(500).json({ error: 'Failed to delete bug' });
+  }
+};
+
+// Get the change history of a bug, oldest entry first
+const getBugHistory = async (req, res) => {
   try {
     // Check if ID is valid ObjectId format
     if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({ error: 'Invalid ID format' });
     }
-    
-    const bug = await Bug.findByIdAndDelete(req.params.id);
-    if (!bug) {
+
+    // History outlives the bug itself, so only 404 when there is neither;
+    // a deleted bug's project is the one its history was recorded under
+    const [bug, history] = await Promise.all([
+      Bug.findById(req.params.id, 'project'),
+      BugHistory.find({ bug: req.params.id }).sort({ createdAt: 1 })
+    ]);
+    const owner = bug || history[0];
+    if (!owner || !isInProject(owner, req.project)) {
       return res.status(404).json({ error: 'Bug not found' });
     }
-    res.json({ message: 'Bug deleted successfully' });
+
+    res.json(history);
   } catch (error) {
-    console.error('Error deleting bug:', error);
-    res.status(500).json({ error: 'Failed to delete bug' });
+    console.error('Error fetching bug history:', error);
+    res.status(500).json({ error: 'Failed to fetch bug history' });
+  }
+};
+
+// Ids shared by both bulk endpoints
+const validateBulkIds = (ids) => {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return ['ids must be a non-empty array'];
+  }
+  if (ids.length > MAX_BULK_IDS) {
+    return [`At most ${MAX_BULK_IDS} bugs can be changed at once`];
+  }
+  if (ids.some(id => typeof id !== 'string' || !OBJECT_ID_PATTERN.test(id))) {
+    return ['Invalid ID format'];
+  }
+  return [];
+};
+
+// A bulk patch sets triage fields and adds or removes tags; other fields
+// only make sense per bug
+const validateBulkPatch = (patch) => {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return ['patch must be an object'];
+  }
+
+  const fields = Object.keys(patch);
+  if (fields.length === 0) {
+    return ['patch must change at least one field'];
+  }
+
+  const unsupported = fields.filter(field => !BULK_FIELDS.includes(field));
+  if (unsupported.length > 0) {
+    return [`Fields cannot be changed in bulk: ${unsupported.join(', ')}`];
+  }
+
+  const errors = [];
+  if (patch.status !== undefined && !BUG_STATUSES.includes(patch.status)) {
+    errors.push('Invalid status value');
+  }
+  if (patch.priority !== undefined && !BUG_PRIORITIES.includes(patch.priority)) {
+    errors.push('Invalid priority value');
+  }
+  if (patch.severity !== undefined && !BUG_SEVERITIES.includes(patch.severity)) {
+    errors.push('Invalid severity value');
+  }
+  if (patch.assignedTo !== undefined && typeof patch.assignedTo !== 'string') {
+    errors.push('Invalid assignee value');
+  }
+
+  const { addTags, removeTags } = patch;
+  if (addTags !== undefined && !isTagList(addTags)) {
+    errors.push('addTags must be a list of non-empty strings');
+  }
+  if (removeTags !== undefined && !isTagList(removeTags)) {
+    errors.push('removeTags must be a list of non-empty strings');
+  }
+  return errors;
+};
+
+// Turn a bulk patch into the update for one bug
+const resolveBulkPatch = (bug, patch) => {
+  const { addTags: rawAddTags = [], removeTags: rawRemoveTags = [], ...updates } = patch;
+  // Compared by their trimmed text, as tags are stored
+  const addTags = rawAddTags.map(tag => tag.trim());
+  const removeTags = rawRemoveTags.map(tag => tag.trim());
+
+  if (addTags.length > 0 || removeTags.length > 0) {
+    const tags = (bug.tags || []).filter(tag => !removeTags.includes(tag));
+    addTags.forEach((tag) => {
+      if (!tags.includes(tag)) {
+        tags.push(tag);
+      }
+    });
+    updates.tags = tags;
+  }
+
+  if (updates.status && updates.status !== 'duplicate' && bug.duplicateOf) {
+    updates.duplicateOf = null;
+  }
+
+  return updates;
+};
+
+const bulkUpdateOne = async (req, id, bug, project, patch) => {
+  if (!bug) {
+    return { id, status: 404, error: 'Bug not found' };
+  }
+
+  try {
+    const updates = resolveBulkPatch(bug, patch);
+
+    // Authorize first, so callers can't learn about bugs they may not change
+    const forbiddenFields = getChangedFields(bug, updates)
+      .filter(field => !can(req.user, getFieldAction(field), bug, project));
+    if (forbiddenFields.length > 0) {
+      return { id, status: 403, error: 'Not authorized to modify this bug', fields: forbiddenFields };
+    }
+
+    const errors = validateBugData({ ...bug.toObject(), ...updates });
+    if (errors.length > 0) {
+      return { id, status: 400, error: 'Invalid bug data', errors };
+    }
+
+    if (updates.status && !canTransition(bug.status, updates.status)) {
+      return {
+        id,
+        status: 409,
+        error: `Cannot move bug from ${bug.status} to ${updates.status}`,
+        allowedTransitions: getAllowedTransitions(bug.status)
+      };
+    }
+
+    if (updates.status !== bug.status && isBlockedStatus(updates.status)) {
+      const blockers = await findOpenBlockers(bug._id);
+      if (blockers.length > 0) {
+        return { id, status: 409, error: 'Bug is blocked by open bugs', blockers };
+      }
+    }
+
+    const updated = await Bug.findOneAndUpdate(
+      { _id: id, __v: bug.__v },
+      toMongoUpdate(updates),
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      return { id, status: 409, error: 'Bug was modified by another user' };
+    }
+
+    const changes = diffBugs(bug.toObject(), updated.toObject());
+    if (changes.length > 0) {
+      await recordHistory(updated, 'updated', getActor(req), changes);
+    }
+
+    return { id, status: 200, bug: updated };
+  } catch (error) {
+    console.error('Error updating bug in bulk:', error);
+    return { id, status: 500, error: 'Failed to update bug' };
+  }
+};
+
+const bulkDeleteOne = async (req, id, bug) => {
+  if (!bug) {
+    return { id, status: 404, error: 'Bug not found' };
+  }
+
+  try {
+    await bug.deleteOne();
+    await Comment.deleteMany({ bug: bug._id });
+    await unlinkDuplicates(bug._id);
+    await removeLinks(bug._id);
+    await removeAttachments(bug._id);
+    await recordHistory(bug, 'deleted', getActor(req), diffBugs(bug.toObject(), {}));
+    return { id, status: 200 };
+  } catch (error) {
+    console.error('Error deleting bug in bulk:', error);
+    return { id, status: 500, error: 'Failed to delete bug' };
+  }
+};
+
+// The project of each bug, by bug id. On a project route that's always
+// req.project; on /api/bugs the bugs can come from several projects
+const getBugProjects = async (req, bugs) => {
+  if (req.project) {
+    return new Map(bugs.map(bug => [bug._id.toString(), req.project]));
+  }
+
+  const projectIds = [...new Set(bugs.filter(bug => bug.project).map(bug => bug.project.toString()))];
+  const projects = projectIds.length > 0 ? await Project.find({ _id: { $in: projectIds } }) : [];
+  const projectsById = new Map(projects.map(project => [project._id.toString(), project]));
+  return new Map(bugs.map(bug => [bug._id.toString(), bug.project ? projectsById.get(bug.project.toString()) : undefined]));
+};
+
+// Run a per-bug operation over req.body.ids. Each bug succeeds or fails on
+// its own, so the response is always 200 with a result per id. Bugs outside
+// req.project count as not found.
+const runBulk = async (req, res, operation) => {
+  const ids = [...new Set(req.body.ids)];
+  const bugs = await Bug.find({ _id: { $in: ids }, ...toProjectFilter(req.project) });
+  const bugsById = new Map(bugs.map(bug => [bug._id.toString(), bug]));
+  const projectsByBugId = await getBugProjects(req, bugs);
+
+  const results = [];
+  for (const id of ids) {
+    results.push(await operation(id, bugsById.get(id), projectsByBugId.get(id)));
+  }
+
+  const succeeded = results.filter(result => result.status < 300).length;
+  res.json({ results, succeeded, failed: results.length - succeeded });
+};
+
+// Apply the same patch to many bugs
+const bulkUpdateBugs = async (req, res) => {
+  try {
+    const errors = [...validateBulkIds(req.body.ids), ...validateBulkPatch(req.body.patch)];
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    await runBulk(req, res, (id, bug, project) => bulkUpdateOne(req, id, bug, project, req.body.patch));
+  } catch (error) {
+    console.error('Error updating bugs:', error);
+    res.status(500).json({ error: 'Failed to update bugs' });
+  }
+};
+
+// Delete many bugs; authorize('delete') has already run
+const bulkDeleteBugs = async (req, res) => {
+  try {
+    const errors = validateBulkIds(req.body.ids);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    await runBulk(req, res, (id, bug) => bulkDeleteOne(req, id, bug));
+  } catch (error) {
+    console.error('Error deleting bugs:', error);
+    res.status(500).json({ error: 'Failed to delete bugs' });
   }
 };
 
@@ -129,5 +702,9 @@ module.exports = {
   createBug,
   updateBug,
   deleteBug,
-  validateBugData // Export for testing
+  getBugHistory,
+  bulkUpdateBugs,
+  bulkDeleteBugs,
+  validateBugData, // Export for testing
+  parseBugQuery
 };
@@ -0,0 +1,55 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { createElement } from 'react'
+import { render, screen, fireEvent, cleanup } from '@testing-library/react'
+import { BugForm } from '../bugform'
+import { ApiError } from '@/services/api'
+import { getSubmitErrorMessage } from '@/utils/bugValidation'
+
+// The form works the same without templates or custom fields
+vi.mock('@/use-bug-templates', () => ({ useBugTemplates: () => [] }))
+vi.mock('@/use-custom-fields', () => ({ useCustomFields: () => [] }))
+
+describe('BugForm', () => {
+  const bug = {
+    id: 'bug-1',
+    title: 'Checkout crashes',
+    description: 'Submitting the payment form shows a blank page',
+    severity: 'high',
+    priority: 'medium',
+    reportedBy: 'tester',
+    tags: ['checkout'],
+    version: 1
+  }
+
+  afterEach(() => {
+    cleanup()
+  })
+
+  const submitWith = async (error) => {
+    const onSubmit = vi.fn().mockRejectedValue(error)
+    render(createElement(BugForm, { onSubmit, onCancel: vi.fn(), initialData: bug }))
+
+    fireEvent.click(screen.getByTestId('submit-btn'))
+
+    expect(await screen.findByTestId('form-errors')).toBeInTheDocument()
+    expect(onSubmit).toHaveBeenCalledTimes(1)
+  }
+
+  it('should show a rejected save that is not a validation error', async () => {
+    await submitWith(new ApiError('Not authorized to modify this bug', 403))
+
+    expect(screen.getByTestId('form-errors')).toHaveTextContent('Not authorized to modify this bug')
+  })
+
+  it('should show a connection message when the server cannot be reached', async () => {
+    await submitWith(new TypeError('Failed to fetch'))
+
+    expect(screen.getByTestId('form-errors')).toHaveTextContent('Could not reach the server')
+  })
+
+  describe('getSubmitErrorMessage', () => {
+    it('should fall back to a generic message for non-errors', () => {
+      expect(getSubmitErrorMessage('oops')).toBe('Failed to save the bug')
+    })
+  })
+})
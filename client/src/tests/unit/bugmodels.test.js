@@ -144,6 +144,21 @@ describe('Bug Model Unit Tests', () => {
     await expect(bug.save()).rejects.toThrow();
   });
 
+  test('should fail validation with the shared schema messages', async () => {
+    const bugData = {
+      title: 'Bug',
+      description: 'This is a test bug description',
+      reportedBy: 'John Doe',
+      tags: ['ui', 'a']
+    };
+
+    const bug = new Bug(bugData);
+    const error = bug.validateSync();
+
+    expect(error.errors.title.message).toBe('Title must be at least 5 characters long');
+    expect(error.errors.tags.message).toBe('Each tag must be at least 2 characters long');
+  });
+
   test('should update updatedAt field on save', async () => {
     const bugData = {
       title: 'Test Bug',
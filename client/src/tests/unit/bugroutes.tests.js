@@ -1,8 +1,47 @@
 const request = require('supertest');
 const app = require('../../src/app.test');
 const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const Comment = require('../../src/models/Comment');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
 
 describe('Bug Routes Integration Tests', () => {
+  let token;
+  let developerToken;
+  let triagerToken;
+  let adminToken;
+
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'Test User',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+    const developer = await User.create({
+      username: 'developer',
+      email: 'developer@example.com',
+      password: 'password123',
+      role: 'developer'
+    });
+    const triager = await User.create({
+      username: 'triager',
+      email: 'triager@example.com',
+      password: 'password123',
+      role: 'triager'
+    });
+    const admin = await User.create({
+      username: 'admin',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+    token = generateToken(user);
+    developerToken = generateToken(developer);
+    triagerToken = generateToken(triager);
+    adminToken = generateToken(admin);
+  });
+
   describe('GET /api/bugs', () => {
     test('should return empty array when no bugs exist', async () => {
       const response = await request(app)
@@ -35,6 +74,265 @@ describe('Bug Routes Integration Tests', () => {
       expect(response.body[0].title).toBe('Bug 2'); // Should be sorted by createdAt desc
       expect(response.body[1].title).toBe('Bug 1');
     });
+
+    test('should filter bugs by status and priority', async () => {
+      await Bug.create([
+        { title: 'Open High', description: 'Description', reportedBy: 'User 1', priority: 'high' },
+        { title: 'Open Low', description: 'Description', reportedBy: 'User 1', priority: 'low' },
+        { title: 'Resolved High', description: 'Description', reportedBy: 'User 2', priority: 'high', status: 'resolved' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/bugs?status=open&priority=high')
+        .expect(200);
+
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].title).toBe('Open High');
+      expect(response.headers['x-total-count']).toBe('1');
+    });
+
+    test('should search title and description with q', async () => {
+      await Bug.create([
+        { title: 'Login button broken', description: 'Nothing happens', reportedBy: 'User 1' },
+        { title: 'Slow dashboard', description: 'Login takes ages', reportedBy: 'User 1' },
+        { title: 'Typo in footer', description: 'Spelling mistake', reportedBy: 'User 1' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/bugs?q=login')
+        .expect(200);
+
+      expect(response.body).toHaveLength(2);
+    });
+
+    test('should paginate and sort results', async () => {
+      const bugs = [];
+      for (let i = 0; i < 15; i++) {
+        bugs.push({ title: `Bug ${String(i).padStart(2, '0')}`, description: 'Description', reportedBy: 'User 1' });
+      }
+      await Bug.insertMany(bugs);
+
+      const page1 = await request(app)
+        .get('/api/bugs?sort=title&page=1&limit=10')
+        .expect(200);
+
+      const page2 = await request(app)
+        .get('/api/bugs?sort=title&page=2&limit=10')
+        .expect(200);
+
+      expect(page1.body).toHaveLength(10);
+      expect(page2.body).toHaveLength(5);
+      expect(page1.body[0].title).toBe('Bug 00');
+      expect(page2.body[0].title).toBe('Bug 10');
+      expect(page1.headers['x-total-count']).toBe('15');
+      expect(page1.headers['x-total-pages']).toBe('2');
+      expect(page2.headers['x-page']).toBe('2');
+    });
+
+    test('should return 400 for invalid query parameters', async () => {
+      const response = await request(app)
+        .get('/api/bugs?status=invalid-status&sort=password&limit=500')
+        .expect(400);
+
+      expect(response.body.errors).toContain('Invalid status value');
+      expect(response.body.errors).toContain('Invalid sort field');
+      expect(response.body.errors).toContain('Limit must be an integer between 1 and 100');
+    });
+  });
+
+  describe('GET /api/bugs?query=', () => {
+    beforeEach(async () => {
+      await Bug.create([
+        { title: 'Checkout crash', description: 'Payment fails', reportedBy: 'User 1', severity: 'critical', assignedTo: 'Test User', tags: ['Payments'] },
+        { title: 'Login crash', description: 'Blank page', reportedBy: 'User 1', severity: 'critical', status: 'resolved' },
+        { title: 'Footer typo', description: 'Spelling mistake', reportedBy: 'User 2', severity: 'low', assignedTo: 'developer' }
+      ]);
+    });
+
+    test('should combine field clauses and free text', async () => {
+      const response = await request(app)
+        .get('/api/bugs')
+        .query({ query: 'status:open,in-progress severity:critical crash' })
+        .expect(200);
+
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].title).toBe('Checkout crash');
+    });
+
+    test('should match tags case-insensitively and unassigned bugs', async () => {
+      const tagged = await request(app)
+        .get('/api/bugs')
+        .query({ query: 'tag:payments' })
+        .expect(200);
+      const unassigned = await request(app)
+        .get('/api/bugs')
+        .query({ query: 'assignee:none' })
+        .expect(200);
+
+      expect(tagged.body.map(bug => bug.title)).toEqual(['Checkout crash']);
+      expect(unassigned.body.map(bug => bug.title)).toEqual(['Login crash']);
+    });
+
+    test('should resolve assignee:me to the signed-in user', async () => {
+      const response = await request(app)
+        .get('/api/bugs')
+        .query({ query: 'assignee:me' })
+        .set('Authorization', `Bearer ${developerToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].title).toBe('Footer typo');
+    });
+
+    test('should filter by created date', async () => {
+      const future = await request(app)
+        .get('/api/bugs')
+        .query({ query: 'created:>2999-01-01' })
+        .expect(200);
+      const past = await request(app)
+        .get('/api/bugs')
+        .query({ query: 'created:>=2000-01-01' })
+        .expect(200);
+
+      expect(future.body).toHaveLength(0);
+      expect(past.body).toHaveLength(3);
+    });
+
+    test('should return 400 with a helpful message for bad queries', async () => {
+      const response = await request(app)
+        .get('/api/bugs')
+        .query({ query: 'stauts:open severity:urgent' })
+        .expect(400);
+
+      expect(response.body.errors[0]).toContain('Unknown field "stauts". Did you mean "status"?');
+      expect(response.body.errors[1]).toContain('Expected one of: low, medium, high, critical');
+    });
+
+    test('should return 400 for assignee:me without a token', async () => {
+      const response = await request(app)
+        .get('/api/bugs')
+        .query({ query: 'assignee:me' })
+        .expect(400);
+
+      expect(response.body.errors).toEqual(['Sign in to search with "me"']);
+    });
+  });
+
+  describe('GET /api/bugs/search', () => {
+    beforeEach(async () => {
+      // $text queries need the text indexes in place
+      await Bug.createIndexes();
+      await Comment.createIndexes();
+    });
+
+    test('should rank title matches above description matches', async () => {
+      await Bug.create({
+        title: 'Sidebar renders blank',
+        description: 'Happens after the checkout crashes',
+        reportedBy: 'Test User'
+      });
+      await Bug.create({
+        title: 'Checkout crashes on submit',
+        description: 'The payment form never completes',
+        reportedBy: 'Test User'
+      });
+
+      const response = await request(app)
+        .get('/api/bugs/search?q=checkout')
+        .expect(200);
+
+      expect(response.headers['x-total-count']).toBe('2');
+      expect(response.body.map(result => result.bug.title)).toEqual([
+        'Checkout crashes on submit',
+        'Sidebar renders blank'
+      ]);
+      expect(response.body[0].score).toBeGreaterThan(response.body[1].score);
+    });
+
+    test('should return snippets with highlight offsets', async () => {
+      await Bug.create({
+        title: 'Upload fails',
+        description: 'Large files time out',
+        stepsToReproduce: 'Open the editor and upload a 50MB attachment',
+        reportedBy: 'Test User'
+      });
+
+      const response = await request(app)
+        .get('/api/bugs/search?q=attachment')
+        .expect(200);
+
+      const [snippet] = response.body[0].snippets;
+      expect(snippet.field).toBe('stepsToReproduce');
+      const [[start, end]] = snippet.highlights;
+      expect(snippet.text.slice(start, end)).toBe('attachment');
+    });
+
+    test('should find bugs through their comments', async () => {
+      const bug = await Bug.create({
+        title: 'Report export broken',
+        description: 'CSV export produces an empty file',
+        reportedBy: 'Test User'
+      });
+      await Comment.create({ bug: bug._id, author: 'developer', body: 'Root cause is the timezone conversion' });
+
+      const response = await request(app)
+        .get('/api/bugs/search?q=timezone')
+        .expect(200);
+
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].bug._id).toBe(bug._id.toString());
+      expect(response.body[0].snippets[0]).toMatchObject({ field: 'comment', author: 'developer' });
+    });
+
+    test('should return 400 without a query', async () => {
+      const response = await request(app)
+        .get('/api/bugs/search?q=%20')
+        .expect(400);
+
+      expect(response.body.errors).toContain('Search query is required');
+    });
+  });
+
+  describe('GET /api/bugs/duplicates', () => {
+    beforeEach(async () => {
+      await Bug.createIndexes();
+    });
+
+    test('should return likely duplicates, best first', async () => {
+      const [close, loose] = await Bug.create([
+        { title: 'Checkout crashes on submit', description: 'The payment form crashes when submitted', reportedBy: 'Test User' },
+        { title: 'Checkout button misaligned', description: 'Crashes nothing but looks wrong on mobile', reportedBy: 'Test User' },
+        { title: 'Export to CSV is empty', description: 'No rows in the file', reportedBy: 'Test User' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/bugs/duplicates?title=Checkout%20crash&description=payment%20form')
+        .expect(200);
+
+      expect(response.body.map(candidate => candidate.bug._id)).toEqual([close._id.toString(), loose._id.toString()]);
+      expect(response.body[0].score).toBeGreaterThan(response.body[1].score);
+    });
+
+    test('should skip the excluded bug and bugs already marked as duplicates', async () => {
+      const [original] = await Bug.create([
+        { title: 'Checkout crashes', description: 'Crashes on submit', reportedBy: 'Test User' },
+        { title: 'Checkout crashes again', description: 'Crashes on submit', status: 'duplicate', reportedBy: 'Test User' }
+      ]);
+
+      const response = await request(app)
+        .get(`/api/bugs/duplicates?title=Checkout%20crashes&exclude=${original._id}`)
+        .expect(200);
+
+      expect(response.body).toEqual([]);
+    });
+
+    test('should return 400 without a title', async () => {
+      const response = await request(app)
+        .get('/api/bugs/duplicates?description=crash')
+        .expect(400);
+
+      expect(response.body.errors).toContain('Title is required');
+    });
   });
 
   describe('GET /api/bugs/:id', () => {
@@ -84,6 +382,7 @@ describe('Bug Routes Integration Tests', () => {
 
       const response = await request(app)
         .post('/api/bugs')
+        .set('Authorization', `Bearer ${token}`)
         .send(bugData)
         .expect(201);
 
@@ -102,18 +401,79 @@ describe('Bug Routes Integration Tests', () => {
       expect(savedBug.title).toBe(bugData.title);
     });
 
+    test('should store session diagnostics with a new bug', async () => {
+      const diagnostics = {
+        capturedAt: '2026-03-01T10:00:00.000Z',
+        url: 'http://localhost:5173/board',
+        userAgent: 'Mozilla/5.0',
+        viewport: { width: 390, height: 844, isMobile: true },
+        consoleErrors: ['TypeError: bug.tags is undefined'],
+        failedRequests: [{ url: '/api/bugs', method: 'GET', status: 500, duration: 120, timestamp: 1772359200000 }],
+        recentLogs: ['Loading bugs']
+      };
+
+      const response = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Session Bug', description: 'Reported from the board', diagnostics })
+        .expect(201);
+
+      expect(response.body.diagnostics).toMatchObject({
+        url: diagnostics.url,
+        viewport: diagnostics.viewport,
+        consoleErrors: diagnostics.consoleErrors,
+        failedRequests: diagnostics.failedRequests
+      });
+    });
+
+    test('should return 400 for oversized diagnostics', async () => {
+      const response = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          title: 'Noisy Bug',
+          description: 'Too many logs',
+          diagnostics: { recentLogs: Array.from({ length: 101 }, (_, i) => `log ${i}`) }
+        })
+        .expect(400);
+
+      expect(response.body.errors).toContainEqual({
+        field: 'diagnostics',
+        message: 'Diagnostics recentLogs cannot have more than 100 entries'
+      });
+    });
+
+    test('should return 401 if not authenticated', async () => {
+      await request(app)
+        .post('/api/bugs')
+        .send({ title: 'Anonymous Bug', description: 'Should not be created' })
+        .expect(401);
+
+      expect(await Bug.countDocuments()).toBe(0);
+    });
+
+    test('should take reportedBy from the token instead of the body', async () => {
+      const response = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Spoofed Bug', description: 'Spoofed description', reportedBy: 'Someone Else' })
+        .expect(201);
+
+      expect(response.body.reportedBy).toBe('Test User');
+    });
+
     test('should return 400 when required fields are missing', async () => {
       const invalidData = {
-        description: 'Missing title and reportedBy'
+        description: 'Missing title'
       };
 
       const response = await request(app)
         .post('/api/bugs')
+        .set('Authorization', `Bearer ${token}`)
         .send(invalidData)
         .expect(400);
 
-      expect(response.body.errors).toContain('Title is required');
-      expect(response.body.errors).toContain('Reporter name is required');
+      expect(response.body.errors).toContainEqual({ field: 'title', message: 'Title is required' });
     });
 
     test('should return 400 for invalid status', async () => {
@@ -126,10 +486,11 @@ describe('Bug Routes Integration Tests', () => {
 
       const response = await request(app)
         .post('/api/bugs')
+        .set('Authorization', `Bearer ${token}`)
         .send(invalidData)
         .expect(400);
 
-      expect(response.body.errors).toContain('Invalid status value');
+      expect(response.body.errors).toContainEqual({ field: 'status', message: 'Invalid status value' });
     });
 
     test('should return 400 for invalid priority', async () => {
@@ -142,10 +503,33 @@ describe('Bug Routes Integration Tests', () => {
 
       const response = await request(app)
         .post('/api/bugs')
+        .set('Authorization', `Bearer ${token}`)
         .send(invalidData)
         .expect(400);
 
-      expect(response.body.errors).toContain('Invalid priority value');
+      expect(response.body.errors).toContainEqual({ field: 'priority', message: 'Invalid priority level' });
+    });
+
+    test('should apply the shared schema rules to every field', async () => {
+      const response = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          title: 'Bug',
+          description: 'Crashes',
+          severity: 'urgent',
+          assignedTo: 'dev@',
+          tags: ['ui', 'api', 'auth', 'db', 'css', 'perf']
+        })
+        .expect(400);
+
+      expect(response.body.errors).toEqual([
+        { field: 'title', message: 'Title must be at least 5 characters long' },
+        { field: 'description', message: 'Description must be at least 10 characters long' },
+        { field: 'severity', message: 'Invalid severity level' },
+        { field: 'assignedTo', message: 'Invalid email format for assignee' },
+        { field: 'tags', message: 'Maximum 5 tags allowed' }
+      ]);
     });
   });
 
@@ -168,6 +552,7 @@ describe('Bug Routes Integration Tests', () => {
 
       const response = await request(app)
         .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${triagerToken}`)
         .send(updateData)
         .expect(200);
 
@@ -193,6 +578,7 @@ describe('Bug Routes Integration Tests', () => {
 
       const response = await request(app)
         .put(`/api/bugs/${nonExistentId}`)
+        .set('Authorization', `Bearer ${token}`)
         .send(updateData)
         .expect(404);
 
@@ -214,12 +600,521 @@ describe('Bug Routes Integration Tests', () => {
 
       const response = await request(app)
         .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
         .send(invalidData)
         .expect(400);
 
-      expect(response.body.errors).toContain('Title is required');
-      expect(response.body.errors).toContain('Description is required');
-      expect(response.body.errors).toContain('Reporter name is required');
+      expect(response.body.errors).toContainEqual({ field: 'title', message: 'Title is required' });
+      expect(response.body.errors).toContainEqual({ field: 'description', message: 'Description is required' });
+    });
+
+    test('should return 403 when the user is not the reporter, assignee or an admin', async () => {
+      const bug = await Bug.create({
+        title: 'Someone Elses Bug',
+        description: 'Reported by another user',
+        reportedBy: 'Another User'
+      });
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Hijacked', description: 'Hijacked description' })
+        .expect(403);
+
+      expect(response.body.error).toBe('Not authorized to modify this bug');
+    });
+
+    test('should let a developer change status on a bug assigned to them', async () => {
+      const bug = await Bug.create({
+        title: 'Assigned Bug',
+        description: 'Assigned to the developer',
+        reportedBy: 'Another User',
+        assignedTo: 'developer'
+      });
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${developerToken}`)
+        .send({ title: 'Assigned Bug', description: 'Assigned to the developer', status: 'in-progress' })
+        .expect(200);
+
+      expect(response.body.status).toBe('in-progress');
+      expect(response.body.reportedBy).toBe('Another User');
+    });
+
+    test('should not let a developer change status on a bug assigned to someone else', async () => {
+      const bug = await Bug.create({
+        title: 'Unassigned Bug',
+        description: 'Not assigned to the developer',
+        reportedBy: 'Another User'
+      });
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${developerToken}`)
+        .send({ status: 'in-progress' })
+        .expect(403);
+
+      expect(response.body.fields).toEqual(['status']);
+    });
+
+    test('should not let a reporter triage their own bug', async () => {
+      const bug = await Bug.create({
+        title: 'My Bug',
+        description: 'Reported by the test user',
+        reportedBy: 'Test User'
+      });
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'My Bug', description: 'Reported by the test user', priority: 'critical', assignedTo: 'developer' })
+        .expect(403);
+
+      expect(response.body.fields).toEqual(['priority', 'assignedTo']);
+    });
+
+    test('should let a triager set severity, priority and assignee', async () => {
+      const bug = await Bug.create({
+        title: 'Needs Triage',
+        description: 'Waiting for triage',
+        reportedBy: 'Another User'
+      });
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${triagerToken}`)
+        .send({ severity: 'critical', priority: 'high', assignedTo: 'developer' })
+        .expect(200);
+
+      expect(response.body.severity).toBe('critical');
+      expect(response.body.priority).toBe('high');
+      expect(response.body.assignedTo).toBe('developer');
+    });
+  });
+
+  describe('PUT /api/bugs/:id diagnostics', () => {
+    test('should keep the diagnostics captured at creation', async () => {
+      const bug = await Bug.create({
+        title: 'Session Bug',
+        description: 'Reported from the board',
+        reportedBy: 'Test User',
+        diagnostics: { url: 'http://localhost:5173/', consoleErrors: ['Original error'] }
+      });
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Renamed', diagnostics: { consoleErrors: ['Rewritten'] } })
+        .expect(200);
+
+      expect(response.body.title).toBe('Renamed');
+      expect(response.body.diagnostics.consoleErrors).toEqual(['Original error']);
+    });
+  });
+
+  describe('PUT /api/bugs/:id status workflow', () => {
+    const baseData = {
+      title: 'Workflow Bug',
+      description: 'Workflow description',
+      reportedBy: 'Test User'
+    };
+
+    test('should allow transitions defined by the workflow', async () => {
+      const bug = await Bug.create({ ...baseData, status: 'in-progress' });
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${triagerToken}`)
+        .send({ ...baseData, status: 'resolved' })
+        .expect(200);
+
+      expect(response.body.status).toBe('resolved');
+    });
+
+    test('should return 409 with allowed next states for an invalid transition', async () => {
+      const bug = await Bug.create(baseData);
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${triagerToken}`)
+        .send({ ...baseData, status: 'resolved' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Cannot move bug from open to resolved');
+      expect(response.body.allowedTransitions).toEqual(['in-progress', 'wont-fix', 'duplicate']);
+
+      const unchangedBug = await Bug.findById(bug._id);
+      expect(unchangedBug.status).toBe('open');
+    });
+
+    test('should accept the extended closed state', async () => {
+      const bug = await Bug.create({ ...baseData, status: 'resolved' });
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${triagerToken}`)
+        .send({ ...baseData, status: 'closed' })
+        .expect(200);
+
+      expect(response.body.status).toBe('closed');
+    });
+  });
+
+  describe('PUT /api/bugs/:id board rank', () => {
+    const baseData = {
+      title: 'Board Bug',
+      description: 'Board description',
+      reportedBy: 'Test User'
+    };
+
+    test('should store the rank and sort by it', async () => {
+      const [first, second] = await Bug.create([
+        { ...baseData, title: 'First', rank: 1 },
+        { ...baseData, title: 'Second', rank: 2 }
+      ]);
+
+      await request(app)
+        .put(`/api/bugs/${second._id}`)
+        .set('Authorization', `Bearer ${triagerToken}`)
+        .send({ rank: 0.5 })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/bugs?sort=rank')
+        .expect(200);
+
+      expect(response.body.map(bug => bug._id)).toEqual([second._id.toString(), first._id.toString()]);
+    });
+
+    test('should require the status permission to reorder', async () => {
+      const bug = await Bug.create({ ...baseData, rank: 1 });
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ rank: 2 })
+        .expect(403);
+
+      expect(response.body.fields).toEqual(['rank']);
+    });
+
+    test('should return 400 for a non-numeric rank', async () => {
+      const bug = await Bug.create(baseData);
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${triagerToken}`)
+        .send({ rank: 'top' })
+        .expect(400);
+
+      expect(response.body.errors).toContainEqual({ field: 'rank', message: 'Rank must be a number' });
+    });
+  });
+
+  describe('PUT /api/bugs/:id duplicate links', () => {
+    const baseData = {
+      title: 'Duplicate Bug',
+      description: 'Duplicate description',
+      reportedBy: 'Test User'
+    };
+
+    test('should link a duplicate to the root of the chain', async () => {
+      const original = await Bug.create(baseData);
+      const middle = await Bug.create({ ...baseData, status: 'duplicate', duplicateOf: original._id });
+      const bug = await Bug.create(baseData);
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${triagerToken}`)
+        .send({ status: 'duplicate', duplicateOf: middle._id.toString() })
+        .expect(200);
+
+      expect(response.body.duplicateOf).toBe(original._id.toString());
+    });
+
+    test('should return 400 for a link back to the same bug', async () => {
+      const original = await Bug.create(baseData);
+      const duplicate = await Bug.create({ ...baseData, status: 'duplicate', duplicateOf: original._id });
+
+      const response = await request(app)
+        .put(`/api/bugs/${original._id}`)
+        .set('Authorization', `Bearer ${triagerToken}`)
+        .send({ status: 'duplicate', duplicateOf: duplicate._id.toString() })
+        .expect(400);
+
+      expect(response.body.errors).toContainEqual({ field: 'duplicateOf', message: 'A bug cannot be a duplicate of itself' });
+    });
+
+    test('should only link bugs marked as duplicate', async () => {
+      const original = await Bug.create(baseData);
+      const bug = await Bug.create(baseData);
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${triagerToken}`)
+        .send({ duplicateOf: original._id.toString() })
+        .expect(400);
+
+      expect(response.body.errors).toContainEqual({
+        field: 'duplicateOf',
+        message: 'Only bugs marked as duplicate can reference an original'
+      });
+    });
+
+    test('should clear the link when a duplicate is reopened', async () => {
+      const original = await Bug.create(baseData);
+      const bug = await Bug.create({ ...baseData, status: 'duplicate', duplicateOf: original._id });
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${triagerToken}`)
+        .send({ status: 'open' })
+        .expect(200);
+
+      expect(response.body).not.toHaveProperty('duplicateOf');
+    });
+
+    test('should unlink duplicates when the original is deleted', async () => {
+      const original = await Bug.create(baseData);
+      const bug = await Bug.create({ ...baseData, status: 'duplicate', duplicateOf: original._id });
+
+      await request(app)
+        .delete(`/api/bugs/${original._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const unlinked = await Bug.findById(bug._id);
+      expect(unlinked.duplicateOf).toBeUndefined();
+      expect(unlinked.status).toBe('duplicate');
+    });
+  });
+
+  describe('PUT /api/bugs/:id optimistic concurrency', () => {
+    const baseData = {
+      title: 'Concurrent Bug',
+      description: 'Edited by two triagers',
+      reportedBy: 'Test User'
+    };
+
+    test('should expose the version as an ETag', async () => {
+      const bug = await Bug.create(baseData);
+
+      const response = await request(app)
+        .get(`/api/bugs/${bug._id}`)
+        .expect(200);
+
+      expect(response.headers.etag).toBe('"0"');
+    });
+
+    test('should bump the version on every update', async () => {
+      const bug = await Bug.create(baseData);
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${triagerToken}`)
+        .set('If-Match', '"0"')
+        .send({ priority: 'high' })
+        .expect(200);
+
+      expect(response.body.__v).toBe(1);
+      expect(response.headers.etag).toBe('"1"');
+    });
+
+    test('should return 409 with the server copy when If-Match is stale', async () => {
+      const bug = await Bug.create(baseData);
+
+      await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${triagerToken}`)
+        .set('If-Match', '"0"')
+        .send({ title: 'First edit' })
+        .expect(200);
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('If-Match', '"0"')
+        .send({ title: 'Second edit' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Bug was modified by another user');
+      expect(response.body.current.title).toBe('First edit');
+      expect(response.body.current.__v).toBe(1);
+
+      const storedBug = await Bug.findById(bug._id);
+      expect(storedBug.title).toBe('First edit');
+    });
+
+    test('should accept the version in the body as __v', async () => {
+      const bug = await Bug.create(baseData);
+
+      await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${triagerToken}`)
+        .send({ priority: 'low', __v: 3 })
+        .expect(409);
+    });
+
+    test('should return 400 for a malformed If-Match header', async () => {
+      const bug = await Bug.create(baseData);
+
+      const response = await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${triagerToken}`)
+        .set('If-Match', '"abc"')
+        .send({ priority: 'low' })
+        .expect(400);
+
+      expect(response.body.errors).toContainEqual({ field: 'version', message: 'Invalid version' });
+    });
+  });
+
+  describe('PATCH /api/bugs/bulk', () => {
+    const baseData = {
+      title: 'Bulk Bug',
+      description: 'Triaged in a meeting',
+      reportedBy: 'Test User'
+    };
+    const missingId = '507f1f77bcf86cd799439011';
+
+    test('should apply the patch to every bug and report per-item results', async () => {
+      const first = await Bug.create(baseData);
+      const second = await Bug.create({ ...baseData, title: 'Second Bulk Bug' });
+
+      const response = await request(app)
+        .patch('/api/bugs/bulk')
+        .set('Authorization', `Bearer ${triagerToken}`)
+        .send({
+          ids: [first._id.toString(), second._id.toString(), missingId],
+          patch: { priority: 'critical', assignedTo: 'developer' }
+        })
+        .expect(200);
+
+      expect(response.body.succeeded).toBe(2);
+      expect(response.body.failed).toBe(1);
+      expect(response.body.results.map(result => result.status)).toEqual([200, 200, 404]);
+
+      const updated = await Bug.find({ _id: { $in: [first._id, second._id] } });
+      updated.forEach((bug) => {
+        expect(bug.priority).toBe('critical');
+        expect(bug.assignedTo).toBe('developer');
+      });
+    });
+
+    test('should check the workflow for each bug on its own', async () => {
+      const open = await Bug.create(baseData);
+      const closed = await Bug.create({ ...baseData, status: 'closed' });
+
+      const response = await request(app)
+        .patch('/api/bugs/bulk')
+        .set('Authorization', `Bearer ${triagerToken}`)
+        .send({ ids: [open._id.toString(), closed._id.toString()], patch: { status: 'in-progress' } })
+        .expect(200);
+
+      const [openResult, closedResult] = response.body.results;
+      expect(openResult.status).toBe(200);
+      expect(openResult.bug.status).toBe('in-progress');
+      expect(closedResult.status).toBe(409);
+      expect(closedResult.error).toBe('Cannot move bug from closed to in-progress');
+    });
+
+    test('should report bugs the user may not change as 403', async () => {
+      const bug = await Bug.create(baseData);
+
+      const response = await request(app)
+        .patch('/api/bugs/bulk')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ids: [bug._id.toString()], patch: { priority: 'high' } })
+        .expect(200);
+
+      expect(response.body.results[0]).toMatchObject({ status: 403, fields: ['priority'] });
+    });
+
+    test('should add and remove tags', async () => {
+      const bug = await Bug.create({ ...baseData, tags: ['ui', 'legacy'] });
+
+      const response = await request(app)
+        .patch('/api/bugs/bulk')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ids: [bug._id.toString()], patch: { addTags: ['triaged', 'ui'], removeTags: ['legacy'] } })
+        .expect(200);
+
+      expect(response.body.results[0].bug.tags).toEqual(['ui', 'triaged']);
+    });
+
+    test('should reject a patch that would leave a bug invalid', async () => {
+      const bug = await Bug.create({ ...baseData, tags: ['ui', 'api', 'auth', 'db', 'css'] });
+
+      const response = await request(app)
+        .patch('/api/bugs/bulk')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ids: [bug._id.toString()], patch: { addTags: ['perf'] } })
+        .expect(200);
+
+      expect(response.body.results[0]).toMatchObject({
+        status: 400,
+        errors: [{ field: 'tags', message: 'Maximum 5 tags allowed' }]
+      });
+    });
+
+    test('should return 400 for an invalid request', async () => {
+      const bug = await Bug.create(baseData);
+
+      const emptyIds = await request(app)
+        .patch('/api/bugs/bulk')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ids: [], patch: { priority: 'high' } })
+        .expect(400);
+      expect(emptyIds.body.errors).toContain('ids must be a non-empty array');
+
+      const badPatch = await request(app)
+        .patch('/api/bugs/bulk')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ids: [bug._id.toString()], patch: { title: 'Renamed' } })
+        .expect(400);
+      expect(badPatch.body.errors).toContain('Fields cannot be changed in bulk: title');
+    });
+
+    test('should require authentication', async () => {
+      await request(app)
+        .patch('/api/bugs/bulk')
+        .send({ ids: [missingId], patch: { priority: 'high' } })
+        .expect(401);
+    });
+  });
+
+  describe('DELETE /api/bugs/bulk', () => {
+    const baseData = {
+      title: 'Bulk Delete Bug',
+      description: 'Cleaned up in bulk',
+      reportedBy: 'Test User'
+    };
+
+    test('should let admins delete many bugs at once', async () => {
+      const first = await Bug.create(baseData);
+      const second = await Bug.create(baseData);
+
+      const response = await request(app)
+        .delete('/api/bugs/bulk')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ids: [first._id.toString(), second._id.toString()] })
+        .expect(200);
+
+      expect(response.body.succeeded).toBe(2);
+      expect(await Bug.countDocuments()).toBe(0);
+    });
+
+    test('should forbid bulk deletes for non-admins', async () => {
+      const bug = await Bug.create(baseData);
+
+      await request(app)
+        .delete('/api/bugs/bulk')
+        .set('Authorization', `Bearer ${triagerToken}`)
+        .send({ ids: [bug._id.toString()] })
+        .expect(403);
+
+      expect(await Bug.countDocuments()).toBe(1);
     });
   });
 
@@ -233,6 +1128,7 @@ describe('Bug Routes Integration Tests', () => {
 
       const response = await request(app)
         .delete(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
         .expect(200);
 
       expect(response.body.message).toBe('Bug deleted successfully');
@@ -242,11 +1138,35 @@ describe('Bug Routes Integration Tests', () => {
       expect(deletedBug).toBeNull();
     });
 
+    test('should only let admins delete bugs', async () => {
+      const bug = await Bug.create({
+        title: 'Admin Deletes',
+        description: 'Reported by another user',
+        reportedBy: 'Another User'
+      });
+
+      await request(app)
+        .delete(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${triagerToken}`)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+    });
+
     test('should return 404 for non-existent bug', async () => {
       const nonExistentId = '507f1f77bcf86cd799439011';
 
       const response = await request(app)
         .delete(`/api/bugs/${nonExistentId}`)
+        .set('Authorization', `Bearer ${token}`)
         .expect(404);
 
       expect(response.body.error).toBe('Bug not found');
@@ -255,6 +1175,74 @@ describe('Bug Routes Integration Tests', () => {
     test('should return 400 for invalid bug ID', async () => {
       const response = await request(app)
         .delete('/api/bugs/invalid-id')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid ID format');
+    });
+  });
+
+  describe('GET /api/bugs/:id/history', () => {
+    test('should record create, update and delete with actor and diffs', async () => {
+      const created = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Tracked Bug', description: 'Tracked description' })
+        .expect(201);
+
+      await request(app)
+        .put(`/api/bugs/${created.body._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ title: 'Tracked Bug', description: 'Tracked description', reportedBy: 'Test User', status: 'in-progress', priority: 'high' })
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/bugs/${created.body._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/bugs/${created.body._id}/history`)
+        .expect(200);
+
+      expect(response.body.map(entry => entry.action)).toEqual(['created', 'updated', 'deleted']);
+      expect(response.body[0].actor).toBe('Test User');
+      expect(response.body[1].actor).toBe('admin');
+      expect(response.body[1].changes).toEqual([
+        { field: 'status', from: 'open', to: 'in-progress' },
+        { field: 'priority', from: 'medium', to: 'high' }
+      ]);
+      expect(response.body[2].actor).toBe('admin');
+    });
+
+    test('should not record an entry when nothing changed', async () => {
+      const bug = await Bug.create({
+        title: 'Unchanged Bug',
+        description: 'Unchanged description',
+        reportedBy: 'Test User'
+      });
+
+      await request(app)
+        .put(`/api/bugs/${bug._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Unchanged Bug', description: 'Unchanged description', reportedBy: 'Test User' })
+        .expect(200);
+
+      const entries = await BugHistory.find({ bug: bug._id });
+      expect(entries).toHaveLength(0);
+    });
+
+    test('should return 404 for non-existent bug', async () => {
+      const response = await request(app)
+        .get('/api/bugs/507f1f77bcf86cd799439011/history')
+        .expect(404);
+
+      expect(response.body.error).toBe('Bug not found');
+    });
+
+    test('should return 400 for invalid bug ID', async () => {
+      const response = await request(app)
+        .get('/api/bugs/invalid-id/history')
         .expect(400);
 
       expect(response.body.error).toBe('Invalid ID format');
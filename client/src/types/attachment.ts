@@ -0,0 +1,12 @@
+export interface BugAttachment {
+  id: string
+  bugId: string
+  filename: string
+  contentType: string
+  size: number
+  // SHA-256 of the contents, hex encoded
+  checksum: string
+  uploadedBy: string
+  uploadedById?: string
+  createdAt: string
+}
@@ -0,0 +1,22 @@
+export type UserRole = 'reporter' | 'developer' | 'triager' | 'admin'
+
+export interface User {
+  id: string
+  username: string
+  email: string
+  role: UserRole
+}
+
+export interface AuthSession {
+  user: User
+  token: string
+}
+
+export interface LoginRequest {
+  email: string
+  password: string
+}
+
+export interface RegisterRequest extends LoginRequest {
+  username: string
+}
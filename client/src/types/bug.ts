@@ -0,0 +1,102 @@
+import { BugStatus } from '@/utils/bugWorkflow'
+import { BugDiagnostics } from './diagnostics'
+import { CustomFieldValues } from './customField'
+
+export type { BugStatus }
+export type BugSeverity = 'low' | 'medium' | 'high' | 'critical'
+export type BugPriority = 'low' | 'medium' | 'high' | 'critical'
+
+export interface Bug {
+  id: string
+  title: string
+  description: string
+  status: BugStatus
+  severity: BugSeverity
+  priority: BugPriority
+  reportedBy: string
+  assignedTo?: string
+  createdAt: string
+  updatedAt: string
+  tags: string[]
+  stepsToReproduce?: string
+  expectedBehavior?: string
+  actualBehavior?: string
+  // The original report, for bugs in the duplicate status
+  duplicateOf?: string
+  // Position within its board column, lowest first; see utils/bugBoard
+  rank?: number
+  // Bumped on every update; edits based on an older version are rejected
+  version?: number
+  // Captured when the bug was reported from a live session; never edited
+  diagnostics?: BugDiagnostics
+  // The template the bug was filed from, and the values its fields asked for
+  template?: string
+  customFields?: CustomFieldValues
+  // Id of the project the bug was filed under; the server sets it from the route
+  project?: string
+  // Human-readable key such as WEB-142; bugs reported before keys have none
+  key?: string
+}
+
+export interface CreateBugRequest {
+  title: string
+  description: string
+  severity: BugSeverity
+  priority: BugPriority
+  reportedBy: string
+  assignedTo?: string
+  tags: string[]
+  stepsToReproduce?: string
+  expectedBehavior?: string
+  actualBehavior?: string
+  diagnostics?: BugDiagnostics
+  template?: string
+  customFields?: CustomFieldValues
+}
+
+// `version` is the version the edit was based on, when the caller knows it
+export type UpdateBugRequest = Partial<CreateBugRequest> & {
+  status?: BugStatus
+  rank?: number
+  duplicateOf?: string
+  version?: number
+}
+
+// One change applied to many bugs; tags are added or removed rather than replaced
+export interface BulkBugPatch {
+  status?: BugStatus
+  priority?: BugPriority
+  severity?: BugSeverity
+  assignedTo?: string
+  addTags?: string[]
+  removeTags?: string[]
+}
+
+// Bugs are listed a page at a time; page numbers start at 1
+export interface BugPageRequest {
+  page: number
+  limit: number
+}
+
+export interface BugPage extends BugPageRequest {
+  bugs: Bug[]
+  total: number
+  totalPages: number
+}
+
+export interface BulkResult {
+  id: string
+  ok: boolean
+  error?: string
+  bug?: Bug
+}
+
+export interface ValidationError {
+  field: string
+  message: string
+}
+
+export interface ValidationResult {
+  isValid: boolean
+  errors: ValidationError[]
+}
@@ -0,0 +1,21 @@
+import { BugStatus } from '@/utils/bugWorkflow'
+
+export type BugLinkType = 'blocks' | 'blocked-by' | 'related' | 'parent' | 'child'
+
+// A link read from one bug's side: "this bug <type> bug"
+export interface BugLink {
+  id: string
+  type: BugLinkType
+  bug: {
+    id: string
+    title: string
+    status: BugStatus
+  }
+  createdBy?: string
+  createdAt: string
+}
+
+export interface CreateBugLinkRequest {
+  type: BugLinkType
+  bug: string
+}
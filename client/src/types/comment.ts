@@ -0,0 +1,13 @@
+export interface BugComment {
+  id: string
+  bugId: string
+  author: string
+  authorId?: string
+  body: string
+  createdAt: string
+  updatedAt: string
+}
+
+export interface CreateCommentRequest {
+  body: string
+}
@@ -0,0 +1,26 @@
+// A value a bug can carry beyond the built-in fields; see shared/bugSchema.json
+export type CustomFieldType = 'text' | 'number' | 'select' | 'multi-select' | 'date' | 'user'
+
+export interface CustomFieldDefinition {
+  key: string
+  label: string
+  type: CustomFieldType
+  required?: boolean
+  // The choices of a select or multi-select field
+  options?: string[]
+}
+
+// A field admins add to every bug, as opposed to one a template asks for
+export interface CustomField extends CustomFieldDefinition {
+  id: string
+  createdAt: string
+  updatedAt: string
+}
+
+export type CustomFieldRequest = CustomFieldDefinition
+
+// Dates are YYYY-MM-DD and multi-select values are lists of options
+export type CustomFieldValue = string | number | string[]
+
+// Custom field values by key
+export type CustomFieldValues = Record<string, CustomFieldValue>
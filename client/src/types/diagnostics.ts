@@ -0,0 +1,20 @@
+// What the browser session looked like when a bug was reported from it
+export interface BugDiagnostics {
+  capturedAt: string
+  url: string
+  userAgent: string
+  viewport: {
+    width: number
+    height: number
+    isMobile: boolean
+  }
+  consoleErrors: string[]
+  failedRequests: {
+    url: string
+    method: string
+    status: number
+    duration: number
+    timestamp: number
+  }[]
+  recentLogs: string[]
+}
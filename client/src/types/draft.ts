@@ -0,0 +1,9 @@
+import { CreateBugRequest } from './bug'
+
+// An unsent BugForm, kept in local storage until it's submitted or discarded
+export interface BugDraft {
+  values: CreateBugRequest
+  savedAt: string
+  // Version of the bug being edited when the draft was saved
+  baseVersion?: number
+}
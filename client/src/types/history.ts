@@ -0,0 +1,19 @@
+export type BugHistoryAction = 'created' | 'updated' | 'deleted'
+
+// Tags and multi-select custom fields change as lists, number fields as numbers
+export type BugFieldValue = string | number | string[] | null
+
+export interface BugFieldChange {
+  field: string
+  from: BugFieldValue
+  to: BugFieldValue
+}
+
+export interface BugHistoryEntry {
+  id: string
+  bugId: string
+  action: BugHistoryAction
+  actor: string
+  changes: BugFieldChange[]
+  createdAt: string
+}
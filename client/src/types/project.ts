@@ -0,0 +1,21 @@
+import { UserRole } from './auth'
+
+// A user's role within one project; it replaces their global role there
+export interface ProjectMember {
+  user: string
+  username: string
+  role: UserRole
+}
+
+// A group of bugs under a short uppercase key, such as WEB
+export interface Project {
+  id: string
+  key: string
+  name: string
+  description?: string
+  members: ProjectMember[]
+  createdAt: string
+  updatedAt: string
+}
+
+export type ProjectRequest = Pick<Project, 'key' | 'name' | 'description'>
@@ -0,0 +1,16 @@
+import { BugSeverity, BugStatus } from './bug'
+
+// Everything BugList filters by; also what the URL and saved views hold
+export interface BugFilters {
+  search: string
+  status: BugStatus | 'all'
+  severity: BugSeverity | 'all'
+}
+
+export interface SavedView {
+  id: string
+  name: string
+  filters: BugFilters
+  createdAt: string
+  updatedAt: string
+}
@@ -0,0 +1,30 @@
+import { Bug } from './bug'
+
+export type SearchSnippetField =
+  | 'title'
+  | 'description'
+  | 'stepsToReproduce'
+  | 'expectedBehavior'
+  | 'actualBehavior'
+  | 'comment'
+
+export interface SearchSnippet {
+  field: SearchSnippetField
+  text: string
+  // [start, end) offsets into `text`
+  highlights: [number, number][]
+  commentId?: string
+  author?: string
+}
+
+export interface BugSearchResult {
+  bug: Bug
+  score: number
+  snippets: SearchSnippet[]
+}
+
+// A bug that looks like the one being reported; score runs from 0 to 1
+export interface DuplicateCandidate {
+  bug: Bug
+  score: number
+}
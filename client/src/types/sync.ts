@@ -0,0 +1,33 @@
+import { Bug, CreateBugRequest, UpdateBugRequest } from './bug'
+
+// projectKey names the project the bug belongs to; unset for bugs outside any
+export type OutboxEntry =
+  | { id: string; type: 'create'; bugId: string; projectKey?: string; payload: CreateBugRequest; queuedAt: string }
+  | { id: string; type: 'update'; bugId: string; projectKey?: string; payload: UpdateBugRequest; queuedAt: string }
+  | { id: string; type: 'delete'; bugId: string; projectKey?: string; queuedAt: string }
+
+export type OutboxEntryInput =
+  | { type: 'create'; bugId: string; projectKey?: string; payload: CreateBugRequest }
+  | { type: 'update'; bugId: string; projectKey?: string; payload: UpdateBugRequest }
+  | { type: 'delete'; bugId: string; projectKey?: string }
+
+export interface SyncConflict {
+  id: string
+  entry: OutboxEntry
+  reason: string
+  local: Bug | null
+  server: Bug | null
+  detectedAt: string
+}
+
+export type SyncConflictResolution = 'local' | 'server'
+
+export type SyncStatus = 'idle' | 'syncing' | 'offline' | 'error'
+
+export interface SyncState {
+  status: SyncStatus
+  pending: number
+  conflicts: SyncConflict[]
+  lastSyncedAt: string | null
+  error: string | null
+}
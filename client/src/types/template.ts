@@ -0,0 +1,20 @@
+import { CreateBugRequest } from './bug'
+import { CustomFieldDefinition } from './customField'
+
+export type TemplateDefaults = Partial<Pick<CreateBugRequest,
+  'severity' | 'priority' | 'tags' | 'stepsToReproduce' | 'expectedBehavior' | 'actualBehavior'
+>>
+
+// An admin-defined kind of report that pre-fills BugForm
+export interface BugTemplate {
+  id: string
+  name: string
+  description?: string
+  defaults: TemplateDefaults
+  // Extra values the template asks for, kept in bug.customFields
+  fields: CustomFieldDefinition[]
+  createdAt: string
+  updatedAt: string
+}
+
+export type BugTemplateRequest = Pick<BugTemplate, 'name' | 'description' | 'defaults' | 'fields'>
@@ -0,0 +1,52 @@
+import * as React from "react"
+
+import type { AuthSession, LoginRequest, RegisterRequest, User } from "@/types/auth"
+import { AuthService } from "@/services/authService"
+import { getSession } from "@/services/authStorage"
+
+interface AuthContextValue {
+  user: User | null
+  token: string | null
+  isAuthenticated: boolean
+  login: (credentials: LoginRequest) => Promise<void>
+  register: (request: RegisterRequest) => Promise<void>
+  logout: () => void
+}
+
+const AuthContext = React.createContext<AuthContextValue | undefined>(undefined)
+
+export function AuthProvider({ children }: { children: React.ReactNode }) {
+  const [session, setSession] = React.useState<AuthSession | null>(() => getSession())
+
+  const login = React.useCallback(async (credentials: LoginRequest) => {
+    setSession(await AuthService.login(credentials))
+  }, [])
+
+  const register = React.useCallback(async (request: RegisterRequest) => {
+    setSession(await AuthService.register(request))
+  }, [])
+
+  const logout = React.useCallback(() => {
+    AuthService.logout()
+    setSession(null)
+  }, [])
+
+  const value = React.useMemo<AuthContextValue>(() => ({
+    user: session?.user ?? null,
+    token: session?.token ?? null,
+    isAuthenticated: !!session,
+    login,
+    register,
+    logout
+  }), [session, login, register, logout])
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>
+}
+
+export function useAuth() {
+  const context = React.useContext(AuthContext)
+  if (!context) {
+    throw new Error("useAuth must be used within an AuthProvider")
+  }
+  return context
+}
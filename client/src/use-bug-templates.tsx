@@ -0,0 +1,35 @@
+import * as React from "react"
+
+import type { BugTemplate } from "@/types/template"
+import { TemplateService } from "@/services/templateService"
+import { useAuth } from "@/use-auth"
+
+// Templates for the BugForm picker; empty when signed out or unavailable,
+// since the form works the same without them
+export function useBugTemplates() {
+  const { user } = useAuth()
+  const [templates, setTemplates] = React.useState<BugTemplate[]>([])
+
+  React.useEffect(() => {
+    if (!user) {
+      setTemplates([])
+      return
+    }
+
+    let cancelled = false
+
+    TemplateService.getTemplates()
+      .then(loaded => {
+        if (!cancelled) setTemplates(loaded)
+      })
+      .catch(() => {
+        if (!cancelled) setTemplates([])
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [user])
+
+  return templates
+}
@@ -0,0 +1,37 @@
+import * as React from "react"
+
+import type { CustomField } from "@/types/customField"
+import { CustomFieldService } from "@/services/customFieldService"
+import { getCurrentProjectKey } from "@/services/projectStorage"
+import { useAuth } from "@/use-auth"
+
+// The admin-defined fields a project's bugs can carry, the current project's
+// by default; empty when signed out or unavailable, in which case bugs show
+// and filter by built-in fields only
+export function useCustomFields(projectKey: string | null = getCurrentProjectKey()) {
+  const { user } = useAuth()
+  const [fields, setFields] = React.useState<CustomField[]>([])
+
+  React.useEffect(() => {
+    if (!user) {
+      setFields([])
+      return
+    }
+
+    let cancelled = false
+
+    CustomFieldService.getFields(projectKey)
+      .then(loaded => {
+        if (!cancelled) setFields(loaded)
+      })
+      .catch(() => {
+        if (!cancelled) setFields([])
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [user, projectKey])
+
+  return fields
+}
@@ -0,0 +1,54 @@
+import * as React from "react"
+
+import type { CreateBugRequest } from "@/types/bug"
+import { clearDraft, saveDraft } from "@/services/draftStorage"
+import { AUTOSAVE_INTERVAL_MS, isSameValues } from "@/utils/drafts"
+
+interface DraftAutosaveOptions {
+  // Paused while there's an older draft the user hasn't restored or discarded
+  enabled: boolean
+  baseVersion?: number
+}
+
+// Writes the form's values to local storage every few seconds, and when the
+// page goes away, whenever they've changed since the last save
+export function useDraftAutosave(
+  key: string,
+  getValues: () => CreateBugRequest,
+  { enabled, baseVersion }: DraftAutosaveOptions
+) {
+  const [savedAt, setSavedAt] = React.useState<string | null>(null)
+  // Starts as the values the form opened with, so an untouched form saves nothing
+  const lastSaved = React.useRef(getValues())
+  const stopped = React.useRef(false)
+
+  const save = React.useCallback(() => {
+    if (!enabled || stopped.current) return
+
+    const values = getValues()
+    if (isSameValues(values, lastSaved.current)) return
+
+    const draft = { values, savedAt: new Date().toISOString(), baseVersion }
+    saveDraft(key, draft)
+    lastSaved.current = values
+    setSavedAt(draft.savedAt)
+  }, [key, getValues, enabled, baseVersion])
+
+  React.useEffect(() => {
+    const interval = setInterval(save, AUTOSAVE_INTERVAL_MS)
+    window.addEventListener("pagehide", save)
+    return () => {
+      clearInterval(interval)
+      window.removeEventListener("pagehide", save)
+    }
+  }, [save])
+
+  // After a successful submit; nothing more is saved under this key
+  const clear = React.useCallback(() => {
+    stopped.current = true
+    clearDraft(key)
+    setSavedAt(null)
+  }, [key])
+
+  return { savedAt, clear }
+}
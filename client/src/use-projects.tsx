@@ -0,0 +1,41 @@
+import * as React from "react"
+
+import type { Project } from "@/types/project"
+import { ProjectService } from "@/services/projectService"
+import { BugService } from "@/services/bugService"
+import { getCurrentProjectKey } from "@/services/projectStorage"
+
+// Every project plus the one bugs are read from and written to. Selecting a
+// project switches BugService over; the caller reloads its bugs afterwards
+export function useProjects() {
+  const [projects, setProjects] = React.useState<Project[]>([])
+  const [currentKey, setCurrentKey] = React.useState<string | null>(() => getCurrentProjectKey())
+
+  React.useEffect(() => {
+    let cancelled = false
+
+    ProjectService.getProjects()
+      .then(loaded => {
+        if (!cancelled) setProjects(loaded)
+      })
+      .catch(() => {
+        if (!cancelled) setProjects([])
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const selectProject = React.useCallback((key: string | null) => {
+    BugService.setProject(key)
+    setCurrentKey(key)
+  }, [])
+
+  const currentProject = React.useMemo(
+    () => projects.find(project => project.key === currentKey) ?? null,
+    [projects, currentKey]
+  )
+
+  return { projects, currentKey, currentProject, selectProject }
+}
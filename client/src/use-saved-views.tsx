@@ -0,0 +1,54 @@
+import * as React from "react"
+
+import type { BugFilters, SavedView } from "@/types/savedView"
+import { SavedViewService } from "@/services/savedViewService"
+import { useAuth } from "@/use-auth"
+
+// The signed-in user's saved BugList views; empty when signed out
+export function useSavedViews() {
+  const { user } = useAuth()
+  const [views, setViews] = React.useState<SavedView[]>([])
+  const [isLoading, setIsLoading] = React.useState(false)
+  const [error, setError] = React.useState<string | null>(null)
+
+  React.useEffect(() => {
+    if (!user) {
+      setViews([])
+      return
+    }
+
+    let cancelled = false
+
+    setIsLoading(true)
+    SavedViewService.getViews()
+      .then(loaded => {
+        if (!cancelled) {
+          setViews(loaded)
+          setError(null)
+        }
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [user])
+
+  const saveView = React.useCallback(async (name: string, filters: BugFilters) => {
+    const view = await SavedViewService.createView(name, filters)
+    setViews(prev => [...prev, view].sort((a, b) => a.name.localeCompare(b.name)))
+    return view
+  }, [])
+
+  const deleteView = React.useCallback(async (id: string) => {
+    await SavedViewService.deleteView(id)
+    setViews(prev => prev.filter(view => view.id !== id))
+  }, [])
+
+  return { views, isLoading, error, saveView, deleteView }
+}
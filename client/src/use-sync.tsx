@@ -0,0 +1,23 @@
+import * as React from "react"
+
+import type { SyncConflictResolution, SyncState } from "@/types/sync"
+import { SyncService } from "@/services/syncService"
+
+export function useSync() {
+  const [state, setState] = React.useState<SyncState>(() => SyncService.getState())
+
+  React.useEffect(() => {
+    const unsubscribe = SyncService.subscribe(setState)
+    SyncService.start()
+    return unsubscribe
+  }, [])
+
+  const syncNow = React.useCallback(() => SyncService.flush(), [])
+
+  const resolveConflict = React.useCallback(
+    (conflictId: string, resolution: SyncConflictResolution) => SyncService.resolveConflict(conflictId, resolution),
+    []
+  )
+
+  return { ...state, syncNow, resolveConflict }
+}
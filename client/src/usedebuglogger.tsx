@@ -1,12 +1,12 @@
 import { useState, useCallback, useEffect } from 'react'
 
-interface LogEntry {
+export interface LogEntry {
   message: string
   type: 'log' | 'warn' | 'error'
   timestamp: number
 }
 
-interface NetworkRequest {
+export interface NetworkRequest {
   url: string
   method: string
   status: number
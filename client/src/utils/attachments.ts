@@ -0,0 +1,49 @@
+import limits from '../../../shared/attachmentLimits.json'
+
+// Client copy of the upload limits the server enforces, so files can be
+// rejected before they are sent.
+
+const types = limits.types as Record<string, string>
+
+export const MAX_FILE_SIZE = limits.maxFileSize
+export const MAX_FILES = limits.maxFiles
+
+// For the file input's accept attribute
+export const ACCEPTED_EXTENSIONS = Object.keys(types).join(',')
+
+const getExtension = (filename: string) => {
+  const dot = filename.lastIndexOf('.')
+  return dot === -1 ? '' : filename.slice(dot).toLowerCase()
+}
+
+export const getContentType = (filename: string): string | undefined => types[getExtension(filename)]
+
+export const isImage = (contentType: string) => contentType.startsWith('image/')
+
+// Logs and HAR files are shown as text
+export const isText = (contentType: string) =>
+  contentType === 'text/plain' || contentType === 'application/json'
+
+export const formatFileSize = (bytes: number) => {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+export const validateFiles = (files: File[]): string[] => {
+  const errors: string[] = []
+
+  if (files.length > MAX_FILES) {
+    errors.push(`At most ${MAX_FILES} files can be uploaded at once`)
+  }
+
+  files.forEach(file => {
+    if (!getContentType(file.name)) {
+      errors.push(`Unsupported file type: ${file.name}`)
+    } else if (file.size > MAX_FILE_SIZE) {
+      errors.push(`${file.name} is larger than ${formatFileSize(MAX_FILE_SIZE)}`)
+    }
+  })
+
+  return errors
+}
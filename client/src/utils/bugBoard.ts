@@ -0,0 +1,30 @@
+import { Bug } from '@/types/bug'
+import { BUG_STATUSES, BugStatus } from './bugWorkflow'
+
+// Bugs that were never moved on the board sort by when they were reported,
+// so a new bug lands at the bottom of its column
+export const getBoardRank = (bug: Bug) => bug.rank ?? Date.parse(bug.createdAt)
+
+export const sortByRank = (bugs: Bug[]) =>
+  [...bugs].sort((a, b) => getBoardRank(a) - getBoardRank(b))
+
+export const groupByStatus = (bugs: Bug[]): Record<BugStatus, Bug[]> => {
+  const columns = Object.fromEntries(BUG_STATUSES.map(status => [status, [] as Bug[]])) as Record<BugStatus, Bug[]>
+  sortByRank(bugs).forEach(bug => columns[bug.status]?.push(bug))
+  return columns
+}
+
+// A rank that sorts between two neighbours; only the moved bug changes, so a
+// move is a single update however long the column is
+export const rankBetween = (before?: Bug, after?: Bug): number => {
+  if (before && after) return (getBoardRank(before) + getBoardRank(after)) / 2
+  if (before) return getBoardRank(before) + 1000
+  if (after) return getBoardRank(after) - 1000
+  return Date.now()
+}
+
+// Rank for dropping a bug at `index` in `column`, ignoring the bug itself
+export const getDropRank = (column: Bug[], bugId: string, index: number) => {
+  const others = column.filter(bug => bug.id !== bugId)
+  return rankBetween(others[index - 1], others[index])
+}
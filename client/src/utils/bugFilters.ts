@@ -0,0 +1,63 @@
+import { Bug, BugSeverity } from '@/types/bug'
+import { User } from '@/types/auth'
+import { CustomFieldDefinition } from '@/types/customField'
+import { BugFilters } from '@/types/savedView'
+import { BUG_STATUSES, BugStatus } from './bugWorkflow'
+import { matchesQuery, parseQuery } from './bugQuery'
+
+export const BUG_SEVERITIES: BugSeverity[] = ['low', 'medium', 'high', 'critical']
+
+export const DEFAULT_FILTERS: BugFilters = { search: '', status: 'all', severity: 'all' }
+
+// Query string keys, e.g. /?q=assignee:me&status=open&severity=critical
+const PARAMS: Record<keyof BugFilters, string> = {
+  search: 'q',
+  status: 'status',
+  severity: 'severity'
+}
+
+// Unknown values in a hand-edited or stale URL fall back to "all"
+export const filtersFromSearchParams = (params: URLSearchParams): BugFilters => {
+  const status = params.get(PARAMS.status)
+  const severity = params.get(PARAMS.severity)
+
+  return {
+    search: params.get(PARAMS.search) ?? '',
+    status: BUG_STATUSES.includes(status as BugStatus) ? status as BugStatus : 'all',
+    severity: BUG_SEVERITIES.includes(severity as BugSeverity) ? severity as BugSeverity : 'all'
+  }
+}
+
+// Write filters into a copy of `base`, leaving out defaults and keeping unrelated params
+export const filtersToSearchParams = (filters: BugFilters, base?: URLSearchParams) => {
+  const params = new URLSearchParams(base)
+  const entries = Object.entries(PARAMS) as [keyof BugFilters, string][]
+
+  entries.forEach(([key, param]) => {
+    const value = filters[key]
+    if (value === DEFAULT_FILTERS[key]) {
+      params.delete(param)
+    } else {
+      params.set(param, value)
+    }
+  })
+
+  return params
+}
+
+export const isSameFilters = (a: BugFilters, b: BugFilters) =>
+  a.search.trim() === b.search.trim() && a.status === b.status && a.severity === b.severity
+
+export const isDefaultFilters = (filters: BugFilters) => isSameFilters(filters, DEFAULT_FILTERS)
+
+// Free text is matched by substring here rather than by the server's
+// full-text search, which is close enough for counts
+export const matchesFilters = (
+  bug: Bug,
+  filters: BugFilters,
+  user: User | null,
+  customFields: CustomFieldDefinition[] = []
+) =>
+  (filters.status === 'all' || bug.status === filters.status) &&
+  (filters.severity === 'all' || bug.severity === filters.severity) &&
+  matchesQuery(bug, parseQuery(filters.search, customFields), user, { customFields })
@@ -0,0 +1,21 @@
+import { Bug } from '@/types/bug'
+
+// Client copy of the server's bug keys (server/src/utils/bugKeys.js): the
+// project key and a number, such as WEB-142, or BUG-7 outside any project
+export const DEFAULT_BUG_KEY_PREFIX = 'BUG'
+
+const BUG_KEY_PATTERN = /^([A-Z][A-Z0-9]{1,9})-([1-9][0-9]*)$/
+
+export const getBugKeyNumber = (key: string | undefined, prefix: string) => {
+  const match = key?.match(BUG_KEY_PATTERN)
+  return match && match[1] === prefix ? Number(match[2]) : 0
+}
+
+export const formatBugKey = (prefix: string, number: number) => `${prefix}-${number}`
+
+// The number after both `last`, the highest ever issued under the prefix, and
+// the highest among `bugs`, which covers bugs stored before anything counted.
+// Local adapters read and write in one synchronous step, so two creates never
+// get the same number
+export const getNextBugNumber = (bugs: Bug[], prefix = DEFAULT_BUG_KEY_PREFIX, last = 0) =>
+  Math.max(last, ...bugs.map(bug => getBugKeyNumber(bug.key, prefix))) + 1
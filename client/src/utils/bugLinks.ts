@@ -0,0 +1,20 @@
+import config from '../../../shared/bugLinks.json'
+import { BugLink, BugLinkType } from '@/types/bugLink'
+import { BugStatus } from '@/utils/bugWorkflow'
+
+// Client copy of the link rules the Express controller enforces; see
+// shared/bugLinks.json.
+
+const types = config.types as Record<BugLinkType, { label: string; inverse: BugLinkType }>
+
+export const BUG_LINK_TYPES = Object.keys(types) as BugLinkType[]
+
+export const getLinkLabel = (type: BugLinkType): string => types[type]?.label ?? type
+
+export const isDoneStatus = (status: BugStatus): boolean => config.doneStatuses.includes(status)
+
+// Moving into these statuses is refused while the bug has open blockers
+export const isBlockedStatus = (status: BugStatus): boolean => config.blockedStatuses.includes(status)
+
+export const getOpenBlockers = (links: BugLink[]): BugLink[] =>
+  links.filter(link => link.type === 'blocked-by' && !isDoneStatus(link.bug.status))
@@ -0,0 +1,103 @@
+import { Bug, CreateBugRequest } from '@/types/bug'
+import { CustomFieldValue } from '@/types/customField'
+
+// Three-way merge support for edits that raced another update: `base` is the
+// copy the form was opened with, `mine` the form values and `theirs` the
+// current server copy.
+
+export const MERGEABLE_FIELDS = [
+  'title',
+  'description',
+  'severity',
+  'priority',
+  'assignedTo',
+  'tags',
+  'stepsToReproduce',
+  'expectedBehavior',
+  'actualBehavior'
+] as const
+
+export type MergeableField = typeof MERGEABLE_FIELDS[number]
+
+// Custom field values merge one key at a time, as `customFields.<key>`
+export type MergePath = MergeableField | `customFields.${string}`
+
+export type MergeChoice = 'mine' | 'theirs'
+
+export type MergeValue = CreateBugRequest[MergeableField] | CustomFieldValue
+
+export interface FieldMerge {
+  field: MergePath
+  base: MergeValue
+  mine: MergeValue
+  theirs: MergeValue
+  // Both sides changed the field, and not to the same value
+  conflict: boolean
+  // Side that changed the field, or 'mine' when both did
+  suggested: MergeChoice
+}
+
+export class BugConflictError extends Error {
+  current: Bug
+
+  constructor(current: Bug) {
+    super('Bug was modified by another user')
+    this.name = 'BugConflictError'
+    this.current = current
+  }
+}
+
+// Treat missing and empty values alike so '' vs undefined isn't a change
+const normalize = (value: MergeValue) => JSON.stringify(value || (Array.isArray(value) ? [] : ''))
+
+const isSame = (a: MergeValue, b: MergeValue) => normalize(a) === normalize(b)
+
+const mergeValues = (field: MergePath, base: MergeValue, mine: MergeValue, theirs: MergeValue): FieldMerge[] => {
+  if (isSame(mine, theirs)) return []
+
+  const mineChanged = !isSame(base, mine)
+  const theirsChanged = !isSame(base, theirs)
+
+  return [{
+    field,
+    base,
+    mine,
+    theirs,
+    conflict: mineChanged && theirsChanged,
+    suggested: mineChanged ? 'mine' : 'theirs'
+  }]
+}
+
+const customFieldKeys = (...bugs: Partial<CreateBugRequest>[]) =>
+  [...new Set(bugs.flatMap(bug => Object.keys(bug.customFields ?? {})))]
+
+export const mergeBugFields = (
+  base: Partial<CreateBugRequest>,
+  mine: Partial<CreateBugRequest>,
+  theirs: Partial<CreateBugRequest>
+): FieldMerge[] => [
+  ...MERGEABLE_FIELDS.flatMap(field => mergeValues(field, base[field], mine[field], theirs[field])),
+  ...customFieldKeys(base, mine, theirs).flatMap(key => mergeValues(
+    `customFields.${key}`,
+    base.customFields?.[key],
+    mine.customFields?.[key],
+    theirs.customFields?.[key]
+  ))
+]
+
+// Custom field values come back under `customFields`, holding only the keys
+// that were merged, so callers set them one at a time
+export const applyMerge = (
+  merges: FieldMerge[],
+  choices: Partial<Record<MergePath, MergeChoice>>
+): Partial<CreateBugRequest> =>
+  merges.reduce<Partial<CreateBugRequest>>((merged, merge) => {
+    const choice = choices[merge.field] ?? merge.suggested
+    const value = choice === 'mine' ? merge.mine : merge.theirs
+
+    if (merge.field.startsWith('customFields.')) {
+      const key = merge.field.slice('customFields.'.length)
+      return { ...merged, customFields: { ...merged.customFields, [key]: value as CustomFieldValue } }
+    }
+    return { ...merged, [merge.field]: value }
+  }, {})
@@ -0,0 +1,38 @@
+import permissions from '../../../shared/bugPermissions.json'
+import { Bug } from '@/types/bug'
+import { User, UserRole } from '@/types/auth'
+import { Project } from '@/types/project'
+
+// Client copy of the role checks the Express permission middleware applies.
+// Used only to hide controls; the server remains the authority.
+
+export type BugAction = keyof typeof permissions.actions
+
+type Scope = 'any' | 'own' | 'assigned'
+
+const actions = permissions.actions as Record<BugAction, Partial<Record<UserRole, Scope>>>
+
+export const ROLES = permissions.roles as UserRole[]
+
+// Global admins are admins of every project; anyone else takes their member
+// role there, and has none when they aren't a member
+export const getRole = (user: User | null, project?: Project | null): UserRole | null => {
+  if (!user) return null
+  if (!project || user.role === 'admin') return user.role
+  return project.members.find(member => member.user === user.id)?.role ?? null
+}
+
+export const can = (user: User | null, action: BugAction, bug?: Bug, project?: Project | null): boolean => {
+  const role = getRole(user, project)
+  if (!user || !role) return false
+
+  switch (actions[action][role]) {
+    case 'any': return true
+    case 'own': return !!bug && bug.reportedBy === user.username
+    case 'assigned': return !!bug && !!bug.assignedTo && [user.username, user.email].includes(bug.assignedTo)
+    default: return false
+  }
+}
+
+export const canEditBug = (user: User | null, bug: Bug, project?: Project | null): boolean =>
+  can(user, 'edit', bug, project) || can(user, 'triage', bug, project)
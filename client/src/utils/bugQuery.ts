@@ -0,0 +1,413 @@
+import definition from '../../../shared/bugQuery.json'
+import { Bug } from '@/types/bug'
+import { User } from '@/types/auth'
+import { CustomFieldDefinition, CustomFieldType } from '@/types/customField'
+import { BUG_STATUSES } from './bugWorkflow'
+
+// Query language for the bug search box, e.g.
+//   status:open,in-progress severity:critical assignee:me created:>2026-01-01 "login page"
+// Comma separated values match any of them, separate terms must all match
+// and anything without a field is free text. The Express controller parses
+// the same syntax from shared/bugQuery.json into a MongoDB filter. Custom
+// fields are searched by their key, e.g. browser:firefox build:>=120
+
+export type QueryField = keyof typeof definition.fields
+export type DateOperator = '>=' | '<=' | '>' | '<' | '='
+
+type FieldType = 'status' | 'enum' | 'user' | 'tag' | 'date' | 'text' | 'number' | 'option'
+
+interface FieldDefinition {
+  type: FieldType
+  // A Bug key, or the key of a custom field
+  path: string
+  aliases: string[]
+  values?: string[]
+  custom?: boolean
+}
+
+const fields = definition.fields as Record<QueryField, FieldDefinition>
+const DATE_OPERATORS = definition.dateOperators as DateOperator[]
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const QUERY_FIELDS = Object.keys(fields) as QueryField[]
+export const USER_KEYWORDS = definition.userKeywords
+
+// How each custom field type is searched; dates and numbers take operators
+const CUSTOM_FIELD_QUERY_TYPES: Record<CustomFieldType, FieldType> = {
+  text: 'text',
+  number: 'number',
+  select: 'option',
+  'multi-select': 'option',
+  date: 'date',
+  user: 'user'
+}
+
+const toQueryField = (customField: CustomFieldDefinition): FieldDefinition => ({
+  type: CUSTOM_FIELD_QUERY_TYPES[customField.type] ?? 'text',
+  path: customField.key,
+  aliases: [],
+  values: customField.options?.length ? customField.options.map(option => option.toLowerCase()) : undefined,
+  custom: true
+})
+
+// The built-in fields plus any custom fields, which can't shadow a built-in
+const getQueryFields = (customFields: CustomFieldDefinition[] = []) => {
+  const all: Record<string, FieldDefinition> = { ...fields }
+  customFields.forEach(customField => {
+    const name = customField.key.toLowerCase()
+    if (!resolveField(name, fields)) all[name] = toQueryField(customField)
+  })
+  return all
+}
+
+// `field` is a QueryField or a lowercased custom field key
+export type QueryClause =
+  | { field: string; values: string[] }
+  | { field: string; operator: DateOperator; date: string }
+  | { field: string; operator: DateOperator; number: number }
+
+export interface QueryError {
+  message: string
+  start: number
+  end: number
+}
+
+export interface ParsedQuery {
+  clauses: QueryClause[]
+  text: string[]
+  errors: QueryError[]
+}
+
+interface Token {
+  start: number
+  end: number
+  field?: string
+  value: string
+  quoted: boolean
+}
+
+const tokenize = (input: string) => {
+  const tokens: Token[] = []
+  const errors: QueryError[] = []
+  let i = 0
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++
+      continue
+    }
+
+    const start = i
+    const fieldMatch = /^([A-Za-z][A-Za-z0-9_-]*):/.exec(input.slice(i))
+    const field = fieldMatch?.[1]
+    if (fieldMatch) i += fieldMatch[0].length
+
+    let value: string
+    const quoted = input[i] === '"'
+    if (quoted) {
+      const close = input.indexOf('"', i + 1)
+      if (close === -1) {
+        errors.push({ message: 'Missing closing quote', start: i, end: input.length })
+        value = input.slice(i + 1)
+        i = input.length
+      } else {
+        value = input.slice(i + 1, close)
+        i = close + 1
+      }
+    } else {
+      const valueStart = i
+      while (i < input.length && !/\s/.test(input[i])) i++
+      value = input.slice(valueStart, i)
+    }
+
+    tokens.push({ start, end: i, field, value, quoted })
+  }
+
+  return { tokens, errors }
+}
+
+const levenshtein = (a: string, b: string): number => {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0]
+    previous[0] = i
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j]
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1))
+      diagonal = above
+    }
+  }
+  return previous[b.length]
+}
+
+const didYouMean = (value: string, candidates: string[]) => {
+  const closest = candidates
+    .map(candidate => ({ candidate, distance: levenshtein(value, candidate) }))
+    .sort((a, b) => a.distance - b.distance)[0]
+  return closest && closest.distance <= 2 ? ` Did you mean "${closest.candidate}"?` : ''
+}
+
+const resolveField = (name: string, known: Record<string, FieldDefinition>): string | undefined => {
+  const lower = name.toLowerCase()
+  return Object.keys(known).find(field => field === lower || known[field].aliases.includes(lower))
+}
+
+const getAllowedValues = ({ type, values }: FieldDefinition): string[] | undefined => {
+  if (type === 'status') return BUG_STATUSES
+  return type === 'enum' || type === 'option' ? values : undefined
+}
+
+const isValidDate = (date: string) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return false
+  const parsed = new Date(`${date}T00:00:00.000Z`)
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date)
+}
+
+export const parseQuery = (input: string, customFields: CustomFieldDefinition[] = []): ParsedQuery => {
+  const known = getQueryFields(customFields)
+  const fieldNames = Object.keys(known)
+  const { tokens, errors } = tokenize(input)
+  const clauses: QueryClause[] = []
+  const text: string[] = []
+
+  tokens.forEach(token => {
+    if (token.field === undefined) {
+      if (token.value.trim()) text.push(token.value.trim())
+      return
+    }
+
+    const fieldEnd = token.start + token.field.length
+    const field = resolveField(token.field, known)
+    if (!field) {
+      errors.push({
+        message: `Unknown field "${token.field}".${didYouMean(token.field.toLowerCase(), fieldNames)} Try one of: ${fieldNames.join(', ')}`,
+        start: token.start,
+        end: fieldEnd
+      })
+      return
+    }
+
+    const valueStart = fieldEnd + 1
+    if (!token.value.trim()) {
+      errors.push({ message: `Missing value after "${token.field}:"`, start: token.start, end: token.end })
+      return
+    }
+
+    const { type } = known[field]
+    if (type === 'date') {
+      const operator = DATE_OPERATORS.find(op => token.value.startsWith(op))
+      const date = operator ? token.value.slice(operator.length) : token.value
+      if (!isValidDate(date)) {
+        errors.push({
+          message: `Invalid date "${date}" for ${field}. Use YYYY-MM-DD, optionally after >, >=, < or <=`,
+          start: valueStart,
+          end: token.end
+        })
+        return
+      }
+      clauses.push({ field, operator: operator ?? '=', date })
+      return
+    }
+
+    if (type === 'number') {
+      const operator = DATE_OPERATORS.find(op => token.value.startsWith(op))
+      const value = operator ? token.value.slice(operator.length) : token.value
+      const number = value.trim() ? Number(value) : NaN
+      if (!Number.isFinite(number)) {
+        errors.push({
+          message: `Invalid number "${value}" for ${field}. Use a number, optionally after >, >=, < or <=`,
+          start: valueStart,
+          end: token.end
+        })
+        return
+      }
+      clauses.push({ field, operator: operator ?? '=', number })
+      return
+    }
+
+    const values = (token.quoted ? [token.value] : token.value.split(','))
+      .map(value => value.trim())
+      .filter(Boolean)
+      .map(value => type === 'user' && !USER_KEYWORDS.includes(value.toLowerCase()) ? value : value.toLowerCase())
+
+    const allowed = getAllowedValues(known[field])
+    const invalid = allowed ? values.filter(value => !allowed.includes(value)) : []
+    if (allowed && invalid.length > 0) {
+      errors.push({
+        message: `Unknown ${field} "${invalid[0]}".${didYouMean(invalid[0], allowed)} Expected one of: ${allowed.join(', ')}`,
+        start: valueStart,
+        end: token.end
+      })
+      return
+    }
+
+    clauses.push({ field, values })
+  })
+
+  return { clauses, text, errors }
+}
+
+// True when the input uses field:value syntax rather than plain words
+export const isStructuredQuery = (input: string) =>
+  tokenize(input).tokens.some(token => token.field !== undefined)
+
+// Half-open [from, to) bounds in ms for a date clause, comparing whole UTC days
+export const getDateBounds = (operator: DateOperator, date: string): { from?: number; to?: number } => {
+  const day = Date.parse(`${date}T00:00:00.000Z`)
+  switch (operator) {
+    case '>': return { from: day + DAY_MS }
+    case '>=': return { from: day }
+    case '<': return { to: day }
+    case '<=': return { to: day + DAY_MS }
+    default: return { from: day, to: day + DAY_MS }
+  }
+}
+
+const matchesUser = (value: unknown, wanted: string, user: User | null) => {
+  if (wanted === 'none') return !value
+  if (typeof value !== 'string' || !value) return false
+  if (wanted === 'me') return !!user && [user.username, user.email].includes(value)
+  return value.toLowerCase() === wanted.toLowerCase()
+}
+
+const compare = (value: number, operator: DateOperator, wanted: number) => {
+  switch (operator) {
+    case '>': return value > wanted
+    case '>=': return value >= wanted
+    case '<': return value < wanted
+    case '<=': return value <= wanted
+    default: return value === wanted
+  }
+}
+
+// Multi-select values are lists; everything else is one value
+const toList = (value: unknown): unknown[] =>
+  Array.isArray(value) ? value : value === undefined || value === null ? [] : [value]
+
+const matchesClause = (bug: Bug, clause: QueryClause, user: User | null, known: Record<string, FieldDefinition>) => {
+  const definition = known[clause.field]
+  if (!definition) return false
+  const { type, path, custom } = definition
+  const value: unknown = custom ? bug.customFields?.[path] : bug[path as keyof Bug]
+
+  if ('number' in clause) {
+    return typeof value === 'number' && compare(value, clause.operator, clause.number)
+  }
+
+  // Custom dates are YYYY-MM-DD, which parses as the start of that UTC day
+  if ('date' in clause) {
+    const time = Date.parse(String(value))
+    const { from, to } = getDateBounds(clause.operator, clause.date)
+    return (from === undefined || time >= from) && (to === undefined || time < to)
+  }
+
+  switch (type) {
+    case 'tag':
+      return clause.values.some(tag => bug.tags.some(bugTag => bugTag.toLowerCase() === tag))
+    case 'option':
+      return toList(value).some(item => clause.values.includes(String(item).toLowerCase()))
+    case 'text':
+      return typeof value === 'string' && clause.values.some(wanted => value.toLowerCase().includes(wanted))
+    case 'user':
+      return clause.values.some(wanted => matchesUser(value, wanted, user))
+    default:
+      return clause.values.includes(String(value))
+  }
+}
+
+const matchesText = (bug: Bug, term: string) => {
+  const lower = term.toLowerCase()
+  return bug.title.toLowerCase().includes(lower) ||
+    bug.description.toLowerCase().includes(lower) ||
+    bug.tags.some(tag => tag.toLowerCase().includes(lower))
+}
+
+// Pass the same custom fields the query was parsed with
+export const matchesQuery = (
+  bug: Bug,
+  query: ParsedQuery,
+  user: User | null,
+  { includeText = true, customFields = [] as CustomFieldDefinition[] } = {}
+) => {
+  const known = getQueryFields(customFields)
+  return query.clauses.every(clause => matchesClause(bug, clause, user, known)) &&
+    (!includeText || query.text.every(term => matchesText(bug, term)))
+}
+
+export interface QuerySuggestion {
+  label: string
+  // Replaces input[from, to)
+  insert: string
+  from: number
+  to: number
+}
+
+export interface SuggestionContext {
+  tags?: string[]
+  users?: string[]
+  customFields?: CustomFieldDefinition[]
+}
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+const getValueCandidates = (definition: FieldDefinition, { tags = [], users = [] }: SuggestionContext) => {
+  switch (definition.type) {
+    case 'status':
+    case 'enum':
+    case 'option':
+      return getAllowedValues(definition) ?? []
+    case 'user':
+      return [...USER_KEYWORDS, ...users]
+    case 'tag':
+      return tags
+    case 'date':
+      return [`>${today()}`, `<${today()}`, today()]
+    default:
+      return []
+  }
+}
+
+// Completions for the term under the cursor: field names, then their values
+export const getQuerySuggestions = (
+  input: string,
+  cursor: number,
+  context: SuggestionContext = {}
+): QuerySuggestion[] => {
+  let from = cursor
+  while (from > 0 && !/\s/.test(input[from - 1])) from--
+  let to = cursor
+  while (to < input.length && !/\s/.test(input[to])) to++
+
+  const term = input.slice(from, cursor)
+  if (!term || term.startsWith('"')) return []
+
+  const known = getQueryFields(context.customFields)
+  const colon = term.indexOf(':')
+  if (colon === -1) {
+    const lower = term.toLowerCase()
+    return Object.keys(known)
+      .filter(field => field.startsWith(lower) && field !== lower)
+      .map(field => ({ label: `${field}:`, insert: `${field}:`, from, to }))
+  }
+
+  const field = resolveField(term.slice(0, colon), known)
+  if (!field) return []
+
+  // Only complete the last of a comma separated list
+  const valueStart = from + Math.max(colon, term.lastIndexOf(',')) + 1
+  const partial = input.slice(valueStart, cursor).toLowerCase()
+  const candidates = [...new Set(getValueCandidates(known[field], context))]
+
+  return candidates
+    .filter(candidate => candidate.toLowerCase().startsWith(partial) && candidate.toLowerCase() !== partial)
+    .slice(0, 8)
+    .map(candidate => ({
+      label: candidate,
+      insert: /\s/.test(candidate) ? `"${candidate}"` : candidate,
+      from: valueStart,
+      to
+    }))
+}
+
+export const applySuggestion = (input: string, suggestion: QuerySuggestion) =>
+  `${input.slice(0, suggestion.from)}${suggestion.insert}${input.slice(suggestion.to)}`
@@ -0,0 +1,202 @@
+import { z } from 'zod'
+import schema from '../../../shared/bugSchema.json'
+import { BugPriority, BugSeverity, ValidationError } from '@/types/bug'
+import { CustomFieldDefinition, CustomFieldType } from '@/types/customField'
+
+// Client side of the bug field rules, built from the same definition the
+// Express controller and the Mongoose model use, so every side reports the
+// same { field, message } errors.
+
+interface StringRule {
+  type: 'string'
+  required?: string
+  min?: [number, string]
+  max?: [number, string]
+  email?: string
+}
+
+interface EnumRule {
+  type: 'enum'
+  values: string[]
+  message: string
+}
+
+interface TagsRule {
+  type: 'tags'
+  min: [number, string]
+  max: [number, string]
+  message: string
+}
+
+type FieldRule = StringRule | EnumRule | TagsRule
+
+const fields = schema.fields as Record<string, FieldRule>
+
+// Assignees may be usernames; anything that looks like an email must be one
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+export const BUG_SEVERITIES = schema.fields.severity.values as BugSeverity[]
+
+export const BUG_PRIORITIES = schema.fields.priority.values as BugPriority[]
+
+// Longest allowed value of a text field, for character counters
+export const getMaxLength = (field: string): number | undefined => {
+  const rule = fields[field]
+  return rule?.type === 'string' ? rule.max?.[0] : undefined
+}
+
+const toStringSchema = (field: string, rule: StringRule) => {
+  let fieldSchema = z.string({
+    required_error: rule.required,
+    invalid_type_error: rule.required || `${field} must be text`
+  }).trim()
+
+  if (rule.required) fieldSchema = fieldSchema.min(1, rule.required)
+  if (rule.min) fieldSchema = fieldSchema.min(rule.min[0], rule.min[1])
+  if (rule.max) fieldSchema = fieldSchema.max(rule.max[0], rule.max[1])
+
+  const { email } = rule
+  const checked = email
+    ? fieldSchema.refine(value => !value.includes('@') || EMAIL_PATTERN.test(value), email)
+    : fieldSchema
+  return rule.required ? checked : checked.nullish()
+}
+
+const toZod = (field: string, rule: FieldRule): z.ZodTypeAny => {
+  switch (rule.type) {
+    case 'enum':
+      return z.enum(rule.values as [string, ...string[]], { errorMap: () => ({ message: rule.message }) }).nullish()
+    case 'tags':
+      return z.array(
+        z.string({ invalid_type_error: rule.message }).trim().min(rule.min[0], rule.min[1]),
+        { invalid_type_error: rule.message }
+      ).max(rule.max[0], rule.max[1]).optional()
+    default:
+      return toStringSchema(field, rule)
+  }
+}
+
+export const bugFieldSchemas: Record<string, z.ZodTypeAny> = Object.fromEntries(
+  Object.entries(fields).map(([field, rule]) => [field, toZod(field, rule)])
+)
+
+export const bugSchema = z.object(bugFieldSchemas)
+
+// One error per invalid field, in schema order
+export const toFieldErrors = (issues: z.ZodIssue[]): ValidationError[] => {
+  const errors = new Map<string, ValidationError>()
+  issues.forEach(issue => {
+    const field = String(issue.path[0])
+    if (!errors.has(field)) {
+      errors.set(field, { field, message: issue.message })
+    }
+  })
+  return [...errors.values()]
+}
+
+export const validateBug = (data: unknown): ValidationError[] => {
+  const result = bugSchema.safeParse(data)
+  return result.success ? [] : toFieldErrors(result.error.issues)
+}
+
+export const validateBugField = (field: string, value: unknown): ValidationError[] => {
+  const fieldSchema = bugFieldSchemas[field]
+  if (!fieldSchema) return []
+  const result = fieldSchema.safeParse(value)
+  return result.success ? [] : [{ field, message: result.error.issues[0].message }]
+}
+
+// Custom fields: a definition names a value kept under bug.customFields
+
+export const CUSTOM_FIELD_TYPES = schema.customFields.types as CustomFieldType[]
+
+export const OPTION_FIELD_TYPES: CustomFieldType[] = ['select', 'multi-select']
+
+const CUSTOM_FIELD_MAX_LENGTH = schema.customFields.maxLength
+
+// Dates are stored as plain YYYY-MM-DD strings so they sort and compare as text
+export const isValidDate = (value: string): boolean => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false
+  const parsed = new Date(`${value}T00:00:00.000Z`)
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value)
+}
+
+type CustomFieldMessage = keyof typeof schema.customFields.messages
+
+const formatMessage = (name: CustomFieldMessage, values: Record<string, unknown>): string =>
+  schema.customFields.messages[name].replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] !== undefined ? String(values[key]) : match
+  )
+
+// An empty number input comes back as NaN
+export const isEmptyValue = (value: unknown): boolean =>
+  value === undefined || value === null ||
+  (typeof value === 'string' && value.trim().length === 0) ||
+  (typeof value === 'number' && Number.isNaN(value)) ||
+  (Array.isArray(value) && value.length === 0)
+
+const toCustomFieldSchema = (definition: CustomFieldDefinition): z.ZodTypeAny => {
+  const options = definition.options ?? []
+  const message = (name: CustomFieldMessage) => formatMessage(name, {
+    ...definition,
+    options: options.join(', '),
+    maxLength: CUSTOM_FIELD_MAX_LENGTH
+  })
+  const option = z.string({ invalid_type_error: message('option') })
+    .refine(value => options.includes(value), message('option'))
+
+  switch (definition.type) {
+    case 'number':
+      return z.number({ invalid_type_error: message('number') }).finite(message('number'))
+    case 'select':
+      return option
+    case 'multi-select':
+      return z.array(option, { invalid_type_error: message('options') })
+    case 'date':
+      return z.string({ invalid_type_error: message('date') }).refine(isValidDate, message('date'))
+    default:
+      return z.string({ invalid_type_error: message('text') }).trim().max(CUSTOM_FIELD_MAX_LENGTH, message('maxLength'))
+  }
+}
+
+// Errors name the value as customFields.<key>, as the server's do
+export const validateCustomFields = (values: unknown, definitions: CustomFieldDefinition[]): ValidationError[] => {
+  if (values !== undefined && values !== null && (typeof values !== 'object' || Array.isArray(values))) {
+    return [{ field: 'customFields', message: formatMessage('object', {}) }]
+  }
+  const record = (values ?? {}) as Record<string, unknown>
+
+  const known = new Set(definitions.map(definition => definition.key))
+  const errors: ValidationError[] = Object.keys(record)
+    .filter(key => !known.has(key))
+    .map(key => ({ field: `customFields.${key}`, message: formatMessage('unknown', { key }) }))
+
+  definitions.forEach(definition => {
+    const field = `customFields.${definition.key}`
+    const value = record[definition.key]
+
+    if (isEmptyValue(value)) {
+      if (definition.required) {
+        errors.push({ field, message: formatMessage('required', { ...definition }) })
+      }
+      return
+    }
+
+    const result = toCustomFieldSchema(definition).safeParse(value)
+    if (!result.success) {
+      errors.push({ field, message: result.error.issues[0].message })
+    }
+  })
+
+  return errors
+}
+
+// Definitions that apply to a bug: every admin-defined field, then the
+// fields of its template that don't reuse one of those keys
+export const mergeFieldDefinitions = (
+  fields: CustomFieldDefinition[],
+  templateFields: CustomFieldDefinition[] = []
+): CustomFieldDefinition[] => {
+  const keys = new Set(fields.map(definition => definition.key))
+  return [...fields, ...templateFields.filter(definition => !keys.has(definition.key))]
+}
@@ -0,0 +1,88 @@
+import { Bug } from '@/types/bug'
+import { BugSearchResult, SearchSnippet, SearchSnippetField } from '@/types/search'
+
+// Client-side counterpart of the server's text search, used when bugs are
+// stored locally. Snippets follow the server's shape so BugList renders
+// either the same way.
+
+const SNIPPET_RADIUS = 60
+const ELLIPSIS = '…'
+
+// Same weighting as the MongoDB text index
+const FIELD_WEIGHTS: Partial<Record<SearchSnippetField, number>> = {
+  title: 10,
+  description: 3,
+  stepsToReproduce: 1,
+  expectedBehavior: 1,
+  actualBehavior: 1
+}
+const TAG_WEIGHT = 5
+
+const escapeRegex = (value: string) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Words and "quoted phrases" from a query, leaving out -negated terms
+export const getSearchTerms = (query: string): string[] => {
+  const phrases: string[] = []
+  const rest = query.replace(/"([^"]*)"/g, (_, phrase: string) => {
+    phrases.push(phrase)
+    return ' '
+  })
+
+  const words = rest.split(/\s+/).filter(word => word && !word.startsWith('-'))
+
+  return [...new Set([...phrases, ...words].map(term => term.trim().toLowerCase()).filter(Boolean))]
+}
+
+export const findHighlights = (text: string | undefined, terms: string[]): [number, number][] => {
+  if (!text || terms.length === 0) return []
+
+  const pattern = new RegExp(`(${terms.map(escapeRegex).join('|')})\\w*`, 'gi')
+  return [...text.matchAll(pattern)].map(match => [match.index!, match.index! + match[0].length])
+}
+
+export const buildSnippet = (
+  text: string | undefined,
+  terms: string[],
+  radius = SNIPPET_RADIUS
+): Pick<SearchSnippet, 'text' | 'highlights'> | null => {
+  const highlights = findHighlights(text, terms)
+  if (!text || highlights.length === 0) return null
+
+  const start = Math.max(0, highlights[0][0] - radius)
+  const end = Math.min(text.length, highlights[0][1] + radius)
+  const prefix = start > 0 ? ELLIPSIS : ''
+  const suffix = end < text.length ? ELLIPSIS : ''
+  const shift = prefix.length - start
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: highlights
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + shift, to + shift])
+  }
+}
+
+export const searchBugsInMemory = (bugs: Bug[], query: string): BugSearchResult[] => {
+  const terms = getSearchTerms(query)
+  if (terms.length === 0) return []
+
+  const fields = Object.keys(FIELD_WEIGHTS) as (keyof typeof FIELD_WEIGHTS & keyof Bug)[]
+
+  return bugs
+    .map(bug => {
+      const tagScore = bug.tags.filter(tag => findHighlights(tag, terms).length > 0).length * TAG_WEIGHT
+      const score = fields.reduce(
+        (total, field) => total + findHighlights(bug[field], terms).length * (FIELD_WEIGHTS[field] ?? 1),
+        tagScore
+      )
+
+      const snippets = fields.flatMap(field => {
+        const snippet = buildSnippet(bug[field], terms)
+        return snippet ? [{ field, ...snippet }] : []
+      })
+
+      return { bug, score, snippets }
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+}
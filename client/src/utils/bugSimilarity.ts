@@ -0,0 +1,76 @@
+import config from '../../../shared/bugSimilarity.json'
+import { Bug } from '@/types/bug'
+import { DuplicateCandidate } from '@/types/search'
+
+// Client-side counterpart of the server's duplicate scoring, used when bugs
+// are stored locally. Reports become bags of stemmed words, with title words
+// counting `titleWeight` times, and score the cosine of their bags.
+
+export interface BugReport {
+  title: string
+  description?: string
+}
+
+const STOP_WORDS = new Set(config.stopWords)
+
+// Crude suffix stripping so "crash", "crashes" and "crashing" match
+const stem = (word: string) => {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3)
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2)
+  if (word.length > 4 && word.endsWith('es')) return word.slice(0, -2)
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1)
+  return word
+}
+
+export const tokenize = (text = '') =>
+  text
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= config.minTokenLength && !STOP_WORDS.has(word))
+    .map(stem)
+
+const toVector = ({ title, description }: BugReport) => {
+  const vector = new Map<string, number>()
+  const add = (tokens: string[], weight: number) => {
+    tokens.forEach(token => vector.set(token, (vector.get(token) ?? 0) + weight))
+  }
+  add(tokenize(title), config.titleWeight)
+  add(tokenize(description), 1)
+  return vector
+}
+
+const magnitude = (vector: Map<string, number>) =>
+  Math.sqrt([...vector.values()].reduce((sum, value) => sum + value * value, 0))
+
+const cosine = (a: Map<string, number>, b: Map<string, number>) => {
+  const denominator = magnitude(a) * magnitude(b)
+  if (denominator === 0) return 0
+
+  let dot = 0
+  a.forEach((value, token) => {
+    dot += value * (b.get(token) ?? 0)
+  })
+  return dot / denominator
+}
+
+const round = (score: number) => Math.round(score * 1000) / 1000
+
+// Similarity from 0 (no words shared) to 1 (same words), rounded to 3 places
+export const getSimilarity = (a: BugReport, b: BugReport) => round(cosine(toVector(a), toVector(b)))
+
+// Likely duplicates of `report` among `bugs`, best first. Bugs already marked
+// as duplicates are skipped in favour of their originals.
+export const findSimilarBugs = (
+  report: BugReport,
+  bugs: Bug[],
+  { threshold = config.threshold, limit = config.maxCandidates, excludeId }: { threshold?: number; limit?: number; excludeId?: string } = {}
+): DuplicateCandidate[] => {
+  const target = toVector(report)
+  return bugs
+    .filter(bug => bug.id !== excludeId && bug.status !== 'duplicate')
+    .map(bug => ({ bug, score: round(cosine(target, toVector(bug))) }))
+    .filter(({ score }) => score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+}
@@ -0,0 +1,44 @@
+import { CreateBugRequest } from '@/types/bug'
+import { BugTemplate } from '@/types/template'
+
+const SCAFFOLD_FIELDS = ['stepsToReproduce', 'expectedBehavior', 'actualBehavior'] as const
+
+// Fill a form from a template, or clear the template with null. Scaffolds
+// only go into fields that are empty or still hold the previous template's
+// scaffold, so switching templates never throws away what was typed
+export const applyTemplate = (
+  values: CreateBugRequest,
+  template: BugTemplate | null,
+  previous?: BugTemplate | null
+): CreateBugRequest => {
+  const defaults = template?.defaults ?? {}
+  const next: CreateBugRequest = {
+    ...values,
+    template: template?.id,
+    severity: defaults.severity ?? values.severity,
+    priority: defaults.priority ?? values.priority,
+    tags: [...new Set([...values.tags, ...(defaults.tags ?? [])])]
+  }
+
+  SCAFFOLD_FIELDS.forEach(field => {
+    const current = values[field] ?? ''
+    const isUntouched = !current.trim() || current === previous?.defaults[field]
+    if (isUntouched) {
+      next[field] = defaults[field] ?? ''
+    }
+  })
+
+  // Drop values only the previous template asked for; admin-defined fields
+  // and fields the new template also has keep theirs
+  const keys = new Set((template?.fields ?? []).map(field => field.key))
+  const dropped = (previous?.fields ?? []).map(field => field.key).filter(key => !keys.has(key))
+  const customFields = Object.fromEntries(
+    Object.entries(values.customFields ?? {}).filter(([key]) => !dropped.includes(key))
+  )
+  keys.forEach(key => {
+    if (!(key in customFields)) customFields[key] = ''
+  })
+  next.customFields = Object.keys(customFields).length > 0 ? customFields : undefined
+
+  return next
+}
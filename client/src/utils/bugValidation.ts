@@ -0,0 +1,35 @@
+import { CreateBugRequest, ValidationError, ValidationResult } from '@/types/bug'
+import { validateBug, validateBugField } from './bugSchema'
+
+// Form-facing wrappers around the shared bug schema; see utils/bugSchema
+
+const toResult = (errors: ValidationError[]): ValidationResult => ({
+  isValid: errors.length === 0,
+  errors
+})
+
+export const validateBugRequest = (request: CreateBugRequest): ValidationResult =>
+  toResult(validateBug(request))
+
+export const validateTags = (tags: string[]): ValidationResult =>
+  toResult(validateBugField('tags', tags))
+
+export const formatValidationErrors = (errors: ValidationError[]): string =>
+  errors.map(error => `${error.field}: ${error.message}`).join(', ')
+
+// The { field, message } errors in an API 400, or none for other failures
+export const getResponseErrors = (data: unknown): ValidationError[] => {
+  const errors = (data as { errors?: unknown } | null)?.errors
+  if (!Array.isArray(errors)) return []
+  return errors.filter((error): error is ValidationError =>
+    typeof error?.field === 'string' && typeof error?.message === 'string'
+  )
+}
+
+// What to show when a save fails for a reason no single field can carry;
+// fetch rejects with a TypeError when the server can't be reached
+export const getSubmitErrorMessage = (error: unknown): string => {
+  if (error instanceof TypeError) return 'Could not reach the server. Check your connection and try again.'
+  if (error instanceof Error && error.message) return error.message
+  return 'Failed to save the bug'
+}
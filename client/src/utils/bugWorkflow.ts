@@ -0,0 +1,38 @@
+import workflow from '../../../shared/bugWorkflow.json'
+
+// Client side of the bug status state machine, backed by the same
+// definition the Express controller enforces.
+
+export type BugStatus = keyof typeof workflow.states
+
+export interface StatusTransition {
+  to: BugStatus
+  action: string
+  label: string
+}
+
+const states = workflow.states as Record<BugStatus, { label: string; transitions: StatusTransition[] }>
+
+export const INITIAL_STATUS = workflow.initial as BugStatus
+
+export const BUG_STATUSES = Object.keys(states) as BugStatus[]
+
+export const getStatusLabel = (status: BugStatus): string => states[status]?.label ?? status
+
+export const getStatusTransitions = (status: BugStatus): StatusTransition[] => states[status]?.transitions ?? []
+
+export const getAllowedTransitions = (status: BugStatus): BugStatus[] =>
+  getStatusTransitions(status).map(transition => transition.to)
+
+export const canTransition = (from: BugStatus, to: BugStatus): boolean =>
+  from === to || getAllowedTransitions(from).includes(to)
+
+export class InvalidStatusTransitionError extends Error {
+  allowedTransitions: BugStatus[]
+
+  constructor(from: BugStatus, to: BugStatus) {
+    super(`Cannot move bug from ${from} to ${to}`)
+    this.name = 'InvalidStatusTransitionError'
+    this.allowedTransitions = getAllowedTransitions(from)
+  }
+}
@@ -0,0 +1,26 @@
+import { CreateBugRequest } from '@/types/bug'
+
+// How often BugForm writes its draft to local storage
+export const AUTOSAVE_INTERVAL_MS = 5000
+
+// One draft per form, and per bug for edits, so two open forms don't
+// overwrite each other
+export const getDraftKey = (form: string, bugId?: string): string =>
+  `${form}:${bugId ?? 'new'}`
+
+export const isSameValues = (a: CreateBugRequest, b: CreateBugRequest): boolean =>
+  JSON.stringify(a) === JSON.stringify(b)
+
+export const formatSavedAgo = (savedAt: string, now = new Date()): string => {
+  const seconds = Math.max(0, Math.floor((now.getTime() - new Date(savedAt).getTime()) / 1000))
+  if (seconds < 5) return 'saved just now'
+  if (seconds < 60) return `saved ${seconds} seconds ago`
+
+  const minutes = Math.floor(seconds / 60)
+  if (minutes < 60) return `saved ${minutes} minute${minutes === 1 ? '' : 's'} ago`
+
+  const hours = Math.floor(minutes / 60)
+  if (hours < 24) return `saved ${hours} hour${hours === 1 ? '' : 's'} ago`
+
+  return `saved on ${new Date(savedAt).toLocaleDateString()}`
+}
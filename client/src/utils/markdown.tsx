@@ -0,0 +1,99 @@
+import { ReactNode } from 'react'
+
+// Minimal markdown renderer for comment bodies. It builds React elements
+// directly, so user input is never injected as HTML.
+
+const INLINE_PATTERN = /(`[^`]+`|\*\*[^*]+\*\*|\*[^*]+\*|\[[^\]]+\]\([^)\s]+\))/g
+
+const renderInline = (text: string, keyPrefix: string): ReactNode[] => {
+  return text.split(INLINE_PATTERN).filter(Boolean).map((part, index) => {
+    const key = `${keyPrefix}-${index}`
+
+    if (part.startsWith('`') && part.endsWith('`')) {
+      return <code key={key} className="rounded bg-muted px-1 font-mono text-xs">{part.slice(1, -1)}</code>
+    }
+    if (part.startsWith('**') && part.endsWith('**')) {
+      return <strong key={key}>{part.slice(2, -2)}</strong>
+    }
+    if (part.startsWith('*') && part.endsWith('*')) {
+      return <em key={key}>{part.slice(1, -1)}</em>
+    }
+
+    const link = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/)
+    if (link) {
+      const [, label, href] = link
+      // Only allow http(s) links to keep javascript: URLs out
+      if (/^https?:\/\//i.test(href)) {
+        return (
+          <a key={key} href={href} target="_blank" rel="noopener noreferrer" className="text-primary underline">
+            {label}
+          </a>
+        )
+      }
+      return label
+    }
+
+    return part
+  })
+}
+
+export const renderMarkdown = (source: string): ReactNode[] => {
+  const blocks: ReactNode[] = []
+  const lines = source.replace(/\r\n/g, '\n').split('\n')
+  let index = 0
+
+  while (index < lines.length) {
+    const line = lines[index]
+
+    if (line.startsWith('```')) {
+      const code: string[] = []
+      index++
+      while (index < lines.length && !lines[index].startsWith('```')) {
+        code.push(lines[index++])
+      }
+      index++
+      blocks.push(
+        <pre key={blocks.length} className="overflow-x-auto rounded bg-muted p-2 font-mono text-xs">
+          {code.join('\n')}
+        </pre>
+      )
+      continue
+    }
+
+    const listMatch = line.match(/^\s*([-*]|\d+\.)\s+/)
+    if (listMatch) {
+      const ordered = /\d/.test(listMatch[1])
+      const items: string[] = []
+      while (index < lines.length && /^\s*([-*]|\d+\.)\s+/.test(lines[index])) {
+        items.push(lines[index++].replace(/^\s*([-*]|\d+\.)\s+/, ''))
+      }
+      const ListTag = ordered ? 'ol' : 'ul'
+      blocks.push(
+        <ListTag key={blocks.length} className={ordered ? 'list-decimal list-inside' : 'list-disc list-inside'}>
+          {items.map((item, itemIndex) => (
+            <li key={itemIndex}>{renderInline(item, `${blocks.length}-${itemIndex}`)}</li>
+          ))}
+        </ListTag>
+      )
+      continue
+    }
+
+    if (line.trim() === '') {
+      index++
+      continue
+    }
+
+    const paragraph: string[] = []
+    while (
+      index < lines.length &&
+      lines[index].trim() !== '' &&
+      !lines[index].startsWith('```') &&
+      !/^\s*([-*]|\d+\.)\s+/.test(lines[index])
+    ) {
+      paragraph.push(lines[index++])
+    }
+    blocks.push(<p key={blocks.length}>{renderInline(paragraph.join(' '), String(blocks.length))}</p>)
+  }
+
+  return blocks
+}
@@ -0,0 +1,85 @@
+import { CreateBugRequest } from '@/types/bug'
+import { BugDiagnostics } from '@/types/diagnostics'
+import { NetworkRequest } from '@/usedebuglogger'
+
+// Turns what useDebugLogger has seen into a diagnostics payload and a
+// pre-filled bug report. Only the most recent entries are kept so the
+// payload stays small.
+
+export const MAX_ERRORS = 20
+export const MAX_FAILED_REQUESTS = 20
+export const MAX_LOGS = 50
+
+// Matches the server's limit on actualBehavior and description
+const MAX_FIELD_LENGTH = 1000
+
+export interface DebugSession {
+  logs: string[]
+  errors: string[]
+  networkRequests: NetworkRequest[]
+}
+
+export interface SessionEnvironment {
+  url: string
+  userAgent: string
+  width: number
+  height: number
+  isMobile: boolean
+}
+
+export const getSessionEnvironment = (isMobile: boolean): SessionEnvironment => ({
+  url: window.location.href,
+  userAgent: navigator.userAgent,
+  width: window.innerWidth,
+  height: window.innerHeight,
+  isMobile
+})
+
+// Requests that never completed are logged with status 0
+export const isFailedRequest = (request: NetworkRequest) => request.status === 0 || request.status >= 400
+
+export const collectDiagnostics = (
+  session: DebugSession,
+  environment: SessionEnvironment,
+  now = new Date()
+): BugDiagnostics => ({
+  capturedAt: now.toISOString(),
+  url: environment.url,
+  userAgent: environment.userAgent,
+  viewport: { width: environment.width, height: environment.height, isMobile: environment.isMobile },
+  consoleErrors: session.errors.slice(-MAX_ERRORS),
+  failedRequests: session.networkRequests.filter(isFailedRequest).slice(-MAX_FAILED_REQUESTS),
+  recentLogs: session.logs.slice(-MAX_LOGS)
+})
+
+const truncate = (text: string, length: number) =>
+  text.length > length ? `${text.slice(0, length - 1)}…` : text
+
+const describeRequest = ({ method, url, status }: NetworkRequest) =>
+  `${method} ${url} → ${status === 0 ? 'no response' : status}`
+
+// Fields for BugForm; the reporter still writes the title and steps
+export const toBugPrefill = (diagnostics: BugDiagnostics): Partial<CreateBugRequest> => {
+  const { viewport } = diagnostics
+  const description = [
+    `Reported from ${diagnostics.url}`,
+    `Browser: ${diagnostics.userAgent}`,
+    `Viewport: ${viewport.width}×${viewport.height} (${viewport.isMobile ? 'mobile' : 'desktop'})`
+  ].join('\n')
+
+  const sections: string[] = []
+  if (diagnostics.consoleErrors.length > 0) {
+    sections.push(['Errors:', ...diagnostics.consoleErrors.map(error => `- ${error}`)].join('\n'))
+  }
+  if (diagnostics.failedRequests.length > 0) {
+    sections.push(['Failed requests:', ...diagnostics.failedRequests.map(request => `- ${describeRequest(request)}`)].join('\n'))
+  }
+
+  return {
+    // Most recent error first, as it is the likeliest cause
+    title: truncate(diagnostics.consoleErrors[diagnostics.consoleErrors.length - 1] ?? '', 100),
+    description: truncate(description, MAX_FIELD_LENGTH),
+    actualBehavior: truncate(sections.join('\n\n'), MAX_FIELD_LENGTH),
+    tags: ['from-session']
+  }
+}
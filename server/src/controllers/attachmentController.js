@@ -0,0 +1,143 @@
+const path = require('path');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('../utils/attachmentStorage');
+const { getContentType, getChecksum } = require('../utils/attachments');
+const { getRole } = require('../utils/bugPermissions');
+
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+// Types that are safe to show inline; everything else downloads
+const INLINE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'text/plain'];
+
+// Only the uploader or an admin of the bug's project may delete an attachment
+const canModifyAttachment = (attachment, user, project) => {
+  return getRole(user, project) === 'admin' || (attachment.uploadedById && attachment.uploadedById.toString() === user._id.toString());
+};
+
+// Get the attachments on req.bug, oldest first; loadBug has already run
+const getAttachments = async (req, res) => {
+  try {
+    const attachments = await Attachment.find({ bug: req.bug._id }).sort({ createdAt: 1 });
+    res.json(attachments);
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    res.status(500).json({ error: 'Failed to fetch attachments' });
+  }
+};
+
+// Store the files uploadFiles received for req.bug
+const uploadAttachments = async (req, res) => {
+  const saved = [];
+
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ errors: ['At least one file is required'] });
+    }
+
+    const storage = getStorage();
+    for (const file of req.files) {
+      const attachment = new Attachment({
+        bug: req.bug._id,
+        filename: path.basename(file.originalname),
+        contentType: getContentType(file.originalname),
+        size: file.size,
+        checksum: getChecksum(file.buffer),
+        uploadedBy: req.user.username,
+        uploadedById: req.user._id
+      });
+      // Named by id, so the original filename never reaches the disk
+      attachment.storageKey = `${req.bug._id}/${attachment._id}`;
+
+      await storage.save(attachment.storageKey, file.buffer);
+      saved.push(attachment);
+      await attachment.save();
+    }
+
+    res.status(201).json(saved);
+  } catch (error) {
+    console.error('Error uploading attachments:', error);
+    // Don't leave half an upload behind, but answer even if that fails too
+    try {
+      await Promise.allSettled(saved.map(attachment => getStorage().remove(attachment.storageKey)));
+      await Attachment.deleteMany({ _id: { $in: saved.map(attachment => attachment._id) } });
+    } catch (cleanupError) {
+      console.error('Error cleaning up attachments:', cleanupError);
+    }
+    res.status(500).json({ error: 'Failed to upload attachments' });
+  }
+};
+
+// Stream an attachment's contents
+const getAttachmentContent = async (req, res) => {
+  try {
+    if (!isValidId(req.params.attachmentId)) {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+
+    const attachment = await Attachment.findOne({ _id: req.params.attachmentId, bug: req.bug._id });
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const etag = `"${attachment.checksum}"`;
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    const disposition = INLINE_TYPES.includes(attachment.contentType) ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': attachment.contentType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `${disposition}; filename="${encodeURIComponent(attachment.filename)}"`,
+      'X-Content-Type-Options': 'nosniff',
+      ETag: etag
+    });
+
+    const stream = getStorage().createReadStream(attachment.storageKey);
+    stream.on('error', (error) => {
+      console.error('Error reading attachment:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to read attachment' });
+      } else {
+        res.destroy(error);
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error fetching attachment:', error);
+    res.status(500).json({ error: 'Failed to fetch attachment' });
+  }
+};
+
+// Delete an attachment and its stored file
+const deleteAttachment = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id) || !isValidId(req.params.attachmentId)) {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+
+    const attachment = await Attachment.findOne({ _id: req.params.attachmentId, bug: req.params.id });
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    if (!canModifyAttachment(attachment, req.user, req.project)) {
+      return res.status(403).json({ error: 'Not authorized to delete this attachment' });
+    }
+
+    await getStorage().remove(attachment.storageKey);
+    await attachment.deleteOne();
+
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    res.status(500).json({ error: 'Failed to delete attachment' });
+  }
+};
+
+module.exports = {
+  getAttachments,
+  uploadAttachments,
+  getAttachmentContent,
+  deleteAttachment
+};
@@ -0,0 +1,75 @@
+const User = require('../models/User');
+const { generateToken } = require('../utils/auth');
+
+// Helper function for validation
+const validateRegistration = (data) => {
+  const errors = [];
+
+  if (!data.username || data.username.trim().length < 3) {
+    errors.push('Username must be at least 3 characters');
+  }
+
+  if (!data.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+    errors.push('A valid email is required');
+  }
+
+  if (!data.password || data.password.length < 6) {
+    errors.push('Password must be at least 6 characters');
+  }
+
+  return errors;
+};
+
+// Register a new user
+const register = async (req, res) => {
+  try {
+    const validationErrors = validateRegistration(req.body);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ errors: validationErrors });
+    }
+
+    const { username, email, password } = req.body;
+    const existingUser = await User.findOne({ $or: [{ username }, { email: email.toLowerCase() }] });
+    if (existingUser) {
+      return res.status(409).json({ error: 'Username or email already in use' });
+    }
+
+    const user = await User.create({ username, email, password });
+    res.status(201).json({ user, token: generateToken(user) });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: 'Failed to register user' });
+  }
+};
+
+// Exchange email and password for a token
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    res.json({ user, token: generateToken(user) });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+};
+
+// Get the currently authenticated user
+const getCurrentUser = (req, res) => {
+  res.json(req.user);
+};
+
+module.exports = {
+  register,
+  login,
+  getCurrentUser,
+  validateRegistration // Export for testing
+};
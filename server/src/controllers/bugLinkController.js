@@ -0,0 +1,119 @@
+const Bug = require('../models/Bug');
+const BugLink = require('../models/BugLink');
+const { LINK_TYPES, toStoredLink, toBugView, createsCycle } = require('../utils/bugLinks');
+const { isBugKey, normalizeBugKey } = require('../utils/bugKeys');
+
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+const BUG_FIELDS = 'title status';
+
+// Helper function for validation
+const validateLinkData = (data, bugId) => {
+  const errors = [];
+
+  if (!LINK_TYPES.includes(data.type)) {
+    errors.push(`Link type must be one of: ${LINK_TYPES.join(', ')}`);
+  }
+
+  if (typeof data.bug !== 'string' || !(isValidId(data.bug) || isBugKey(data.bug))) {
+    errors.push('Invalid linked bug ID');
+  } else if (data.bug === bugId) {
+    errors.push('A bug cannot be linked to itself');
+  }
+
+  return errors;
+};
+
+// The bug a link points at, given its id or its key such as WEB-142
+const findLinkedBug = (ref) => {
+  return isBugKey(ref) ? Bug.findOne({ key: normalizeBugKey(ref) }) : Bug.findById(ref);
+};
+
+// Links stay inside one project, so nobody can link to bugs they have no role in
+const isSameProject = (bug, other) => String(bug.project || '') === String(other.project || '');
+
+// Get every link on req.bug, described from its side; loadBug has already run
+const getLinks = async (req, res) => {
+  try {
+    const links = await BugLink.find({ $or: [{ source: req.bug._id }, { target: req.bug._id }] })
+      .sort({ createdAt: 1 })
+      .populate('source', BUG_FIELDS)
+      .populate('target', BUG_FIELDS);
+
+    res.json(links.map(link => toBugView(link, req.bug._id)));
+  } catch (error) {
+    console.error('Error fetching bug links:', error);
+    res.status(500).json({ error: 'Failed to fetch bug links' });
+  }
+};
+
+// Link req.bug to another bug; loadBug and authorize('link') have already run
+const createLink = async (req, res) => {
+  try {
+    const bugId = req.bug._id.toString();
+
+    const validationErrors = validateLinkData(req.body, bugId);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ errors: validationErrors });
+    }
+
+    const linked = await findLinkedBug(req.body.bug);
+    if (!linked || !isSameProject(req.bug, linked)) {
+      return res.status(404).json({ error: 'Linked bug not found' });
+    }
+    if (linked._id.toString() === bugId) {
+      return res.status(400).json({ errors: ['A bug cannot be linked to itself'] });
+    }
+
+    const stored = toStoredLink(bugId, req.body.type, linked._id.toString());
+
+    if (await BugLink.exists(stored)) {
+      return res.status(409).json({ error: 'These bugs are already linked this way' });
+    }
+
+    if (stored.type === 'parent' && (await BugLink.exists({ type: 'parent', target: stored.target }))) {
+      return res.status(409).json({ error: 'A bug can only have one parent' });
+    }
+
+    if (stored.type !== 'related' && (await createsCycle(stored.type, stored.source, stored.target))) {
+      return res.status(409).json({ error: `Linking these bugs would create a ${stored.type === 'blocks' ? 'blocking' : 'parent/child'} cycle` });
+    }
+
+    const link = await BugLink.create({ ...stored, createdBy: req.user.username });
+    await link.populate(['source', 'target'].map(path => ({ path, select: BUG_FIELDS })));
+
+    res.status(201).json(toBugView(link, bugId));
+  } catch (error) {
+    console.error('Error creating bug link:', error);
+    res.status(500).json({ error: 'Failed to create bug link' });
+  }
+};
+
+// Remove a link from either of its bugs
+const deleteLink = async (req, res) => {
+  try {
+    if (!isValidId(req.params.linkId)) {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+
+    const link = await BugLink.findOneAndDelete({
+      _id: req.params.linkId,
+      $or: [{ source: req.bug._id }, { target: req.bug._id }]
+    });
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    res.json({ message: 'Link removed successfully' });
+  } catch (error) {
+    console.error('Error deleting bug link:', error);
+    res.status(500).json({ error: 'Failed to delete bug link' });
+  }
+};
+
+module.exports = {
+  getLinks,
+  createLink,
+  deleteLink,
+  validateLinkData // Export for testing
+};
@@ -0,0 +1,129 @@
+const Bug = require('../models/Bug');
+const Comment = require('../models/Comment');
+const { getRole } = require('../utils/bugPermissions');
+
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+// Only the author of a comment or an admin of the bug's project may change it
+const canModifyComment = (comment, user, project) => {
+  return getRole(user, project) === 'admin' || (comment.authorId && comment.authorId.toString() === user._id.toString());
+};
+
+// Helper function for validation
+const validateCommentData = (data) => {
+  const errors = [];
+
+  if (data.body !== undefined && typeof data.body !== 'string') {
+    errors.push('Comment body must be a string');
+  } else if (!data.body || data.body.trim().length === 0) {
+    errors.push('Comment body is required');
+  } else if (data.body.length > 5000) {
+    errors.push('Comment body must be 5000 characters or less');
+  }
+
+  return errors;
+};
+
+// Get all comments on req.bug, oldest first; loadBug has already run
+const getComments = async (req, res) => {
+  try {
+    const comments = await Comment.find({ bug: req.bug._id }).sort({ createdAt: 1 });
+    res.json(comments);
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+};
+
+// Add a comment to a bug
+const createComment = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+
+    const validationErrors = validateCommentData(req.body);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ errors: validationErrors });
+    }
+
+    if (!(await Bug.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ error: 'Bug not found' });
+    }
+
+    const comment = await Comment.create({
+      bug: req.params.id,
+      author: req.user.username,
+      authorId: req.user._id,
+      body: req.body.body
+    });
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error('Error creating comment:', error);
+    res.status(500).json({ error: 'Failed to create comment' });
+  }
+};
+
+// Edit the body of a comment
+const updateComment = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id) || !isValidId(req.params.commentId)) {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+
+    const validationErrors = validateCommentData(req.body);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ errors: validationErrors });
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, bug: req.params.id });
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (!canModifyComment(comment, req.user, req.project)) {
+      return res.status(403).json({ error: 'Not authorized to edit this comment' });
+    }
+
+    comment.body = req.body.body;
+    await comment.save();
+
+    res.json(comment);
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+};
+
+// Delete a comment
+const deleteComment = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id) || !isValidId(req.params.commentId)) {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, bug: req.params.id });
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (!canModifyComment(comment, req.user, req.project)) {
+      return res.status(403).json({ error: 'Not authorized to delete this comment' });
+    }
+
+    await comment.deleteOne();
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  validateCommentData // Export for testing
+};
@@ -0,0 +1,124 @@
+const CustomField = require('../models/CustomField');
+const { OPTION_FIELD_TYPES, validateFieldDefinition } = require('../utils/bugSchema');
+const { isReservedField } = require('../utils/bugQuery');
+const { toCustomFieldFilter } = require('../utils/projects');
+
+// Mounted at /api/fields for bugs outside any project and at
+// /api/projects/:key/fields, where loadProject has set req.project
+
+const MAX_CUSTOM_FIELDS = 50;
+
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+const toField = ({ key, label, type, required, options }) => ({ key, label, type, required, options });
+
+const isDuplicateKey = (error) => error.code === 11000;
+
+// List the project's admin-defined fields, in the order they were added
+const getCustomFields = async (req, res) => {
+  try {
+    const fields = await CustomField.find(toCustomFieldFilter(req.project)).sort({ createdAt: 1 });
+    res.json(fields);
+  } catch (error) {
+    console.error('Error fetching custom fields:', error);
+    res.status(500).json({ error: 'Failed to fetch custom fields' });
+  }
+};
+
+// Create a field; authorize('manageFields') has already run
+const createCustomField = async (req, res) => {
+  try {
+    const validationErrors = validateFieldDefinition(req.body);
+    // Keys double as search box fields, so they can't reuse a built-in one
+    if (validationErrors.length === 0 && isReservedField(req.body.key)) {
+      validationErrors.push({ field: 'key', message: `"${req.body.key}" is already a search field` });
+    }
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ errors: validationErrors });
+    }
+
+    const scope = toCustomFieldFilter(req.project);
+    if (await CustomField.countDocuments(scope) >= MAX_CUSTOM_FIELDS) {
+      return res.status(400).json({ error: `There can be at most ${MAX_CUSTOM_FIELDS} custom fields` });
+    }
+
+    const field = await CustomField.create({ ...toField(req.body), ...scope, createdBy: req.user._id });
+    res.status(201).json(field);
+  } catch (error) {
+    if (isDuplicateKey(error)) {
+      return res.status(409).json({ error: 'A field with this key already exists' });
+    }
+    console.error('Error creating custom field:', error);
+    res.status(500).json({ error: 'Failed to create custom field' });
+  }
+};
+
+// Change a field's label, type, options or whether it's required. Values
+// already on bugs are only checked again when someone edits them
+const updateCustomField = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+
+    const field = await CustomField.findOne({ _id: req.params.id, ...toCustomFieldFilter(req.project) });
+    if (!field) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+
+    if (req.body.key !== undefined && req.body.key !== field.key) {
+      return res.status(400).json({ errors: [{ field: 'key', message: 'Field key cannot be changed' }] });
+    }
+
+    const current = field.toObject();
+    const pick = (name) => (req.body[name] !== undefined ? req.body[name] : current[name]);
+    const type = pick('type');
+    const merged = {
+      key: field.key,
+      label: pick('label'),
+      type,
+      required: pick('required'),
+      // Options go away with a switch to a type that has none
+      options: req.body.options !== undefined || OPTION_FIELD_TYPES.includes(type) ? pick('options') : []
+    };
+    const validationErrors = validateFieldDefinition(merged);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ errors: validationErrors });
+    }
+
+    field.set(merged);
+    await field.save();
+
+    res.json(field);
+  } catch (error) {
+    console.error('Error updating custom field:', error);
+    res.status(500).json({ error: 'Failed to update custom field' });
+  }
+};
+
+// Delete a field. Bugs keep their values, which then show under the key
+// and can no longer be searched
+const deleteCustomField = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+
+    const field = await CustomField.findOneAndDelete({ _id: req.params.id, ...toCustomFieldFilter(req.project) });
+    if (!field) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+
+    res.json({ message: 'Custom field deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting custom field:', error);
+    res.status(500).json({ error: 'Failed to delete custom field' });
+  }
+};
+
+module.exports = {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+};
@@ -0,0 +1,189 @@
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { ROLES } = require('../utils/bugPermissions');
+const { normalizeProjectKey, validateProjectData } = require('../utils/projects');
+
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+const isDuplicateKey = (error) => error.code === 11000;
+
+// Members go out as { user, username, role } so clients can match them
+// against the signed-in user without another request
+const toProjectResponse = async (project) => {
+  await project.populate('members.user', 'username');
+  const { members, ...rest } = project.toObject();
+  return {
+    ...rest,
+    members: members
+      .filter(member => member.user)
+      .map(member => ({ user: member.user._id, username: member.user.username, role: member.role }))
+  };
+};
+
+const findMember = (project, userId) => {
+  return project.members.find(member => (member.user._id || member.user).toString() === userId);
+};
+
+// List every project; bugs are public to read, so their projects are too
+const getProjects = async (req, res) => {
+  try {
+    const projects = await Project.find().sort({ key: 1 });
+    res.json(await Promise.all(projects.map(toProjectResponse)));
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    res.status(500).json({ error: 'Failed to fetch projects' });
+  }
+};
+
+// Get one project; loadProject has already run
+const getProject = async (req, res) => {
+  try {
+    res.json(await toProjectResponse(req.project));
+  } catch (error) {
+    console.error('Error fetching project:', error);
+    res.status(500).json({ error: 'Failed to fetch project' });
+  }
+};
+
+// Create a project with its creator as its first admin; authorize('manageProjects') has already run
+const createProject = async (req, res) => {
+  try {
+    const validationErrors = validateProjectData(req.body);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ errors: validationErrors });
+    }
+
+    const project = await Project.create({
+      key: normalizeProjectKey(req.body.key),
+      name: req.body.name,
+      description: req.body.description,
+      members: [{ user: req.user._id, role: 'admin' }],
+      createdBy: req.user._id
+    });
+    res.status(201).json(await toProjectResponse(project));
+  } catch (error) {
+    if (isDuplicateKey(error)) {
+      return res.status(409).json({ error: 'A project with this key already exists' });
+    }
+    console.error('Error creating project:', error);
+    res.status(500).json({ error: 'Failed to create project' });
+  }
+};
+
+// Rename a project or change its description. The key prefixes its routes,
+// so it can't be changed
+const updateProject = async (req, res) => {
+  try {
+    const project = req.project;
+
+    if (req.body.key !== undefined && normalizeProjectKey(req.body.key) !== project.key) {
+      return res.status(400).json({ errors: [{ field: 'key', message: 'Project key cannot be changed' }] });
+    }
+
+    const validationErrors = validateProjectData(req.body, { isNew: false });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ errors: validationErrors });
+    }
+
+    ['name', 'description'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        project[field] = req.body[field];
+      }
+    });
+    await project.save();
+
+    res.json(await toProjectResponse(project));
+  } catch (error) {
+    console.error('Error updating project:', error);
+    res.status(500).json({ error: 'Failed to update project' });
+  }
+};
+
+// Add a user to a project by username, or change the role of one who already is
+const addMember = async (req, res) => {
+  try {
+    if (!ROLES.includes(req.body.role)) {
+      return res.status(400).json({ errors: ['Invalid role value'] });
+    }
+
+    const user = typeof req.body.username === 'string'
+      ? await User.findOne({ username: req.body.username.trim() })
+      : null;
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const project = req.project;
+    const member = findMember(project, user._id.toString());
+    if (member) {
+      member.role = req.body.role;
+    } else {
+      project.members.push({ user: user._id, role: req.body.role });
+    }
+    await project.save();
+
+    res.status(member ? 200 : 201).json(await toProjectResponse(project));
+  } catch (error) {
+    console.error('Error adding project member:', error);
+    res.status(500).json({ error: 'Failed to add project member' });
+  }
+};
+
+// Change a member's role within the project
+const updateMember = async (req, res) => {
+  try {
+    if (!isValidId(req.params.userId)) {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+
+    if (!ROLES.includes(req.body.role)) {
+      return res.status(400).json({ errors: ['Invalid role value'] });
+    }
+
+    const member = findMember(req.project, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    member.role = req.body.role;
+    await req.project.save();
+
+    res.json(await toProjectResponse(req.project));
+  } catch (error) {
+    console.error('Error updating project member:', error);
+    res.status(500).json({ error: 'Failed to update project member' });
+  }
+};
+
+// Remove a member; their bugs and comments stay in the project
+const removeMember = async (req, res) => {
+  try {
+    if (!isValidId(req.params.userId)) {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+
+    const project = req.project;
+    const member = findMember(project, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    project.members = project.members.filter(other => other !== member);
+    await project.save();
+
+    res.json(await toProjectResponse(project));
+  } catch (error) {
+    console.error('Error removing project member:', error);
+    res.status(500).json({ error: 'Failed to remove project member' });
+  }
+};
+
+module.exports = {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  addMember,
+  updateMember,
+  removeMember
+};
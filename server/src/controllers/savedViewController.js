@@ -0,0 +1,151 @@
+const SavedView = require('../models/SavedView');
+const CustomField = require('../models/CustomField');
+const { BUG_STATUSES } = require('../utils/bugWorkflow');
+const { parseQuery } = require('../utils/bugQuery');
+
+const BUG_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const MAX_SEARCH_LENGTH = 500;
+
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+// Helper function for validation. Searches may name custom fields, so the
+// caller passes their definitions
+const validateSavedViewData = (data, customFields = []) => {
+  const errors = [];
+
+  if (!data.name || data.name.trim().length === 0) {
+    errors.push('Name is required');
+  } else if (data.name.length > 100) {
+    errors.push('Name must be 100 characters or less');
+  }
+
+  const filters = data.filters || {};
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    errors.push('filters must be an object');
+    return errors;
+  }
+
+  if (filters.search !== undefined) {
+    if (typeof filters.search !== 'string') {
+      errors.push('Search must be a string');
+    } else if (filters.search.length > MAX_SEARCH_LENGTH) {
+      errors.push(`Search must be ${MAX_SEARCH_LENGTH} characters or less`);
+    } else {
+      errors.push(...parseQuery(filters.search, customFields).errors.map(error => error.message));
+    }
+  }
+
+  if (filters.status && !BUG_STATUSES.includes(filters.status)) {
+    errors.push('Invalid status value');
+  }
+
+  if (filters.severity && !BUG_SEVERITIES.includes(filters.severity)) {
+    errors.push('Invalid severity value');
+  }
+
+  return errors;
+};
+
+const toFilters = ({ search = '', status, severity } = {}) => ({
+  search: search.trim(),
+  status: status || undefined,
+  severity: severity || undefined
+});
+
+const isDuplicateName = (error) => error.code === 11000;
+
+// List the signed-in user's views
+const getSavedViews = async (req, res) => {
+  try {
+    const views = await SavedView.find({ user: req.user._id }).sort({ name: 1 });
+    res.json(views);
+  } catch (error) {
+    console.error('Error fetching saved views:', error);
+    res.status(500).json({ error: 'Failed to fetch saved views' });
+  }
+};
+
+// Save the current filters under a name
+const createSavedView = async (req, res) => {
+  try {
+    const validationErrors = validateSavedViewData(req.body, await CustomField.find().lean());
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ errors: validationErrors });
+    }
+
+    const view = await SavedView.create({
+      user: req.user._id,
+      name: req.body.name,
+      filters: toFilters(req.body.filters)
+    });
+    res.status(201).json(view);
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'You already have a view with this name' });
+    }
+    console.error('Error creating saved view:', error);
+    res.status(500).json({ error: 'Failed to create saved view' });
+  }
+};
+
+// Rename a view or replace its filters
+const updateSavedView = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+
+    const view = await SavedView.findOne({ _id: req.params.id, user: req.user._id });
+    if (!view) {
+      return res.status(404).json({ error: 'Saved view not found' });
+    }
+
+    const merged = {
+      name: req.body.name !== undefined ? req.body.name : view.name,
+      filters: req.body.filters !== undefined ? req.body.filters : view.filters.toObject()
+    };
+    const validationErrors = validateSavedViewData(merged, await CustomField.find().lean());
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ errors: validationErrors });
+    }
+
+    view.name = merged.name;
+    view.filters = toFilters(merged.filters);
+    await view.save();
+
+    res.json(view);
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'You already have a view with this name' });
+    }
+    console.error('Error updating saved view:', error);
+    res.status(500).json({ error: 'Failed to update saved view' });
+  }
+};
+
+// Delete a view
+const deleteSavedView = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+
+    const view = await SavedView.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!view) {
+      return res.status(404).json({ error: 'Saved view not found' });
+    }
+
+    res.json({ message: 'Saved view deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting saved view:', error);
+    res.status(500).json({ error: 'Failed to delete saved view' });
+  }
+};
+
+module.exports = {
+  getSavedViews,
+  createSavedView,
+  updateSavedView,
+  deleteSavedView,
+  validateSavedViewData
+};
@@ -0,0 +1,140 @@
+const Bug = require('../models/Bug');
+const Comment = require('../models/Comment');
+const { parseBugQuery } = require('./bugController');
+const { buildSnippet, getSearchTerms } = require('../utils/searchSnippets');
+const { findSimilarBugs } = require('../utils/bugSimilarity');
+const { toProjectFilter } = require('../utils/projects');
+
+// Bug fields shown as snippets, in display order
+const SNIPPET_FIELDS = ['title', 'description', 'stepsToReproduce', 'expectedBehavior', 'actualBehavior'];
+// A matching comment counts for less than a match on the bug itself
+const COMMENT_WEIGHT = 0.5;
+// Upper bound on matches read from each collection before ranking
+const MAX_CANDIDATES = 500;
+
+const textSearch = (Model, query, scope = {}) => {
+  return Model.find({ $text: { $search: query }, ...scope }, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(MAX_CANDIDATES)
+    .lean();
+};
+
+// Rank bugs by text score, folding in scores of matching comments. The scope
+// narrows the bugs, e.g. to one project; comments on other bugs are dropped
+const rankMatches = async (query, scope = {}) => {
+  const [bugHits, commentHits] = await Promise.all([textSearch(Bug, query, scope), textSearch(Comment, query)]);
+
+  const matches = new Map();
+  bugHits.forEach(({ score, ...bug }) => {
+    matches.set(bug._id.toString(), { bug, score, comments: [] });
+  });
+
+  // Bugs that only matched through their comments
+  const missingIds = [...new Set(commentHits.map(comment => comment.bug.toString()))]
+    .filter(id => !matches.has(id));
+  const commentBugs = missingIds.length > 0 ? await Bug.find({ _id: { $in: missingIds }, ...scope }).lean() : [];
+  commentBugs.forEach((bug) => {
+    matches.set(bug._id.toString(), { bug, score: 0, comments: [] });
+  });
+
+  commentHits.forEach(({ score, ...comment }) => {
+    const match = matches.get(comment.bug.toString());
+    if (match) {
+      match.score += score * COMMENT_WEIGHT;
+      match.comments.push(comment);
+    }
+  });
+
+  return [...matches.values()].sort((a, b) => b.score - a.score);
+};
+
+const toSearchResult = ({ bug, score, comments }, terms) => {
+  const fieldSnippets = SNIPPET_FIELDS
+    .map(field => ({ field, snippet: buildSnippet(bug[field], terms) }))
+    .filter(({ snippet }) => snippet)
+    .map(({ field, snippet }) => ({ field, ...snippet }));
+
+  const commentSnippets = comments
+    .map(comment => ({ comment, snippet: buildSnippet(comment.body, terms) }))
+    .filter(({ snippet }) => snippet)
+    .map(({ comment, snippet }) => ({ field: 'comment', commentId: comment._id, author: comment.author, ...snippet }));
+
+  return { bug, score, snippets: [...fieldSnippets, ...commentSnippets] };
+};
+
+// Full-text search over bugs and their comments, best match first
+const searchBugs = async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const { page, limit, errors } = parseBugQuery({ page: req.query.page, limit: req.query.limit });
+
+    if (!query) {
+      errors.unshift('Search query is required');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const ranked = await rankMatches(query, toProjectFilter(req.project));
+    const terms = getSearchTerms(query);
+    const results = ranked
+      .slice((page - 1) * limit, page * limit)
+      .map(match => toSearchResult(match, terms));
+
+    res.set({
+      'X-Total-Count': ranked.length,
+      'X-Page': page,
+      'X-Limit': limit,
+      'X-Total-Pages': Math.ceil(ranked.length / limit)
+    });
+    res.json(results);
+  } catch (error) {
+    console.error('Error searching bugs:', error);
+    res.status(500).json({ error: 'Failed to search bugs' });
+  }
+};
+
+// Likely duplicates of a report that hasn't been filed yet (or of ?exclude=id),
+// most similar first. The text index narrows the candidates, token
+// similarity scores them.
+const findDuplicates = async (req, res) => {
+  try {
+    const title = typeof req.query.title === 'string' ? req.query.title.trim() : '';
+    const description = typeof req.query.description === 'string' ? req.query.description.trim() : '';
+    const { exclude } = req.query;
+
+    const errors = [];
+    if (!title) {
+      errors.push('Title is required');
+    }
+    if (exclude !== undefined && !/^[0-9a-fA-F]{24}$/.test(exclude)) {
+      errors.push('Invalid ID format');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    // Quotes and minus signs would turn words into phrases or exclusions
+    const text = `${title} ${description}`.replace(/["-]/g, ' ');
+    const filter = { $text: { $search: text }, status: { $ne: 'duplicate' }, ...toProjectFilter(req.project) };
+    if (exclude) {
+      filter._id = { $ne: exclude };
+    }
+
+    const candidates = await Bug.find(filter, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(MAX_CANDIDATES)
+      .lean();
+
+    const bugs = candidates.map(({ score, ...bug }) => bug);
+    res.json(findSimilarBugs({ title, description }, bugs));
+  } catch (error) {
+    console.error('Error finding duplicate bugs:', error);
+    res.status(500).json({ error: 'Failed to find duplicate bugs' });
+  }
+};
+
+module.exports = {
+  searchBugs,
+  findDuplicates
+};
@@ -0,0 +1,163 @@
+const BugTemplate = require('../models/BugTemplate');
+const { validateBugPartial, validateFieldDefinition } = require('../utils/bugSchema');
+
+const DEFAULT_FIELDS = ['severity', 'priority', 'tags', 'stepsToReproduce', 'expectedBehavior', 'actualBehavior'];
+const MAX_TEMPLATE_FIELDS = 20;
+
+const isValidId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+const pickDefaults = (defaults = {}) => {
+  return Object.fromEntries(
+    DEFAULT_FIELDS.filter(field => defaults[field] !== undefined).map(field => [field, defaults[field]])
+  );
+};
+
+// Helper function for validation. Defaults are checked with the same rules
+// as the bug fields they fill in
+const validateTemplateData = (data) => {
+  const errors = [];
+
+  if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+    errors.push({ field: 'name', message: 'Name is required' });
+  } else if (data.name.length > 100) {
+    errors.push({ field: 'name', message: 'Name must be 100 characters or less' });
+  }
+
+  if (data.description !== undefined && (typeof data.description !== 'string' || data.description.length > 500)) {
+    errors.push({ field: 'description', message: 'Description must be text of 500 characters or less' });
+  }
+
+  const defaults = data.defaults || {};
+  if (typeof defaults !== 'object' || Array.isArray(defaults)) {
+    errors.push({ field: 'defaults', message: 'defaults must be an object' });
+  } else {
+    const unsupported = Object.keys(defaults).filter(field => !DEFAULT_FIELDS.includes(field));
+    if (unsupported.length > 0) {
+      errors.push({ field: 'defaults', message: `Templates cannot pre-fill: ${unsupported.join(', ')}` });
+    }
+    errors.push(...validateBugPartial(pickDefaults(defaults)).map(error => ({
+      field: `defaults.${error.field}`,
+      message: error.message
+    })));
+  }
+
+  const fields = data.fields || [];
+  if (!Array.isArray(fields)) {
+    errors.push({ field: 'fields', message: 'fields must be a list' });
+  } else if (fields.length > MAX_TEMPLATE_FIELDS) {
+    errors.push({ field: 'fields', message: `A template can have at most ${MAX_TEMPLATE_FIELDS} fields` });
+  } else {
+    fields.forEach((definition, index) => {
+      errors.push(...validateFieldDefinition(definition, `fields.${index}.`));
+    });
+    const keys = fields.map(definition => definition && definition.key);
+    if (new Set(keys).size !== keys.length) {
+      errors.push({ field: 'fields', message: 'Field keys must be unique' });
+    }
+  }
+
+  return errors;
+};
+
+const toTemplate = (data) => ({
+  name: data.name,
+  description: data.description,
+  defaults: pickDefaults(data.defaults),
+  fields: (data.fields || []).map(({ key, label, type, required, options }) => ({ key, label, type, required, options }))
+});
+
+const isDuplicateName = (error) => error.code === 11000;
+
+// List every template, for the BugForm picker
+const getTemplates = async (req, res) => {
+  try {
+    const templates = await BugTemplate.find().sort({ name: 1 });
+    res.json(templates);
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({ error: 'Failed to fetch templates' });
+  }
+};
+
+// Create a template; authorize('manageTemplates') has already run
+const createTemplate = async (req, res) => {
+  try {
+    const validationErrors = validateTemplateData(req.body);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ errors: validationErrors });
+    }
+
+    const template = await BugTemplate.create({ ...toTemplate(req.body), createdBy: req.user._id });
+    res.status(201).json(template);
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'A template with this name already exists' });
+    }
+    console.error('Error creating template:', error);
+    res.status(500).json({ error: 'Failed to create template' });
+  }
+};
+
+// Replace parts of a template. Bugs already filed from it keep their values
+const updateTemplate = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+
+    const template = await BugTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const current = template.toObject();
+    const merged = {
+      name: req.body.name !== undefined ? req.body.name : current.name,
+      description: req.body.description !== undefined ? req.body.description : current.description,
+      defaults: req.body.defaults !== undefined ? req.body.defaults : current.defaults,
+      fields: req.body.fields !== undefined ? req.body.fields : current.fields
+    };
+    const validationErrors = validateTemplateData(merged);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ errors: validationErrors });
+    }
+
+    template.set(toTemplate(merged));
+    await template.save();
+
+    res.json(template);
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'A template with this name already exists' });
+    }
+    console.error('Error updating template:', error);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+};
+
+// Delete a template. Bugs filed from it keep their custom field values
+const deleteTemplate = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+
+    const template = await BugTemplate.findByIdAndDelete(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+};
+
+module.exports = {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  validateTemplateData
+};
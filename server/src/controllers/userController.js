@@ -0,0 +1,46 @@
+const User = require('../models/User');
+const { ROLES } = require('../utils/bugPermissions');
+
+// List all users
+const getAllUsers = async (req, res) => {
+  try {
+    const users = await User.find().sort({ username: 1 });
+    res.json(users);
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+};
+
+// Change a user's role
+const updateUserRole = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+
+    if (!ROLES.includes(req.body.role)) {
+      return res.status(400).json({ errors: ['Invalid role value'] });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: req.body.role },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({ error: 'Failed to update user role' });
+  }
+};
+
+module.exports = {
+  getAllUsers,
+  updateUserRole
+};
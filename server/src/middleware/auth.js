@@ -0,0 +1,48 @@
+const User = require('../models/User');
+const { verifyToken } = require('../utils/auth');
+
+// Require a valid "Authorization: Bearer <token>" header and attach req.user
+const authenticate = async (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const decoded = verifyToken(token);
+    const user = await User.findById(decoded.id);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+};
+
+// Attach req.user when a valid token is sent, but let anonymous requests
+// through; for public reads that behave differently for a signed-in user
+const optionalAuthenticate = async (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme === 'Bearer' && token) {
+    try {
+      const decoded = verifyToken(token);
+      req.user = await User.findById(decoded.id);
+    } catch (error) {
+      req.user = null;
+    }
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticate,
+  optionalAuthenticate
+};
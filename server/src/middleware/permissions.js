@@ -0,0 +1,101 @@
+const Bug = require('../models/Bug');
+const Project = require('../models/Project');
+const { can, getFieldAction, getChangedFields } = require('../utils/bugPermissions');
+const { normalizeProjectKey, isInProject } = require('../utils/projects');
+const { isBugKey, normalizeBugKey } = require('../utils/bugKeys');
+
+// Load the project named by :key into req.project
+const loadProject = async (req, res, next) => {
+  try {
+    const project = await Project.findOne({ key: normalizeProjectKey(req.params.key) });
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    req.project = project;
+    next();
+  } catch (error) {
+    console.error('Error loading project:', error);
+    res.status(500).json({ error: 'Failed to fetch project' });
+  }
+};
+
+// Runs for every :id through router.param. A key such as WEB-142 is swapped
+// for the bug's id, so every route and controller behind it accepts either
+const resolveBugKey = async (req, res, next, id) => {
+  if (!isBugKey(id)) {
+    return next();
+  }
+
+  try {
+    const bug = await Bug.findOne({ key: normalizeBugKey(id) }, '_id');
+    if (!bug) {
+      return res.status(404).json({ error: 'Bug not found' });
+    }
+
+    req.params.id = bug._id.toString();
+    next();
+  } catch (error) {
+    console.error('Error resolving bug key:', error);
+    res.status(500).json({ error: 'Failed to fetch bug' });
+  }
+};
+
+// Load the bug named by :id into req.bug. On a project route the bug must
+// belong to that project; on /api/bugs its own project is loaded instead,
+// so the member roles apply either way
+const loadBug = async (req, res, next) => {
+  try {
+    // Check if ID is valid ObjectId format
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+
+    const bug = await Bug.findById(req.params.id);
+    if (!bug || !isInProject(bug, req.project)) {
+      return res.status(404).json({ error: 'Bug not found' });
+    }
+
+    if (!req.project && bug.project) {
+      req.project = await Project.findById(bug.project);
+    }
+    req.bug = bug;
+    next();
+  } catch (error) {
+    console.error('Error loading bug:', error);
+    res.status(500).json({ error: 'Failed to fetch bug' });
+  }
+};
+
+// Require the current user's role to allow an action, scoped to req.bug when
+// loaded and taken from req.project's members when there is one
+const authorize = (action, message = 'Not authorized to perform this action') => {
+  return (req, res, next) => {
+    if (!can(req.user, action, req.bug, req.project)) {
+      return res.status(403).json({ error: message });
+    }
+    next();
+  };
+};
+
+// Check every field an update would change against the action that guards it
+const authorizeBugUpdate = (req, res, next) => {
+  const forbiddenFields = getChangedFields(req.bug, req.body)
+    .filter(field => !can(req.user, getFieldAction(field), req.bug, req.project));
+
+  if (forbiddenFields.length > 0) {
+    return res.status(403).json({
+      error: 'Not authorized to modify this bug',
+      fields: forbiddenFields
+    });
+  }
+  next();
+};
+
+module.exports = {
+  loadProject,
+  resolveBugKey,
+  loadBug,
+  authorize,
+  authorizeBugUpdate
+};
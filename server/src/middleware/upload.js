@@ -0,0 +1,39 @@
+const multer = require('multer');
+const { MAX_FILE_SIZE, MAX_FILES, getContentType, formatSize } = require('../utils/attachments');
+
+// Files are held in memory so they can be checksummed before anything is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (!getContentType(file.originalname)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `Unsupported file type: ${file.originalname}`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: `Files must be ${formatSize(MAX_FILE_SIZE)} or smaller`,
+  LIMIT_FILE_COUNT: `At most ${MAX_FILES} files can be uploaded at once`
+};
+
+// Accept multipart uploads in the "files" field, turning limit errors into 400s
+const uploadFiles = (req, res, next) => {
+  upload.array('files')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ errors: [LIMIT_MESSAGES[error.code] || error.message] });
+    }
+    if (error) {
+      console.error('Error receiving upload:', error);
+      return res.status(500).json({ error: 'Failed to receive upload' });
+    }
+    next();
+  });
+};
+
+module.exports = {
+  uploadFiles
+};
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A file uploaded to a bug. The bytes live in attachment storage under
+// storageKey; this document only describes them.
+const attachmentSchema = new mongoose.Schema({
+  bug: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    required: true,
+    index: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  // Derived from the file extension rather than trusted from the upload
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // SHA-256 of the contents, hex encoded
+  checksum: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  uploadedBy: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  uploadedById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Storage details stay on the server
+attachmentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.storageKey;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
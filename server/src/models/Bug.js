@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { BUG_STATUSES, INITIAL_STATUS } = require('../utils/bugWorkflow');
+const { toMongooseField } = require('../utils/bugSchema');
+
+// The browser session a bug was reported from, as captured by the client
+const diagnosticsSchema = new mongoose.Schema({
+  capturedAt: Date,
+  url: String,
+  userAgent: String,
+  viewport: {
+    width: Number,
+    height: Number,
+    isMobile: Boolean
+  },
+  consoleErrors: [String],
+  failedRequests: [{
+    _id: false,
+    url: String,
+    method: String,
+    status: Number,
+    duration: Number,
+    timestamp: Number
+  }],
+  recentLogs: [String]
+}, { _id: false });
+
+const bugSchema = new mongoose.Schema({
+  // Set when the bug is filed under /api/projects/:key/bugs and never changed
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    index: true
+  },
+  // Human-readable key such as WEB-142, issued by nextBugKey. Sparse, since
+  // bugs reported before keys existed have none
+  key: {
+    type: String,
+    unique: true,
+    sparse: true,
+    immutable: true
+  },
+  title: toMongooseField('title'),
+  description: toMongooseField('description'),
+  status: {
+    type: String,
+    enum: BUG_STATUSES,
+    default: INITIAL_STATUS
+  },
+  priority: {
+    ...toMongooseField('priority'),
+    default: 'medium'
+  },
+  severity: {
+    ...toMongooseField('severity'),
+    default: 'medium'
+  },
+  reportedBy: toMongooseField('reportedBy'),
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedTo: toMongooseField('assignedTo'),
+  tags: toMongooseField('tags'),
+  stepsToReproduce: toMongooseField('stepsToReproduce'),
+  expectedBehavior: toMongooseField('expectedBehavior'),
+  actualBehavior: toMongooseField('actualBehavior'),
+  // The original report, for bugs in the duplicate status
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    index: true
+  },
+  // Position on the board within its status column, lowest first
+  rank: {
+    type: Number
+  },
+  // Set once when the bug is created; updates ignore it
+  diagnostics: diagnosticsSchema,
+  // The template the bug was filed from, whose fields join the admin-defined ones
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BugTemplate'
+  },
+  // Values for custom fields, by key; checked by validateCustomFields
+  customFields: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Full-text search; matches in the title count most
+bugSchema.index({
+  title: 'text',
+  tags: 'text',
+  description: 'text',
+  stepsToReproduce: 'text',
+  expectedBehavior: 'text',
+  actualBehavior: 'text'
+}, {
+  name: 'bug_text_search',
+  weights: { title: 10, tags: 5, description: 3 }
+});
+
+module.exports = mongoose.model('Bug', bugSchema);
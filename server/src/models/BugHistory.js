@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const bugHistorySchema = new mongoose.Schema({
+  bug: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    required: true,
+    index: true
+  },
+  // Kept so a deleted bug's history stays inside its project
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'deleted'],
+    required: true
+  },
+  actor: {
+    type: String,
+    trim: true,
+    default: 'anonymous'
+  },
+  changes: [changeSchema]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+module.exports = mongoose.model('BugHistory', bugHistorySchema);
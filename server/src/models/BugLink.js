@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A typed relationship between two bugs. Each pair is stored once in its
+// canonical direction: "source blocks target" and "source is parent of
+// target"; blocked-by and child are the same links read from the other end.
+const bugLinkSchema = new mongoose.Schema({
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    required: true,
+    index: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['blocks', 'related', 'parent'],
+    required: true
+  },
+  createdBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+bugLinkSchema.index({ source: 1, target: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model('BugLink', bugLinkSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { CUSTOM_FIELD_TYPES } = require('../utils/bugSchema');
+
+// An extra value a template asks for, stored under bug.customFields[key]
+const templateFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    enum: CUSTOM_FIELD_TYPES,
+    default: 'text'
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // The choices of a select or multi-select field
+  options: [{ type: String, trim: true }]
+}, { _id: false });
+
+// A kind of report QA files often, such as a crash or a UI glitch; picking
+// it in BugForm pre-fills the fields below
+const bugTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  defaults: {
+    severity: String,
+    priority: String,
+    tags: [String],
+    stepsToReproduce: String,
+    expectedBehavior: String,
+    actualBehavior: String
+  },
+  fields: [templateFieldSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('BugTemplate', bugTemplateSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  bug: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    required: true,
+    index: true
+  },
+  author: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Raw markdown; rendering is left to the client
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 5000
+  }
+}, {
+  timestamps: true
+});
+
+// Comments are searched along with their bug
+commentSchema.index({ body: 'text' }, { name: 'comment_text_search' });
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// A named sequence, bumped with $inc so concurrent callers never get the
+// same value; bug keys use one per project key
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
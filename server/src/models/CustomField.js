@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { CUSTOM_FIELD_TYPES } = require('../utils/bugSchema');
+
+// A field admins add to every bug in a project, such as "Browser" or "App
+// version". Values live under bug.customFields[key], so the key never changes
+// once created
+const customFieldSchema = new mongoose.Schema({
+  // The project whose bugs carry the field; null for bugs outside any project
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    enum: CUSTOM_FIELD_TYPES,
+    required: true
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // The choices of a select or multi-select field
+  options: [{ type: String, trim: true }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Each project names its own fields, so keys only clash within one
+customFieldSchema.index({ project: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('CustomField', customFieldSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../utils/bugPermissions');
+const { PROJECT_KEY_PATTERN } = require('../utils/projects');
+
+// A user's role within one project; it replaces their global role there
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true
+  }
+}, { _id: false });
+
+const projectSchema = new mongoose.Schema({
+  // Prefixes the project's routes, so it never changes once created
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: PROJECT_KEY_PATTERN,
+    immutable: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  members: [memberSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A named set of BugList filters belonging to one user
+const savedViewSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  filters: {
+    // Search box contents, including any field:value terms
+    search: { type: String, trim: true, default: '' },
+    status: { type: String },
+    severity: { type: String }
+  }
+}, {
+  timestamps: true
+});
+
+savedViewSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
@@ -0,0 +1,67 @@
+const express = require('express');
+const {
+  getAllBugs,
+  getBugById,
+  createBug,
+  updateBug,
+  deleteBug,
+  getBugHistory,
+  bulkUpdateBugs,
+  bulkDeleteBugs
+} = require('../controllers/bugController');
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/commentController');
+const { searchBugs, findDuplicates } = require('../controllers/searchController');
+const { getLinks, createLink, deleteLink } = require('../controllers/bugLinkController');
+const {
+  getAttachments,
+  uploadAttachments,
+  getAttachmentContent,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
+const { resolveBugKey, loadBug, authorize, authorizeBugUpdate } = require('../middleware/permissions');
+const { uploadFiles } = require('../middleware/upload');
+
+// Mounted at /api/bugs for every bug and at /api/projects/:key/bugs, where
+// loadProject has set req.project and the controllers stay inside it
+const router = express.Router();
+
+// Any :id below can also be a bug key such as WEB-142
+router.param('id', resolveBugKey);
+
+// Reads are public; anything that writes requires a token. The list accepts
+// a token so query=assignee:me can resolve the caller.
+router.get('/', optionalAuthenticate, getAllBugs);
+router.post('/', authenticate, authorize('create', 'Not authorized to report bugs'), createBug);
+
+// Registered before /:id so "search", "duplicates" and "bulk" aren't taken for bug ids
+router.get('/search', searchBugs);
+router.get('/duplicates', findDuplicates);
+router.patch('/bulk', authenticate, bulkUpdateBugs);
+router.delete('/bulk', authenticate, authorize('delete', 'Not authorized to delete bugs'), bulkDeleteBugs);
+
+router.get('/:id', getBugById);
+router.put('/:id', authenticate, loadBug, authorizeBugUpdate, updateBug);
+router.delete('/:id', authenticate, loadBug, authorize('delete', 'Not authorized to delete this bug'), deleteBug);
+router.get('/:id/history', getBugHistory);
+
+router.get('/:id/comments', loadBug, getComments);
+router.post('/:id/comments', authenticate, loadBug, authorize('comment', 'Not authorized to comment'), createComment);
+router.patch('/:id/comments/:commentId', authenticate, loadBug, updateComment);
+router.delete('/:id/comments/:commentId', authenticate, loadBug, deleteComment);
+
+router.get('/:id/links', loadBug, getLinks);
+router.post('/:id/links', authenticate, loadBug, authorize('link', 'Not authorized to link this bug'), createLink);
+router.delete('/:id/links/:linkId', authenticate, loadBug, authorize('link', 'Not authorized to link this bug'), deleteLink);
+
+router.get('/:id/attachments', loadBug, getAttachments);
+router.post('/:id/attachments', authenticate, loadBug, authorize('attach', 'Not authorized to attach files to this bug'), uploadFiles, uploadAttachments);
+router.get('/:id/attachments/:attachmentId/content', loadBug, getAttachmentContent);
+router.delete('/:id/attachments/:attachmentId', authenticate, loadBug, deleteAttachment);
+
+module.exports = router;
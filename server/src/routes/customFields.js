@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+} = require('../controllers/customFieldController');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+
+const router = express.Router();
+
+// Within a project this is the project's admin role; see routes/projects
+const manageFields = authorize('manageFields', 'Only admins can manage custom fields');
+
+// Everyone needs the definitions to fill in and filter bugs; only admins change them
+router.use(authenticate);
+
+router.get('/', getCustomFields);
+router.post('/', manageFields, createCustomField);
+router.patch('/:id', manageFields, updateCustomField);
+router.delete('/:id', manageFields, deleteCustomField);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  addMember,
+  updateMember,
+  removeMember
+} = require('../controllers/projectController');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
+const { loadProject, authorize } = require('../middleware/permissions');
+const bugRoutes = require('./bugs');
+const customFieldRoutes = require('./customFields');
+
+const router = express.Router();
+
+// Only admins create projects; a project's own admins edit it and its members
+const manageProjects = authorize('manageProjects', 'Only admins can create projects');
+const manageMembers = authorize('manageMembers', 'Only project admins can manage this project');
+
+router.get('/', optionalAuthenticate, getProjects);
+router.post('/', authenticate, manageProjects, createProject);
+
+router.get('/:key', loadProject, getProject);
+router.patch('/:key', authenticate, loadProject, manageMembers, updateProject);
+
+router.post('/:key/members', authenticate, loadProject, manageMembers, addMember);
+router.patch('/:key/members/:userId', authenticate, loadProject, manageMembers, updateMember);
+router.delete('/:key/members/:userId', authenticate, loadProject, manageMembers, removeMember);
+
+// The bug routes, scoped to the project: /api/projects/WEB/bugs/:id
+router.use('/:key/bugs', loadProject, bugRoutes);
+
+// Its custom fields, which its own admins manage: /api/projects/WEB/fields
+router.use('/:key/fields', loadProject, customFieldRoutes);
+
+module.exports = router;
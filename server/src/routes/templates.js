@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+} = require('../controllers/templateController');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+
+const router = express.Router();
+
+const manageTemplates = authorize('manageTemplates', 'Only admins can manage templates');
+
+// Anyone filing bugs can pick a template; only admins define them
+router.use(authenticate);
+
+router.get('/', getTemplates);
+router.post('/', manageTemplates, createTemplate);
+router.patch('/:id', manageTemplates, updateTemplate);
+router.delete('/:id', manageTemplates, deleteTemplate);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const { getAllUsers, updateUserRole } = require('../controllers/userController');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('manageUsers', 'Only admins can manage users'));
+
+router.get('/', getAllUsers);
+router.patch('/:id/role', updateUserRole);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  getSavedViews,
+  createSavedView,
+  updateSavedView,
+  deleteSavedView
+} = require('../controllers/savedViewController');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Views are private to whoever saved them
+router.use(authenticate);
+
+router.get('/', getSavedViews);
+router.post('/', createSavedView);
+router.patch('/:id', updateSavedView);
+router.delete('/:id', deleteSavedView);
+
+module.exports = router;
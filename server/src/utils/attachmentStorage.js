@@ -0,0 +1,47 @@
+// Where attachment bytes are kept. Controllers only use the interface
+// below, so a different backend can be swapped in with useStorage():
+//
+//   save(key, buffer)  -> Promise<void>
+//   createReadStream(key) -> Readable
+//   remove(key)        -> Promise<void>; missing keys are not an error
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ROOT = process.env.ATTACHMENT_DIR || path.join(__dirname, '../../uploads');
+
+const createDiskStorage = (root = DEFAULT_ROOT) => {
+  // Keys are generated by the server, but never let one escape the root
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    save: async (key, buffer) => {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+    createReadStream: (key) => fs.createReadStream(resolve(key)),
+    remove: async (key) => {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+let storage = createDiskStorage();
+
+const getStorage = () => storage;
+
+const useStorage = (next) => {
+  storage = next;
+};
+
+module.exports = {
+  createDiskStorage,
+  getStorage,
+  useStorage
+};
@@ -0,0 +1,32 @@
+// Upload limits shared with the client through shared/attachmentLimits.json
+const crypto = require('crypto');
+const path = require('path');
+const limits = require('../../../shared/attachmentLimits.json');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('./attachmentStorage');
+
+const MAX_FILE_SIZE = limits.maxFileSize;
+const MAX_FILES = limits.maxFiles;
+
+// The stored content type for a filename, or undefined when the type isn't allowed
+const getContentType = (filename) => limits.types[path.extname(filename).toLowerCase()];
+
+const getChecksum = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const formatSize = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+// Delete a bug's attachments along with their stored files
+const removeAttachments = async (bugId) => {
+  const attachments = await Attachment.find({ bug: bugId }, { storageKey: 1 });
+  await Promise.all(attachments.map(attachment => getStorage().remove(attachment.storageKey)));
+  await Attachment.deleteMany({ bug: bugId });
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  MAX_FILES,
+  getContentType,
+  getChecksum,
+  formatSize,
+  removeAttachments
+};
@@ -0,0 +1,24 @@
+const jwt = require('jsonwebtoken');
+
+// Tokens signed with a known secret can be forged, so only tests may go without one
+if (!process.env.JWT_SECRET && process.env.NODE_ENV !== 'test') {
+  throw new Error('JWT_SECRET must be set');
+}
+
+const JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+const generateToken = (user) => {
+  return jwt.sign(
+    { id: user._id.toString(), username: user.username, role: user.role },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+};
+
+const verifyToken = (token) => jwt.verify(token, JWT_SECRET);
+
+module.exports = {
+  generateToken,
+  verifyToken
+};
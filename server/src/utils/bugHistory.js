@@ -0,0 +1,53 @@
+const BugHistory = require('../models/BugHistory');
+
+// Fields whose changes are recorded in a bug's history
+const TRACKED_FIELDS = ['title', 'description', 'status', 'priority', 'severity', 'reportedBy', 'assignedTo', 'tags', 'duplicateOf'];
+
+const isEmpty = (value) => {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+};
+
+// Arrays (tags) compare by content rather than identity
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const diffValue = (changes, field, before, after) => {
+  const from = isEmpty(before) ? null : before;
+  const to = isEmpty(after) ? null : after;
+
+  if (!isSameValue(from, to)) {
+    changes.push({ field, from, to });
+  }
+};
+
+// Compare two versions of a bug and list the tracked fields that differ.
+// Custom field values are compared per key, as `customFields.<key>`.
+const diffBugs = (before = {}, after = {}) => {
+  const changes = [];
+
+  TRACKED_FIELDS.forEach((field) => {
+    diffValue(changes, field, before[field], after[field]);
+  });
+
+  const beforeCustom = before.customFields || {};
+  const afterCustom = after.customFields || {};
+  const customKeys = new Set([...Object.keys(beforeCustom), ...Object.keys(afterCustom)]);
+
+  customKeys.forEach((key) => {
+    diffValue(changes, `customFields.${key}`, beforeCustom[key], afterCustom[key]);
+  });
+
+  return changes;
+};
+
+const getActor = (req) => (req.user ? req.user.username : 'anonymous');
+
+const recordHistory = (bug, action, actor, changes) => {
+  return BugHistory.create({ bug: bug._id, project: bug.project, action, actor, changes });
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  diffBugs,
+  getActor,
+  recordHistory
+};
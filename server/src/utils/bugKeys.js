@@ -0,0 +1,32 @@
+// Bugs get a human-readable key such as WEB-142: their project's key and
+// the next number from that project's counter. Bugs outside any project
+// count under BUG. Routes accept a key wherever they take a bug id.
+const Counter = require('../models/Counter');
+
+const DEFAULT_BUG_KEY_PREFIX = 'BUG';
+const BUG_KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}-[1-9][0-9]*$/i;
+
+const isBugKey = (value) => typeof value === 'string' && BUG_KEY_PATTERN.test(value);
+
+// Keys are matched case-insensitively, so web-142 finds WEB-142
+const normalizeBugKey = (key) => key.toUpperCase();
+
+// Issue the next key for a project. The counter is created on first use and
+// $inc is atomic, so bugs reported at the same moment still get distinct keys
+const nextBugKey = async (project) => {
+  const prefix = project ? project.key : DEFAULT_BUG_KEY_PREFIX;
+  const counter = await Counter.findOneAndUpdate(
+    { _id: prefix },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return `${prefix}-${counter.seq}`;
+};
+
+module.exports = {
+  DEFAULT_BUG_KEY_PREFIX,
+  BUG_KEY_PATTERN,
+  isBugKey,
+  normalizeBugKey,
+  nextBugKey
+};
@@ -0,0 +1,90 @@
+// Bug relationship types. Each type seen from one bug has an inverse seen
+// from the other, defined in shared/bugLinks.json so the client labels
+// links the same way.
+const config = require('../../../shared/bugLinks.json');
+const Bug = require('../models/Bug');
+const BugLink = require('../models/BugLink');
+
+const LINK_TYPES = Object.keys(config.types);
+
+// Turn "bugId <type> otherId" into the stored link
+const toStoredLink = (bugId, type, otherId) => {
+  const { stored } = config.types[type];
+  // Related links have no direction, so keep one order to avoid storing both
+  if (stored === 'related') {
+    const [source, target] = [bugId.toString(), otherId.toString()].sort();
+    return { source, target, type: stored };
+  }
+  return type === stored
+    ? { source: bugId, target: otherId, type: stored }
+    : { source: otherId, target: bugId, type: stored };
+};
+
+// Read a stored link from one of its ends; `link` has source and target populated
+const toBugView = (link, bugId) => {
+  const isSource = link.source._id.toString() === bugId.toString();
+  const other = isSource ? link.target : link.source;
+  const type = isSource || link.type === 'related' ? link.type : config.types[link.type].inverse;
+
+  return {
+    _id: link._id,
+    type,
+    bug: { _id: other._id, title: other.title, status: other.status },
+    createdBy: link.createdBy,
+    createdAt: link.createdAt
+  };
+};
+
+// Whether adding from -> to to the stored links of `type` would close a loop,
+// i.e. `from` can already be reached from `to`
+const createsCycle = async (type, from, to) => {
+  const target = from.toString();
+  const seen = new Set([to.toString()]);
+  let frontier = [to];
+
+  while (frontier.length > 0) {
+    const links = await BugLink.find({ type, source: { $in: frontier } }, { target: 1 }).lean();
+    frontier = [];
+    for (const { target: next } of links) {
+      const id = next.toString();
+      if (id === target) {
+        return true;
+      }
+      if (!seen.has(id)) {
+        seen.add(id);
+        frontier.push(next);
+      }
+    }
+  }
+
+  return false;
+};
+
+// Bugs that block `bugId` and aren't done yet
+const findOpenBlockers = async (bugId) => {
+  const links = await BugLink.find({ type: 'blocks', target: bugId }, { source: 1 }).lean();
+  if (links.length === 0) {
+    return [];
+  }
+
+  return Bug.find(
+    { _id: { $in: links.map(link => link.source) }, status: { $nin: config.doneStatuses } },
+    { title: 1, status: 1 }
+  ).lean();
+};
+
+// Moving into these statuses waits on the bug's blockers
+const isBlockedStatus = (status) => config.blockedStatuses.includes(status);
+
+// Drop every link to or from a deleted bug
+const removeLinks = (bugId) => BugLink.deleteMany({ $or: [{ source: bugId }, { target: bugId }] });
+
+module.exports = {
+  LINK_TYPES,
+  toStoredLink,
+  toBugView,
+  createsCycle,
+  findOpenBlockers,
+  isBlockedStatus,
+  removeLinks
+};
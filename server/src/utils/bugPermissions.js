@@ -0,0 +1,89 @@
+// Role based permissions for bug actions. Each action maps a role to the
+// scope it applies to: "any" bug, bugs the user reported ("own") or bugs
+// assigned to them ("assigned"). The definition in
+// shared/bugPermissions.json is also used by the client to hide buttons.
+// Within a project the user's role comes from its member list instead.
+const permissions = require('../../../shared/bugPermissions.json');
+
+const ROLES = permissions.roles;
+const DEFAULT_ROLE = permissions.defaultRole;
+
+const isReporter = (bug, user) => {
+  return bug.reporter
+    ? bug.reporter.toString() === user._id.toString()
+    : bug.reportedBy === user.username;
+};
+
+const isAssignee = (bug, user) => {
+  return Boolean(bug.assignedTo) && [user.username, user.email].includes(bug.assignedTo);
+};
+
+// The role a user acts with: their global role outside any project, their
+// member role inside one. Global admins are admins of every project, and
+// anyone else who isn't a member has no role there
+const getRole = (user, project) => {
+  if (!user) {
+    return null;
+  }
+  if (!project || user.role === 'admin') {
+    return user.role;
+  }
+
+  const member = (project.members || []).find(({ user: memberId }) => {
+    return memberId && (memberId._id || memberId).toString() === user._id.toString();
+  });
+  return member ? member.role : null;
+};
+
+const can = (user, action, bug, project) => {
+  const role = getRole(user, project);
+  if (!role) {
+    return false;
+  }
+
+  const scope = (permissions.actions[action] || {})[role];
+  switch (scope) {
+    case 'any': return true;
+    case 'own': return Boolean(bug) && isReporter(bug, user);
+    case 'assigned': return Boolean(bug) && isAssignee(bug, user);
+    default: return false;
+  }
+};
+
+// The action needed to change a field; anything not listed is plain editing
+const getFieldAction = (field) => permissions.fieldActions[field] || 'edit';
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !(value instanceof Date) && !value._bsontype;
+};
+
+const isSameValue = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(a || []) === JSON.stringify(b || []);
+  }
+  // Custom field values; key order counts, so a reordered object reads as a change
+  if (isPlainObject(a) || isPlainObject(b)) {
+    return JSON.stringify(a || {}) === JSON.stringify(b || {});
+  }
+  const normalize = (value) => (value === undefined || value === null ? '' : String(value));
+  return normalize(a) === normalize(b);
+};
+
+// Fields the controller never takes from a request body
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'reportedBy', 'reporter', 'diagnostics', 'template', 'project', 'key'];
+
+// Fields in an update that would actually change the stored bug
+const getChangedFields = (bug, updates) => {
+  return Object.keys(updates)
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => !isSameValue(bug[field], updates[field]));
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  getRole,
+  can,
+  getFieldAction,
+  getChangedFields
+};
@@ -0,0 +1,309 @@
+// Server side of the search box query language, e.g.
+//   status:open,in-progress severity:critical assignee:me created:>2026-01-01 "login page"
+// Comma separated values match any of them, separate terms must all match
+// and anything without a field is free text. Fields are defined in
+// shared/bugQuery.json, which the client parser reads as well. Admin-defined
+// custom fields are searched by their key, e.g. browser:firefox build:>=120
+const definition = require('../../../shared/bugQuery.json');
+const { BUG_STATUSES } = require('./bugWorkflow');
+
+const FIELDS = definition.fields;
+const QUERY_FIELDS = Object.keys(FIELDS);
+const USER_KEYWORDS = definition.userKeywords;
+const DATE_OPERATORS = definition.dateOperators;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How each custom field type is searched; dates and numbers take operators
+const CUSTOM_FIELD_QUERY_TYPES = {
+  text: 'text',
+  number: 'number',
+  select: 'option',
+  'multi-select': 'option',
+  date: 'date',
+  user: 'user'
+};
+const COMPARISONS = { '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte', '=': '$eq' };
+
+const toQueryField = (definition) => ({
+  type: CUSTOM_FIELD_QUERY_TYPES[definition.type] || 'text',
+  path: `customFields.${definition.key}`,
+  aliases: [],
+  values: definition.options && definition.options.length > 0
+    ? definition.options.map(option => option.toLowerCase())
+    : undefined,
+  custom: true
+});
+
+// The built-in fields plus any custom fields, which can't shadow a built-in
+const getQueryFields = (customFields = []) => {
+  const fields = { ...FIELDS };
+  customFields.forEach((definition) => {
+    const name = definition.key.toLowerCase();
+    const isTaken = fields[name] || QUERY_FIELDS.some(field => FIELDS[field].aliases.includes(name));
+    if (!isTaken) {
+      fields[name] = toQueryField(definition);
+    }
+  });
+  return fields;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const tokenize = (input) => {
+  const tokens = [];
+  const errors = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    const fieldMatch = /^([A-Za-z][A-Za-z0-9_-]*):/.exec(input.slice(i));
+    const field = fieldMatch ? fieldMatch[1] : undefined;
+    if (fieldMatch) {
+      i += fieldMatch[0].length;
+    }
+
+    let value;
+    const quoted = input[i] === '"';
+    if (quoted) {
+      const close = input.indexOf('"', i + 1);
+      if (close === -1) {
+        errors.push({ message: 'Missing closing quote', start: i, end: input.length });
+        value = input.slice(i + 1);
+        i = input.length;
+      } else {
+        value = input.slice(i + 1, close);
+        i = close + 1;
+      }
+    } else {
+      const valueStart = i;
+      while (i < input.length && !/\s/.test(input[i])) {
+        i++;
+      }
+      value = input.slice(valueStart, i);
+    }
+
+    tokens.push({ start, end: i, field, value, quoted });
+  }
+
+  return { tokens, errors };
+};
+
+const levenshtein = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+};
+
+const didYouMean = (value, candidates) => {
+  const closest = candidates
+    .map(candidate => ({ candidate, distance: levenshtein(value, candidate) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+  return closest && closest.distance <= 2 ? ` Did you mean "${closest.candidate}"?` : '';
+};
+
+const resolveField = (name, fields) => {
+  const lower = name.toLowerCase();
+  return Object.keys(fields).find(field => field === lower || fields[field].aliases.includes(lower));
+};
+
+const getAllowedValues = ({ type, values }) => {
+  if (type === 'status') {
+    return BUG_STATUSES;
+  }
+  return type === 'enum' || type === 'option' ? values : undefined;
+};
+
+const isValidDate = (date) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return false;
+  }
+  const parsed = new Date(`${date}T00:00:00.000Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+};
+
+// Parse a query into { clauses, text, errors }; errors carry the offending
+// [start, end) range so clients can point at it
+const parseQuery = (input, customFields = []) => {
+  const fields = getQueryFields(customFields);
+  const fieldNames = Object.keys(fields);
+  const { tokens, errors } = tokenize(input);
+  const clauses = [];
+  const text = [];
+
+  tokens.forEach((token) => {
+    if (token.field === undefined) {
+      if (token.value.trim()) {
+        text.push(token.value.trim());
+      }
+      return;
+    }
+
+    const fieldEnd = token.start + token.field.length;
+    const field = resolveField(token.field, fields);
+    if (!field) {
+      errors.push({
+        message: `Unknown field "${token.field}".${didYouMean(token.field.toLowerCase(), fieldNames)} Try one of: ${fieldNames.join(', ')}`,
+        start: token.start,
+        end: fieldEnd
+      });
+      return;
+    }
+
+    const valueStart = fieldEnd + 1;
+    if (!token.value.trim()) {
+      errors.push({ message: `Missing value after "${token.field}:"`, start: token.start, end: token.end });
+      return;
+    }
+
+    const { type } = fields[field];
+    if (type === 'date') {
+      const operator = DATE_OPERATORS.find(op => token.value.startsWith(op));
+      const date = operator ? token.value.slice(operator.length) : token.value;
+      if (!isValidDate(date)) {
+        errors.push({
+          message: `Invalid date "${date}" for ${field}. Use YYYY-MM-DD, optionally after >, >=, < or <=`,
+          start: valueStart,
+          end: token.end
+        });
+        return;
+      }
+      clauses.push({ field, operator: operator || '=', date });
+      return;
+    }
+
+    if (type === 'number') {
+      const operator = DATE_OPERATORS.find(op => token.value.startsWith(op));
+      const value = operator ? token.value.slice(operator.length) : token.value;
+      const number = value.trim() ? Number(value) : NaN;
+      if (!Number.isFinite(number)) {
+        errors.push({
+          message: `Invalid number "${value}" for ${field}. Use a number, optionally after >, >=, < or <=`,
+          start: valueStart,
+          end: token.end
+        });
+        return;
+      }
+      clauses.push({ field, operator: operator || '=', number });
+      return;
+    }
+
+    const values = (token.quoted ? [token.value] : token.value.split(','))
+      .map(value => value.trim())
+      .filter(Boolean)
+      .map(value => (type === 'user' && !USER_KEYWORDS.includes(value.toLowerCase()) ? value : value.toLowerCase()));
+
+    const allowed = getAllowedValues(fields[field]);
+    const invalid = allowed ? values.filter(value => !allowed.includes(value)) : [];
+    if (invalid.length > 0) {
+      errors.push({
+        message: `Unknown ${field} "${invalid[0]}".${didYouMean(invalid[0], allowed)} Expected one of: ${allowed.join(', ')}`,
+        start: valueStart,
+        end: token.end
+      });
+      return;
+    }
+
+    clauses.push({ field, values });
+  });
+
+  return { clauses, text, errors };
+};
+
+const getDateBounds = (operator, date) => {
+  const day = Date.parse(`${date}T00:00:00.000Z`);
+  switch (operator) {
+    case '>': return { from: day + DAY_MS };
+    case '>=': return { from: day };
+    case '<': return { to: day };
+    case '<=': return { to: day + DAY_MS };
+    default: return { from: day, to: day + DAY_MS };
+  }
+};
+
+const toUserCondition = (values, user) => {
+  const names = [];
+  values.forEach((value) => {
+    if (value === 'none') {
+      names.push(null, '');
+    } else if (value === 'me') {
+      names.push(user.username, user.email);
+    } else {
+      names.push(new RegExp(`^${escapeRegex(value)}$`, 'i'));
+    }
+  });
+  return { $in: names };
+};
+
+const toCondition = (clause, user, fields) => {
+  const { type, path, custom } = fields[clause.field];
+
+  // Numbers, and custom dates stored as YYYY-MM-DD text, compare directly
+  if (clause.number !== undefined || (clause.date !== undefined && custom)) {
+    const value = clause.number !== undefined ? clause.number : clause.date;
+    return { [path]: { [COMPARISONS[clause.operator]]: value } };
+  }
+
+  if (clause.operator) {
+    const { from, to } = getDateBounds(clause.operator, clause.date);
+    const range = {};
+    if (from !== undefined) range.$gte = new Date(from);
+    if (to !== undefined) range.$lt = new Date(to);
+    return { [path]: range };
+  }
+
+  switch (type) {
+    case 'user':
+      return { [path]: toUserCondition(clause.values, user) };
+    case 'tag':
+    case 'option':
+      return { [path]: { $in: clause.values.map(tag => new RegExp(`^${escapeRegex(tag)}$`, 'i')) } };
+    case 'text':
+      return { [path]: { $in: clause.values.map(value => new RegExp(escapeRegex(value), 'i')) } };
+    default:
+      return { [path]: { $in: clause.values } };
+  }
+};
+
+// Translate a parsed query into a MongoDB filter. `me` on a user field needs
+// a signed-in user; the returned errors say so when there is none. Pass the
+// same custom fields the query was parsed with.
+const toMongoFilter = (query, user, customFields = []) => {
+  const fields = getQueryFields(customFields);
+  const usesMe = query.clauses.some(clause => (
+    fields[clause.field].type === 'user' && clause.values && clause.values.includes('me')
+  ));
+  if (usesMe && !user) {
+    return { filter: null, errors: ['Sign in to search with "me"'] };
+  }
+
+  const conditions = query.clauses.map(clause => toCondition(clause, user, fields));
+  query.text.forEach((term) => {
+    const pattern = new RegExp(escapeRegex(term), 'i');
+    conditions.push({ $or: [{ title: pattern }, { description: pattern }, { tags: pattern }] });
+  });
+
+  return { filter: conditions.length > 0 ? { $and: conditions } : {}, errors: [] };
+};
+
+// Custom field keys that would be shadowed by a built-in field or alias
+const isReservedField = (key) => Boolean(resolveField(key, FIELDS));
+
+module.exports = {
+  QUERY_FIELDS,
+  isReservedField,
+  parseQuery,
+  toMongoFilter
+};
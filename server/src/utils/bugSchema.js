@@ -0,0 +1,254 @@
+// Server side of the bug field rules. They live in shared/bugSchema.json so
+// the controller, the Mongoose model and BugForm report the same errors.
+const { z } = require('zod');
+const schema = require('../../../shared/bugSchema.json');
+
+// Assignees may be usernames; anything that looks like an email must be one
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const BUG_FIELDS = Object.keys(schema.fields);
+const BUG_PRIORITIES = schema.fields.priority.values;
+const BUG_SEVERITIES = schema.fields.severity.values;
+
+const toStringSchema = (field, rule) => {
+  let fieldSchema = z.string({
+    required_error: rule.required,
+    invalid_type_error: rule.required || `${field} must be text`
+  }).trim();
+
+  if (rule.required) fieldSchema = fieldSchema.min(1, rule.required);
+  if (rule.min) fieldSchema = fieldSchema.min(rule.min[0], rule.min[1]);
+  if (rule.max) fieldSchema = fieldSchema.max(rule.max[0], rule.max[1]);
+  if (rule.email) {
+    fieldSchema = fieldSchema.refine(value => !value.includes('@') || EMAIL_PATTERN.test(value), rule.email);
+  }
+  return rule.required ? fieldSchema : fieldSchema.nullish();
+};
+
+const toZod = (field, rule) => {
+  switch (rule.type) {
+    case 'enum':
+      return z.enum(rule.values, { errorMap: () => ({ message: rule.message }) }).nullish();
+    case 'tags':
+      return z.array(
+        z.string({ invalid_type_error: rule.message }).trim().min(rule.min[0], rule.min[1]),
+        { invalid_type_error: rule.message }
+      ).max(rule.max[0], rule.max[1]).optional();
+    default:
+      return toStringSchema(field, rule);
+  }
+};
+
+const fieldSchemas = Object.fromEntries(
+  BUG_FIELDS.map(field => [field, toZod(field, schema.fields[field])])
+);
+
+const bugSchema = z.object(fieldSchemas);
+
+// One { field, message } per invalid field, in schema order
+const toFieldErrors = (issues) => {
+  const errors = new Map();
+  issues.forEach((issue) => {
+    const field = String(issue.path[0]);
+    if (!errors.has(field)) {
+      errors.set(field, { field, message: issue.message });
+    }
+  });
+  return [...errors.values()];
+};
+
+const validateBug = (data) => {
+  const result = bugSchema.safeParse(data);
+  return result.success ? [] : toFieldErrors(result.error.issues);
+};
+
+// Like validateBug, but only for the fields present, e.g. a template's defaults
+const validateBugPartial = (data) => {
+  const result = bugSchema.partial().safeParse(data);
+  return result.success ? [] : toFieldErrors(result.error.issues);
+};
+
+// Custom fields: a definition names a value kept under bug.customFields
+const CUSTOM_FIELD_TYPES = schema.customFields.types;
+const CUSTOM_FIELD_KEY_PATTERN = new RegExp(schema.customFields.keyPattern);
+const CUSTOM_FIELD_MAX_LENGTH = schema.customFields.maxLength;
+const OPTION_FIELD_TYPES = ['select', 'multi-select'];
+const MAX_FIELD_OPTIONS = 50;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Dates are stored as plain YYYY-MM-DD strings so they sort and compare as text
+const isValidDate = (value) => {
+  if (!DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const parsed = new Date(`${value}T00:00:00.000Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value);
+};
+
+const formatMessage = (name, values) => {
+  return schema.customFields.messages[name].replace(/\{(\w+)\}/g, (match, key) => (
+    values[key] !== undefined ? String(values[key]) : match
+  ));
+};
+
+// An empty number input reaches us as NaN
+const isEmptyValue = (value) => {
+  return value === undefined || value === null ||
+    (typeof value === 'string' && value.trim().length === 0) ||
+    (typeof value === 'number' && Number.isNaN(value)) ||
+    (Array.isArray(value) && value.length === 0);
+};
+
+const toCustomFieldSchema = (definition) => {
+  const options = definition.options || [];
+  const message = (name) => formatMessage(name, {
+    ...definition,
+    options: options.join(', '),
+    maxLength: CUSTOM_FIELD_MAX_LENGTH
+  });
+  const option = z.string({ invalid_type_error: message('option') })
+    .refine(value => options.includes(value), message('option'));
+
+  switch (definition.type) {
+    case 'number':
+      return z.number({ invalid_type_error: message('number') }).finite(message('number'));
+    case 'select':
+      return option;
+    case 'multi-select':
+      return z.array(option, { invalid_type_error: message('options') });
+    case 'date':
+      return z.string({ invalid_type_error: message('date') }).refine(isValidDate, message('date'));
+    default:
+      return z.string({ invalid_type_error: message('text') }).trim().max(CUSTOM_FIELD_MAX_LENGTH, message('maxLength'));
+  }
+};
+
+// Check a bug's custom field values against the definitions that apply to it.
+// Errors name the value as customFields.<key>
+const validateCustomFields = (values, definitions) => {
+  if (values === undefined || values === null) {
+    values = {};
+  } else if (typeof values !== 'object' || Array.isArray(values)) {
+    return [{ field: 'customFields', message: formatMessage('object', {}) }];
+  }
+
+  const known = new Set(definitions.map(definition => definition.key));
+  const errors = Object.keys(values)
+    .filter(key => !known.has(key))
+    .map(key => ({ field: `customFields.${key}`, message: formatMessage('unknown', { key }) }));
+
+  definitions.forEach((definition) => {
+    const field = `customFields.${definition.key}`;
+    const value = values[definition.key];
+
+    if (isEmptyValue(value)) {
+      if (definition.required) {
+        errors.push({ field, message: formatMessage('required', definition) });
+      }
+      return;
+    }
+
+    const result = toCustomFieldSchema(definition).safeParse(value);
+    if (!result.success) {
+      errors.push({ field, message: result.error.issues[0].message });
+    }
+  });
+
+  return errors;
+};
+
+// Check one custom field definition; `field` prefixes the error names
+const validateFieldDefinition = (definition, field = '') => {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return [{ field: field || 'field', message: 'Field definition must be an object' }];
+  }
+
+  const errors = [];
+  if (typeof definition.key !== 'string' || !CUSTOM_FIELD_KEY_PATTERN.test(definition.key)) {
+    errors.push({
+      field: `${field}key`,
+      message: 'Field key must start with a letter and contain only letters, numbers, - and _'
+    });
+  }
+  if (typeof definition.label !== 'string' || definition.label.trim().length === 0) {
+    errors.push({ field: `${field}label`, message: 'Field label is required' });
+  } else if (definition.label.length > 100) {
+    errors.push({ field: `${field}label`, message: 'Field label must be less than 100 characters' });
+  }
+  if (!CUSTOM_FIELD_TYPES.includes(definition.type)) {
+    errors.push({ field: `${field}type`, message: `Field type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}` });
+  }
+  if (definition.required !== undefined && typeof definition.required !== 'boolean') {
+    errors.push({ field: `${field}required`, message: 'Field required must be true or false' });
+  }
+
+  const { options } = definition;
+  if (OPTION_FIELD_TYPES.includes(definition.type)) {
+    const isList = Array.isArray(options) &&
+      options.every(value => typeof value === 'string' && value.trim().length > 0);
+    if (!isList || options.length === 0) {
+      errors.push({ field: `${field}options`, message: 'Select fields need a list of options' });
+    } else if (options.length > MAX_FIELD_OPTIONS) {
+      errors.push({ field: `${field}options`, message: `A field can have at most ${MAX_FIELD_OPTIONS} options` });
+    } else if (new Set(options).size !== options.length) {
+      errors.push({ field: `${field}options`, message: 'Options must be unique' });
+    }
+  } else if (options !== undefined && !(Array.isArray(options) && options.length === 0)) {
+    errors.push({ field: `${field}options`, message: 'Only select fields have options' });
+  }
+  return errors;
+};
+
+// Definitions that apply to a bug: every admin-defined field, then the
+// fields of its template that don't reuse one of those keys
+const mergeFieldDefinitions = (fields, templateFields = []) => {
+  const keys = new Set(fields.map(definition => definition.key));
+  return [...fields, ...templateFields.filter(definition => !keys.has(definition.key))];
+};
+
+// Mongoose path options for a schema field. Mongoose keeps its own required,
+// trim and enum handling; everything else runs through the zod rule so a
+// failed save carries the same message as the API
+const toMongooseField = (field) => {
+  const rule = schema.fields[field];
+  const fieldSchema = fieldSchemas[field];
+
+  const validate = {
+    validator: (value) => {
+      const result = fieldSchema.safeParse(Array.isArray(value) ? [...value] : value);
+      if (!result.success) {
+        throw new Error(result.error.issues[0].message);
+      }
+      return true;
+    }
+  };
+
+  switch (rule.type) {
+    case 'enum':
+      return { type: String, enum: { values: rule.values, message: rule.message } };
+    case 'tags':
+      return { type: [{ type: String, trim: true }], validate };
+    default:
+      return {
+        type: String,
+        trim: true,
+        ...(rule.required && { required: [true, rule.required] }),
+        validate
+      };
+  }
+};
+
+module.exports = {
+  BUG_FIELDS,
+  BUG_PRIORITIES,
+  BUG_SEVERITIES,
+  CUSTOM_FIELD_TYPES,
+  OPTION_FIELD_TYPES,
+  bugSchema,
+  validateBug,
+  validateBugPartial,
+  validateCustomFields,
+  validateFieldDefinition,
+  mergeFieldDefinitions,
+  toMongooseField
+};
@@ -0,0 +1,73 @@
+// Token similarity between bug reports, used to spot likely duplicates.
+// Each report becomes a bag of stemmed words (title words count
+// `titleWeight` times) and two reports score the cosine of their bags, from
+// 0 (nothing shared) to 1 (same words). The client scores bugs the same way
+// from shared/bugSimilarity.json.
+const config = require('../../../shared/bugSimilarity.json');
+
+const STOP_WORDS = new Set(config.stopWords);
+
+// Crude suffix stripping so "crash", "crashes" and "crashing" match
+const stem = (word) => {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 4 && word.endsWith('es')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+const tokenize = (text) => {
+  return (text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= config.minTokenLength && !STOP_WORDS.has(word))
+    .map(stem);
+};
+
+const toVector = ({ title, description }) => {
+  const vector = new Map();
+  const add = (tokens, weight) => {
+    tokens.forEach((token) => {
+      vector.set(token, (vector.get(token) || 0) + weight);
+    });
+  };
+  add(tokenize(title), config.titleWeight);
+  add(tokenize(description), 1);
+  return vector;
+};
+
+const magnitude = (vector) => Math.sqrt([...vector.values()].reduce((sum, value) => sum + value * value, 0));
+
+const cosine = (a, b) => {
+  const denominator = magnitude(a) * magnitude(b);
+  if (denominator === 0) {
+    return 0;
+  }
+  let dot = 0;
+  a.forEach((value, token) => {
+    dot += value * (b.get(token) || 0);
+  });
+  return dot / denominator;
+};
+
+const round = (score) => Math.round(score * 1000) / 1000;
+
+// Similarity between two { title, description } reports, rounded to 3 places
+const getSimilarity = (a, b) => round(cosine(toVector(a), toVector(b)));
+
+// The bugs most similar to `report`, best first, above the threshold
+const findSimilarBugs = (report, bugs, { threshold = config.threshold, limit = config.maxCandidates } = {}) => {
+  const target = toVector(report);
+  return bugs
+    .map(bug => ({ bug, score: round(cosine(target, toVector(bug))) }))
+    .filter(({ score }) => score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+module.exports = {
+  tokenize,
+  getSimilarity,
+  findSimilarBugs
+};
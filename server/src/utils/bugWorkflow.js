@@ -0,0 +1,21 @@
+// Server side of the bug status state machine. The states and transitions
+// live in shared/bugWorkflow.json so the client renders the same actions.
+const workflow = require('../../../shared/bugWorkflow.json');
+
+const BUG_STATUSES = Object.keys(workflow.states);
+const INITIAL_STATUS = workflow.initial;
+
+const getAllowedTransitions = (status) => {
+  const state = workflow.states[status];
+  return state ? state.transitions.map(transition => transition.to) : [];
+};
+
+// Staying in the same status is always allowed so full-document PUTs still work
+const canTransition = (from, to) => from === to || getAllowedTransitions(from).includes(to);
+
+module.exports = {
+  BUG_STATUSES,
+  INITIAL_STATUS,
+  getAllowedTransitions,
+  canTransition
+};
@@ -0,0 +1,59 @@
+// Projects group bugs under a short uppercase key, such as WEB, that also
+// prefixes their routes: /api/projects/WEB/bugs
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Keys are matched case-insensitively, so /api/projects/web/bugs works too
+const normalizeProjectKey = (key) => (typeof key === 'string' ? key.trim().toUpperCase() : '');
+
+const validateProjectData = (data, { isNew = true } = {}) => {
+  const errors = [];
+
+  if (isNew) {
+    if (!data.key || typeof data.key !== 'string') {
+      errors.push({ field: 'key', message: 'Key is required' });
+    } else if (!PROJECT_KEY_PATTERN.test(normalizeProjectKey(data.key))) {
+      errors.push({ field: 'key', message: 'Key must be 2-10 letters or digits, starting with a letter' });
+    }
+  }
+
+  if (isNew || data.name !== undefined) {
+    if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+      errors.push({ field: 'name', message: 'Name is required' });
+    } else if (data.name.trim().length > MAX_NAME_LENGTH) {
+      errors.push({ field: 'name', message: `Name must be ${MAX_NAME_LENGTH} characters or less` });
+    }
+  }
+
+  if (data.description !== undefined && data.description !== null) {
+    if (typeof data.description !== 'string') {
+      errors.push({ field: 'description', message: 'Description must be text' });
+    } else if (data.description.length > MAX_DESCRIPTION_LENGTH) {
+      errors.push({ field: 'description', message: `Description must be ${MAX_DESCRIPTION_LENGTH} characters or less` });
+    }
+  }
+
+  return errors;
+};
+
+// Bug queries on a project route only see that project's bugs; the
+// unscoped /api/bugs routes see every bug
+const toProjectFilter = (project) => (project ? { project: project._id } : {});
+
+// Custom fields belong to one project, and their keys are only unique within
+// it; fields with no project apply to bugs outside any project
+const toCustomFieldFilter = (project) => ({ project: project ? project._id : null });
+
+const isInProject = (bug, project) => {
+  return !project || (Boolean(bug.project) && bug.project.toString() === project._id.toString());
+};
+
+module.exports = {
+  PROJECT_KEY_PATTERN,
+  normalizeProjectKey,
+  validateProjectData,
+  toProjectFilter,
+  toCustomFieldFilter,
+  isInProject
+};
@@ -0,0 +1,66 @@
+// Helpers for showing where a full-text search matched. Highlights are
+// returned as [start, end) offsets into the snippet text rather than markup,
+// so clients decide how to render them.
+
+const SNIPPET_RADIUS = 60;
+const ELLIPSIS = '…';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words and "quoted phrases" from a $text query, leaving out -negated terms
+const getSearchTerms = (query) => {
+  const phrases = [];
+  const rest = query.replace(/"([^"]*)"/g, (match, phrase) => {
+    phrases.push(phrase);
+    return ' ';
+  });
+
+  const words = rest.split(/\s+/).filter(word => word && !word.startsWith('-'));
+
+  return [...new Set([...phrases, ...words].map(term => term.trim().toLowerCase()).filter(Boolean))];
+};
+
+// Ranges where any term occurs; a term also matches the rest of its word so
+// that highlights roughly follow MongoDB's stemming ("crash" in "crashes")
+const findHighlights = (text, terms) => {
+  if (!text || terms.length === 0) {
+    return [];
+  }
+
+  const pattern = new RegExp(`(${terms.map(escapeRegex).join('|')})\\w*`, 'gi');
+  const highlights = [];
+  let match;
+
+  while ((match = pattern.exec(text))) {
+    highlights.push([match.index, match.index + match[0].length]);
+  }
+
+  return highlights;
+};
+
+// A window of text around the first match, or null when nothing matched
+const buildSnippet = (text, terms, radius = SNIPPET_RADIUS) => {
+  const highlights = findHighlights(text, terms);
+  if (highlights.length === 0) {
+    return null;
+  }
+
+  const start = Math.max(0, highlights[0][0] - radius);
+  const end = Math.min(text.length, highlights[0][1] + radius);
+  const prefix = start > 0 ? ELLIPSIS : '';
+  const suffix = end < text.length ? ELLIPSIS : '';
+  const shift = prefix.length - start;
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: highlights
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + shift, to + shift])
+  };
+};
+
+module.exports = {
+  getSearchTerms,
+  findHighlights,
+  buildSnippet
+};
@@ -0,0 +1,209 @@
+// attachments.test.js - Integration tests for bug attachment endpoints
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const Attachment = require('../../src/models/Attachment');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+const { createDiskStorage, useStorage } = require('../../src/utils/attachmentStorage');
+
+let mongoServer;
+let uploadDir;
+let bugId;
+let token;
+let adminToken;
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+  useStorage(createDiskStorage(uploadDir));
+
+  const user = await User.create({
+    username: 'developer',
+    email: 'developer@example.com',
+    password: 'password123',
+    role: 'developer',
+  });
+  const admin = await User.create({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  token = generateToken(user);
+  adminToken = generateToken(admin);
+
+  const bug = await Bug.create({
+    title: 'Bug With Files',
+    description: 'Needs a screenshot',
+    reportedBy: 'reporter',
+  });
+  bugId = bug._id;
+});
+
+// Clean up database and files between tests
+afterEach(async () => {
+  await Bug.deleteMany({});
+  await Attachment.deleteMany({});
+  await User.deleteMany({});
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+const upload = (files, authToken = token) => {
+  const req = request(app)
+    .post(`/api/bugs/${bugId}/attachments`)
+    .set('Authorization', `Bearer ${authToken}`);
+  files.forEach(([contents, filename]) => req.attach('files', contents, filename));
+  return req;
+};
+
+describe('POST /api/bugs/:id/attachments', () => {
+  it('should store files with their size and checksum', async () => {
+    const res = await upload([[PNG, 'screenshot.png'], [Buffer.from('GET /api 500\n'), 'server.log']]);
+
+    expect(res.status).toBe(201);
+    expect(res.body).toHaveLength(2);
+    expect(res.body[0]).toMatchObject({
+      filename: 'screenshot.png',
+      contentType: 'image/png',
+      size: PNG.length,
+      checksum: crypto.createHash('sha256').update(PNG).digest('hex'),
+      uploadedBy: 'developer',
+    });
+    expect(res.body[1].contentType).toBe('text/plain');
+    expect(res.body[0]).not.toHaveProperty('storageKey');
+
+    const stored = await Attachment.findById(res.body[0]._id);
+    expect(fs.readFileSync(path.join(uploadDir, stored.storageKey))).toEqual(PNG);
+  });
+
+  it('should reject unsupported file types', async () => {
+    const res = await upload([[Buffer.from('MZ'), 'setup.exe']]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual(['Unsupported file type: setup.exe']);
+    expect(await Attachment.countDocuments()).toBe(0);
+  });
+
+  it('should reject files over the size limit', async () => {
+    const res = await upload([[Buffer.alloc(10 * 1024 * 1024 + 1), 'huge.log']]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual(['Files must be 10 MB or smaller']);
+  });
+
+  it('should require at least one file', async () => {
+    const res = await upload([]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContain('At least one file is required');
+  });
+
+  it('should require a signed-in user', async () => {
+    const res = await request(app)
+      .post(`/api/bugs/${bugId}/attachments`)
+      .attach('files', PNG, 'screenshot.png');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should still answer 500 when cleaning up a failed upload fails', async () => {
+    const disk = createDiskStorage(uploadDir);
+    let saves = 0;
+    useStorage({
+      ...disk,
+      save: async (key, buffer) => {
+        if (++saves > 1) throw new Error('Disk full');
+        await disk.save(key, buffer);
+      },
+      remove: async () => {
+        throw new Error('Disk gone');
+      }
+    });
+    const deleteMany = jest.spyOn(Attachment, 'deleteMany').mockRejectedValueOnce(new Error('Connection lost'));
+
+    const res = await upload([[PNG, 'first.png'], [PNG, 'second.png']]);
+    deleteMany.mockRestore();
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('Failed to upload attachments');
+  });
+});
+
+describe('GET /api/bugs/:id/attachments/:attachmentId/content', () => {
+  it('should serve images inline with their checksum as ETag', async () => {
+    const [attachment] = (await upload([[PNG, 'screenshot.png']])).body;
+
+    const res = await request(app)
+      .get(`/api/bugs/${bugId}/attachments/${attachment._id}/content`)
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/png');
+    expect(res.headers['content-disposition']).toMatch(/^inline/);
+    expect(res.headers.etag).toBe(`"${attachment.checksum}"`);
+    expect(res.body).toEqual(PNG);
+  });
+
+  it('should download HAR files rather than render them', async () => {
+    const [attachment] = (await upload([[Buffer.from('{"log":{}}'), 'session.har']])).body;
+
+    const res = await request(app)
+      .get(`/api/bugs/${bugId}/attachments/${attachment._id}/content`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toMatch(/^attachment/);
+  });
+});
+
+describe('Removing attachments', () => {
+  it('should let the uploader delete an attachment and its file', async () => {
+    const [attachment] = (await upload([[PNG, 'screenshot.png']])).body;
+    const { storageKey } = await Attachment.findById(attachment._id);
+
+    const res = await request(app)
+      .delete(`/api/bugs/${bugId}/attachments/${attachment._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(fs.existsSync(path.join(uploadDir, storageKey))).toBe(false);
+  });
+
+  it('should remove attachments when the bug is deleted', async () => {
+    await upload([[PNG, 'screenshot.png'], [Buffer.from('log'), 'server.log']]);
+    const keys = (await Attachment.find()).map(attachment => attachment.storageKey);
+
+    await request(app)
+      .delete(`/api/bugs/${bugId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(await Attachment.countDocuments()).toBe(0);
+    keys.forEach(key => expect(fs.existsSync(path.join(uploadDir, key))).toBe(false));
+  });
+});
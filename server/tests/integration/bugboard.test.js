@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest'
+import { getBoardRank, getDropRank, groupByStatus, rankBetween } from '@/utils/bugBoard'
+import { Bug } from '@/types/bug'
+
+describe('Bug Board', () => {
+  const makeBug = (id: string, overrides: Partial<Bug> = {}): Bug => ({
+    id,
+    title: `Bug ${id}`,
+    description: 'Description',
+    status: 'open',
+    severity: 'medium',
+    priority: 'medium',
+    reportedBy: 'test@example.com',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    tags: [],
+    ...overrides
+  })
+
+  it('should fall back to the creation time for bugs never moved', () => {
+    expect(getBoardRank(makeBug('a'))).toBe(Date.parse('2026-01-01T00:00:00.000Z'))
+    expect(getBoardRank(makeBug('b', { rank: 5 }))).toBe(5)
+  })
+
+  it('should group bugs into status columns ordered by rank', () => {
+    const columns = groupByStatus([
+      makeBug('a', { rank: 3 }),
+      makeBug('b', { rank: 1 }),
+      makeBug('c', { status: 'in-progress', rank: 2 })
+    ])
+
+    expect(columns.open.map(bug => bug.id)).toEqual(['b', 'a'])
+    expect(columns['in-progress'].map(bug => bug.id)).toEqual(['c'])
+    expect(columns.resolved).toEqual([])
+  })
+
+  it('should rank between neighbours or past the ends', () => {
+    const first = makeBug('a', { rank: 10 })
+    const second = makeBug('b', { rank: 20 })
+
+    expect(rankBetween(first, second)).toBe(15)
+    expect(rankBetween(undefined, first)).toBeLessThan(10)
+    expect(rankBetween(second)).toBeGreaterThan(20)
+  })
+
+  it('should ignore the moving bug when ranking a drop', () => {
+    const column = [makeBug('a', { rank: 1 }), makeBug('b', { rank: 2 }), makeBug('c', { rank: 3 })]
+
+    // Moving "a" below "b"
+    expect(getDropRank(column, 'a', 1)).toBe(2.5)
+    // Moving "c" to the top
+    expect(getDropRank(column, 'c', 0)).toBeLessThan(1)
+  })
+})
@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { clearDraft, getDraft, saveDraft } from '@/services/draftStorage'
+import { formatSavedAgo, getDraftKey, isSameValues } from '@/utils/drafts'
+import { CreateBugRequest } from '@/types/bug'
+
+// In-memory localStorage so drafts survive between calls
+const store = new Map<string, string>()
+const mockLocalStorage = {
+  getItem: vi.fn((key: string) => store.get(key) ?? null),
+  setItem: vi.fn((key: string, value: string) => { store.set(key, value) }),
+  removeItem: vi.fn((key: string) => { store.delete(key) }),
+  clear: vi.fn(() => store.clear())
+}
+
+Object.defineProperty(window, 'localStorage', {
+  value: mockLocalStorage
+})
+
+describe('Bug Drafts', () => {
+  const values: CreateBugRequest = {
+    title: 'Checkout crashes',
+    description: 'Submitting the payment form shows a blank page',
+    severity: 'high',
+    priority: 'medium',
+    reportedBy: 'tester',
+    tags: ['checkout']
+  }
+
+  beforeEach(() => {
+    store.clear()
+  })
+
+  describe('getDraftKey', () => {
+    it('should keep new reports and each edited bug apart', () => {
+      expect(getDraftKey('bug-form')).toBe('bug-form:new')
+      expect(getDraftKey('bug-form', 'bug-1')).toBe('bug-form:bug-1')
+      expect(getDraftKey('session-report')).not.toBe(getDraftKey('bug-form'))
+    })
+  })
+
+  describe('draftStorage', () => {
+    it('should save, load and clear a draft', () => {
+      const draft = { values, savedAt: '2026-03-01T10:00:00.000Z', baseVersion: 2 }
+
+      saveDraft('bug-form:bug-1', draft)
+
+      expect(getDraft('bug-form:bug-1')).toEqual(draft)
+      expect(getDraft('bug-form:new')).toBeNull()
+
+      clearDraft('bug-form:bug-1')
+      expect(getDraft('bug-form:bug-1')).toBeNull()
+    })
+
+    it('should ignore unreadable drafts', () => {
+      store.set('bug-tracker-draft:bug-form:new', '{not json')
+      expect(getDraft('bug-form:new')).toBeNull()
+
+      store.set('bug-tracker-draft:bug-form:new', JSON.stringify({ savedAt: '2026-03-01T10:00:00.000Z' }))
+      expect(getDraft('bug-form:new')).toBeNull()
+    })
+
+    it('should not throw when storage is full', () => {
+      mockLocalStorage.setItem.mockImplementationOnce(() => {
+        throw new Error('QuotaExceededError')
+      })
+
+      expect(() => saveDraft('bug-form:new', { values, savedAt: '2026-03-01T10:00:00.000Z' })).not.toThrow()
+    })
+  })
+
+  describe('isSameValues', () => {
+    it('should compare every field, tags included', () => {
+      expect(isSameValues(values, { ...values, tags: ['checkout'] })).toBe(true)
+      expect(isSameValues(values, { ...values, tags: ['checkout', 'payments'] })).toBe(false)
+    })
+  })
+
+  describe('formatSavedAgo', () => {
+    const savedAt = '2026-03-01T10:00:00.000Z'
+    const after = (seconds: number) => new Date(new Date(savedAt).getTime() + seconds * 1000)
+
+    it('should count seconds, then minutes and hours', () => {
+      expect(formatSavedAgo(savedAt, after(2))).toBe('saved just now')
+      expect(formatSavedAgo(savedAt, after(12))).toBe('saved 12 seconds ago')
+      expect(formatSavedAgo(savedAt, after(60))).toBe('saved 1 minute ago')
+      expect(formatSavedAgo(savedAt, after(150))).toBe('saved 2 minutes ago')
+      expect(formatSavedAgo(savedAt, after(2 * 3600))).toBe('saved 2 hours ago')
+    })
+
+    it('should not go negative when the clock is behind', () => {
+      expect(formatSavedAgo(savedAt, after(-30))).toBe('saved just now')
+    })
+  })
+})
@@ -0,0 +1,148 @@
+// bugkeys.test.js - Integration tests for sequential bug keys such as WEB-142
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const Counter = require('../../src/models/Counter');
+const Project = require('../../src/models/Project');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let token;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await Bug.createIndexes();
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const reporter = await User.create({
+    username: 'reporter',
+    email: 'reporter@example.com',
+    password: 'password123',
+  });
+  token = generateToken(reporter);
+  await Project.create({ key: 'WEB', name: 'Website', members: [{ user: reporter._id, role: 'reporter' }] });
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await Bug.deleteMany({});
+  await Counter.deleteMany({});
+  await Project.deleteMany({});
+  await User.deleteMany({});
+});
+
+const report = {
+  title: 'Checkout button does nothing',
+  description: 'Clicking the checkout button on the cart page has no effect',
+  severity: 'high',
+  priority: 'high'
+};
+
+const fileBug = (path = '/api/bugs', body = report) => request(app)
+  .post(path)
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('Bug keys', () => {
+  it('should number bugs per project', async () => {
+    const first = await fileBug('/api/projects/WEB/bugs');
+    const second = await fileBug('/api/projects/WEB/bugs');
+    const unscoped = await fileBug();
+
+    expect(first.body.key).toBe('WEB-1');
+    expect(second.body.key).toBe('WEB-2');
+    expect(unscoped.body.key).toBe('BUG-1');
+  });
+
+  it('should never hand out the same key twice', async () => {
+    const responses = await Promise.all(Array(10).fill(null).map(() => fileBug('/api/projects/WEB/bugs')));
+
+    const keys = responses.map(res => res.body.key);
+    expect(new Set(keys).size).toBe(10);
+    expect(keys).toEqual(expect.arrayContaining(['WEB-1', 'WEB-10']));
+  });
+
+  it('should ignore keys sent by the client', async () => {
+    const created = await fileBug('/api/bugs', { ...report, key: 'BUG-999' });
+    expect(created.body.key).toBe('BUG-1');
+
+    const updated = await request(app)
+      .put(`/api/bugs/${created.body._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ key: 'BUG-2', title: 'Checkout button still does nothing' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.key).toBe('BUG-1');
+  });
+
+  it('should not use up a number on an invalid report', async () => {
+    await fileBug('/api/bugs', { ...report, title: '' });
+    const created = await fileBug();
+
+    expect(created.body.key).toBe('BUG-1');
+  });
+});
+
+describe('Lookups by key', () => {
+  let bug;
+
+  beforeEach(async () => {
+    bug = (await fileBug('/api/projects/WEB/bugs')).body;
+  });
+
+  it('should get a bug by key, in any case', async () => {
+    const res = await request(app).get('/api/bugs/web-1');
+
+    expect(res.status).toBe(200);
+    expect(res.body._id).toBe(bug._id);
+  });
+
+  it('should accept keys on the nested routes', async () => {
+    const comment = await request(app)
+      .post('/api/bugs/WEB-1/comments')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ body: 'Still happening on Firefox' });
+    expect(comment.status).toBe(201);
+
+    const comments = await request(app).get('/api/projects/WEB/bugs/WEB-1/comments');
+    expect(comments.body).toHaveLength(1);
+
+    const history = await request(app).get('/api/bugs/WEB-1/history');
+    expect(history.status).toBe(200);
+  });
+
+  it('should update a bug by key', async () => {
+    const res = await request(app)
+      .put('/api/bugs/WEB-1')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Checkout button still does nothing' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.title).toBe('Checkout button still does nothing');
+  });
+
+  it('should return 404 for an unknown key', async () => {
+    const res = await request(app).get('/api/bugs/WEB-99');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Bug not found');
+  });
+
+  it('should still return 400 for ids that are neither', async () => {
+    const res = await request(app).get('/api/bugs/not-a-bug');
+
+    expect(res.status).toBe(400);
+  });
+});
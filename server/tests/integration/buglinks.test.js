@@ -0,0 +1,225 @@
+// buglinks.test.js - Integration tests for bug relationship endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugLink = require('../../src/models/BugLink');
+const Project = require('../../src/models/Project');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let token;
+let adminToken;
+let first;
+let second;
+let third;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const triager = await User.create({
+    username: 'triager',
+    email: 'triager@example.com',
+    password: 'password123',
+    role: 'triager',
+  });
+  const admin = await User.create({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  token = generateToken(triager);
+  adminToken = generateToken(admin);
+
+  [first, second, third] = await Bug.create([
+    { title: 'First Bug', description: 'First bug to link', reportedBy: 'reporter' },
+    { title: 'Second Bug', description: 'Second bug to link', reportedBy: 'reporter' },
+    { title: 'Third Bug', description: 'Third bug to link', reportedBy: 'reporter' },
+  ]);
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await Bug.deleteMany({});
+  await BugLink.deleteMany({});
+  await Project.deleteMany({});
+  await User.deleteMany({});
+});
+
+const link = (from, type, to) => request(app)
+  .post(`/api/bugs/${from._id}/links`)
+  .set('Authorization', `Bearer ${token}`)
+  .send({ type, bug: to._id.toString() });
+
+describe('POST /api/bugs/:id/links', () => {
+  it('should link two bugs and describe the link from both ends', async () => {
+    const res = await link(first, 'blocks', second);
+
+    expect(res.status).toBe(201);
+    expect(res.body.type).toBe('blocks');
+    expect(res.body.bug).toMatchObject({ _id: second._id.toString(), title: 'Second Bug', status: 'open' });
+
+    const other = await request(app).get(`/api/bugs/${second._id}/links`);
+    expect(other.body.map(({ type, bug }) => [type, bug.title])).toEqual([['blocked-by', 'First Bug']]);
+  });
+
+  it('should store inverse types in their canonical direction', async () => {
+    await link(second, 'child', first);
+
+    const stored = await BugLink.findOne();
+    expect(stored.type).toBe('parent');
+    expect(stored.source.toString()).toBe(first._id.toString());
+    expect(stored.target.toString()).toBe(second._id.toString());
+  });
+
+  it('should reject a link that already exists from the other end', async () => {
+    await link(first, 'blocks', second);
+
+    const res = await link(second, 'blocked-by', first);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('These bugs are already linked this way');
+  });
+
+  it('should reject blocking cycles', async () => {
+    await link(first, 'blocks', second);
+    await link(second, 'blocks', third);
+
+    const res = await link(third, 'blocks', first);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Linking these bugs would create a blocking cycle');
+  });
+
+  it('should reject parent/child cycles and a second parent', async () => {
+    await link(first, 'parent', second);
+
+    const cycle = await link(first, 'child', second);
+    expect(cycle.status).toBe(409);
+    expect(cycle.body.error).toBe('Linking these bugs would create a parent/child cycle');
+
+    const secondParent = await link(third, 'parent', second);
+    expect(secondParent.status).toBe(409);
+    expect(secondParent.body.error).toBe('A bug can only have one parent');
+  });
+
+  it('should return 400 for an unknown type or a link to itself', async () => {
+    const res = await link(first, 'duplicates', first);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      'Link type must be one of: blocks, blocked-by, related, parent, child',
+      'A bug cannot be linked to itself'
+    ]);
+  });
+
+  it('should accept a bug key as the linked bug', async () => {
+    await Bug.updateOne({ _id: second._id }, { key: 'BUG-2' });
+
+    const res = await request(app)
+      .post(`/api/bugs/${first._id}/links`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ type: 'related', bug: 'bug-2' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.bug._id).toBe(second._id.toString());
+  });
+
+  it('should not link to a bug in another project', async () => {
+    const project = await Project.create({ key: 'WEB', name: 'Website' });
+    const elsewhere = await Bug.create({ title: 'Website Bug', description: 'Lives in another project', reportedBy: 'reporter', project: project._id });
+
+    const res = await link(first, 'blocks', elsewhere);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Linked bug not found');
+    expect(await BugLink.countDocuments()).toBe(0);
+  });
+
+  it('should require a signed-in user', async () => {
+    const res = await request(app)
+      .post(`/api/bugs/${first._id}/links`)
+      .send({ type: 'related', bug: second._id.toString() });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('DELETE /api/bugs/:id/links/:linkId', () => {
+  it('should remove a link from either end', async () => {
+    const created = await link(first, 'related', second);
+
+    const res = await request(app)
+      .delete(`/api/bugs/${second._id}/links/${created.body._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(await BugLink.countDocuments()).toBe(0);
+  });
+
+  it('should return 404 for a link on another bug', async () => {
+    const created = await link(first, 'related', second);
+
+    const res = await request(app)
+      .delete(`/api/bugs/${third._id}/links/${created.body._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Blocked bugs', () => {
+  it('should refuse to resolve a bug with open blockers', async () => {
+    await link(first, 'blocks', second);
+    await Bug.updateOne({ _id: second._id }, { status: 'in-progress' });
+
+    const res = await request(app)
+      .put(`/api/bugs/${second._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'resolved' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Bug is blocked by open bugs');
+    expect(res.body.blockers.map(blocker => blocker.title)).toEqual(['First Bug']);
+  });
+
+  it('should allow resolving once the blockers are done', async () => {
+    await link(first, 'blocks', second);
+    await Bug.updateOne({ _id: first._id }, { status: 'wont-fix' });
+    await Bug.updateOne({ _id: second._id }, { status: 'in-progress' });
+
+    const res = await request(app)
+      .put(`/api/bugs/${second._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'resolved' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('resolved');
+  });
+
+  it('should remove links when a bug is deleted', async () => {
+    await link(first, 'blocks', second);
+    await link(third, 'related', first);
+
+    await request(app)
+      .delete(`/api/bugs/${first._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(await BugLink.countDocuments()).toBe(0);
+  });
+});
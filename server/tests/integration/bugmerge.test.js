@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+import { applyMerge, mergeBugFields } from '@/utils/bugMerge'
+import { CreateBugRequest } from '@/types/bug'
+
+describe('Bug Merge', () => {
+  const base: CreateBugRequest = {
+    title: 'Login fails',
+    description: 'The login button does nothing',
+    severity: 'high',
+    priority: 'medium',
+    reportedBy: 'test@example.com',
+    tags: ['auth']
+  }
+
+  it('should only report fields that differ between the two versions', () => {
+    const merges = mergeBugFields(base, { ...base, title: 'Mine' }, { ...base, title: 'Mine' })
+
+    expect(merges).toEqual([])
+  })
+
+  it('should take whichever side changed a field', () => {
+    const mine = { ...base, title: 'Login button is dead' }
+    const theirs = { ...base, priority: 'high' as const }
+
+    const merges = mergeBugFields(base, mine, theirs)
+
+    expect(merges.map(merge => [merge.field, merge.suggested, merge.conflict])).toEqual([
+      ['title', 'mine', false],
+      ['priority', 'theirs', false]
+    ])
+    expect(applyMerge(merges, {})).toEqual({ title: 'Login button is dead', priority: 'high' })
+  })
+
+  it('should flag fields both sides changed as conflicts', () => {
+    const merges = mergeBugFields(
+      base,
+      { ...base, tags: ['auth', 'ui'] },
+      { ...base, tags: ['auth', 'backend'] }
+    )
+
+    expect(merges).toHaveLength(1)
+    expect(merges[0]).toMatchObject({ field: 'tags', conflict: true, suggested: 'mine' })
+    expect(applyMerge(merges, { tags: 'theirs' })).toEqual({ tags: ['auth', 'backend'] })
+  })
+
+  it('should merge custom field values one key at a time', () => {
+    const merges = mergeBugFields(
+      { ...base, customFields: { browser: 'Firefox', build: 120 } },
+      { ...base, customFields: { browser: 'Chrome', build: 120 } },
+      { ...base, customFields: { browser: 'Safari', build: 121 } }
+    )
+
+    expect(merges.map(merge => [merge.field, merge.suggested, merge.conflict])).toEqual([
+      ['customFields.browser', 'mine', true],
+      ['customFields.build', 'theirs', false]
+    ])
+    expect(applyMerge(merges, { 'customFields.browser': 'theirs' })).toEqual({
+      customFields: { browser: 'Safari', build: 121 }
+    })
+  })
+
+  it('should treat missing and empty values as the same', () => {
+    const merges = mergeBugFields({ ...base, assignedTo: undefined }, { ...base, assignedTo: '' }, base)
+
+    expect(merges).toEqual([])
+  })
+})
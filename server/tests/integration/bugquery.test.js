@@ -0,0 +1,189 @@
+import { describe, it, expect } from 'vitest'
+import { applySuggestion, getQuerySuggestions, matchesQuery, parseQuery } from '@/utils/bugQuery'
+import { Bug } from '@/types/bug'
+import { User } from '@/types/auth'
+import { CustomFieldDefinition } from '@/types/customField'
+
+describe('Bug Query', () => {
+  const user: User = { id: 'user-1', username: 'alice', email: 'alice@example.com', role: 'developer' }
+
+  const bug: Bug = {
+    id: 'bug-1',
+    title: 'Login page crashes',
+    description: 'Submitting the form shows a blank page',
+    status: 'open',
+    severity: 'critical',
+    priority: 'high',
+    reportedBy: 'bob@example.com',
+    assignedTo: 'alice',
+    createdAt: '2026-02-10T12:00:00.000Z',
+    updatedAt: '2026-02-11T12:00:00.000Z',
+    tags: ['Frontend', 'auth']
+  }
+
+  describe('parseQuery', () => {
+    it('should split field terms from free text', () => {
+      const parsed = parseQuery('status:open,in-progress sev:critical assignee:me tag:frontend created:>2026-01-01 "login page" crash')
+
+      expect(parsed.errors).toEqual([])
+      expect(parsed.clauses).toEqual([
+        { field: 'status', values: ['open', 'in-progress'] },
+        { field: 'severity', values: ['critical'] },
+        { field: 'assignee', values: ['me'] },
+        { field: 'tag', values: ['frontend'] },
+        { field: 'created', operator: '>', date: '2026-01-01' }
+      ])
+      expect(parsed.text).toEqual(['login page', 'crash'])
+    })
+
+    it('should suggest the closest field for a typo', () => {
+      const [error] = parseQuery('stauts:open').errors
+
+      expect(error.message).toContain('Unknown field "stauts". Did you mean "status"?')
+      expect([error.start, error.end]).toEqual([0, 6])
+    })
+
+    it('should list the allowed values for an unknown value', () => {
+      const [error] = parseQuery('severity:urgent').errors
+
+      expect(error.message).toBe('Unknown severity "urgent". Expected one of: low, medium, high, critical')
+    })
+
+    it('should reject malformed dates, empty values and unclosed quotes', () => {
+      const messages = parseQuery('created:>2026-13-01 priority: "login').errors.map(error => error.message)
+
+      expect(messages).toEqual([
+        'Missing closing quote',
+        'Invalid date "2026-13-01" for created. Use YYYY-MM-DD, optionally after >, >=, < or <=',
+        'Missing value after "priority:"'
+      ])
+    })
+  })
+
+  describe('matchesQuery', () => {
+    const matches = (input: string, currentUser: User | null = user) =>
+      matchesQuery(bug, parseQuery(input), currentUser)
+
+    it('should match every clause and any value within one', () => {
+      expect(matches('status:open,resolved severity:critical')).toBe(true)
+      expect(matches('status:open severity:low')).toBe(false)
+    })
+
+    it('should resolve me and none for user fields', () => {
+      expect(matches('assignee:me')).toBe(true)
+      expect(matches('assignee:me', null)).toBe(false)
+      expect(matches('assignee:none')).toBe(false)
+      expect(matches('reporter:BOB@example.com')).toBe(true)
+    })
+
+    it('should compare tags case-insensitively', () => {
+      expect(matches('tag:frontend')).toBe(true)
+      expect(matches('tag:backend')).toBe(false)
+    })
+
+    it('should compare dates by whole UTC days', () => {
+      expect(matches('created:2026-02-10')).toBe(true)
+      expect(matches('created:>2026-02-10')).toBe(false)
+      expect(matches('created:<=2026-02-10')).toBe(true)
+      expect(matches('updated:>=2026-02-11')).toBe(true)
+    })
+
+    it('should skip free text when asked', () => {
+      const parsed = parseQuery('status:open nothing-like-this')
+
+      expect(matchesQuery(bug, parsed, user)).toBe(false)
+      expect(matchesQuery(bug, parsed, user, { includeText: false })).toBe(true)
+    })
+  })
+
+  describe('getQuerySuggestions', () => {
+    it('should complete field names', () => {
+      const suggestions = getQuerySuggestions('sta', 3)
+
+      expect(suggestions.map(suggestion => suggestion.label)).toEqual(['status:'])
+      expect(applySuggestion('sta', suggestions[0])).toBe('status:')
+    })
+
+    it('should complete the last value in a list', () => {
+      const input = 'status:open,in'
+      const suggestions = getQuerySuggestions(input, input.length)
+
+      expect(suggestions.map(suggestion => suggestion.label)).toEqual(['in-progress'])
+      expect(applySuggestion(input, suggestions[0])).toBe('status:open,in-progress')
+    })
+
+    it('should offer known tags and users', () => {
+      const context = { tags: ['frontend', 'auth'], users: ['alice'] }
+
+      expect(getQuerySuggestions('tag:f', 5, context).map(suggestion => suggestion.label)).toEqual(['frontend'])
+      expect(getQuerySuggestions('assignee:', 9, context).map(suggestion => suggestion.label)).toEqual(['me', 'none', 'alice'])
+    })
+  })
+
+  describe('custom fields', () => {
+    const customFields: CustomFieldDefinition[] = [
+      { key: 'browser', label: 'Browser', type: 'select', options: ['Firefox', 'Chrome'] },
+      { key: 'os', label: 'OS', type: 'multi-select', options: ['Linux', 'macOS'] },
+      { key: 'build', label: 'Build', type: 'number' },
+      { key: 'due', label: 'Due', type: 'date' },
+      { key: 'owner', label: 'Owner', type: 'user' },
+      { key: 'notes', label: 'Notes', type: 'text' }
+    ]
+
+    const fieldBug: Bug = {
+      ...bug,
+      customFields: { browser: 'Firefox', os: ['Linux', 'macOS'], build: 120, due: '2026-03-01', owner: 'alice', notes: 'Only in safe mode' }
+    }
+
+    const matches = (input: string) => matchesQuery(fieldBug, parseQuery(input, customFields), user, { customFields })
+
+    it('should parse custom fields by key', () => {
+      const parsed = parseQuery('browser:Firefox build:>=120 due:<2026-04-01', customFields)
+
+      expect(parsed.errors).toEqual([])
+      expect(parsed.clauses).toEqual([
+        { field: 'browser', values: ['firefox'] },
+        { field: 'build', operator: '>=', number: 120 },
+        { field: 'due', operator: '<', date: '2026-04-01' }
+      ])
+    })
+
+    it('should only know custom fields it is given', () => {
+      expect(parseQuery('browser:firefox').errors[0].message).toContain('Unknown field "browser"')
+    })
+
+    it('should reject unknown options and malformed numbers', () => {
+      const messages = parseQuery('browser:opera build:abc', customFields).errors.map(error => error.message)
+
+      expect(messages).toEqual([
+        'Unknown browser "opera". Expected one of: firefox, chrome',
+        'Invalid number "abc" for build. Use a number, optionally after >, >=, < or <='
+      ])
+    })
+
+    it('should match each type', () => {
+      expect(matches('browser:firefox')).toBe(true)
+      expect(matches('browser:chrome')).toBe(false)
+      expect(matches('os:macos')).toBe(true)
+      expect(matches('build:>119 build:<=120')).toBe(true)
+      expect(matches('build:121')).toBe(false)
+      expect(matches('due:2026-03-01')).toBe(true)
+      expect(matches('due:>2026-03-01')).toBe(false)
+      expect(matches('owner:me')).toBe(true)
+      expect(matches('notes:"safe mode"')).toBe(true)
+    })
+
+    it('should not match bugs without the value', () => {
+      const parsed = parseQuery('browser:firefox build:>1', customFields)
+
+      expect(matchesQuery(bug, parsed, user, { customFields })).toBe(false)
+    })
+
+    it('should suggest custom field names and options', () => {
+      const context = { customFields }
+
+      expect(getQuerySuggestions('bro', 3, context).map(suggestion => suggestion.label)).toEqual(['browser:'])
+      expect(getQuerySuggestions('browser:f', 9, context).map(suggestion => suggestion.label)).toEqual(['firefox'])
+    })
+  })
+})
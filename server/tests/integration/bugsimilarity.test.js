@@ -0,0 +1,101 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { findSimilarBugs, getSimilarity, tokenize } from '@/utils/bugSimilarity'
+import { BugService, createBugStorageAdapter } from '@/services/bugService'
+import { createMemoryAdapter } from '@/services/adapters/memoryAdapter'
+import { Bug } from '@/types/bug'
+
+describe('Bug Similarity', () => {
+  const stored: Omit<Bug, 'id' | 'title' | 'description'> = {
+    status: 'open',
+    severity: 'medium',
+    priority: 'medium',
+    reportedBy: 'test@example.com',
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-01T00:00:00.000Z',
+    tags: []
+  }
+
+  const bugs: Bug[] = [
+    { ...stored, id: 'dup-1', title: 'Checkout crashes on submit', description: 'The payment form crashes when submitted' },
+    { ...stored, id: 'dup-2', title: 'Sidebar renders blank', description: 'Happens after the checkout page loads' },
+    { ...stored, id: 'dup-3', title: 'Export to CSV is empty', description: 'No rows in the file' }
+  ]
+
+  describe('tokenize', () => {
+    it('should drop stop words and stem plurals and verb forms', () => {
+      expect(tokenize('The app crashes while crashing')).toEqual(['app', 'crash', 'crash'])
+    })
+  })
+
+  describe('getSimilarity', () => {
+    it('should score identical reports as 1 and unrelated ones as 0', () => {
+      const report = { title: 'Checkout crashes', description: 'On submit' }
+
+      expect(getSimilarity(report, report)).toBeCloseTo(1)
+      expect(getSimilarity(report, { title: 'Export empty' })).toBe(0)
+    })
+  })
+
+  describe('findSimilarBugs', () => {
+    it('should return candidates above the threshold, best first', () => {
+      const candidates = findSimilarBugs({ title: 'Crash on checkout', description: 'Submitting payment crashes' }, bugs)
+
+      expect(candidates.map(candidate => candidate.bug.id)).toEqual(['dup-1'])
+      expect(candidates[0].score).toBeGreaterThan(0.3)
+    })
+
+    it('should skip excluded bugs and bugs already marked as duplicates', () => {
+      const marked = bugs.map(bug => bug.id === 'dup-2' ? { ...bug, status: 'duplicate' as const } : bug)
+
+      const candidates = findSimilarBugs({ title: 'Checkout page' }, marked, { threshold: 0.1, excludeId: 'dup-1' })
+
+      expect(candidates).toEqual([])
+    })
+  })
+
+  describe('BugService', () => {
+    afterEach(() => {
+      BugService.useAdapter(createBugStorageAdapter('local'))
+    })
+
+    it('should find duplicates among stored bugs', async () => {
+      BugService.useAdapter(createMemoryAdapter(bugs))
+
+      const candidates = await BugService.findDuplicates({ title: 'Checkout crash' })
+
+      expect(candidates[0].bug.id).toBe('dup-1')
+      expect(await BugService.findDuplicates({ title: '  ' })).toEqual([])
+    })
+
+    it('should link a duplicate to the root of the chain', async () => {
+      BugService.useAdapter(createMemoryAdapter([
+        ...bugs,
+        { ...stored, id: 'dup-4', title: 'Checkout broken', description: '', status: 'duplicate', duplicateOf: 'dup-1' }
+      ]))
+
+      const marked = await BugService.markDuplicate('dup-2', 'dup-4')
+
+      expect(marked).toMatchObject({ status: 'duplicate', duplicateOf: 'dup-1' })
+    })
+
+    it('should reject linking a bug to itself through a chain', async () => {
+      BugService.useAdapter(createMemoryAdapter([
+        ...bugs,
+        { ...stored, id: 'dup-4', title: 'Checkout broken', description: '', status: 'duplicate', duplicateOf: 'dup-1' }
+      ]))
+
+      await expect(BugService.markDuplicate('dup-1', 'dup-4')).rejects.toThrow('A bug cannot be a duplicate of itself')
+    })
+
+    it('should clear the link when a duplicate is reopened', async () => {
+      BugService.useAdapter(createMemoryAdapter([
+        { ...stored, id: 'dup-4', title: 'Checkout broken', description: '', status: 'duplicate', duplicateOf: 'dup-1' }
+      ]))
+
+      const reopened = await BugService.updateBug('dup-4', { status: 'open' })
+
+      expect(reopened.status).toBe('open')
+      expect(reopened.duplicateOf).toBeUndefined()
+    })
+  })
+})
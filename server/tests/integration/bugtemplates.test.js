@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest'
+import { applyTemplate } from '@/utils/bugTemplates'
+import { validateCustomFields } from '@/utils/bugSchema'
+import { CreateBugRequest } from '@/types/bug'
+import { BugTemplate } from '@/types/template'
+import { CustomFieldDefinition } from '@/types/customField'
+
+describe('Bug Templates', () => {
+  const values: CreateBugRequest = {
+    title: '',
+    description: '',
+    severity: 'medium',
+    priority: 'medium',
+    reportedBy: '',
+    tags: ['mobile'],
+    stepsToReproduce: '',
+    expectedBehavior: '',
+    actualBehavior: ''
+  }
+
+  const crash: BugTemplate = {
+    id: 'crash',
+    name: 'Crash',
+    defaults: {
+      severity: 'critical',
+      tags: ['crash'],
+      stepsToReproduce: '1. \n2. \n3. '
+    },
+    fields: [
+      { key: 'appVersion', label: 'App version', type: 'text', required: true },
+      { key: 'device', label: 'Device', type: 'text', required: false }
+    ],
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-01T00:00:00.000Z'
+  }
+
+  const glitch: BugTemplate = {
+    id: 'glitch',
+    name: 'UI glitch',
+    defaults: {
+      severity: 'low',
+      stepsToReproduce: 'Open the page and look at:'
+    },
+    fields: [
+      { key: 'device', label: 'Device', type: 'text', required: false }
+    ],
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-01T00:00:00.000Z'
+  }
+
+  describe('applyTemplate', () => {
+    it('should pre-fill defaults and merge tags', () => {
+      const next = applyTemplate(values, crash)
+
+      expect(next.template).toBe('crash')
+      expect(next.severity).toBe('critical')
+      expect(next.priority).toBe('medium')
+      expect(next.tags).toEqual(['mobile', 'crash'])
+      expect(next.stepsToReproduce).toBe('1. \n2. \n3. ')
+      expect(next.customFields).toEqual({ appVersion: '', device: '' })
+    })
+
+    it('should replace an untouched scaffold when switching templates', () => {
+      const fromCrash = applyTemplate(values, crash)
+      const next = applyTemplate(fromCrash, glitch, crash)
+
+      expect(next.stepsToReproduce).toBe('Open the page and look at:')
+    })
+
+    it('should keep text typed over a scaffold', () => {
+      const typed = { ...applyTemplate(values, crash), stepsToReproduce: '1. Open the app' }
+      const next = applyTemplate(typed, glitch, crash)
+
+      expect(next.stepsToReproduce).toBe('1. Open the app')
+    })
+
+    it('should keep values for fields the new template also has', () => {
+      const filled = { ...applyTemplate(values, crash), customFields: { appVersion: '2.4.1', device: 'Pixel 8' } }
+      const next = applyTemplate(filled, glitch, crash)
+
+      expect(next.customFields).toEqual({ device: 'Pixel 8' })
+    })
+
+    it('should keep values of fields no template asked for', () => {
+      const next = applyTemplate({ ...values, customFields: { browser: 'Firefox' } }, crash)
+
+      expect(next.customFields).toEqual({ browser: 'Firefox', appVersion: '', device: '' })
+    })
+
+    it('should clear the template and its fields with null', () => {
+      const next = applyTemplate(applyTemplate(values, crash), null, crash)
+
+      expect(next.template).toBeUndefined()
+      expect(next.customFields).toBeUndefined()
+      expect(next.stepsToReproduce).toBe('')
+    })
+  })
+
+  describe('validateCustomFields', () => {
+    it('should require the required fields', () => {
+      expect(validateCustomFields({ device: 'Pixel 8' }, crash.fields)).toEqual([
+        { field: 'customFields.appVersion', message: 'App version is required' }
+      ])
+      expect(validateCustomFields({ appVersion: '  ' }, crash.fields)).toHaveLength(1)
+    })
+
+    it('should reject fields the template does not define', () => {
+      expect(validateCustomFields({ browser: 'Firefox' }, [])).toEqual([
+        { field: 'customFields.browser', message: 'Unknown field "browser"' }
+      ])
+    })
+
+    it('should check values against their type', () => {
+      const definitions: CustomFieldDefinition[] = [
+        { key: 'build', label: 'Build', type: 'number' },
+        { key: 'browser', label: 'Browser', type: 'select', options: ['Firefox', 'Chrome'] },
+        { key: 'due', label: 'Due', type: 'date' }
+      ]
+
+      expect(validateCustomFields({ build: '120', browser: 'Opera', due: '2026-02-30' }, definitions)).toEqual([
+        { field: 'customFields.build', message: 'Build must be a number' },
+        { field: 'customFields.browser', message: 'Browser must be one of: Firefox, Chrome' },
+        { field: 'customFields.due', message: 'Due must be a date like 2026-01-31' }
+      ])
+      expect(validateCustomFields({ build: NaN, browser: 'Chrome', due: '2026-02-28' }, definitions)).toEqual([])
+    })
+
+    it('should accept valid values', () => {
+      expect(validateCustomFields({ appVersion: '2.4.1' }, crash.fields)).toEqual([])
+      expect(validateCustomFields(undefined, glitch.fields)).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,189 @@
+// comments.test.js - Integration tests for bug comment endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const Comment = require('../../src/models/Comment');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let bugId;
+let user;
+let token;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  user = await User.create({
+    username: 'developer',
+    email: 'developer@example.com',
+    password: 'password123',
+  });
+  token = generateToken(user);
+
+  const bug = await Bug.create({
+    title: 'Commented Bug',
+    description: 'A bug with a discussion',
+    reportedBy: user.username,
+    reporter: user._id,
+  });
+  bugId = bug._id;
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await Bug.deleteMany({});
+  await Comment.deleteMany({});
+  await User.deleteMany({});
+});
+
+describe('POST /api/bugs/:id/comments', () => {
+  it('should add a markdown comment to a bug', async () => {
+    const res = await request(app)
+      .post(`/api/bugs/${bugId}/comments`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ body: 'Reproduced on **Chrome 120**' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.author).toBe('developer');
+    expect(res.body.body).toBe('Reproduced on **Chrome 120**');
+    expect(res.body.bug).toBe(bugId.toString());
+    expect(res.body.createdAt).toBeDefined();
+  });
+
+  it('should return 400 if validation fails', async () => {
+    const res = await request(app)
+      .post(`/api/bugs/${bugId}/comments`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ body: '   ' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContain('Comment body is required');
+  });
+
+  it('should return 400 if the body is not a string', async () => {
+    const res = await request(app)
+      .post(`/api/bugs/${bugId}/comments`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ body: ['Reproduced'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContain('Comment body must be a string');
+  });
+
+  it('should return 404 for non-existent bug', async () => {
+    const res = await request(app)
+      .post('/api/bugs/507f1f77bcf86cd799439011/comments')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ body: 'Hello' });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should return 401 if not authenticated', async () => {
+    const res = await request(app)
+      .post(`/api/bugs/${bugId}/comments`)
+      .send({ body: 'Anonymous comment' });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/bugs/:id/comments', () => {
+  it('should return comments oldest first', async () => {
+    await Comment.create({ bug: bugId, author: 'developer', authorId: user._id, body: 'First' });
+    await Comment.create({ bug: bugId, author: 'developer', authorId: user._id, body: 'Second' });
+
+    const res = await request(app).get(`/api/bugs/${bugId}/comments`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(comment => comment.body)).toEqual(['First', 'Second']);
+  });
+
+  it('should return 400 for invalid bug ID', async () => {
+    const res = await request(app).get('/api/bugs/invalid-id/comments');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid ID format');
+  });
+});
+
+describe('PATCH /api/bugs/:id/comments/:commentId', () => {
+  it('should update the comment body', async () => {
+    const comment = await Comment.create({ bug: bugId, author: 'developer', authorId: user._id, body: 'Typo' });
+
+    const res = await request(app)
+      .patch(`/api/bugs/${bugId}/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ body: 'Fixed typo' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.body).toBe('Fixed typo');
+    expect(res.body.author).toBe('developer');
+  });
+
+  it('should return 403 if not the author', async () => {
+    const anotherUser = await User.create({
+      username: 'anotheruser',
+      email: 'another@example.com',
+      password: 'password123',
+    });
+    const comment = await Comment.create({ bug: bugId, author: 'developer', authorId: user._id, body: 'Mine' });
+
+    const res = await request(app)
+      .patch(`/api/bugs/${bugId}/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${generateToken(anotherUser)}`)
+      .send({ body: 'Not yours' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 404 when the comment belongs to another bug', async () => {
+    const otherBug = await Bug.create({ title: 'Other Bug', description: 'Another bug entirely', reportedBy: 'User' });
+    const comment = await Comment.create({ bug: otherBug._id, author: 'developer', authorId: user._id, body: 'Elsewhere' });
+
+    const res = await request(app)
+      .patch(`/api/bugs/${bugId}/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ body: 'Hijack' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Comment not found');
+  });
+});
+
+describe('DELETE /api/bugs/:id/comments/:commentId', () => {
+  it('should delete the comment', async () => {
+    const comment = await Comment.create({ bug: bugId, author: 'developer', authorId: user._id, body: 'Remove me' });
+
+    const res = await request(app)
+      .delete(`/api/bugs/${bugId}/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(await Comment.findById(comment._id)).toBeNull();
+  });
+
+  it('should remove comments when the bug is deleted', async () => {
+    await Comment.create({ bug: bugId, author: 'developer', authorId: user._id, body: 'Orphan' });
+
+    await request(app)
+      .delete(`/api/bugs/${bugId}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(await Comment.countDocuments({ bug: bugId })).toBe(0);
+  });
+});
@@ -0,0 +1,374 @@
+// customfields.test.js - Integration tests for admin-defined custom fields
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const CustomField = require('../../src/models/CustomField');
+const Project = require('../../src/models/Project');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let token;
+let adminToken;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await CustomField.createIndexes();
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const reporter = await User.create({
+    username: 'reporter',
+    email: 'reporter@example.com',
+    password: 'password123',
+  });
+  const admin = await User.create({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  token = generateToken(reporter);
+  adminToken = generateToken(admin);
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await Bug.deleteMany({});
+  await BugHistory.deleteMany({});
+  await CustomField.deleteMany({});
+  await Project.deleteMany({});
+  await User.deleteMany({});
+});
+
+const browserField = { key: 'browser', label: 'Browser', type: 'select', options: ['Firefox', 'Chrome', 'Safari'] };
+
+const fields = [
+  browserField,
+  { key: 'build', label: 'Build', type: 'number', required: true },
+  { key: 'os', label: 'OS', type: 'multi-select', options: ['Linux', 'macOS', 'Windows'] },
+  { key: 'due', label: 'Due', type: 'date' },
+  { key: 'owner', label: 'Owner', type: 'user' }
+];
+
+const report = {
+  title: 'Checkout button does nothing',
+  description: 'Clicking the checkout button on the cart page has no effect',
+  severity: 'high',
+  priority: 'high'
+};
+
+describe('POST /api/fields', () => {
+  it('should let an admin create a field', async () => {
+    const res = await request(app)
+      .post('/api/fields')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(browserField);
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject(browserField);
+  });
+
+  it('should return 403 for anyone but an admin', async () => {
+    const res = await request(app)
+      .post('/api/fields')
+      .set('Authorization', `Bearer ${token}`)
+      .send(browserField);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Only admins can manage custom fields');
+  });
+
+  it('should check the definition', async () => {
+    const noOptions = await request(app)
+      .post('/api/fields')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ key: 'browser', label: 'Browser', type: 'select' });
+    expect(noOptions.status).toBe(400);
+    expect(noOptions.body.errors).toContainEqual({ field: 'options', message: 'Select fields need a list of options' });
+
+    const badType = await request(app)
+      .post('/api/fields')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ key: 'browser', label: 'Browser', type: 'colour' });
+    expect(badType.status).toBe(400);
+    expect(badType.body.errors[0].field).toBe('type');
+  });
+
+  it('should reject keys the search box already uses', async () => {
+    const res = await request(app)
+      .post('/api/fields')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ key: 'sev', label: 'Severity', type: 'text' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContainEqual({ field: 'key', message: '"sev" is already a search field' });
+  });
+
+  it('should return 409 for a duplicate key', async () => {
+    await CustomField.create(browserField);
+
+    const res = await request(app)
+      .post('/api/fields')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(browserField);
+
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('PATCH and DELETE /api/fields/:id', () => {
+  it('should update a field but never its key', async () => {
+    const field = await CustomField.create(browserField);
+
+    const renamed = await request(app)
+      .patch(`/api/fields/${field._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ label: 'Web browser', options: ['Firefox', 'Chrome', 'Edge'] });
+    expect(renamed.status).toBe(200);
+    expect(renamed.body).toMatchObject({ key: 'browser', label: 'Web browser', options: ['Firefox', 'Chrome', 'Edge'] });
+
+    const rekeyed = await request(app)
+      .patch(`/api/fields/${field._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ key: 'client' });
+    expect(rekeyed.status).toBe(400);
+  });
+
+  it('should drop the options when a field stops being a select', async () => {
+    const field = await CustomField.create(browserField);
+
+    const res = await request(app)
+      .patch(`/api/fields/${field._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ type: 'text' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.options).toEqual([]);
+  });
+
+  it('should delete a field', async () => {
+    const field = await CustomField.create(browserField);
+
+    const res = await request(app)
+      .delete(`/api/fields/${field._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await CustomField.findById(field._id)).toBeNull();
+  });
+});
+
+describe('Custom field values on bugs', () => {
+  beforeEach(async () => {
+    await CustomField.create(fields);
+  });
+
+  it('should store valid values', async () => {
+    const customFields = { browser: 'Firefox', build: 120, os: ['Linux', 'macOS'], due: '2026-06-01', owner: 'admin' };
+
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...report, customFields });
+
+    expect(res.status).toBe(201);
+    expect(res.body.customFields).toEqual(customFields);
+  });
+
+  it('should check each value against its type', async () => {
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...report, customFields: { browser: 'Opera', build: '120', os: ['BeOS'], due: '2026-02-30' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual(expect.arrayContaining([
+      { field: 'customFields.browser', message: 'Browser must be one of: Firefox, Chrome, Safari' },
+      { field: 'customFields.build', message: 'Build must be a number' },
+      { field: 'customFields.os', message: 'OS must be one of: Linux, macOS, Windows' },
+      { field: 'customFields.due', message: 'Due must be a date like 2026-01-31' }
+    ]));
+  });
+
+  it('should require required fields', async () => {
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...report, customFields: { browser: 'Chrome' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContainEqual({ field: 'customFields.build', message: 'Build is required' });
+  });
+
+  it('should record changed values in the history by key', async () => {
+    const created = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ ...report, customFields: { browser: 'Firefox', build: 120 } });
+
+    await request(app)
+      .put(`/api/bugs/${created.body._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ customFields: { browser: 'Firefox', build: 121 } });
+
+    const res = await request(app).get(`/api/bugs/${created.body._id}/history`);
+    const updated = res.body.find(entry => entry.action === 'updated');
+
+    expect(updated.changes).toEqual([{ field: 'customFields.build', from: 120, to: 121 }]);
+  });
+});
+
+describe('GET /api/bugs?query= with custom fields', () => {
+  beforeEach(async () => {
+    await CustomField.create(fields);
+    await Bug.create([
+      { ...report, title: 'Firefox checkout bug', reportedBy: 'reporter', customFields: { browser: 'Firefox', build: 118, os: ['Linux'], due: '2026-05-01' } },
+      { ...report, title: 'Chrome checkout bug', reportedBy: 'reporter', customFields: { browser: 'Chrome', build: 121, os: ['Windows', 'macOS'], owner: 'reporter' } },
+      { ...report, title: 'Checkout bug with no fields', reportedBy: 'reporter' }
+    ]);
+  });
+
+  const search = (query) => request(app)
+    .get('/api/bugs')
+    .query({ query })
+    .set('Authorization', `Bearer ${token}`);
+
+  it('should filter by select and multi-select values', async () => {
+    const byBrowser = await search('browser:firefox');
+    expect(byBrowser.body.map(bug => bug.title)).toEqual(['Firefox checkout bug']);
+
+    const byOs = await search('os:macos,linux');
+    expect(byOs.body).toHaveLength(2);
+  });
+
+  it('should compare numbers and dates', async () => {
+    const newer = await search('build:>=120');
+    expect(newer.body.map(bug => bug.title)).toEqual(['Chrome checkout bug']);
+
+    const due = await search('due:<2026-06-01');
+    expect(due.body.map(bug => bug.title)).toEqual(['Firefox checkout bug']);
+  });
+
+  it('should resolve me for user fields', async () => {
+    const res = await search('owner:me');
+
+    expect(res.body.map(bug => bug.title)).toEqual(['Chrome checkout bug']);
+  });
+
+  it('should only ask anonymous users to sign in for me on user fields', async () => {
+    const byOwner = await request(app).get('/api/bugs').query({ query: 'owner:me' });
+    expect(byOwner.status).toBe(400);
+    expect(byOwner.body.errors).toEqual(['Sign in to search with "me"']);
+
+    const byTag = await request(app).get('/api/bugs').query({ query: 'tag:me' });
+    expect(byTag.status).toBe(200);
+    expect(byTag.body).toEqual([]);
+  });
+
+  it('should reject unknown options', async () => {
+    const res = await search('browser:opera');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toBe('Unknown browser "opera". Expected one of: firefox, chrome, safari');
+  });
+
+  it('should reject a query that is not a string', async () => {
+    const res = await request(app)
+      .get('/api/bugs?query[]=browser:firefox&query[]=build:118')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContain('Search query must be a string');
+  });
+
+  it('should reject search text, sorts and user filters that are not strings', async () => {
+    const res = await request(app)
+      .get('/api/bugs?q[]=checkout&sort[]=title&assignedTo[$ne]=admin&reportedBy[]=reporter')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual(expect.arrayContaining([
+      'Search text must be a string',
+      'Invalid sort field',
+      'assignedTo must be a string',
+      'reportedBy must be a string'
+    ]));
+  });
+});
+
+describe('/api/projects/:key/fields', () => {
+  let web;
+  let leadToken;
+
+  beforeEach(async () => {
+    const reporter = await User.findOne({ username: 'reporter' });
+    const lead = await User.create({ username: 'lead', email: 'lead@example.com', password: 'password123' });
+    web = await Project.create({
+      key: 'WEB',
+      name: 'Website',
+      members: [{ user: lead._id, role: 'admin' }, { user: reporter._id, role: 'developer' }]
+    });
+    await Project.create({ key: 'API', name: 'Public API' });
+    token = generateToken(reporter);
+    leadToken = generateToken(lead);
+  });
+
+  const createField = (key, field, authToken = leadToken) => request(app)
+    .post(`/api/projects/${key}/fields`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(field);
+
+  it('should let project admins manage their own project\'s fields', async () => {
+    const created = await createField('WEB', browserField);
+    expect(created.status).toBe(201);
+    expect(created.body.project).toBe(web._id.toString());
+
+    const elsewhere = await createField('API', browserField);
+    expect(elsewhere.status).toBe(403);
+
+    const byMember = await createField('WEB', { key: 'os', label: 'OS', type: 'text' }, token);
+    expect(byMember.status).toBe(403);
+  });
+
+  it('should keep each project\'s fields and keys apart', async () => {
+    await createField('WEB', browserField);
+    const sameKey = await createField('API', { ...browserField, options: ['Edge'] }, adminToken);
+    expect(sameKey.status).toBe(201);
+
+    const webFields = await request(app)
+      .get('/api/projects/WEB/fields')
+      .set('Authorization', `Bearer ${token}`);
+    expect(webFields.body.map(field => field.options)).toEqual([browserField.options]);
+
+    const unscoped = await request(app)
+      .get('/api/fields')
+      .set('Authorization', `Bearer ${token}`);
+    expect(unscoped.body).toEqual([]);
+  });
+
+  it('should check bug values against the bug\'s own project', async () => {
+    await createField('API', { ...browserField, options: ['Edge'] }, adminToken);
+    await createField('WEB', browserField);
+
+    const res = await request(app)
+      .post('/api/projects/WEB/bugs')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...report, customFields: { browser: 'Edge' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toBe('customFields.browser');
+  });
+});
@@ -0,0 +1,377 @@
+// projects.test.js - Integration tests for projects and project-scoped bugs
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugHistory = require('../../src/models/BugHistory');
+const Comment = require('../../src/models/Comment');
+const BugLink = require('../../src/models/BugLink');
+const Attachment = require('../../src/models/Attachment');
+const Project = require('../../src/models/Project');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let reporter;
+let other;
+let token;
+let otherToken;
+let adminToken;
+let web;
+let api;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await Project.createIndexes();
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  reporter = await User.create({
+    username: 'reporter',
+    email: 'reporter@example.com',
+    password: 'password123',
+  });
+  other = await User.create({
+    username: 'other',
+    email: 'other@example.com',
+    password: 'password123',
+  });
+  const admin = await User.create({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  token = generateToken(reporter);
+  otherToken = generateToken(other);
+  adminToken = generateToken(admin);
+
+  // reporter triages WEB; other only reports there and isn't in API at all
+  web = await Project.create({
+    key: 'WEB',
+    name: 'Website',
+    members: [{ user: reporter._id, role: 'triager' }, { user: other._id, role: 'reporter' }]
+  });
+  api = await Project.create({ key: 'API', name: 'Public API', members: [{ user: reporter._id, role: 'reporter' }] });
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await Bug.deleteMany({});
+  await BugHistory.deleteMany({});
+  await Comment.deleteMany({});
+  await BugLink.deleteMany({});
+  await Attachment.deleteMany({});
+  await Project.deleteMany({});
+  await User.deleteMany({});
+});
+
+const report = {
+  title: 'Checkout button does nothing',
+  description: 'Clicking the checkout button on the cart page has no effect',
+  severity: 'high',
+  priority: 'high'
+};
+
+describe('POST /api/projects', () => {
+  it('should let an admin create a project with an uppercase key', async () => {
+    const res = await request(app)
+      .post('/api/projects')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ key: 'mob', name: 'Mobile app' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ key: 'MOB', name: 'Mobile app' });
+    expect(res.body.members).toEqual([expect.objectContaining({ username: 'admin', role: 'admin' })]);
+  });
+
+  it('should return 403 for anyone but an admin', async () => {
+    const res = await request(app)
+      .post('/api/projects')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ key: 'MOB', name: 'Mobile app' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Only admins can create projects');
+  });
+
+  it('should check the key', async () => {
+    const res = await request(app)
+      .post('/api/projects')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ key: '1-web', name: 'Website' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContainEqual({
+      field: 'key',
+      message: 'Key must be 2-10 letters or digits, starting with a letter'
+    });
+  });
+
+  it('should return 409 for a duplicate key', async () => {
+    const res = await request(app)
+      .post('/api/projects')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ key: 'web', name: 'Another website' });
+
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('PATCH /api/projects/:key', () => {
+  it('should never change the key', async () => {
+    const res = await request(app)
+      .patch('/api/projects/WEB')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ key: 'SITE' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContainEqual({ field: 'key', message: 'Project key cannot be changed' });
+  });
+
+  it('should return 404 for an unknown project', async () => {
+    const res = await request(app)
+      .patch('/api/projects/NOPE')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Nope' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Project not found');
+  });
+});
+
+describe('Project members', () => {
+  it('should let a project admin add and remove members', async () => {
+    await Project.updateOne({ _id: web._id }, { $set: { 'members.0.role': 'admin' } });
+
+    const added = await request(app)
+      .post('/api/projects/WEB/members')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ username: 'admin', role: 'developer' });
+    expect(added.status).toBe(201);
+    expect(added.body.members).toContainEqual(expect.objectContaining({ username: 'admin', role: 'developer' }));
+
+    const removed = await request(app)
+      .delete(`/api/projects/WEB/members/${other._id}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(removed.status).toBe(200);
+    expect(removed.body.members.map(member => member.username)).not.toContain('other');
+  });
+
+  it('should return 403 for members who are not project admins', async () => {
+    const res = await request(app)
+      .patch(`/api/projects/WEB/members/${other._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ role: 'admin' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('/api/projects/:key/bugs', () => {
+  it('should file bugs under the project', async () => {
+    const res = await request(app)
+      .post('/api/projects/web/bugs')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...report, project: api._id });
+
+    expect(res.status).toBe(201);
+    expect(res.body.project).toBe(web._id.toString());
+  });
+
+  it('should only let members report bugs', async () => {
+    const res = await request(app)
+      .post('/api/projects/API/bugs')
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send(report);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should only list and return the project\'s own bugs', async () => {
+    const [webBug, apiBug] = await Bug.create([
+      { ...report, title: 'Website bug', reportedBy: 'reporter', project: web._id },
+      { ...report, title: 'API bug', reportedBy: 'reporter', project: api._id }
+    ]);
+
+    const list = await request(app).get('/api/projects/WEB/bugs');
+    expect(list.body.map(bug => bug.title)).toEqual(['Website bug']);
+
+    const own = await request(app).get(`/api/projects/WEB/bugs/${webBug._id}`);
+    expect(own.status).toBe(200);
+
+    const elsewhere = await request(app).get(`/api/projects/WEB/bugs/${apiBug._id}`);
+    expect(elsewhere.status).toBe(404);
+  });
+
+  it('should only show history through the bug\'s own project', async () => {
+    const created = await request(app)
+      .post('/api/projects/API/bugs')
+      .set('Authorization', `Bearer ${token}`)
+      .send(report);
+
+    const own = await request(app).get(`/api/projects/API/bugs/${created.body._id}/history`);
+    expect(own.status).toBe(200);
+    expect(own.body.map(entry => entry.action)).toEqual(['created']);
+
+    const elsewhere = await request(app).get(`/api/projects/WEB/bugs/${created.body._id}/history`);
+    expect(elsewhere.status).toBe(404);
+
+    // Still scoped once the bug itself is gone
+    await Bug.deleteOne({ _id: created.body._id });
+    const deleted = await request(app).get(`/api/projects/API/bugs/${created.body._id}/history`);
+    expect(deleted.status).toBe(200);
+    const deletedElsewhere = await request(app).get(`/api/projects/WEB/bugs/${created.body._id}/history`);
+    expect(deletedElsewhere.status).toBe(404);
+  });
+
+  it('should not show comments, links or attachments through another project', async () => {
+    const [webBug, apiBug] = await Bug.create([
+      { ...report, title: 'Website bug', reportedBy: 'reporter', project: web._id },
+      { ...report, title: 'API bug', reportedBy: 'reporter', project: api._id }
+    ]);
+    await Comment.create({ bug: apiBug._id, author: 'reporter', authorId: reporter._id, body: 'Internal notes' });
+    await BugLink.create({ source: apiBug._id, target: webBug._id, type: 'related' });
+    const attachment = await Attachment.create({
+      bug: apiBug._id,
+      filename: 'trace.log',
+      contentType: 'text/plain',
+      size: 5,
+      checksum: 'abc',
+      storageKey: `${apiBug._id}/trace`,
+      uploadedBy: 'reporter'
+    });
+
+    const paths = ['comments', 'links', 'attachments', `attachments/${attachment._id}/content`];
+    for (const path of paths) {
+      const own = await request(app).get(`/api/projects/API/bugs/${apiBug._id}/${path}`);
+      const elsewhere = await request(app).get(`/api/projects/WEB/bugs/${apiBug._id}/${path}`);
+
+      if (!path.endsWith('content')) {
+        expect(own.status).toBe(200);
+        expect(own.body).toHaveLength(1);
+      }
+      expect(elsewhere.status).toBe(404);
+      expect(elsewhere.body.error).toBe('Bug not found');
+    }
+  });
+
+  it('should return 404 for an unknown project', async () => {
+    const res = await request(app).get('/api/projects/NOPE/bugs');
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Project roles', () => {
+  let bug;
+
+  beforeEach(async () => {
+    bug = await Bug.create({ ...report, reportedBy: 'other', reporter: other._id, project: web._id });
+  });
+
+  it('should use the member role instead of the global one', async () => {
+    // reporter is only a reporter globally, but triages WEB
+    const res = await request(app)
+      .put(`/api/projects/WEB/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ severity: 'critical' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.severity).toBe('critical');
+  });
+
+  it('should apply the member role on /api/bugs too', async () => {
+    const res = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ severity: 'low' });
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should let developers edit the bugs they reported, and only those', async () => {
+    await Project.updateOne({ _id: web._id, 'members.user': other._id }, { 'members.$.role': 'developer' });
+    const someoneElses = await Bug.create({ ...report, reportedBy: 'reporter', reporter: reporter._id, project: web._id });
+
+    const own = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ title: 'Renamed by its reporter' });
+    expect(own.status).toBe(200);
+
+    const notOwn = await request(app)
+      .put(`/api/bugs/${someoneElses._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ title: 'Renamed by someone else' });
+    expect(notOwn.status).toBe(403);
+  });
+
+  it('should not let non-members change a project\'s bugs', async () => {
+    const apiBug = await Bug.create({ ...report, reportedBy: 'other', reporter: other._id, project: api._id });
+
+    const res = await request(app)
+      .put(`/api/bugs/${apiBug._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ title: 'Renamed' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should check bulk updates against each bug\'s project', async () => {
+    const apiBug = await Bug.create({ ...report, reportedBy: 'other', reporter: other._id, project: api._id });
+
+    const res = await request(app)
+      .patch('/api/bugs/bulk')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ids: [bug._id.toString(), apiBug._id.toString()], patch: { priority: 'low' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.results.map(result => result.status)).toEqual([200, 403]);
+  });
+
+  it('should refuse bulk updates before checking them', async () => {
+    const apiBug = await Bug.create({ ...report, reportedBy: 'other', reporter: other._id, project: api._id });
+
+    const res = await request(app)
+      .patch('/api/bugs/bulk')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ids: [apiBug._id.toString()], patch: { priority: 'urgent' } });
+
+    expect(res.body.results[0]).toMatchObject({ status: 403, fields: ['priority'] });
+  });
+
+  it('should let project admins remove other people\'s comments', async () => {
+    await Project.updateOne({ _id: web._id, 'members.user': reporter._id }, { 'members.$.role': 'admin' });
+    const comment = await Comment.create({ bug: bug._id, author: 'other', authorId: other._id, body: 'Spam' });
+
+    const res = await request(app)
+      .delete(`/api/bugs/${bug._id}/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(await Comment.findById(comment._id)).toBeNull();
+  });
+
+  it('should not treat the admins of another project as admins here', async () => {
+    await Project.updateOne({ _id: api._id, 'members.user': reporter._id }, { 'members.$.role': 'admin' });
+    const comment = await Comment.create({ bug: bug._id, author: 'other', authorId: other._id, body: 'Mine' });
+
+    const res = await request(app)
+      .patch(`/api/bugs/${bug._id}/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ body: 'Edited' });
+
+    expect(res.status).toBe(403);
+  });
+});
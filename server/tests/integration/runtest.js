@@ -135,7 +135,7 @@ export function runValidationTests() {
 export function runServiceTests() {
   console.log('🧪 Running Service Tests...\n')
 
-  test('should generate unique IDs (may fail due to bug)', async () => {
+  test('should generate unique IDs and sequential keys', async () => {
     const bugRequest: CreateBugRequest = {
       title: 'Test Bug',
       description: 'Test Description for ID generation test',
@@ -147,6 +147,7 @@ export function runServiceTests() {
 
     // Clear storage first
     localStorage.removeItem('bug-tracker-bugs')
+    localStorage.removeItem('bug-tracker-bug-keys')
 
     // Create multiple bugs quickly
     const promises = Array(3).fill(null).map(() => BugService.createBug(bugRequest))
@@ -155,8 +156,8 @@ export function runServiceTests() {
     const ids = bugs.map(bug => bug.id)
     const uniqueIds = new Set(ids)
 
-    console.warn('⚠️ This test may fail due to the ID generation bug')
     assert(uniqueIds.size === ids.length, `Expected ${ids.length} unique IDs, got ${uniqueIds.size}`)
+    assert(bugs.map(bug => bug.key).join() === 'BUG-1,BUG-2,BUG-3', 'Keys should count up from BUG-1')
   })
 
   test('should create and retrieve bugs', async () => {
@@ -0,0 +1,157 @@
+// savedviews.test.js - Integration tests for per-user saved BugList views
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const SavedView = require('../../src/models/SavedView');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let user;
+let token;
+let otherToken;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await SavedView.createIndexes();
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  user = await User.create({
+    username: 'developer',
+    email: 'developer@example.com',
+    password: 'password123',
+  });
+  const other = await User.create({
+    username: 'someone',
+    email: 'someone@example.com',
+    password: 'password123',
+  });
+  token = generateToken(user);
+  otherToken = generateToken(other);
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await SavedView.deleteMany({});
+  await User.deleteMany({});
+});
+
+const criticalOpen = {
+  name: 'My critical open bugs',
+  filters: { search: 'assignee:me severity:critical', status: 'open' }
+};
+
+describe('POST /api/views', () => {
+  it('should save a named view for the signed-in user', async () => {
+    const res = await request(app)
+      .post('/api/views')
+      .set('Authorization', `Bearer ${token}`)
+      .send(criticalOpen);
+
+    expect(res.status).toBe(201);
+    expect(res.body.name).toBe('My critical open bugs');
+    expect(res.body.user).toBe(user._id.toString());
+    expect(res.body.filters).toMatchObject({ search: 'assignee:me severity:critical', status: 'open' });
+  });
+
+  it('should return 400 for a missing name or a bad query', async () => {
+    const res = await request(app)
+      .post('/api/views')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: ' ', filters: { search: 'stauts:open', severity: 'urgent' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContain('Name is required');
+    expect(res.body.errors).toContain('Invalid severity value');
+    expect(res.body.errors.some(error => error.includes('Did you mean "status"?'))).toBe(true);
+  });
+
+  it('should return 409 for a duplicate name', async () => {
+    await request(app).post('/api/views').set('Authorization', `Bearer ${token}`).send(criticalOpen);
+
+    const res = await request(app)
+      .post('/api/views')
+      .set('Authorization', `Bearer ${token}`)
+      .send(criticalOpen);
+
+    expect(res.status).toBe(409);
+  });
+
+  it('should return 401 if not authenticated', async () => {
+    const res = await request(app).post('/api/views').send(criticalOpen);
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/views', () => {
+  it('should only return the caller\'s views', async () => {
+    await SavedView.create({ user: user._id, name: 'Mine', filters: { status: 'open' } });
+    await request(app).post('/api/views').set('Authorization', `Bearer ${otherToken}`).send(criticalOpen);
+
+    const res = await request(app)
+      .get('/api/views')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(view => view.name)).toEqual(['Mine']);
+  });
+});
+
+describe('PATCH /api/views/:id', () => {
+  it('should rename a view and keep its filters', async () => {
+    const view = await SavedView.create({ user: user._id, name: 'Mine', filters: { status: 'open' } });
+
+    const res = await request(app)
+      .patch(`/api/views/${view._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Open bugs' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe('Open bugs');
+    expect(res.body.filters.status).toBe('open');
+  });
+
+  it('should return 404 for someone else\'s view', async () => {
+    const view = await SavedView.create({ user: user._id, name: 'Mine' });
+
+    const res = await request(app)
+      .patch(`/api/views/${view._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ name: 'Stolen' });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('DELETE /api/views/:id', () => {
+  it('should delete a view', async () => {
+    const view = await SavedView.create({ user: user._id, name: 'Mine' });
+
+    const res = await request(app)
+      .delete(`/api/views/${view._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(await SavedView.findById(view._id)).toBeNull();
+  });
+
+  it('should return 400 for invalid ID', async () => {
+    const res = await request(app)
+      .delete('/api/views/invalid-id')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+  });
+});
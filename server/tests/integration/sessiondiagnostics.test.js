@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest'
+import { collectDiagnostics, toBugPrefill, MAX_LOGS } from '@/utils/sessionDiagnostics'
+
+describe('Session Diagnostics', () => {
+  const environment = {
+    url: 'http://localhost:5173/board',
+    userAgent: 'Mozilla/5.0 (iPhone)',
+    width: 390,
+    height: 844,
+    isMobile: true
+  }
+
+  const session = {
+    logs: Array.from({ length: MAX_LOGS + 10 }, (_, i) => `log ${i}`),
+    errors: ['Failed to fetch comments', 'TypeError: bug.tags is undefined'],
+    networkRequests: [
+      { url: '/api/bugs', method: 'GET', status: 200, duration: 40, timestamp: 1 },
+      { url: '/api/bugs/abc/comments', method: 'GET', status: 500, duration: 90, timestamp: 2 },
+      { url: '/api/bugs', method: 'POST', status: 0, duration: 3000, timestamp: 3 }
+    ]
+  }
+
+  const diagnostics = collectDiagnostics(session, environment, new Date('2026-03-01T10:00:00.000Z'))
+
+  describe('collectDiagnostics', () => {
+    it('should keep only failed requests and the most recent logs', () => {
+      expect(diagnostics.capturedAt).toBe('2026-03-01T10:00:00.000Z')
+      expect(diagnostics.viewport).toEqual({ width: 390, height: 844, isMobile: true })
+      expect(diagnostics.failedRequests.map(request => request.status)).toEqual([500, 0])
+      expect(diagnostics.recentLogs).toHaveLength(MAX_LOGS)
+      expect(diagnostics.recentLogs[0]).toBe('log 10')
+    })
+  })
+
+  describe('toBugPrefill', () => {
+    it('should use the latest error as the title and list the failures', () => {
+      const prefill = toBugPrefill(diagnostics)
+
+      expect(prefill.title).toBe('TypeError: bug.tags is undefined')
+      expect(prefill.description).toContain('Viewport: 390×844 (mobile)')
+      expect(prefill.actualBehavior).toContain('- GET /api/bugs/abc/comments → 500')
+      expect(prefill.actualBehavior).toContain('- POST /api/bugs → no response')
+    })
+
+    it('should stay within the field limits', () => {
+      const prefill = toBugPrefill({ ...diagnostics, consoleErrors: [`Error: ${'x'.repeat(2000)}`] })
+
+      expect(prefill.title!.length).toBe(100)
+      expect(prefill.actualBehavior!.length).toBe(1000)
+    })
+  })
+})
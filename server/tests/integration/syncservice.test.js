@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { SyncService } from '@/services/syncService'
+import { createOfflineAdapter } from '@/services/adapters/offlineAdapter'
+import { CreateBugRequest } from '@/types/bug'
+
+// In-memory localStorage so the outbox survives between calls
+const store = new Map<string, string>()
+const mockLocalStorage = {
+  getItem: vi.fn((key: string) => store.get(key) ?? null),
+  setItem: vi.fn((key: string, value: string) => { store.set(key, value) }),
+  removeItem: vi.fn((key: string) => { store.delete(key) }),
+  clear: vi.fn(() => store.clear())
+}
+
+Object.defineProperty(window, 'localStorage', {
+  value: mockLocalStorage
+})
+
+const bugRequest: CreateBugRequest = {
+  title: 'Offline Bug',
+  description: 'Reported from the field',
+  severity: 'high',
+  priority: 'medium',
+  reportedBy: 'tester',
+  tags: []
+}
+
+const serverBug = (overrides = {}) => ({
+  _id: 'server-1',
+  ...bugRequest,
+  status: 'open',
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt: '2024-01-01T00:00:00.000Z',
+  __v: 0,
+  ...overrides
+})
+
+const json = (body: unknown, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'X-Total-Pages': '1' }
+})
+
+describe('SyncService', () => {
+  let online: boolean
+
+  beforeEach(() => {
+    store.clear()
+    online = true
+    vi.spyOn(navigator, 'onLine', 'get').mockImplementation(() => online)
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    vi.unstubAllGlobals()
+  })
+
+  it('should queue changes made offline and replay them when back online', async () => {
+    const fetchMock = vi.fn()
+    vi.stubGlobal('fetch', fetchMock)
+    online = false
+
+    const adapter = createOfflineAdapter()
+    const bug = await adapter.create(bugRequest)
+
+    expect(fetchMock).not.toHaveBeenCalled()
+    expect(SyncService.getState()).toMatchObject({ status: 'offline', pending: 1 })
+
+    online = true
+    fetchMock.mockImplementation(async (url: string, options: RequestInit = {}) => {
+      if (options.method === 'POST') return json(serverBug(), 201)
+      return json([serverBug()])
+    })
+
+    await SyncService.flush()
+
+    const [stored] = await adapter.list()
+    expect(stored.id).toBe('server-1')
+    expect(stored.id).not.toBe(bug.id)
+    expect(SyncService.getState()).toMatchObject({ status: 'idle', pending: 0, conflicts: [] })
+  })
+
+  it('should report a conflict when the server copy changed since the last sync', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(json([serverBug()]))
+    vi.stubGlobal('fetch', fetchMock)
+
+    // Prime the local cache from the server
+    await SyncService.flush()
+
+    online = false
+    const adapter = createOfflineAdapter()
+    await adapter.update('server-1', { title: 'Edited offline' })
+
+    online = true
+    const changedOnServer = serverBug({ title: 'Edited online', updatedAt: '2024-02-01T00:00:00.000Z', __v: 1 })
+    fetchMock.mockImplementation(async (url: string, options: RequestInit = {}) => {
+      if (options.method === 'PUT') {
+        return json({ error: 'Bug was modified by another user', current: changedOnServer }, 409)
+      }
+      return json([changedOnServer])
+    })
+
+    await SyncService.flush()
+
+    const put = fetchMock.mock.calls.find(([, options]) => options?.method === 'PUT')
+    expect(put?.[1].headers['If-Match']).toBe('"0"')
+
+    const { conflicts, pending } = SyncService.getState()
+    expect(pending).toBe(0)
+    expect(conflicts).toHaveLength(1)
+    expect(conflicts[0].local?.title).toBe('Edited offline')
+    expect(conflicts[0].server?.title).toBe('Edited online')
+    expect((await adapter.get('server-1'))?.title).toBe('Edited offline')
+
+    await SyncService.resolveConflict(conflicts[0].id, 'server')
+
+    expect(SyncService.getState().conflicts).toEqual([])
+    expect((await adapter.get('server-1'))?.title).toBe('Edited online')
+  })
+
+  it('should report a conflict when a delete is refused with 412', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(json([serverBug()]))
+    vi.stubGlobal('fetch', fetchMock)
+    await SyncService.flush()
+
+    online = false
+    await createOfflineAdapter().remove('server-1')
+
+    online = true
+    const changedOnServer = serverBug({ title: 'Edited online', __v: 1 })
+    fetchMock.mockImplementation(async (url: string, options: RequestInit = {}) => {
+      if (options.method === 'DELETE') return json({ error: 'Precondition failed' }, 412)
+      if (url.endsWith('/bugs/server-1')) return json(changedOnServer)
+      return json([changedOnServer])
+    })
+
+    await SyncService.flush()
+
+    const { conflicts } = SyncService.getState()
+    expect(conflicts).toHaveLength(1)
+    expect(conflicts[0].reason).toBe('This bug was changed on the server since your last sync')
+    expect(conflicts[0].server?.title).toBe('Edited online')
+  })
+
+  it('should go offline when the server cannot be reached', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')))
+
+    await SyncService.flush()
+
+    expect(SyncService.getState()).toMatchObject({ status: 'offline', error: null })
+  })
+
+  it('should report other failures as sync errors rather than offline', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new Error('Unexpected response')))
+
+    await SyncService.flush()
+
+    expect(SyncService.getState()).toMatchObject({ status: 'error', error: 'Unexpected response' })
+  })
+})
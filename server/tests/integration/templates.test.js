@@ -0,0 +1,246 @@
+// templates.test.js - Integration tests for bug templates and their custom fields
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bug = require('../../src/models/Bug');
+const BugTemplate = require('../../src/models/BugTemplate');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let token;
+let adminToken;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await BugTemplate.createIndexes();
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const reporter = await User.create({
+    username: 'reporter',
+    email: 'reporter@example.com',
+    password: 'password123',
+  });
+  const admin = await User.create({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  token = generateToken(reporter);
+  adminToken = generateToken(admin);
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await Bug.deleteMany({});
+  await BugTemplate.deleteMany({});
+  await User.deleteMany({});
+});
+
+const crashTemplate = {
+  name: 'Crash',
+  description: 'The app closed or froze',
+  defaults: {
+    severity: 'critical',
+    tags: ['crash'],
+    stepsToReproduce: '1. \n2. \n3. ',
+    expectedBehavior: 'The app keeps running'
+  },
+  fields: [
+    { key: 'appVersion', label: 'App version', type: 'text', required: true },
+    { key: 'device', label: 'Device', type: 'text' }
+  ]
+};
+
+const crashReport = {
+  title: 'App crashes on launch',
+  description: 'The splash screen shows, then the app closes',
+  severity: 'critical',
+  priority: 'high'
+};
+
+describe('POST /api/templates', () => {
+  it('should let an admin create a template', async () => {
+    const res = await request(app)
+      .post('/api/templates')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(crashTemplate);
+
+    expect(res.status).toBe(201);
+    expect(res.body.name).toBe('Crash');
+    expect(res.body.defaults).toMatchObject({ severity: 'critical', tags: ['crash'] });
+    expect(res.body.fields).toMatchObject(crashTemplate.fields);
+  });
+
+  it('should return 403 for anyone but an admin', async () => {
+    const res = await request(app)
+      .post('/api/templates')
+      .set('Authorization', `Bearer ${token}`)
+      .send(crashTemplate);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Only admins can manage templates');
+  });
+
+  it('should check defaults with the bug rules and each field definition', async () => {
+    const res = await request(app)
+      .post('/api/templates')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Broken',
+        defaults: { severity: 'urgent', title: 'Crash' },
+        fields: [{ key: 'app version', label: 'App version', type: 'text' }, { key: 'device', label: '', type: 'text' }]
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual(expect.arrayContaining([
+      { field: 'defaults', message: 'Templates cannot pre-fill: title' },
+      { field: 'defaults.severity', message: 'Invalid severity level' },
+      { field: 'fields.0.key', message: 'Field key must start with a letter and contain only letters, numbers, - and _' },
+      { field: 'fields.1.label', message: 'Field label is required' }
+    ]));
+  });
+
+  it('should return 409 for a duplicate name', async () => {
+    await BugTemplate.create(crashTemplate);
+
+    const res = await request(app)
+      .post('/api/templates')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(crashTemplate);
+
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('GET /api/templates', () => {
+  it('should list templates for any signed-in user', async () => {
+    await BugTemplate.create([crashTemplate, { name: 'UI glitch' }]);
+
+    const res = await request(app)
+      .get('/api/templates')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(template => template.name)).toEqual(['Crash', 'UI glitch']);
+  });
+
+  it('should require authentication', async () => {
+    const res = await request(app).get('/api/templates');
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('PATCH and DELETE /api/templates/:id', () => {
+  it('should update only the parts sent', async () => {
+    const template = await BugTemplate.create(crashTemplate);
+
+    const res = await request(app)
+      .patch(`/api/templates/${template._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ defaults: { severity: 'high' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe('Crash');
+    expect(res.body.defaults.severity).toBe('high');
+    expect(res.body.fields).toHaveLength(2);
+  });
+
+  it('should delete a template', async () => {
+    const template = await BugTemplate.create(crashTemplate);
+
+    const res = await request(app)
+      .delete(`/api/templates/${template._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await BugTemplate.findById(template._id)).toBeNull();
+  });
+
+  it('should return 404 for a missing template', async () => {
+    const res = await request(app)
+      .delete('/api/templates/507f1f77bcf86cd799439011')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Filing a bug from a template', () => {
+  it('should require the template\'s required fields', async () => {
+    const template = await BugTemplate.create(crashTemplate);
+
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...crashReport, template: template._id.toString(), customFields: { device: 'Pixel 8' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContainEqual({ field: 'customFields.appVersion', message: 'App version is required' });
+  });
+
+  it('should store the template and its custom field values', async () => {
+    const template = await BugTemplate.create(crashTemplate);
+
+    const res = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...crashReport, template: template._id.toString(), customFields: { appVersion: '2.4.1' } });
+
+    expect(res.status).toBe(201);
+    expect(res.body.template).toBe(template._id.toString());
+    expect(res.body.customFields).toEqual({ appVersion: '2.4.1' });
+  });
+
+  it('should reject custom fields without a template, and unknown templates', async () => {
+    const withoutTemplate = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...crashReport, customFields: { appVersion: '2.4.1' } });
+    expect(withoutTemplate.status).toBe(400);
+    expect(withoutTemplate.body.errors).toContainEqual({ field: 'customFields.appVersion', message: 'Unknown field "appVersion"' });
+
+    const missingTemplate = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...crashReport, template: '507f1f77bcf86cd799439011' });
+    expect(missingTemplate.status).toBe(400);
+    expect(missingTemplate.body.errors).toContainEqual({ field: 'template', message: 'Template not found' });
+  });
+
+  it('should check custom fields on update only when they change', async () => {
+    const template = await BugTemplate.create(crashTemplate);
+    const bug = await Bug.create({
+      ...crashReport,
+      reportedBy: 'reporter',
+      template: template._id,
+      customFields: { appVersion: '2.4.1' }
+    });
+    await BugTemplate.findByIdAndDelete(template._id);
+
+    const unchanged = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'App crashes on every launch', customFields: { appVersion: '2.4.1' } });
+    expect(unchanged.status).toBe(200);
+
+    const changed = await request(app)
+      .put(`/api/bugs/${bug._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ customFields: { appVersion: '2.4.2' } });
+    expect(changed.status).toBe(400);
+  });
+});